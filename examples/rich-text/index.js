@@ -1,5 +1,5 @@
 import { Editor, getEventTransfer, getEventRange } from "slate-react";
-import { Value, block } from "slate";
+import { ListPlugin, Value, block } from "slate";
 import isUrl from "is-url";
 import Prism from 'prismjs';
 
@@ -19,6 +19,15 @@ import { Button, Icon, Toolbar } from '../components';
 
 const DEFAULT_NODE = "paragraph";
 
+/**
+ * The plugins of the editor, which keep the lists valid and handle the list
+ * behaviors of Enter and Backspace.
+ *
+ * @type {Array}
+ */
+
+const plugins = [ListPlugin()];
+
 /**
  * Toolbar button component.
  *
@@ -244,7 +253,8 @@ class RichTextExample extends React.Component {
 
   hasMark = type => {
     const { value } = this.state;
-    return value.activeMarks.some(mark => mark.type == type);
+    const mark = value.activeMarks.get(type);
+    return mark != null && mark != 'mixed';
   };
 
   /**
@@ -259,6 +269,22 @@ class RichTextExample extends React.Component {
     return value.blocks.some(node => node.type == type);
   };
 
+  /**
+   * Check if any of the currently selected blocks are in a list of `type`.
+   *
+   * @param {String} type
+   * @return {Boolean}
+   */
+
+  hasList = type => {
+    const { value } = this.state;
+    const { document } = value;
+    return value.blocks.some(block => {
+      const item = document.getClosest(block.key, p => p.type == "list-item");
+      return !!item && document.getParent(item.key).type == type;
+    });
+  };
+
   /**
    * Check whether the current selection has a link in it.
    *
@@ -340,41 +366,20 @@ class RichTextExample extends React.Component {
     event.preventDefault();
     const { value } = this.state;
     const change = value.change();
-    const { document } = value;
 
     // Handle everything but list buttons.
     if (type != "bulleted-list" && type != "numbered-list") {
       const isActive = this.hasBlock(type);
-      const isList = this.hasBlock("list-item");
-
-      if (isList) {
-        change
-          .setBlocks(isActive ? DEFAULT_NODE : type)
-          .unwrapBlock("bulleted-list")
-          .unwrapBlock("numbered-list");
-      } else {
-        change.setBlocks(isActive ? DEFAULT_NODE : type);
-      }
+      if (value.isInList) change.unwrapList();
+      change.setBlocks(isActive ? DEFAULT_NODE : type);
     } else {
-      // Handle the extra wrapping required for list buttons.
-      const isList = this.hasBlock("list-item");
-      const isType = value.blocks.some(block => {
-        return !!document.getClosest(block.key, parent => parent.type == type);
-      });
-
-      if (isList && isType) {
-        change
-          .setBlocks(DEFAULT_NODE)
-          .unwrapBlock("bulleted-list")
-          .unwrapBlock("numbered-list");
-      } else if (isList) {
-        change
-          .unwrapBlock(
-            type == "bulleted-list" ? "numbered-list" : "bulleted-list"
-          )
-          .wrapBlock(type);
+      // Lists of the other type are switched to this type.
+      const isType = this.hasList(type);
+
+      if (value.isInList && isType) {
+        change.unwrapList();
       } else {
-        change.setBlocks("list-item").wrapBlock(type);
+        change.wrapInList(type);
       }
     }
 
@@ -644,9 +649,7 @@ class RichTextExample extends React.Component {
     let isActive = this.hasBlock(type);
 
     if (["numbered-list", "bulleted-list"].includes(type)) {
-      const { value } = this.state;
-      const parent = value.document.getParent(value.blocks.first().key);
-      isActive = this.hasBlock("list-item") && parent && parent.type === type;
+      isActive = this.hasList(type);
     }
 
     const onMouseDown = event => {
@@ -784,6 +787,7 @@ class RichTextExample extends React.Component {
       <div className="editor">
         <Editor
           placeholder="Enter some rich text..."
+          plugins={plugins}
           value={this.state.value}
           onChange={this.onChange}
           onDrop={this.onDropOrPaste}
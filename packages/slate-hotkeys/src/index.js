@@ -76,6 +76,12 @@ const isRedoMac = isKeyHotkey('mod+shift+z')
 const isRedoPC = isKeyHotkey('mod+y')
 const isRedo = e => (IS_APPLE ? isRedoMac(e) : isRedoPC(e))
 
+const isNextCell = isKeyHotkey('tab')
+const isPreviousCell = isKeyHotkey('shift+tab')
+
+const isFindNext = isKeyHotkey('mod+g')
+const isFindPrevious = isKeyHotkey('mod+shift+g')
+
 const isTransposeCharacterMac = isKeyHotkey('ctrl+t')
 const isTransposeCharacter = e => IS_APPLE && isTransposeCharacterMac(e)
 
@@ -125,7 +131,11 @@ export default {
   isExtendCharForward,
   isExtendLineBackward,
   isExtendLineForward,
+  isFindNext,
+  isFindPrevious,
   isItalic,
+  isNextCell,
+  isPreviousCell,
   isRedo,
   isSplitBlock,
   isUndo,
@@ -0,0 +1,149 @@
+/**
+ * Get all of the descendant nodes of a DOM `root`, in document order.
+ *
+ * @param {Node} root
+ * @return {Array}
+ */
+
+function getDescendants(root) {
+  const nodes = []
+
+  const visit = parent => {
+    Array.from(parent.childNodes).forEach(node => {
+      nodes.push(node)
+      visit(node)
+    })
+  }
+
+  visit(root)
+  return nodes
+}
+
+/**
+ * Get all of the descendant elements of a DOM `root`, in document order.
+ *
+ * @param {Node} root
+ * @return {Array}
+ */
+
+function getElements(root) {
+  return getDescendants(root).filter(node => node.nodeType == 1)
+}
+
+/**
+ * Remove a DOM `node` from its parent.
+ *
+ * @param {Node} node
+ */
+
+function remove(node) {
+  if (node.parentNode) node.parentNode.removeChild(node)
+}
+
+/**
+ * Replace an `element` with its children.
+ *
+ * @param {Element} element
+ */
+
+function unwrap(element) {
+  const parent = element.parentNode
+  if (!parent) return
+
+  while (element.firstChild) {
+    parent.insertBefore(element.firstChild, element)
+  }
+
+  parent.removeChild(element)
+}
+
+/**
+ * Wrap the children of an `element` in a new element with `tagName`.
+ *
+ * @param {Element} element
+ * @param {String} tagName
+ */
+
+function wrapChildren(element, tagName) {
+  const wrapper = element.ownerDocument.createElement(tagName)
+
+  while (element.firstChild) {
+    wrapper.appendChild(element.firstChild)
+  }
+
+  element.appendChild(wrapper)
+}
+
+/**
+ * Parse the `style` attribute of an `element` into a list of declarations,
+ * each of them a `[property, value]` pair, with the property in lowercase.
+ *
+ * @param {Element} element
+ * @return {Array}
+ */
+
+function getStyle(element) {
+  const style = element.getAttribute('style') || ''
+
+  return style
+    .split(';')
+    .map(declaration => {
+      const index = declaration.indexOf(':')
+      if (index == -1) return null
+      const property = declaration.slice(0, index).trim()
+      const value = declaration.slice(index + 1).trim()
+      return property ? [property.toLowerCase(), value] : null
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Set the `style` attribute of an `element` from a list of `declarations`,
+ * removing the attribute if there are none.
+ *
+ * @param {Element} element
+ * @param {Array} declarations
+ */
+
+function setStyle(element, declarations) {
+  if (declarations.length == 0) {
+    element.removeAttribute('style')
+    return
+  }
+
+  const style = declarations.map(([p, v]) => `${p}: ${v}`).join('; ')
+  element.setAttribute('style', style)
+}
+
+/**
+ * Get the value of a style `property` of an `element`, in lowercase.
+ *
+ * @param {Element} element
+ * @param {String} property
+ * @return {String|Null}
+ */
+
+function getStyleValue(element, property) {
+  const declaration = getStyle(element)
+    .reverse()
+    .find(([p]) => p == property)
+
+  return declaration ? declaration[1].toLowerCase() : null
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export {
+  getDescendants,
+  getElements,
+  getStyle,
+  getStyleValue,
+  remove,
+  setStyle,
+  unwrap,
+  wrapChildren,
+}
@@ -4,6 +4,12 @@ import typeOf from 'type-of'
 import { Node, Value } from 'slate'
 import { Record } from 'immutable'
 
+import DEFAULT_PROFILES from './profiles'
+import inferMarks from './infer-marks'
+import sanitize, {
+  DEFAULT_OPTIONS as DEFAULT_SANITIZE_OPTIONS,
+} from './sanitize'
+
 /**
  * String.
  *
@@ -15,6 +21,64 @@ const String = new Record({
   text: '',
 })
 
+/**
+ * The entities that HTML special characters are escaped to, matching the ones
+ * that React uses when rendering static markup.
+ *
+ * @type {Object}
+ */
+
+const ENTITIES = {
+  '"': '&quot;',
+  '&': '&amp;',
+  "'": '&#x27;',
+  '<': '&lt;',
+  '>': '&gt;',
+}
+
+/**
+ * The symbol of async iterators, with a fallback for older engines without it,
+ * where the iterator's `next` method can still be called directly.
+ *
+ * @type {Symbol|String}
+ */
+
+const ASYNC_ITERATOR =
+  typeof Symbol == 'function' && Symbol.asyncIterator // eslint-disable-line no-undef
+    ? Symbol.asyncIterator // eslint-disable-line no-undef
+    : '@@asyncIterator'
+
+/**
+ * Markup.
+ *
+ * A string of already serialized HTML, which won't be escaped again when it is
+ * interpolated into the `markup` template tag.
+ *
+ * @type {Markup}
+ */
+
+class Markup {
+  /**
+   * Create a new `Markup` with an `html` string.
+   *
+   * @param {String} html
+   */
+
+  constructor(html) {
+    this.html = html
+  }
+
+  /**
+   * Return the HTML string.
+   *
+   * @return {String}
+   */
+
+  toString() {
+    return this.html
+  }
+}
+
 /**
  * A rule to (de)serialize text nodes. This is automatically added to the HTML
  * serializer so that users don't have to worry about text-level serialization.
@@ -60,6 +124,15 @@ const TEXT_RULE = {
       }, [])
     }
   },
+
+  serializeToString(obj, children) {
+    if (obj.object === 'string') {
+      return children
+        .split('\n')
+        .map(escape)
+        .join('<br/>')
+    }
+  },
 }
 
 /**
@@ -95,12 +168,16 @@ class Html {
    *   @property {Array} rules
    *   @property {String|Object|Block} defaultBlock
    *   @property {Function} parseHtml
+   *   @property {Array} profiles
+   *   @property {Boolean} inferMarks
+   *   @property {Object|Boolean} sanitize
    */
 
   constructor(options = {}) {
     let {
       defaultBlock = 'paragraph',
       parseHtml = defaultParseHtml,
+      profiles = DEFAULT_PROFILES,
       rules = [],
     } = options
 
@@ -109,6 +186,9 @@ class Html {
     this.rules = [...rules, TEXT_RULE]
     this.defaultBlock = defaultBlock
     this.parseHtml = parseHtml
+    this.profiles = profiles
+    this.inferMarks = options.inferMarks !== false
+    this.sanitize = options.sanitize === true ? {} : options.sanitize || false
   }
 
   /**
@@ -124,6 +204,7 @@ class Html {
     const { toJSON = false } = options
     const { defaultBlock, parseHtml } = this
     const fragment = parseHtml(html)
+    this.cleanFragment(fragment, html)
     const children = Array.from(fragment.childNodes)
     let nodes = this.deserializeElements(children)
 
@@ -189,6 +270,28 @@ class Html {
     return ret
   }
 
+  /**
+   * Clean up a parsed DOM `fragment` of `html` in place before it is
+   * deserialized, by applying the profiles that detect its source, inferring
+   * marks from inline styles and, if enabled, sanitizing it.
+   *
+   * @param {Object} fragment
+   * @param {String} html
+   */
+
+  cleanFragment = (fragment, html) => {
+    this.profiles
+      .filter(profile => profile.detect(html, fragment))
+      .forEach(profile => profile.clean(fragment))
+
+    if (this.inferMarks) inferMarks(fragment)
+    if (this.sanitize) sanitize(fragment, this.sanitize)
+
+    // Join the text nodes left next to each other by the cleanup, if the
+    // parser's DOM implementation supports it.
+    if (typeof fragment.normalize == 'function') fragment.normalize()
+  }
+
   /**
    * Deserialize an array of DOM elements.
    *
@@ -334,6 +437,48 @@ class Html {
     return inner
   }
 
+  /**
+   * Serialize a `value` object into an HTML string, using the rules'
+   * `serializeToString` methods instead of rendering React elements.
+   *
+   * @param {Value} value
+   * @return {String}
+   */
+
+  serializeToString = value => {
+    const { document } = value
+    const strings = document.nodes
+      .map(this.serializeNodeToString)
+      .filter(string => string != null)
+
+    return strings.join('')
+  }
+
+  /**
+   * Serialize a `value` object into an async iterator of HTML strings, one for
+   * each top-level block, which are only serialized as they are iterated over,
+   * for example with `for await`, or to write them to a Node.js stream.
+   *
+   * @param {Value} value
+   * @return {Object}
+   */
+
+  serializeToIterator = value => {
+    const { document } = value
+    const strings = document.nodes
+      .toSeq()
+      .map(this.serializeNodeToString)
+      .filter(string => string != null)
+      .values()
+
+    const iterator = {
+      next: () => new Promise(resolve => resolve(strings.next())), // eslint-disable-line no-undef
+    }
+
+    iterator[ASYNC_ITERATOR] = () => iterator
+    return iterator
+  }
+
   /**
    * Serialize a `node`.
    *
@@ -398,14 +543,83 @@ class Html {
   }
 
   /**
-   * Filter out cruft newline nodes inserted by the DOM parser.
+   * Serialize a `node` into an HTML string.
+   *
+   * @param {Node} node
+   * @return {String}
+   */
+
+  serializeNodeToString = node => {
+    if (node.object === 'text') {
+      const leaves = node.getLeaves()
+      return leaves.map(this.serializeLeafToString).join('')
+    }
+
+    const children = node.nodes
+      .map(this.serializeNodeToString)
+      .filter(string => string != null)
+      .join('')
+
+    for (const rule of this.rules) {
+      if (!rule.serializeToString) continue
+      const ret = rule.serializeToString(node, new Markup(children))
+      if (ret === null) return
+      if (ret != null) return `${ret}`
+    }
+
+    throw new Error(`No serializer defined for node of type "${node.type}".`)
+  }
+
+  /**
+   * Serialize a `leaf` into an HTML string.
+   *
+   * @param {Leaf} leaf
+   * @return {String}
+   */
+
+  serializeLeafToString = leaf => {
+    const string = new String({ text: leaf.text })
+    const text = this.serializeStringToString(string)
+
+    return leaf.marks.reduce((children, mark) => {
+      for (const rule of this.rules) {
+        if (!rule.serializeToString) continue
+        const ret = rule.serializeToString(mark, new Markup(children))
+        if (ret === null) return ''
+        if (ret != null) return `${ret}`
+      }
+
+      throw new Error(`No serializer defined for mark of type "${mark.type}".`)
+    }, text)
+  }
+
+  /**
+   * Serialize a `string` into an HTML string.
+   *
+   * @param {String} string
+   * @return {String}
+   */
+
+  serializeStringToString = string => {
+    for (const rule of this.rules) {
+      if (!rule.serializeToString) continue
+      const ret = rule.serializeToString(string, string.text)
+      if (ret != null) return `${ret}`
+    }
+  }
+
+  /**
+   * Filter out cruft newline nodes inserted by the DOM parser, including the
+   * ones left between elements that were cleaned up.
    *
    * @param {Object} element
    * @return {Boolean}
    */
 
   cruftNewline = element => {
-    return !(element.nodeName === '#text' && element.nodeValue == '\n')
+    return !(
+      element.nodeName === '#text' && /^\s*\n\s*$/.test(element.nodeValue)
+    )
   }
 }
 
@@ -422,6 +636,51 @@ function addKey(element) {
   return React.cloneElement(element, { key: key++ })
 }
 
+/**
+ * Escape the HTML special characters in a `string`.
+ *
+ * @param {String} string
+ * @return {String}
+ */
+
+function escape(string) {
+  return `${string}`.replace(/["&'<>]/g, char => ENTITIES[char])
+}
+
+/**
+ * Convert an interpolated `value` of the `markup` template tag to HTML,
+ * escaping it unless it is already serialized `Markup`.
+ *
+ * @param {Any} value
+ * @return {String}
+ */
+
+function toHtml(value) {
+  if (value == null || typeof value === 'boolean') return ''
+  if (value instanceof Markup) return value.html
+  if (Array.isArray(value)) return value.map(toHtml).join('')
+  return escape(value)
+}
+
+/**
+ * A template tag for writing `serializeToString` rules, which escapes the
+ * interpolated values, except for the serialized `children`.
+ *
+ *     markup`<a href="${obj.data.get('href')}">${children}</a>`
+ *
+ * @param {Array} strings
+ * @param {Any} ...values
+ * @return {Markup}
+ */
+
+function markup(strings, ...values) {
+  const html = strings.reduce((memo, string, i) => {
+    return memo + toHtml(values[i - 1]) + string
+  })
+
+  return new Markup(html)
+}
+
 /**
  * Export.
  *
@@ -429,3 +688,4 @@ function addKey(element) {
  */
 
 export default Html
+export { DEFAULT_PROFILES, DEFAULT_SANITIZE_OPTIONS, escape, markup }
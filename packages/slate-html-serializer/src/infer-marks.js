@@ -0,0 +1,117 @@
+import { getElements, getStyleValue, unwrap, wrapChildren } from './dom'
+
+/**
+ * The tag names of elements that already imply a mark, by mark.
+ *
+ * @type {Object}
+ */
+
+const TAG_NAMES = {
+  bold: ['b', 'strong'],
+  italic: ['em', 'i'],
+  underline: ['ins', 'u'],
+  strikethrough: ['del', 's', 'strike'],
+}
+
+/**
+ * The tag names that inferred marks are wrapped in, by mark.
+ *
+ * @type {Object}
+ */
+
+const WRAPPERS = {
+  bold: 'strong',
+  italic: 'em',
+  underline: 'u',
+  strikethrough: 's',
+}
+
+/**
+ * Infer marks from the inline styles of the elements in a DOM `fragment`, by
+ * wrapping their children in the equivalent semantic elements, for example a
+ * `<strong>` for `font-weight: bold`. And unwrap the semantic elements whose
+ * styles reset them, like the `<b style="font-weight: normal">` wrappers.
+ *
+ * @param {Node} fragment
+ */
+
+function inferMarks(fragment) {
+  getElements(fragment).forEach(element => {
+    if (!element.firstChild) return
+    const tagName = element.tagName.toLowerCase()
+    const marks = getMarks(element)
+
+    Object.keys(marks).forEach(mark => {
+      const isTag = TAG_NAMES[mark].includes(tagName)
+
+      if (marks[mark] && !isTag) {
+        wrapChildren(element, WRAPPERS[mark])
+      }
+    })
+
+    Object.keys(marks).forEach(mark => {
+      const isTag = TAG_NAMES[mark].includes(tagName)
+
+      if (!marks[mark] && isTag && element.parentNode) {
+        unwrap(element)
+      }
+    })
+  })
+}
+
+/**
+ * Get the marks that the inline styles of an `element` turn on or off, as a
+ * dictionary of booleans by mark.
+ *
+ * @param {Element} element
+ * @return {Object}
+ */
+
+function getMarks(element) {
+  const marks = {}
+  const weight = getStyleValue(element, 'font-weight')
+  const style = getStyleValue(element, 'font-style')
+  const decoration =
+    getStyleValue(element, 'text-decoration-line') ||
+    getStyleValue(element, 'text-decoration')
+
+  if (weight != null) {
+    const number = parseInt(weight, 10)
+    marks.bold = weight == 'bold' || weight == 'bolder' || number >= 600
+  }
+
+  if (style != null) {
+    marks.italic = style == 'italic' || style.startsWith('oblique')
+  }
+
+  // Links are underlined already, so the underline is left to their rules.
+  if (decoration != null && !isInLink(element)) {
+    marks.underline = decoration.includes('underline')
+    marks.strikethrough = decoration.includes('line-through')
+  }
+
+  return marks
+}
+
+/**
+ * Check if an `element` is a link or inside of one.
+ *
+ * @param {Element} element
+ * @return {Boolean}
+ */
+
+function isInLink(element) {
+  for (let node = element; node; node = node.parentNode) {
+    if (node.nodeName && node.nodeName.toLowerCase() == 'a') return true
+  }
+
+  return false
+}
+
+/**
+ * Export.
+ *
+ * @type {Function}
+ */
+
+export default inferMarks
@@ -0,0 +1,165 @@
+import {
+  getDescendants,
+  getElements,
+  getStyle,
+  getStyleValue,
+  remove,
+  setStyle,
+  unwrap,
+} from './dom'
+
+/**
+ * A pattern that matches the markers of HTML copied from Microsoft Word.
+ *
+ * @type {RegExp}
+ */
+
+const WORD_PATTERN = /urn:schemas-microsoft-com:office|class=["']?Mso|mso-[a-z-]+\s*:|<o:p>/i
+
+/**
+ * A profile to clean up HTML copied from Microsoft Word, which is full of
+ * conditional comments, `mso-` styles, `Mso` classes and namespaced elements.
+ *
+ * @type {Object}
+ */
+
+const WORD = {
+  name: 'word',
+
+  detect(html) {
+    return WORD_PATTERN.test(html)
+  },
+
+  clean(fragment) {
+    const comments = getDescendants(fragment).filter(
+      node => node.nodeName == '#comment'
+    )
+
+    // Word uses "downlevel-revealed" conditional comments to render fake list
+    // bullets, so the content between them has to be removed too.
+    comments.forEach(comment => {
+      if (/^\[if !support/.test(comment.nodeValue.trim())) {
+        let next = comment.nextSibling
+
+        while (next && !isEndif(next)) {
+          const sibling = next.nextSibling
+          remove(next)
+          next = sibling
+        }
+      }
+
+      remove(comment)
+    })
+
+    getElements(fragment).forEach(element => {
+      const style = getStyle(element).filter(([p]) => !/^mso-/.test(p))
+      const classes = (element.getAttribute('class') || '')
+        .split(/\s+/)
+        .filter(name => name && !/^Mso/.test(name))
+
+      if (element.hasAttribute('style')) setStyle(element, style)
+
+      if (classes.length) {
+        element.setAttribute('class', classes.join(' '))
+      } else {
+        element.removeAttribute('class')
+      }
+
+      // Namespaced elements like `<o:p>` or smart tags only wrap text.
+      if (element.tagName.includes(':')) unwrap(element)
+    })
+  },
+}
+
+/**
+ * A profile to clean up HTML copied from Google Docs, which wraps the content
+ * in a `<b>` element with a `docs-internal-guid` id and `font-weight: normal`,
+ * and uses inline styles instead of semantic elements for marks.
+ *
+ * @type {Object}
+ */
+
+const GOOGLE_DOCS = {
+  name: 'google-docs',
+
+  detect(html) {
+    return /id="docs-internal-guid-/.test(html)
+  },
+
+  clean(fragment) {
+    getElements(fragment).forEach(element => {
+      const id = element.getAttribute('id') || ''
+      if (!id.startsWith('docs-internal-guid-')) return
+
+      // The line breaks between blocks are only there for the spacing.
+      Array.from(element.childNodes)
+        .filter(child => child.nodeName.toLowerCase() == 'br')
+        .forEach(remove)
+
+      unwrap(element)
+    })
+  },
+}
+
+/**
+ * A profile to clean up HTML copied from web pages, which can contain
+ * comments, hidden elements and the line breaks that browsers add at the end
+ * of the selection.
+ *
+ * @type {Object}
+ */
+
+const WEB = {
+  name: 'web',
+
+  detect(html) {
+    return true
+  },
+
+  clean(fragment) {
+    getDescendants(fragment).forEach(node => {
+      if (node.nodeName == '#comment') {
+        remove(node)
+        return
+      }
+
+      if (node.nodeType != 1) return
+      const className = node.getAttribute('class') || ''
+
+      if (
+        /(^|\s)Apple-interchange-newline(\s|$)/.test(className) ||
+        getStyleValue(node, 'display') == 'none'
+      ) {
+        remove(node)
+      }
+    })
+  },
+}
+
+/**
+ * Check if a DOM `node` is the comment that closes a conditional comment.
+ *
+ * @param {Node} node
+ * @return {Boolean}
+ */
+
+function isEndif(node) {
+  return node.nodeName == '#comment' && /^\[endif\]/.test(node.nodeValue.trim())
+}
+
+/**
+ * The default profiles, which are applied whenever they detect their source.
+ *
+ * @type {Array}
+ */
+
+const DEFAULT_PROFILES = [WORD, GOOGLE_DOCS, WEB]
+
+/**
+ * Export.
+ *
+ * @type {Array}
+ */
+
+export default DEFAULT_PROFILES
+export { GOOGLE_DOCS, WEB, WORD }
@@ -0,0 +1,111 @@
+import { getElements, remove } from './dom'
+
+/**
+ * The default sanitizer options, each of which is replaced entirely by the
+ * option of the same name that is passed in.
+ *
+ * `attributes` is a whitelist of the attribute names that are kept, by tag
+ * name, with `*` for the attributes of every element. Names ending in `*`
+ * match any attribute with that prefix.
+ *
+ * `protocols` is a whitelist of the protocols that the `urlAttributes` can
+ * use. Relative URLs are always allowed.
+ *
+ * `elements` are removed along with their content.
+ *
+ * @type {Object}
+ */
+
+const DEFAULT_OPTIONS = {
+  attributes: {
+    '*': ['class', 'data-*', 'dir', 'id', 'lang', 'style', 'title'],
+    a: ['href', 'name', 'rel', 'target'],
+    blockquote: ['cite'],
+    col: ['span', 'width'],
+    colgroup: ['span', 'width'],
+    img: ['alt', 'height', 'src', 'width'],
+    li: ['value'],
+    ol: ['reversed', 'start', 'type'],
+    q: ['cite'],
+    td: ['align', 'colspan', 'headers', 'rowspan', 'valign'],
+    th: ['align', 'colspan', 'headers', 'rowspan', 'scope', 'valign'],
+  },
+  elements: [
+    'base',
+    'link',
+    'meta',
+    'noscript',
+    'script',
+    'style',
+    'template',
+    'title',
+  ],
+  protocols: ['http', 'https', 'mailto', 'tel'],
+  urlAttributes: ['cite', 'href', 'src'],
+}
+
+/**
+ * Sanitize a DOM `fragment` in place, removing the blacklisted elements, the
+ * attributes that aren't whitelisted and the URLs with unsafe protocols.
+ *
+ * @param {Node} fragment
+ * @param {Object} options
+ */
+
+function sanitize(fragment, options = {}) {
+  const { attributes, elements, protocols, urlAttributes } = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+  }
+
+  getElements(fragment).forEach(element => {
+    const tagName = element.tagName.toLowerCase()
+
+    if (elements.includes(tagName)) {
+      remove(element)
+      return
+    }
+
+    const allowed = [].concat(attributes['*'] || [], attributes[tagName] || [])
+
+    Array.from(element.attributes).forEach(({ name, value }) => {
+      const isAllowed = allowed.some(pattern => {
+        return pattern.endsWith('*')
+          ? name.startsWith(pattern.slice(0, -1))
+          : name == pattern
+      })
+
+      if (
+        !isAllowed ||
+        (urlAttributes.includes(name) && !isSafeUrl(value, protocols))
+      ) {
+        element.removeAttribute(name)
+      }
+    })
+  })
+}
+
+/**
+ * Check if a `url` is relative or uses one of the allowed `protocols`.
+ *
+ * @param {String} url
+ * @param {Array} protocols
+ * @return {Boolean}
+ */
+
+function isSafeUrl(url, protocols) {
+  // Browsers ignore whitespace and control characters in URL schemes.
+  const string = url.replace(/[\u0000- \u007f-\u009f]/g, '')
+  const match = string.match(/^([^/?#]*?):/)
+  if (!match) return true
+  return protocols.includes(match[1].toLowerCase())
+}
+
+/**
+ * Export.
+ *
+ * @type {Function}
+ */
+
+export default sanitize
+export { DEFAULT_OPTIONS }
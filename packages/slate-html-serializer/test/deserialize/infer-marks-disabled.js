@@ -0,0 +1,67 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const config = {
+  inferMarks: false,
+  rules: [
+    {
+      deserialize(el, next) {
+        switch (el.tagName.toLowerCase()) {
+          case 'p': {
+            return {
+              object: 'block',
+              type: 'paragraph',
+              nodes: next(el.childNodes),
+            }
+          }
+          case 'b':
+          case 'strong': {
+            return {
+              object: 'mark',
+              type: 'bold',
+              nodes: next(el.childNodes),
+            }
+          }
+          case 'i':
+          case 'em': {
+            return {
+              object: 'mark',
+              type: 'italic',
+              nodes: next(el.childNodes),
+            }
+          }
+          case 'u': {
+            return {
+              object: 'mark',
+              type: 'underline',
+              nodes: next(el.childNodes),
+            }
+          }
+          case 's': {
+            return {
+              object: 'mark',
+              type: 'strikethrough',
+              nodes: next(el.childNodes),
+            }
+          }
+        }
+      },
+    },
+  ],
+}
+
+export const input = `
+<p><span style="font-weight: 600">one</span><span style="FONT-STYLE: oblique 10deg">two</span><span style="text-decoration: underline line-through">three</span><strong style="font-weight: normal">four</strong><i style="font-style: italic">five</i></p>
+`.trim()
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        onetwothree<b>four</b>
+        <i>five</i>
+      </paragraph>
+    </document>
+  </value>
+)
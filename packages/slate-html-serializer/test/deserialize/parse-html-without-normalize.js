@@ -0,0 +1,39 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+import { JSDOM } from 'jsdom' // eslint-disable-line import/no-extraneous-dependencies
+
+export const config = {
+  parseHtml(html) {
+    const fragment = JSDOM.fragment(html)
+    fragment.normalize = undefined
+    return fragment
+  },
+  rules: [
+    {
+      deserialize(el, next) {
+        switch (el.tagName.toLowerCase()) {
+          case 'p': {
+            return {
+              object: 'block',
+              type: 'paragraph',
+              nodes: next(el.childNodes),
+            }
+          }
+        }
+      },
+    },
+  ],
+}
+
+export const input = `
+<p>one</p>
+`.trim()
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+    </document>
+  </value>
+)
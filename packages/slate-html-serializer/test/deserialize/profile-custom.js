@@ -0,0 +1,48 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const config = {
+  profiles: [
+    {
+      name: 'comments',
+      detect(html) {
+        return html.includes('<!-- comments -->')
+      },
+      clean(fragment) {
+        Array.from(fragment.querySelectorAll('.comment')).forEach(el => {
+          el.parentNode.removeChild(el)
+        })
+      },
+    },
+  ],
+  rules: [
+    {
+      deserialize(el, next) {
+        switch (el.tagName.toLowerCase()) {
+          case 'p': {
+            return {
+              object: 'block',
+              type: 'paragraph',
+              nodes: next(el.childNodes),
+            }
+          }
+        }
+      },
+    },
+  ],
+}
+
+export const input = `
+<!-- comments -->
+<p>one<span class="comment">two</span></p>
+<p class="comment">three</p>
+`.trim()
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+    </document>
+  </value>
+)
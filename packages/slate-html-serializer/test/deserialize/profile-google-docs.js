@@ -0,0 +1,73 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const config = {
+  rules: [
+    {
+      deserialize(el, next) {
+        switch (el.tagName.toLowerCase()) {
+          case 'p': {
+            return {
+              object: 'block',
+              type: 'paragraph',
+              nodes: next(el.childNodes),
+            }
+          }
+          case 'b':
+          case 'strong': {
+            return {
+              object: 'mark',
+              type: 'bold',
+              nodes: next(el.childNodes),
+            }
+          }
+          case 'i':
+          case 'em': {
+            return {
+              object: 'mark',
+              type: 'italic',
+              nodes: next(el.childNodes),
+            }
+          }
+          case 'u': {
+            return {
+              object: 'mark',
+              type: 'underline',
+              nodes: next(el.childNodes),
+            }
+          }
+          case 'a': {
+            return {
+              object: 'inline',
+              type: 'link',
+              data: { href: el.getAttribute('href') },
+              nodes: next(el.childNodes),
+            }
+          }
+        }
+      },
+    },
+  ],
+}
+
+export const input = `
+<meta charset='utf-8'><meta charset="utf-8"><b style="font-weight:normal;" id="docs-internal-guid-3f1c5b2a-7fff-a1d4-9d2e-5b0c8e6f4a21"><p dir="ltr" style="line-height:1.38;margin-top:0pt;margin-bottom:0pt;"><span style="font-size:11pt;font-family:Arial;color:#000000;background-color:transparent;font-weight:400;font-style:normal;font-variant:normal;text-decoration:none;vertical-align:baseline;white-space:pre;white-space:pre-wrap;">Plain </span><span style="font-size:11pt;font-family:Arial;color:#000000;background-color:transparent;font-weight:700;font-style:normal;font-variant:normal;text-decoration:none;vertical-align:baseline;white-space:pre;white-space:pre-wrap;">bold</span><span style="font-size:11pt;font-family:Arial;color:#000000;background-color:transparent;font-weight:400;font-style:normal;font-variant:normal;text-decoration:none;vertical-align:baseline;white-space:pre;white-space:pre-wrap;"> and </span><span style="font-size:11pt;font-family:Arial;color:#000000;background-color:transparent;font-weight:400;font-style:italic;font-variant:normal;text-decoration:underline;vertical-align:baseline;white-space:pre;white-space:pre-wrap;">both</span></p><br><p dir="ltr" style="line-height:1.38;margin-top:0pt;margin-bottom:0pt;"><a href="https://www.example.com/" style="text-decoration:none;"><span style="font-size:11pt;font-family:Arial;color:#1155cc;background-color:transparent;font-weight:400;font-style:normal;font-variant:normal;text-decoration:underline;-webkit-text-decoration-skip:none;text-decoration-skip-ink:none;vertical-align:baseline;white-space:pre;white-space:pre-wrap;">a link</span></a><span style="font-size:11pt;font-family:Arial;color:#000000;background-color:transparent;font-weight:700;font-style:normal;font-variant:normal;text-decoration:none;vertical-align:baseline;white-space:pre;white-space:pre-wrap;">!</span></p></b><br class="Apple-interchange-newline">
+`.trim()
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        Plain <b>bold</b> and{' '}
+        <u>
+          <i>both</i>
+        </u>
+      </paragraph>
+      <paragraph>
+        <link href="https://www.example.com/">a link</link>
+        <b>!</b>
+      </paragraph>
+    </document>
+  </value>
+)
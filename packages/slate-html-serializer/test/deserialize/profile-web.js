@@ -0,0 +1,52 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const config = {
+  sanitize: true,
+  rules: [
+    {
+      deserialize(el, next) {
+        switch (el.tagName.toLowerCase()) {
+          case 'p': {
+            return {
+              object: 'block',
+              type: 'paragraph',
+              nodes: next(el.childNodes),
+            }
+          }
+          case 'blockquote': {
+            return {
+              object: 'block',
+              type: 'quote',
+              nodes: next(el.childNodes),
+            }
+          }
+          case 'a': {
+            return {
+              object: 'inline',
+              type: 'link',
+              data: { href: el.getAttribute('href') },
+              nodes: next(el.childNodes),
+            }
+          }
+        }
+      },
+    },
+  ],
+}
+
+export const input = `
+<meta charset='utf-8'><blockquote style="color: rgb(34, 34, 34); font-family: Georgia, serif; font-size: 18px; font-style: normal; font-weight: 400; margin: 0px 0px 1em;">A quote.</blockquote><p style="color: rgb(34, 34, 34); font-family: Georgia, serif; font-size: 16px; font-style: normal; font-weight: 400;">Some <a href="https://www.example.com/page" onclick="track('click')" style="color: rgb(0, 102, 204); text-decoration: underline;">linked</a><span class="Apple-converted-space"> </span>text<span style="display: none;">hidden</span><script>window.alert('pasted')</script></p><style>p { margin: 0 }</style><br class="Apple-interchange-newline">
+`.trim()
+
+export const output = (
+  <value>
+    <document>
+      <quote>A quote.</quote>
+      <paragraph>
+        Some <link href="https://www.example.com/page">linked</link> text
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,88 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const config = {
+  sanitize: true,
+  rules: [
+    {
+      deserialize(el, next) {
+        switch (el.tagName.toLowerCase()) {
+          case 'p': {
+            return {
+              object: 'block',
+              type: 'paragraph',
+              nodes: next(el.childNodes),
+            }
+          }
+          case 'b':
+          case 'strong': {
+            return {
+              object: 'mark',
+              type: 'bold',
+              nodes: next(el.childNodes),
+            }
+          }
+          case 'i':
+          case 'em': {
+            return {
+              object: 'mark',
+              type: 'italic',
+              nodes: next(el.childNodes),
+            }
+          }
+          case 's': {
+            return {
+              object: 'mark',
+              type: 'strikethrough',
+              nodes: next(el.childNodes),
+            }
+          }
+        }
+      },
+    },
+  ],
+}
+
+export const input = `
+<html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word" xmlns="http://www.w3.org/TR/REC-html40">
+<head>
+<meta http-equiv=Content-Type content="text/html; charset=utf-8">
+<meta name=ProgId content=Word.Document>
+<!--[if gte mso 9]><xml>
+ <w:WordDocument>
+  <w:View>Normal</w:View>
+ </w:WordDocument>
+</xml><![endif]-->
+<style>
+<!--
+p.MsoNormal, li.MsoNormal, div.MsoNormal
+  {mso-style-unhide:no;
+  margin:0cm;
+  font-size:12.0pt;}
+-->
+</style>
+</head>
+<body lang=EN-US style='tab-interval:36.0pt'>
+<!--StartFragment-->
+<p class=MsoNormal>This is <b style='mso-bidi-font-weight:normal'>bold</b> and <i style='mso-bidi-font-style:normal'>italic</i><o:p></o:p></p>
+<p class=MsoListParagraphCxSpFirst style='text-indent:-18.0pt;mso-list:l0 level1 lfo1'><![if !supportLists]><span style='font-family:Symbol;mso-fareast-font-family:Symbol;mso-bidi-font-family:Symbol'><span style='mso-list:Ignore'>·<span style='font:7.0pt "Times New Roman"'>&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp; </span></span></span><![endif]>First <span class=SpellE>itm</span><o:p></o:p></p>
+<p class=MsoNormal><span style='text-decoration:line-through'>struck</span><st1:place w:st="on">Paris</st1:place><o:p></o:p></p>
+<!--EndFragment-->
+</body>
+</html>
+`.trim()
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        This is <b>bold</b> and <i>italic</i>
+      </paragraph>
+      <paragraph>First itm</paragraph>
+      <paragraph>
+        <s>struck</s>Paris
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,40 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const config = {
+  sanitize: true,
+  rules: [
+    {
+      deserialize(el, next) {
+        switch (el.tagName.toLowerCase()) {
+          case 'p': {
+            return {
+              object: 'block',
+              type: 'paragraph',
+              data: Array.from(el.attributes).reduce((data, attr) => {
+                data[attr.name] = attr.value
+                return data
+              }, {}),
+              nodes: next(el.childNodes),
+            }
+          }
+        }
+      },
+    },
+  ],
+}
+
+export const input = `
+<p onclick="alert(1)" align="center" data-id="1" title="Title" contenteditable="true">one</p>
+`.trim()
+
+export const output = (
+  <value>
+    <document>
+      <paragraph data-id="1" title="Title">
+        one
+      </paragraph>
+    </document>
+  </value>
+)
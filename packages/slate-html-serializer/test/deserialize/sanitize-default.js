@@ -0,0 +1,42 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const config = {
+  rules: [
+    {
+      deserialize(el, next) {
+        switch (el.tagName.toLowerCase()) {
+          case 'p': {
+            return {
+              object: 'block',
+              type: 'paragraph',
+              data: Array.from(el.attributes).reduce((data, attr) => {
+                data[attr.name] = attr.value
+                return data
+              }, {}),
+              nodes: next(el.childNodes),
+            }
+          }
+        }
+      },
+    },
+  ],
+}
+
+export const input = `
+<p onclick="alert(1)" data-id="1">one</p>
+`.trim()
+
+const data = {
+  onclick: 'alert(1)',
+  'data-id': '1',
+}
+
+export const output = (
+  <value>
+    <document>
+      <paragraph {...data}>one</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,37 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const config = {
+  sanitize: true,
+  rules: [
+    {
+      deserialize(el, next) {
+        switch (el.tagName.toLowerCase()) {
+          case 'p': {
+            return {
+              object: 'block',
+              type: 'paragraph',
+              nodes: next(el.childNodes),
+            }
+          }
+        }
+      },
+    },
+  ],
+}
+
+export const input = `
+<style>p { color: red; }</style>
+<p>one<script>document.cookie</script></p>
+<template><p>two</p></template>
+<noscript><p>three</p></noscript>
+`.trim()
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,50 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const config = {
+  sanitize: true,
+  rules: [
+    {
+      deserialize(el, next) {
+        switch (el.tagName.toLowerCase()) {
+          case 'p': {
+            return {
+              object: 'block',
+              type: 'paragraph',
+              nodes: next(el.childNodes),
+            }
+          }
+          case 'a': {
+            return {
+              object: 'inline',
+              type: 'link',
+              data: el.hasAttribute('href')
+                ? { href: el.getAttribute('href') }
+                : {},
+              nodes: next(el.childNodes),
+            }
+          }
+        }
+      },
+    },
+  ],
+}
+
+export const input = `
+<p><a href="javascript:alert(1)">one</a><a href=" JaVa&#x09;ScRiPt:alert(1)">two</a><a href="data:text/html;base64,PHNjcmlwdD4=">three</a><a href="/relative?a=b:c">four</a><a href="mailto:someone@example.com">five</a></p>
+`.trim()
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <link>one</link>
+        <link>two</link>
+        <link>three</link>
+        <link href="/relative?a=b:c">four</link>
+        <link href="mailto:someone@example.com">five</link>
+      </paragraph>
+    </document>
+  </value>
+)
@@ -34,6 +34,7 @@ const h = createHyperscript({
     b: 'bold',
     i: 'italic',
     u: 'underline',
+    s: 'strikethrough',
   },
 })
 
@@ -61,4 +61,52 @@ describe('slate-html-serializer', () => {
       })
     }
   })
+
+  describe('serializeToString()', () => {
+    const dir = resolve(__dirname, './serialize')
+    const tests = fs
+      .readdirSync(dir)
+      .filter(t => t[0] != '.')
+      .map(t => basename(t, extname(t)))
+
+    for (const test of tests) {
+      it(test, async () => {
+        const module = require(resolve(dir, test))
+        const { input, output, rules } = module
+        const html = new Html({ rules, parseHtml: JSDOM.fragment })
+        const actual = html.serializeToString(input)
+        const expected = output
+        assert.deepEqual(actual, expected)
+      })
+    }
+  })
+
+  describe('serializeToIterator()', () => {
+    const dir = resolve(__dirname, './serialize')
+    const tests = fs
+      .readdirSync(dir)
+      .filter(t => t[0] != '.')
+      .map(t => basename(t, extname(t)))
+
+    for (const test of tests) {
+      it(test, async () => {
+        const module = require(resolve(dir, test))
+        const { input, output, rules } = module
+        const html = new Html({ rules, parseHtml: JSDOM.fragment })
+        const strings = []
+
+        const iterator = html.serializeToIterator(input)
+        const other = html.serializeToIterator(input)
+        assert.equal(typeof other.next().then, 'function')
+
+        for await (const string of iterator) {
+          strings.push(string)
+        }
+
+        const actual = strings.join('')
+        const expected = output
+        assert.deepEqual(actual, expected)
+      })
+    }
+  })
 })
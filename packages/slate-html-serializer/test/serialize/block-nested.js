@@ -2,6 +2,7 @@
 
 import React from 'react'
 import h from '../helpers/h'
+import { markup } from '../..'
 
 export const rules = [
   {
@@ -15,6 +16,17 @@ export const rules = [
           return React.createElement('blockquote', {}, children)
       }
     },
+
+    serializeToString(obj, children) {
+      if (obj.object != 'block') return
+
+      switch (obj.type) {
+        case 'paragraph':
+          return markup`<p>${children}</p>`
+        case 'quote':
+          return markup`<blockquote>${children}</blockquote>`
+      }
+    },
   },
 ]
 
@@ -2,6 +2,7 @@
 
 import React from 'react'
 import h from '../helpers/h'
+import { markup } from '../..'
 
 export const rules = [
   {
@@ -14,6 +15,12 @@ export const rules = [
         )
       }
     },
+
+    serializeToString(obj, children) {
+      if (obj.object == 'block' && obj.type == 'paragraph') {
+        return markup`<p data-thing="${obj.data.get('thing')}">${children}</p>`
+      }
+    },
   },
 ]
 
@@ -2,6 +2,7 @@
 
 import React from 'react'
 import h from '../helpers/h'
+import { markup } from '../..'
 
 export const rules = [
   {
@@ -10,6 +11,12 @@ export const rules = [
         return React.createElement('img')
       }
     },
+
+    serializeToString(obj, children) {
+      if (obj.object == 'block' && obj.type == 'image') {
+        return markup`<img/>`
+      }
+    },
   },
 ]
 
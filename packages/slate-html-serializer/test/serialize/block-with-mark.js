@@ -2,6 +2,7 @@
 
 import React from 'react'
 import h from '../helpers/h'
+import { markup } from '../..'
 
 export const rules = [
   {
@@ -14,6 +15,16 @@ export const rules = [
         return React.createElement('strong', {}, children)
       }
     },
+
+    serializeToString(obj, children) {
+      if (obj.object == 'block' && obj.type == 'paragraph') {
+        return markup`<p>${children}</p>`
+      }
+
+      if (obj.object == 'mark' && obj.type == 'bold') {
+        return markup`<strong>${children}</strong>`
+      }
+    },
   },
 ]
 
@@ -2,6 +2,7 @@
 
 import React from 'react'
 import h from '../helpers/h'
+import { markup } from '../..'
 
 export const rules = [
   {
@@ -10,6 +11,12 @@ export const rules = [
         return React.createElement('p', {}, children)
       }
     },
+
+    serializeToString(obj, children) {
+      if (obj.object == 'block' && obj.type == 'paragraph') {
+        return markup`<p>${children}</p>`
+      }
+    },
   },
 ]
 
@@ -2,6 +2,7 @@
 
 import React from 'react'
 import h from '../helpers/h'
+import { markup } from '../..'
 
 export const rules = [
   {
@@ -18,6 +19,20 @@ export const rules = [
         return React.createElement('span', {}, children)
       }
     },
+
+    serializeToString(obj, children) {
+      if (obj.object == 'block' && obj.type == 'paragraph') {
+        return markup`<p>${children}</p>`
+      }
+
+      if (obj.object == 'inline' && obj.type == 'link') {
+        return markup`<a>${children}</a>`
+      }
+
+      if (obj.object == 'inline' && obj.type == 'hashtag') {
+        return markup`<span>${children}</span>`
+      }
+    },
   },
 ]
 
@@ -2,6 +2,7 @@
 
 import React from 'react'
 import h from '../helpers/h'
+import { markup } from '../..'
 
 export const rules = [
   {
@@ -18,6 +19,16 @@ export const rules = [
         )
       }
     },
+
+    serializeToString(obj, children) {
+      if (obj.object == 'block' && obj.type == 'paragraph') {
+        return markup`<p>${children}</p>`
+      }
+
+      if (obj.object == 'inline' && obj.type == 'link') {
+        return markup`<a href="${obj.data.get('href')}">${children}</a>`
+      }
+    },
   },
 ]
 
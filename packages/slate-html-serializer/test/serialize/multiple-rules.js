@@ -2,11 +2,13 @@
 
 import React from 'react'
 import h from '../helpers/h'
+import { markup } from '../..'
 
 export const rules = [
   {},
   {
     serialize(obj, children) {},
+    serializeToString(obj, children) {},
   },
   {
     serialize(obj, children) {
@@ -14,6 +16,12 @@ export const rules = [
         return React.createElement('p', {}, children)
       }
     },
+
+    serializeToString(obj, children) {
+      if (obj.object == 'block' && obj.type == 'paragraph') {
+        return markup`<p>${children}</p>`
+      }
+    },
   },
 ]
 
@@ -2,6 +2,7 @@
 
 import React from 'react'
 import h from '../helpers/h'
+import { markup } from '../..'
 
 export const rules = [
   {
@@ -22,6 +23,24 @@ export const rules = [
         return null
       }
     },
+
+    serializeToString(obj, children) {
+      if (obj.object == 'block' && obj.type == 'paragraph') {
+        return markup`<p>${children}</p>`
+      }
+
+      if (obj.object == 'inline' && obj.type == 'link') {
+        return markup`<a>${children}</a>`
+      }
+
+      if (obj.object == 'inline' && obj.type == 'comment') {
+        return null
+      }
+
+      if (obj.object == 'block' && obj.type == 'quote') {
+        return null
+      }
+    },
   },
 ]
 
@@ -0,0 +1,52 @@
+/** @jsx h */
+
+import React from 'react'
+import h from '../helpers/h'
+import { markup } from '../..'
+
+export const rules = [
+  {
+    serialize(obj, children) {
+      if (obj.object == 'block' && obj.type == 'paragraph') {
+        return React.createElement('p', {}, children)
+      }
+
+      if (obj.object == 'inline' && obj.type == 'link') {
+        return React.createElement(
+          'a',
+          { href: obj.data.get('href'), title: obj.data.get('title') },
+          children
+        )
+      }
+    },
+
+    serializeToString(obj, children) {
+      if (obj.object == 'block' && obj.type == 'paragraph') {
+        return markup`<p>${children}</p>`
+      }
+
+      if (obj.object == 'inline' && obj.type == 'link') {
+        const href = obj.data.get('href')
+        const title = obj.data.get('title')
+        return markup`<a href="${href}" title="${title}">${children}</a>`
+      }
+    },
+  },
+]
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        {'<one> & "two"\n'}
+        <link href="/?a=1&b=2" title={`it's "three"`}>
+          {'<four>'}
+        </link>
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = `
+<p>&lt;one&gt; &amp; &quot;two&quot;<br/><a href="/?a=1&amp;b=2" title="it&#x27;s &quot;three&quot;">&lt;four&gt;</a></p>
+`.trim()
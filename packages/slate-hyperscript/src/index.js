@@ -123,7 +123,7 @@ const CREATORS = {
   },
 
   value(tagName, attributes, children) {
-    const { data, normalize = true } = attributes
+    const { annotations, data, normalize = true } = attributes
     const document = children.find(Document.isDocument)
     let selection = children.find(Range.isRange) || Range.create()
     const props = {}
@@ -205,7 +205,10 @@ const CREATORS = {
       selection = selection.merge(props).normalize(document)
     }
 
-    let value = Value.fromJSON({ data, document, selection }, { normalize })
+    let value = Value.fromJSON(
+      { annotations, data, document, selection },
+      { normalize }
+    )
 
     // apply any decorations built
     if (decorations.length > 0) {
@@ -0,0 +1,370 @@
+import typeOf from 'type-of'
+import { Node, Value } from 'slate'
+
+import DEFAULT_RULES, { TEXT_RULE } from './rules'
+import parse from './parse'
+
+/**
+ * Markdown serializer.
+ *
+ * @type {Markdown}
+ */
+
+class Markdown {
+  /**
+   * Create a new serializer with `rules`, which take precedence over the
+   * default rules for CommonMark.
+   *
+   * @param {Object} options
+   *   @property {Array} rules
+   *   @property {String|Object|Block} defaultBlock
+   *   @property {Function} parseMarkdown
+   */
+
+  constructor(options = {}) {
+    let {
+      defaultBlock = 'paragraph',
+      parseMarkdown = parse,
+      rules = [],
+    } = options
+
+    defaultBlock = Node.createProperties(defaultBlock)
+
+    this.rules = [...rules, ...DEFAULT_RULES, TEXT_RULE]
+    this.defaultBlock = defaultBlock
+    this.parseMarkdown = parseMarkdown
+  }
+
+  /**
+   * Deserialize a Markdown `string`.
+   *
+   * @param {String} string
+   * @param {Object} options
+   *   @property {Boolean} toJSON
+   * @return {Value}
+   */
+
+  deserialize = (string, options = {}) => {
+    const { toJSON = false } = options
+    const { defaultBlock, parseMarkdown } = this
+    const tokens = parseMarkdown(string)
+    let nodes = this.deserializeTokens(tokens)
+
+    // Ensure that all top-level inline nodes are wrapped into a block.
+    nodes = nodes.reduce((memo, node, i, original) => {
+      if (node.object == 'block') {
+        memo.push(node)
+        return memo
+      }
+
+      if (i > 0 && original[i - 1].object != 'block') {
+        const block = memo[memo.length - 1]
+        block.nodes.push(node)
+        return memo
+      }
+
+      const block = {
+        object: 'block',
+        data: {},
+        isVoid: false,
+        ...defaultBlock,
+        nodes: [node],
+      }
+
+      memo.push(block)
+      return memo
+    }, [])
+
+    if (nodes.length == 0) {
+      nodes = [
+        {
+          object: 'block',
+          data: {},
+          isVoid: false,
+          ...defaultBlock,
+          nodes: [
+            {
+              object: 'text',
+              leaves: [
+                {
+                  object: 'leaf',
+                  text: '',
+                  marks: [],
+                },
+              ],
+            },
+          ],
+        },
+      ]
+    }
+
+    const json = {
+      object: 'value',
+      document: {
+        object: 'document',
+        data: {},
+        nodes,
+      },
+    }
+
+    const ret = toJSON ? json : Value.fromJSON(json)
+    return ret
+  }
+
+  /**
+   * Deserialize an array of Markdown tokens.
+   *
+   * @param {Array} tokens
+   * @return {Array}
+   */
+
+  deserializeTokens = (tokens = []) => {
+    let nodes = []
+
+    tokens.forEach(token => {
+      const node = this.deserializeToken(token)
+
+      switch (typeOf(node)) {
+        case 'array':
+          nodes = nodes.concat(node)
+          break
+        case 'object':
+          nodes.push(node)
+          break
+      }
+    })
+
+    return nodes
+  }
+
+  /**
+   * Deserialize a Markdown token.
+   *
+   * @param {Object} token
+   * @return {Any}
+   */
+
+  deserializeToken = token => {
+    let node
+
+    const next = tokens => {
+      switch (typeOf(tokens)) {
+        case 'array':
+          return this.deserializeTokens(tokens)
+        case 'object':
+          return this.deserializeToken(tokens)
+        case 'null':
+        case 'undefined':
+          return
+        default:
+          throw new Error(
+            `The \`next\` argument was called with invalid children: "${tokens}".`
+          )
+      }
+    }
+
+    for (const rule of this.rules) {
+      if (!rule.deserialize) continue
+      const ret = rule.deserialize(token, next)
+      const type = typeOf(ret)
+
+      if (
+        type != 'array' &&
+        type != 'object' &&
+        type != 'null' &&
+        type != 'undefined'
+      ) {
+        throw new Error(
+          `A rule returned an invalid deserialized representation: "${ret}".`
+        )
+      }
+
+      if (ret === undefined) {
+        continue
+      } else if (ret === null) {
+        return null
+      } else if (ret.object == 'mark') {
+        node = this.deserializeMark(ret)
+      } else {
+        node = ret
+      }
+
+      break
+    }
+
+    return node || next(token.children)
+  }
+
+  /**
+   * Deserialize a `mark` object.
+   *
+   * @param {Object} mark
+   * @return {Array}
+   */
+
+  deserializeMark = mark => {
+    const { type, data } = mark
+
+    const applyMark = node => {
+      if (node.object == 'mark') {
+        return this.deserializeMark(node)
+      } else if (node.object == 'text') {
+        node.leaves = node.leaves.map(leaf => {
+          leaf.marks = leaf.marks || []
+          leaf.marks.push({ type, data })
+          return leaf
+        })
+      } else if (node.nodes) {
+        node.nodes = node.nodes.map(applyMark)
+      }
+
+      return node
+    }
+
+    return mark.nodes.reduce((nodes, node) => {
+      const ret = applyMark(node)
+      if (Array.isArray(ret)) return nodes.concat(ret)
+      nodes.push(ret)
+      return nodes
+    }, [])
+  }
+
+  /**
+   * Serialize a `value` object into a Markdown string.
+   *
+   * @param {Value} value
+   * @return {String}
+   */
+
+  serialize = value => {
+    const { document } = value
+    const blocks = document.nodes
+      .map(this.serializeNode)
+      .filter(string => string != null)
+
+    return blocks.join('\n\n')
+  }
+
+  /**
+   * Serialize a `node`.
+   *
+   * @param {Node} node
+   * @return {String}
+   */
+
+  serializeNode = node => {
+    if (node.object === 'text') {
+      const leaves = node.getLeaves()
+      return joinLeaves(leaves.map(this.serializeLeaf).toArray())
+    }
+
+    const children = node.nodes
+      .map(this.serializeNode)
+      .filter(string => string != null)
+      .toArray()
+
+    for (const rule of this.rules) {
+      if (!rule.serialize) continue
+      const ret = rule.serialize(node, children)
+      if (ret === null) return
+      if (ret != null) return ret
+    }
+
+    throw new Error(`No serializer defined for node of type "${node.type}".`)
+  }
+
+  /**
+   * Serialize a `leaf`. Marks that no rule serializes are dropped, since
+   * Markdown has no syntax for most of them, like underlines.
+   *
+   * @param {Leaf} leaf
+   * @return {String}
+   */
+
+  serializeLeaf = leaf => {
+    const { marks, text } = leaf
+    const string = { object: 'string', marks, text }
+    const children = this.serializeString(string)
+
+    return marks.reduce((memo, mark) => {
+      for (const rule of this.rules) {
+        if (!rule.serialize) continue
+        const ret = rule.serialize(mark, memo)
+        if (ret === null) return memo
+        if (ret != null) return ret
+      }
+
+      return memo
+    }, children)
+  }
+
+  /**
+   * Serialize a `string`.
+   *
+   * @param {Object} string
+   * @return {String}
+   */
+
+  serializeString = string => {
+    for (const rule of this.rules) {
+      if (!rule.serialize) continue
+      const ret = rule.serialize(string, string.text)
+      if (ret != null) return ret
+    }
+  }
+}
+
+/**
+ * Join the serialized `strings` of the leaves of a text node. A delimiter run
+ * between punctuation and a word character isn't parsed, so the word character
+ * next to it is encoded as a character reference, until every run between the
+ * leaves can be parsed.
+ *
+ * @param {Array} strings
+ * @return {String}
+ */
+
+function joinLeaves(strings) {
+  const encode = char => `&#${char.codePointAt(0)};`
+  const isWord = char => !!char && !/[\s!-/:-@[-`{-~]/.test(char)
+  const isPunctuation = char => !!char && /[!-/:-@[-`{-~]/.test(char)
+  const pieces = strings.slice()
+  let isChanged = true
+
+  while (isChanged) {
+    isChanged = false
+
+    for (let i = 1; i < pieces.length; i++) {
+      const [closing = ''] = pieces[i - 1].match(/(\*+|~+)$/) || []
+      const [opening = ''] = pieces[i].match(/^(\*+|~+)/) || []
+
+      if (!closing && !opening) continue
+
+      // Runs of two different delimiters are separated by each other.
+      if (closing && opening && closing[0] != opening[0]) continue
+
+      const head = pieces[i - 1].slice(0, pieces[i - 1].length - closing.length)
+      const tail = pieces[i].slice(opening.length)
+      const [before] = Array.from(head.slice(-2)).slice(-1)
+      const [after] = Array.from(tail)
+
+      if (isWord(before) && isPunctuation(after)) {
+        pieces[i - 1] = head.slice(0, -before.length) + encode(before) + closing
+        isChanged = true
+      } else if (isPunctuation(before) && isWord(after)) {
+        pieces[i] = opening + encode(after) + tail.slice(after.length)
+        isChanged = true
+      }
+    }
+  }
+
+  return pieces.join('')
+}
+
+/**
+ * Export.
+ *
+ * @type {Markdown}
+ */
+
+export default Markdown
@@ -0,0 +1,827 @@
+/**
+ * Block-level patterns.
+ *
+ * @type {RegExp}
+ */
+
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/
+const BLOCKQUOTE = /^ {0,3}>/
+const FENCE = /^( {0,3})(`{3,}|~{3,})(.*)$/
+const INDENTED_CODE = /^ {4}/
+const LIST_ITEM = /^( {0,3})(?:([-+*])|(\d{1,9})([.)]))(?:([ \t]+)(.*))?$/
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/
+
+/**
+ * Inline-level patterns.
+ *
+ * @type {RegExp}
+ */
+
+const CHARACTER_REFERENCE = /^&#(?:(\d{1,7})|[xX]([0-9a-fA-F]{1,6}));/
+const AUTOLINK = /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/
+const EMAIL_AUTOLINK = /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?)*)>/
+const PUNCTUATION = /[!-/:-@[-`{-~]/
+const WHITESPACE = /\s/
+
+/**
+ * Parse a Markdown `string` into a tree of tokens, shaped after the Markdown
+ * abstract syntax tree, with a `type` and either `children` or a `value`.
+ *
+ * @param {String} string
+ * @return {Array}
+ */
+
+function parse(string) {
+  const lines = string.split(/\r\n|\r|\n/).map(expandTabs)
+  return parseBlocks(lines)
+}
+
+/**
+ * Parse a list of `lines` into block tokens.
+ *
+ * @param {Array} lines
+ * @return {Array}
+ */
+
+function parseBlocks(lines) {
+  const blocks = []
+  let i = 0
+
+  while (i < lines.length) {
+    const line = lines[i]
+    let match
+
+    if (isBlank(line)) {
+      i++
+      continue
+    }
+
+    if ((match = line.match(FENCE)) && !isInvalidFence(match)) {
+      const indent = match[1].length
+      const fence = match[2]
+      const info = match[3].trim()
+      const content = []
+      i++
+
+      while (i < lines.length) {
+        const l = lines[i]
+        const close = l.match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/)
+        i++
+
+        if (
+          close &&
+          close[1][0] == fence[0] &&
+          close[1].length >= fence.length
+        ) {
+          break
+        }
+
+        content.push(l.replace(new RegExp(`^ {0,${indent}}`), ''))
+      }
+
+      blocks.push({
+        type: 'code',
+        lang: unescape(info.split(/\s+/)[0]) || null,
+        value: content.join('\n'),
+      })
+
+      continue
+    }
+
+    if ((match = line.match(ATX_HEADING))) {
+      blocks.push({
+        type: 'heading',
+        depth: match[1].length,
+        children: parseInline(match[2] || ''),
+      })
+
+      i++
+      continue
+    }
+
+    if (THEMATIC_BREAK.test(line)) {
+      blocks.push({ type: 'thematicBreak' })
+      i++
+      continue
+    }
+
+    if (BLOCKQUOTE.test(line)) {
+      const content = []
+
+      while (i < lines.length) {
+        const l = lines[i]
+        const last = content[content.length - 1]
+
+        if (BLOCKQUOTE.test(l)) {
+          content.push(l.replace(/^ {0,3}> ?/, ''))
+          i++
+        } else if (isLazy(l, last)) {
+          content.push(l)
+          i++
+        } else {
+          break
+        }
+      }
+
+      blocks.push({ type: 'blockquote', children: parseBlocks(content) })
+      continue
+    }
+
+    if ((match = line.match(LIST_ITEM))) {
+      const list = parseList(lines, i)
+      blocks.push(list.token)
+      i = list.end
+      continue
+    }
+
+    if (INDENTED_CODE.test(line)) {
+      const content = []
+
+      while (i < lines.length) {
+        const l = lines[i]
+        if (!isBlank(l) && !INDENTED_CODE.test(l)) break
+        content.push(l.slice(4))
+        i++
+      }
+
+      while (isBlank(content[content.length - 1])) {
+        content.pop()
+      }
+
+      blocks.push({ type: 'code', lang: null, value: content.join('\n') })
+      continue
+    }
+
+    const content = [line]
+    let depth = null
+    i++
+
+    while (i < lines.length) {
+      const l = lines[i]
+      if (isBlank(l)) break
+
+      if ((match = l.match(SETEXT_UNDERLINE))) {
+        depth = match[1][0] == '=' ? 1 : 2
+        i++
+        break
+      }
+
+      if (interrupts(l)) break
+      content.push(l)
+      i++
+    }
+
+    const text = content.map(l => l.replace(/^[ \t]+/, '')).join('\n')
+    const children = parseInline(text.replace(/[ \t]+$/, ''))
+
+    blocks.push(
+      depth
+        ? { type: 'heading', depth, children }
+        : { type: 'paragraph', children }
+    )
+  }
+
+  return blocks
+}
+
+/**
+ * Parse the list starting at `lines[start]`, returning its token and the
+ * index of the line after its end.
+ *
+ * @param {Array} lines
+ * @param {Number} start
+ * @return {Object}
+ */
+
+function parseList(lines, start) {
+  const first = lines[start].match(LIST_ITEM)
+  const ordered = first[3] != null
+  const marker = ordered ? first[4] : first[2]
+  const items = []
+  let i = start
+
+  while (i < lines.length) {
+    const line = lines[i]
+    const match = line.match(LIST_ITEM)
+
+    if (
+      !match ||
+      THEMATIC_BREAK.test(line) ||
+      (match[3] != null) != ordered ||
+      (ordered ? match[4] : match[2]) != marker
+    ) {
+      break
+    }
+
+    const width = match[1].length + (ordered ? match[3].length + 1 : 1)
+    const spaces = match[5] ? match[5].length : 0
+    const rest = match[6] || ''
+    const isCode = spaces > 4 && rest != ''
+    const indent = rest == '' || isCode ? width + 1 : width + spaces
+    const content = [isCode ? line.slice(width + 1) : rest]
+    i++
+
+    while (i < lines.length) {
+      const l = lines[i]
+
+      // A blank line only continues the item if it's followed by more of it.
+      if (isBlank(l)) {
+        let j = i
+        while (j < lines.length && isBlank(lines[j])) j++
+        if (j == lines.length || indentOf(lines[j]) < indent) break
+        while (i < j) content.push(lines[i++].slice(indent))
+        continue
+      }
+
+      if (indentOf(l) >= indent) {
+        content.push(l.slice(indent))
+      } else if (isLazy(l, content[content.length - 1])) {
+        content.push(l)
+      } else {
+        break
+      }
+
+      i++
+    }
+
+    items.push({ type: 'listItem', children: parseBlocks(content) })
+
+    // Blank lines between items don't end the list.
+    let j = i
+    while (j < lines.length && isBlank(lines[j])) j++
+    if (j < lines.length && j > i && LIST_ITEM.test(lines[j])) i = j
+  }
+
+  const token = {
+    type: 'list',
+    ordered,
+    start: ordered ? parseInt(first[3], 10) : null,
+    children: items,
+  }
+
+  return { token, end: i }
+}
+
+/**
+ * Parse a `string` of inline content into inline tokens.
+ *
+ * @param {String} string
+ * @return {Array}
+ */
+
+function parseInline(string) {
+  const nodes = []
+  const delimiters = []
+  const brackets = []
+  let text = ''
+  let i = 0
+
+  const flush = () => {
+    if (text) nodes.push({ type: 'text', value: text })
+    text = ''
+  }
+
+  while (i < string.length) {
+    const char = string[i]
+
+    if (char == '\\') {
+      const next = string[i + 1]
+
+      if (next == '\n') {
+        flush()
+        nodes.push({ type: 'break' })
+        i = skipSpaces(string, i + 2)
+      } else if (next && PUNCTUATION.test(next)) {
+        text += next
+        i += 2
+      } else {
+        text += char
+        i++
+      }
+
+      continue
+    }
+
+    if (char == '\n') {
+      const hard = / {2,}$/.test(text)
+      text = text.replace(/ +$/, '')
+
+      if (hard) {
+        flush()
+        nodes.push({ type: 'break' })
+      } else {
+        text += char
+      }
+
+      i = skipSpaces(string, i + 1)
+      continue
+    }
+
+    if (char == '`') {
+      const run = getRun(string, i)
+      const end = findCodeSpanEnd(string, i + run.length, run.length)
+
+      if (end == -1) {
+        text += run
+        i += run.length
+        continue
+      }
+
+      let value = string.slice(i + run.length, end).replace(/\n/g, ' ')
+
+      if (/^ .*[^ ].* $/.test(value)) {
+        value = value.slice(1, -1)
+      }
+
+      flush()
+      nodes.push({ type: 'inlineCode', children: [{ type: 'text', value }] })
+      i = end + run.length
+      continue
+    }
+
+    if (char == '*' || char == '_' || char == '~') {
+      const run = getRun(string, i)
+
+      if (char == '~' && run.length != 2) {
+        text += run
+        i += run.length
+        continue
+      }
+
+      const before = i == 0 ? ' ' : string[i - 1]
+      const after =
+        i + run.length >= string.length ? ' ' : string[i + run.length]
+      const left = isLeftFlanking(before, after)
+      const right = isLeftFlanking(after, before)
+      const node = { type: 'text', value: run }
+
+      flush()
+      nodes.push(node)
+
+      delimiters.push({
+        node,
+        char,
+        count: run.length,
+        length: run.length,
+        canOpen:
+          char == '_' ? left && (!right || PUNCTUATION.test(before)) : left,
+        canClose:
+          char == '_' ? right && (!left || PUNCTUATION.test(after)) : right,
+      })
+
+      i += run.length
+      continue
+    }
+
+    if (char == '[' || (char == '!' && string[i + 1] == '[')) {
+      const image = char == '!'
+      const node = { type: 'text', value: image ? '![' : '[' }
+      flush()
+      nodes.push(node)
+      brackets.push({ node, image, active: true, bottom: delimiters.length })
+      i += image ? 2 : 1
+      continue
+    }
+
+    if (char == ']') {
+      const opener = brackets.pop()
+      const link = opener && opener.active && parseLinkTail(string, i + 1)
+
+      if (!link) {
+        text += char
+        i++
+        continue
+      }
+
+      flush()
+      const index = nodes.indexOf(opener.node)
+      const children = nodes.splice(index + 1)
+      nodes.pop()
+      processEmphasis(children, delimiters.splice(opener.bottom))
+
+      if (opener.image) {
+        nodes.push({
+          type: 'image',
+          url: link.url,
+          title: link.title,
+          alt: getText(children),
+        })
+      } else {
+        nodes.push({
+          type: 'link',
+          url: link.url,
+          title: link.title,
+          children,
+        })
+
+        // Links can't contain other links.
+        brackets.forEach(b => {
+          if (!b.image) b.active = false
+        })
+      }
+
+      i = link.end
+      continue
+    }
+
+    if (char == '<') {
+      const rest = string.slice(i)
+      const match = rest.match(AUTOLINK) || rest.match(EMAIL_AUTOLINK)
+
+      if (match) {
+        const isEmail = !rest.match(AUTOLINK)
+        flush()
+
+        nodes.push({
+          type: 'link',
+          url: isEmail ? `mailto:${match[1]}` : match[1],
+          title: null,
+          children: [{ type: 'text', value: match[1] }],
+        })
+
+        i += match[0].length
+        continue
+      }
+    }
+
+    if (char == '&') {
+      const match = string.slice(i).match(CHARACTER_REFERENCE)
+
+      if (match) {
+        const code = match[1] ? parseInt(match[1], 10) : parseInt(match[2], 16)
+        const isValid = code > 0 && code <= 0x10ffff
+        text += isValid ? String.fromCodePoint(code) : '\ufffd'
+        i += match[0].length
+        continue
+      }
+    }
+
+    text += char
+    i++
+  }
+
+  flush()
+  processEmphasis(nodes, delimiters)
+  return mergeTexts(nodes)
+}
+
+/**
+ * Match the emphasis `delimiters` in a list of inline `nodes`, wrapping the
+ * nodes between matching delimiters in place, as defined by CommonMark.
+ *
+ * @param {Array} nodes
+ * @param {Array} delimiters
+ */
+
+function processEmphasis(nodes, delimiters) {
+  for (let c = 0; c < delimiters.length; c++) {
+    const closer = delimiters[c]
+    if (!closer.canClose) continue
+
+    let o = c - 1
+
+    for (; o >= 0; o--) {
+      const opener = delimiters[o]
+      if (opener.char != closer.char || !opener.canOpen) continue
+
+      const isOdd =
+        (opener.canClose || closer.canOpen) &&
+        (opener.length + closer.length) % 3 == 0 &&
+        !(opener.length % 3 == 0 && closer.length % 3 == 0)
+
+      if (!isOdd) break
+    }
+
+    if (o < 0) continue
+
+    const opener = delimiters[o]
+    const use =
+      closer.char == '~' || (opener.count >= 2 && closer.count >= 2) ? 2 : 1
+    const type =
+      closer.char == '~' ? 'delete' : use == 2 ? 'strong' : 'emphasis'
+
+    opener.count -= use
+    closer.count -= use
+    opener.node.value = opener.node.value.slice(use)
+    closer.node.value = closer.node.value.slice(use)
+
+    const start = nodes.indexOf(opener.node) + 1
+    const end = nodes.indexOf(closer.node)
+    const children = nodes.splice(start, end - start)
+    nodes.splice(start, 0, { type, children })
+    delimiters.splice(o + 1, c - o - 1)
+    c = o + 1
+
+    if (opener.count == 0) {
+      nodes.splice(nodes.indexOf(opener.node), 1)
+      delimiters.splice(o, 1)
+      c--
+    }
+
+    if (closer.count == 0) {
+      nodes.splice(nodes.indexOf(closer.node), 1)
+      delimiters.splice(c, 1)
+    }
+
+    c--
+  }
+}
+
+/**
+ * Parse the destination and title of an inline link, starting right after
+ * its closing bracket at `start`.
+ *
+ * @param {String} string
+ * @param {Number} start
+ * @return {Object|Null}
+ */
+
+function parseLinkTail(string, start) {
+  if (string[start] != '(') return null
+  let i = skipWhitespace(string, start + 1)
+  let url = ''
+  let title = null
+
+  if (string[i] == '<') {
+    const end = string.indexOf('>', i)
+    if (end == -1 || string.slice(i, end).includes('\n')) return null
+    url = string.slice(i + 1, end)
+    i = end + 1
+  } else {
+    let depth = 0
+    const begin = i
+
+    while (i < string.length) {
+      const char = string[i]
+      if (char == '\\' && PUNCTUATION.test(string[i + 1] || '')) i++
+      else if (WHITESPACE.test(char)) break
+      else if (char == '(') depth++
+      else if (char == ')' && depth-- == 0) break
+      i++
+    }
+
+    url = string.slice(begin, i)
+  }
+
+  const beforeTitle = i
+  i = skipWhitespace(string, i)
+  const quote = string[i]
+
+  if (i > beforeTitle && (quote == '"' || quote == "'" || quote == '(')) {
+    const close = quote == '(' ? ')' : quote
+    let j = i + 1
+
+    while (j < string.length && string[j] != close) {
+      if (string[j] == '\\') j++
+      j++
+    }
+
+    if (j >= string.length) return null
+    title = unescape(string.slice(i + 1, j))
+    i = skipWhitespace(string, j + 1)
+  }
+
+  if (string[i] != ')') return null
+  return { url: unescape(url), title, end: i + 1 }
+}
+
+/**
+ * Find the end of a code span opened by a run of `length` backticks, looking
+ * from `start`, or `-1` if it isn't closed.
+ *
+ * @param {String} string
+ * @param {Number} start
+ * @param {Number} length
+ * @return {Number}
+ */
+
+function findCodeSpanEnd(string, start, length) {
+  let i = string.indexOf('`', start)
+
+  while (i != -1) {
+    const run = getRun(string, i)
+    if (run.length == length) return i
+    i = string.indexOf('`', i + run.length)
+  }
+
+  return -1
+}
+
+/**
+ * Check whether a delimiter run between the `before` and `after` characters
+ * is left-flanking. Swapping them checks whether it is right-flanking.
+ *
+ * @param {String} before
+ * @param {String} after
+ * @return {Boolean}
+ */
+
+function isLeftFlanking(before, after) {
+  return (
+    !WHITESPACE.test(after) &&
+    (!PUNCTUATION.test(after) ||
+      WHITESPACE.test(before) ||
+      PUNCTUATION.test(before))
+  )
+}
+
+/**
+ * Check whether a `line` interrupts a paragraph.
+ *
+ * @param {String} line
+ * @return {Boolean}
+ */
+
+function interrupts(line) {
+  const item = line.match(LIST_ITEM)
+
+  return (
+    ATX_HEADING.test(line) ||
+    BLOCKQUOTE.test(line) ||
+    FENCE.test(line) ||
+    THEMATIC_BREAK.test(line) ||
+    (!!item && !!item[6] && (item[3] == null || item[3] == '1'))
+  )
+}
+
+/**
+ * Check whether a `line` is a lazy continuation of a paragraph ending with
+ * the `previous` line.
+ *
+ * @param {String} line
+ * @param {String} previous
+ * @return {Boolean}
+ */
+
+function isLazy(line, previous) {
+  return (
+    !isBlank(line) &&
+    previous != null &&
+    !isBlank(previous) &&
+    !interrupts(line) &&
+    !LIST_ITEM.test(line) &&
+    !FENCE.test(previous) &&
+    !INDENTED_CODE.test(previous)
+  )
+}
+
+/**
+ * Check whether a fence `match` is invalid, since backtick fences can't have
+ * backticks in their info string.
+ *
+ * @param {Array} match
+ * @return {Boolean}
+ */
+
+function isInvalidFence(match) {
+  return match[2][0] == '`' && match[3].includes('`')
+}
+
+/**
+ * Check whether a `line` is blank.
+ *
+ * @param {String} line
+ * @return {Boolean}
+ */
+
+function isBlank(line) {
+  return line != null && /^[ \t]*$/.test(line)
+}
+
+/**
+ * Get the indentation of a `line`.
+ *
+ * @param {String} line
+ * @return {Number}
+ */
+
+function indentOf(line) {
+  return line.match(/^ */)[0].length
+}
+
+/**
+ * Expand the tabs that indent a `line` to spaces, with a tab stop of four.
+ *
+ * @param {String} line
+ * @return {String}
+ */
+
+function expandTabs(line) {
+  return line.replace(/^[ \t]+/, indent => {
+    let spaces = ''
+
+    for (const char of indent) {
+      spaces += char == '\t' ? ' '.repeat(4 - spaces.length % 4) : char
+    }
+
+    return spaces
+  })
+}
+
+/**
+ * Get the run of the character at `index` in a `string`.
+ *
+ * @param {String} string
+ * @param {Number} index
+ * @return {String}
+ */
+
+function getRun(string, index) {
+  const char = string[index]
+  let end = index
+  while (string[end] == char) end++
+  return string.slice(index, end)
+}
+
+/**
+ * Skip the spaces in a `string` from `index`.
+ *
+ * @param {String} string
+ * @param {Number} index
+ * @return {Number}
+ */
+
+function skipSpaces(string, index) {
+  while (string[index] == ' ') index++
+  return index
+}
+
+/**
+ * Skip the whitespace, including a single newline, in a `string` from `index`.
+ *
+ * @param {String} string
+ * @param {Number} index
+ * @return {Number}
+ */
+
+function skipWhitespace(string, index) {
+  while (index < string.length && WHITESPACE.test(string[index])) index++
+  return index
+}
+
+/**
+ * Remove the backslash escapes from a `string`.
+ *
+ * @param {String} string
+ * @return {String}
+ */
+
+function unescape(string) {
+  return string.replace(/\\([!-/:-@[-`{-~])/g, '$1')
+}
+
+/**
+ * Get the plain text of a list of inline `nodes`.
+ *
+ * @param {Array} nodes
+ * @return {String}
+ */
+
+function getText(nodes) {
+  return nodes
+    .map(node => {
+      if (node.type == 'break') return '\n'
+      if (node.type == 'image') return node.alt
+      return node.children ? getText(node.children) : node.value
+    })
+    .join('')
+}
+
+/**
+ * Merge the adjacent text nodes in a list of inline `nodes`, and remove the
+ * empty ones left behind by emphasis delimiters.
+ *
+ * @param {Array} nodes
+ * @return {Array}
+ */
+
+function mergeTexts(nodes) {
+  return nodes.reduce((memo, node) => {
+    const last = memo[memo.length - 1]
+
+    if (node.type == 'text') {
+      if (node.value == '') return memo
+
+      if (last && last.type == 'text') {
+        memo[memo.length - 1] = { type: 'text', value: last.value + node.value }
+        return memo
+      }
+    }
+
+    if (node.children && node.type != 'inlineCode') {
+      node = { ...node, children: mergeTexts(node.children) }
+    }
+
+    memo.push(node)
+    return memo
+  }, [])
+}
+
+/**
+ * Export.
+ *
+ * @type {Function}
+ */
+
+export default parse
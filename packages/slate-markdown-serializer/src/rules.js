@@ -0,0 +1,418 @@
+/**
+ * The block types of headings, by depth.
+ *
+ * @type {Array}
+ */
+
+const HEADINGS = [
+  'heading-one',
+  'heading-two',
+  'heading-three',
+  'heading-four',
+  'heading-five',
+  'heading-six',
+]
+
+/**
+ * The mark types of inline tokens.
+ *
+ * @type {Object}
+ */
+
+const MARKS = {
+  delete: 'strikethrough',
+  emphasis: 'italic',
+  inlineCode: 'code',
+  strong: 'bold',
+}
+
+/**
+ * The delimiters of mark types.
+ *
+ * @type {Object}
+ */
+
+const DELIMITERS = {
+  bold: '**',
+  italic: '*',
+  strikethrough: '~~',
+}
+
+/**
+ * A rule to (de)serialize text. This is automatically added to the Markdown
+ * serializer so that users don't have to worry about text-level serialization.
+ *
+ * @type {Object}
+ */
+
+const TEXT_RULE = {
+  deserialize(token) {
+    if (token.type == 'text' || token.type == 'break') {
+      return {
+        object: 'text',
+        leaves: [
+          {
+            object: 'leaf',
+            text: token.type == 'break' ? '\n' : token.value,
+          },
+        ],
+      }
+    }
+  },
+
+  serialize(obj, children) {
+    if (obj.object == 'string') {
+      if (obj.marks.some(mark => mark.type == 'code')) return children
+      return escape(children).replace(/\n/g, '\\\n')
+    }
+  },
+}
+
+/**
+ * The default rules, which (de)serialize the CommonMark blocks, the common
+ * inline marks, and links and images.
+ *
+ * @type {Array}
+ */
+
+const DEFAULT_RULES = [
+  {
+    deserialize(token, next) {
+      switch (token.type) {
+        case 'paragraph': {
+          return {
+            object: 'block',
+            type: 'paragraph',
+            nodes: next(token.children),
+          }
+        }
+        case 'heading': {
+          return {
+            object: 'block',
+            type: HEADINGS[token.depth - 1],
+            nodes: next(token.children),
+          }
+        }
+        case 'blockquote': {
+          return {
+            object: 'block',
+            type: 'block-quote',
+            nodes: next(unwrapParagraph(token.children)),
+          }
+        }
+        case 'list': {
+          const isDefault = !token.ordered || token.start == 1
+          return {
+            object: 'block',
+            type: token.ordered ? 'numbered-list' : 'bulleted-list',
+            data: isDefault ? {} : { start: token.start },
+            nodes: next(token.children),
+          }
+        }
+        case 'listItem': {
+          return {
+            object: 'block',
+            type: 'list-item',
+            nodes: next(unwrapParagraph(token.children)),
+          }
+        }
+        case 'code': {
+          return {
+            object: 'block',
+            type: 'code',
+            data: token.lang ? { language: token.lang } : {},
+            nodes: [
+              {
+                object: 'text',
+                leaves: [{ object: 'leaf', text: token.value }],
+              },
+            ],
+          }
+        }
+        case 'thematicBreak': {
+          return {
+            object: 'block',
+            type: 'thematic-break',
+            isVoid: true,
+            nodes: [],
+          }
+        }
+      }
+    },
+
+    serialize(obj, children) {
+      if (obj.object != 'block') return
+      const { type } = obj
+
+      if (type == 'paragraph') {
+        return escapeLineStarts(children.join(''))
+      }
+
+      if (HEADINGS.includes(type)) {
+        const depth = HEADINGS.indexOf(type) + 1
+        const text = children.join('').replace(/\\?\n/g, ' ')
+        return `${'#'.repeat(depth)} ${escapeWhitespace(text)}`.trim()
+      }
+
+      if (type == 'block-quote') {
+        return prefixLines(joinChildren(obj, children), '> ', '>')
+      }
+
+      if (type == 'bulleted-list' || type == 'numbered-list') {
+        const start = obj.data.get('start') || 1
+
+        return children
+          .map((child, i) => {
+            const marker = type == 'numbered-list' ? `${start + i}. ` : '- '
+            const indent = ' '.repeat(marker.length)
+            const lines = prefixLines(child, indent, '')
+            return marker + lines.slice(indent.length)
+          })
+          .join('\n')
+      }
+
+      if (type == 'list-item') {
+        return joinChildren(obj, children)
+      }
+
+      if (type == 'code') {
+        const { text } = obj
+        const language = obj.data.get('language') || ''
+        const runs = text.match(/`{3,}/g) || []
+        const length = Math.max(3, ...runs.map(run => run.length + 1))
+        const fence = '`'.repeat(length)
+        return `${fence}${language}\n${text}\n${fence}`
+      }
+
+      if (type == 'thematic-break') {
+        return '---'
+      }
+    },
+  },
+  {
+    deserialize(token, next) {
+      switch (token.type) {
+        case 'link': {
+          return {
+            object: 'inline',
+            type: 'link',
+            data: token.title
+              ? { href: token.url, title: token.title }
+              : { href: token.url },
+            nodes: next(token.children),
+          }
+        }
+        case 'image': {
+          const data = { src: token.url, alt: token.alt }
+          if (token.title) data.title = token.title
+
+          return {
+            object: 'inline',
+            type: 'image',
+            isVoid: true,
+            data,
+            nodes: [],
+          }
+        }
+      }
+    },
+
+    serialize(obj, children) {
+      if (obj.object != 'inline') return
+      const { data, type } = obj
+
+      if (type == 'link') {
+        const href = serializeDestination(data.get('href'), data.get('title'))
+        return `[${children.join('')}](${href})`
+      }
+
+      if (type == 'image') {
+        const alt = escape(data.get('alt') || '')
+        const src = serializeDestination(data.get('src'), data.get('title'))
+        return `![${alt}](${src})`
+      }
+    },
+  },
+  {
+    deserialize(token, next) {
+      const type = MARKS[token.type]
+      if (!type) return
+
+      return {
+        object: 'mark',
+        type,
+        nodes: next(token.children),
+      }
+    },
+
+    serialize(obj, children) {
+      if (obj.object != 'mark') return
+      const { type } = obj
+
+      if (type == 'code') {
+        return serializeCode(children)
+      }
+
+      if (DELIMITERS[type]) {
+        return wrap(children, DELIMITERS[type])
+      }
+    },
+  },
+]
+
+/**
+ * Unwrap the inline content of a single paragraph in a list of block
+ * `tokens`, since list items and quotes usually contain text directly.
+ *
+ * @param {Array} tokens
+ * @return {Array}
+ */
+
+function unwrapParagraph(tokens) {
+  const [first] = tokens
+  const isSingle = tokens.length == 1 && first.type == 'paragraph'
+  return isSingle ? first.children : tokens
+}
+
+/**
+ * Join the serialized `children` of a block `obj`, which are separated by
+ * blank lines if they are blocks.
+ *
+ * @param {Block} obj
+ * @param {Array} children
+ * @return {String}
+ */
+
+function joinChildren(obj, children) {
+  const isBlocks = obj.nodes.some(node => node.object == 'block')
+  return isBlocks ? children.join('\n\n') : escapeLineStarts(children.join(''))
+}
+
+/**
+ * Prefix each of the lines of a `string`, using the `empty` prefix instead
+ * for blank lines.
+ *
+ * @param {String} string
+ * @param {String} prefix
+ * @param {String} empty
+ * @return {String}
+ */
+
+function prefixLines(string, prefix, empty) {
+  return string
+    .split('\n')
+    .map(line => (line ? prefix + line : empty))
+    .join('\n')
+}
+
+/**
+ * Wrap the `text` of a mark in a `delimiter`. Whitespace at its edges is kept
+ * inside as character references, since delimiters next to whitespace aren't
+ * parsed, and the mark would otherwise be lost on it.
+ *
+ * @param {String} text
+ * @param {String} delimiter
+ * @return {String}
+ */
+
+function wrap(text, delimiter) {
+  if (!text) return text
+  const encode = char => `&#${char.charCodeAt(0)};`
+
+  const content = text
+    .replace(/^\\\n|\\\n$/g, '&#10;')
+    .replace(/^[ \t]|[ \t]$/g, encode)
+
+  return `${delimiter}${content}${delimiter}`
+}
+
+/**
+ * Serialize a code span with the `text`, using a longer run of backticks than
+ * any inside of it.
+ *
+ * @param {String} text
+ * @return {String}
+ */
+
+function serializeCode(text) {
+  if (!text) return text
+  const runs = text.match(/`+/g) || []
+  const length = Math.max(0, ...runs.map(run => run.length)) + 1
+  const ticks = '`'.repeat(length)
+  const isPadded =
+    text[0] == '`' || text[text.length - 1] == '`' || /^ .*[^ ].* $/.test(text)
+
+  return isPadded ? `${ticks} ${text} ${ticks}` : `${ticks}${text}${ticks}`
+}
+
+/**
+ * Serialize a link destination `url` with an optional `title`.
+ *
+ * @param {String} url
+ * @param {String} title
+ * @return {String}
+ */
+
+function serializeDestination(url = '', title) {
+  let string = /[\s<>()]/.test(url) || url == '' ? `<${url}>` : url
+  if (title) string += ` "${title.replace(/(["\\])/g, '\\$1')}"`
+  return string
+}
+
+/**
+ * Escape the characters of a `string` that would be parsed as Markdown.
+ *
+ * @param {String} string
+ * @return {String}
+ */
+
+function escape(string) {
+  return string
+    .replace(/[\\`*_[\]~<]/g, '\\$&')
+    .replace(/&(?=#(?:\d+|[xX][0-9a-fA-F]+);)/g, '\\&')
+}
+
+/**
+ * Escape the characters at the start of each of the lines of a `string` that
+ * would be parsed as the start of a block, and the whitespace around them.
+ *
+ * @param {String} string
+ * @return {String}
+ */
+
+function escapeLineStarts(string) {
+  return string
+    .split('\n')
+    .map(line =>
+      escapeWhitespace(line)
+        .replace(/^([#>+=-])/, '\\$1')
+        .replace(/^(\d+)([.)])/, '$1\\$2')
+    )
+    .join('\n')
+}
+
+/**
+ * Encode the whitespace at the start and end of a `line` as character
+ * references, since it would otherwise be stripped, or start an indented code
+ * block. A trailing backslash of a hard break is kept at the end.
+ *
+ * @param {String} line
+ * @return {String}
+ */
+
+function escapeWhitespace(line) {
+  const encode = char => `&#${char.charCodeAt(0)};`
+
+  return line
+    .replace(/^[ \t]/, encode)
+    .replace(/([ \t])(\\?)$/, (m, char, slash) => encode(char) + slash)
+}
+
+/**
+ * Export.
+ *
+ * @type {Array}
+ */
+
+export default DEFAULT_RULES
+export { TEXT_RULE }
@@ -0,0 +1,24 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = `
+> one
+two
+
+> three
+>
+> four
+`
+
+export const output = (
+  <value>
+    <document>
+      <quote>{'one\ntwo'}</quote>
+      <quote>
+        <paragraph>three</paragraph>
+        <paragraph>four</paragraph>
+      </quote>
+    </document>
+  </value>
+)
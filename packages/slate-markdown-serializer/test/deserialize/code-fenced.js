@@ -0,0 +1,19 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = `
+\`\`\`js
+const one = 1
+
+const two = '**2**'
+\`\`\`
+`
+
+export const output = (
+  <value>
+    <document>
+      <code language="js">{"const one = 1\n\nconst two = '**2**'"}</code>
+    </document>
+  </value>
+)
@@ -0,0 +1,17 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = `
+    one
+
+    two
+`
+
+export const output = (
+  <value>
+    <document>
+      <code>{'one\n\ntwo'}</code>
+    </document>
+  </value>
+)
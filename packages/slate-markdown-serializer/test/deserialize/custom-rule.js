@@ -0,0 +1,31 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const config = {
+  rules: [
+    {
+      deserialize(token, next) {
+        if (token.type == 'heading') {
+          return {
+            object: 'block',
+            type: 'paragraph',
+            nodes: next(token.children),
+          }
+        }
+      },
+    },
+  ],
+}
+
+export const input = `
+# one
+`
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,13 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = ''
+
+export const output = (
+  <value>
+    <document>
+      <paragraph />
+    </document>
+  </value>
+)
@@ -0,0 +1,15 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = `
+\\# one \\*two\\* \\[three\\]
+`
+
+export const output = (
+  <value>
+    <document>
+      <paragraph># one *two* [three]</paragraph>
+    </document>
+  </value>
+)
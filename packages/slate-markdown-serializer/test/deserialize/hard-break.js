@@ -0,0 +1,17 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = `
+one\\
+two  
+three
+`
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>{'one\ntwo\nthree'}</paragraph>
+    </document>
+  </value>
+)
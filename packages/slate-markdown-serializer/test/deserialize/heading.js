@@ -0,0 +1,22 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = `
+# one
+
+two
+===
+
+### three ###
+`
+
+export const output = (
+  <value>
+    <document>
+      <h1>one</h1>
+      <h1>two</h1>
+      <h3>three</h3>
+    </document>
+  </value>
+)
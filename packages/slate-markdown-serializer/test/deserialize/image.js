@@ -0,0 +1,17 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = `
+![one](https://example.com/one.png)
+`
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <image src="https://example.com/one.png" alt="one" />
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,21 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = `
+one [**two**](https://example.com "title") <https://slatejs.org>
+`
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one{' '}
+        <link href="https://example.com" title="title">
+          <b>two</b>
+        </link>{' '}
+        <link href="https://slatejs.org">https://slatejs.org</link>
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,24 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = `
+- one
+- two
+
+* three
+`
+
+export const output = (
+  <value>
+    <document>
+      <ul>
+        <li>one</li>
+        <li>two</li>
+      </ul>
+      <ul>
+        <li>three</li>
+      </ul>
+    </document>
+  </value>
+)
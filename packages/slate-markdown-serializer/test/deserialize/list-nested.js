@@ -0,0 +1,30 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = `
+1. one
+   - two
+
+     three
+2. four
+`
+
+export const output = (
+  <value>
+    <document>
+      <ol>
+        <li>
+          <paragraph>one</paragraph>
+          <ul>
+            <li>
+              <paragraph>two</paragraph>
+              <paragraph>three</paragraph>
+            </li>
+          </ul>
+        </li>
+        <li>four</li>
+      </ol>
+    </document>
+  </value>
+)
@@ -0,0 +1,19 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = `
+3. one
+4. two
+`
+
+export const output = (
+  <value>
+    <document>
+      <ol start={3}>
+        <li>one</li>
+        <li>two</li>
+      </ol>
+    </document>
+  </value>
+)
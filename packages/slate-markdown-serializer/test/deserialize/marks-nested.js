@@ -0,0 +1,22 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = `
+***one*** **two *three***
+`
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <i>
+          <b>one</b>
+        </i>{' '}
+        <b>
+          two <i>three</i>
+        </b>
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,15 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = `
+one * two ** snake_case_word
+`
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>one * two ** snake_case_word</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,17 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = `
+**one** _two_ \`three\` ~~four~~
+`
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <b>one</b> <i>two</i> <c>three</c> <s>four</s>
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,18 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = `
+one
+
+two
+`
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph>two</paragraph>
+    </document>
+  </value>
+)
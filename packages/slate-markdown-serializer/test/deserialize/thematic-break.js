@@ -0,0 +1,21 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = `
+one
+
+* * *
+
+two
+`
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <hr />
+      <paragraph>two</paragraph>
+    </document>
+  </value>
+)
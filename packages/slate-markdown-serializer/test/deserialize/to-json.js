@@ -0,0 +1,32 @@
+export const input = `
+one
+`
+
+export const options = {
+  toJSON: true,
+}
+
+export const output = {
+  object: 'value',
+  document: {
+    object: 'document',
+    data: {},
+    nodes: [
+      {
+        object: 'block',
+        type: 'paragraph',
+        nodes: [
+          {
+            object: 'text',
+            leaves: [
+              {
+                object: 'leaf',
+                text: 'one',
+              },
+            ],
+          },
+        ],
+      },
+    ],
+  },
+}
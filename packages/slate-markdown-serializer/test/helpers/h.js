@@ -0,0 +1,47 @@
+import { createHyperscript } from 'slate-hyperscript'
+
+/**
+ * Define a hyperscript.
+ *
+ * @type {Function}
+ */
+
+const h = createHyperscript({
+  blocks: {
+    paragraph: 'paragraph',
+    quote: 'block-quote',
+    code: 'code',
+    h1: 'heading-one',
+    h2: 'heading-two',
+    h3: 'heading-three',
+    ul: 'bulleted-list',
+    ol: 'numbered-list',
+    li: 'list-item',
+    hr: {
+      type: 'thematic-break',
+      isVoid: true,
+    },
+  },
+  inlines: {
+    link: 'link',
+    image: {
+      type: 'image',
+      isVoid: true,
+    },
+  },
+  marks: {
+    b: 'bold',
+    i: 'italic',
+    s: 'strikethrough',
+    c: 'code',
+    u: 'underline',
+  },
+})
+
+/**
+ * Export.
+ *
+ * @type {Function}
+ */
+
+export default h
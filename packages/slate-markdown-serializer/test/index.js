@@ -0,0 +1,79 @@
+/**
+ * Dependencies.
+ */
+
+import Markdown from '..'
+import assert from 'assert'
+import fs from 'fs'
+import { Value, resetKeyGenerator } from 'slate'
+import { basename, extname, resolve } from 'path'
+
+/**
+ * Reset Slate's internal key generator state before each text.
+ */
+
+beforeEach(() => {
+  resetKeyGenerator()
+})
+
+/**
+ * Tests.
+ */
+
+describe('slate-markdown-serializer', () => {
+  describe('deserialize()', () => {
+    const dir = resolve(__dirname, './deserialize')
+    const tests = fs
+      .readdirSync(dir)
+      .filter(t => t[0] != '.')
+      .map(t => basename(t, extname(t)))
+
+    for (const test of tests) {
+      it(test, async () => {
+        const module = require(resolve(dir, test))
+        const { input, output, config, options } = module
+        const markdown = new Markdown(config)
+        const value = markdown.deserialize(input, options)
+        const actual = Value.isValue(value) ? value.toJSON() : value
+        const expected = Value.isValue(output) ? output.toJSON() : output
+        assert.deepEqual(actual, expected)
+      })
+    }
+  })
+
+  describe('serialize()', () => {
+    const dir = resolve(__dirname, './serialize')
+    const tests = fs
+      .readdirSync(dir)
+      .filter(t => t[0] != '.')
+      .map(t => basename(t, extname(t)))
+
+    for (const test of tests) {
+      it(test, async () => {
+        const module = require(resolve(dir, test))
+        const { input, output, rules } = module
+        const markdown = new Markdown({ rules })
+        const string = markdown.serialize(input)
+        assert.equal(string, output)
+      })
+    }
+  })
+
+  describe('round trip', () => {
+    const dir = resolve(__dirname, './round-trip')
+    const tests = fs
+      .readdirSync(dir)
+      .filter(t => t[0] != '.')
+      .map(t => basename(t, extname(t)))
+
+    for (const test of tests) {
+      it(test, async () => {
+        const module = require(resolve(dir, test))
+        const { input } = module
+        const markdown = new Markdown()
+        const value = markdown.deserialize(markdown.serialize(input))
+        assert.deepEqual(value.toJSON(), input.toJSON())
+      })
+    }
+  })
+})
@@ -0,0 +1,30 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = (
+  <value>
+    <document>
+      <h2>
+        one <i>two</i>
+      </h2>
+      <quote>
+        <paragraph>three</paragraph>
+        <ul>
+          <li>four</li>
+          <li>
+            <b>five</b> and <link href="https://example.com">six</link>
+          </li>
+        </ul>
+      </quote>
+      <ol>
+        <li>{'seven\neight'}</li>
+      </ol>
+      <hr />
+      <code>{'<nine>\n  *ten*'}</code>
+      <paragraph>
+        <c>{'<eleven>'}</c> - 12. [thirteen]
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,19 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <b>{' lead'}</b>
+      </paragraph>
+      <paragraph>
+        one<b>{' two '}</b>three
+      </paragraph>
+      <paragraph>
+        <i>{'four '}</i>five<s> </s>six
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,4 @@
+import { Value } from 'slate'
+import json from '../../../../examples/rich-text/value.json'
+
+export const input = Value.fromJSON(json)
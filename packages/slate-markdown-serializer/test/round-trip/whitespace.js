@@ -0,0 +1,20 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = (
+  <value>
+    <document>
+      <h2>{' one '}</h2>
+      <paragraph>{'    two'}</paragraph>
+      <paragraph>
+        {'  '}
+        <b>three</b>{' '}
+      </paragraph>
+      <paragraph>{'four \n\t five &#32;'}</paragraph>
+      <ul>
+        <li>{'  six  '}</li>
+      </ul>
+    </document>
+  </value>
+)
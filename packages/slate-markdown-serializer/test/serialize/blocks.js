@@ -0,0 +1,31 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = (
+  <value>
+    <document>
+      <h1>one</h1>
+      <paragraph>two</paragraph>
+      <quote>three</quote>
+      <hr />
+      <code language="js">{'const four = 4\n\n```'}</code>
+    </document>
+  </value>
+)
+
+export const output = `
+# one
+
+two
+
+> three
+
+---
+
+\`\`\`\`js
+const four = 4
+
+\`\`\`
+\`\`\`\`
+`.trim()
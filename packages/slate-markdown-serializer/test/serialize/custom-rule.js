@@ -0,0 +1,27 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const rules = [
+  {
+    serialize(obj, children) {
+      if (obj.object == 'mark' && obj.type == 'underline') {
+        return `<u>${children}</u>`
+      }
+    },
+  },
+]
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one <u>two</u>
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = `
+one <u>two</u>
+`.trim()
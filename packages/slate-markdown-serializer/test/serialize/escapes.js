@@ -0,0 +1,16 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>{'# one *two* [three]\n1. four'}</paragraph>
+    </document>
+  </value>
+)
+
+export const output = `
+\\# one \\*two\\* \\[three\\]\\
+1\\. four
+`.trim()
@@ -0,0 +1,20 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <link href="https://example.com" title="one">
+          two
+        </link>
+        <image src="https://example.com/three.png" alt="three" />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = `
+[two](https://example.com "one")![three](https://example.com/three.png)
+`.trim()
@@ -0,0 +1,28 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = (
+  <value>
+    <document>
+      <ol start={9}>
+        <li>
+          <paragraph>one</paragraph>
+          <ul>
+            <li>two</li>
+            <li>three</li>
+          </ul>
+        </li>
+        <li>four</li>
+      </ol>
+    </document>
+  </value>
+)
+
+export const output = `
+9. one
+
+   - two
+   - three
+10. four
+`.trim()
@@ -0,0 +1,20 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one <u>two</u>{' '}
+        <b>
+          <u>three</u>
+        </b>
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = `
+one two **three**
+`.trim()
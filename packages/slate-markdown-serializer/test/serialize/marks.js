@@ -0,0 +1,18 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <b>one </b>
+        <i>two</i> <s>three</s> <c>`four`</c>
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = `
+**one&#32;***&#116;wo* ~~three~~ \`\` \`four\` \`\`
+`.trim()
@@ -0,0 +1,25 @@
+/** @jsx h */
+
+import h from '../helpers/h'
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>{'    one'}</paragraph>
+      <paragraph>
+        {' '}
+        <b>two</b>{' '}
+      </paragraph>
+      <paragraph>{'three \n  four &#32;'}</paragraph>
+    </document>
+  </value>
+)
+
+export const output = `
+&#32;   one
+
+&#32;**two**&#32;
+
+three&#32;\\
+&#32; four \\&#32;
+`.trim()
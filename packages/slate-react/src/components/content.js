@@ -15,6 +15,7 @@ import EVENT_HANDLERS from '../constants/event-handlers'
 import Node from './node'
 import findDOMRange from '../utils/find-dom-range'
 import findRange from '../utils/find-range'
+import getAnnotationDecorations from '../utils/get-annotation-decorations'
 import getChildrenDecorations from '../utils/get-children-decorations'
 import scrollToSelection from '../utils/scroll-to-selection'
 import removeAllRanges from '../utils/remove-all-ranges'
@@ -27,6 +28,19 @@ import removeAllRanges from '../utils/remove-all-ranges'
 
 const debug = Debug('slate:content')
 
+/**
+ * The default options of virtualized rendering. The `overscan` is the number
+ * of blocks rendered above and below the viewport, and the `estimatedHeight`
+ * the height in pixels of the blocks that haven't been measured yet.
+ *
+ * @type {Object}
+ */
+
+const VIRTUALIZE_DEFAULTS = {
+  overscan: 10,
+  estimatedHeight: 30,
+}
+
 /**
  * Content.
  *
@@ -51,6 +65,7 @@ class Content extends React.Component {
     style: Types.object,
     tabIndex: Types.number,
     tagName: Types.string,
+    virtualize: Types.oneOfType([Types.bool, Types.object]),
   }
 
   /**
@@ -62,6 +77,7 @@ class Content extends React.Component {
   static defaultProps = {
     style: {},
     tagName: 'div',
+    virtualize: false,
   }
 
   /**
@@ -74,6 +90,13 @@ class Content extends React.Component {
     super(props)
     this.tmp = {}
     this.tmp.isUpdatingSelection = false
+    this.tmp.heights = {}
+    this.tmp.document = null
+
+    // When virtualized, only the top-level blocks from `start` to `end` are
+    // rendered, until the viewport can be measured once mounted.
+    const options = getVirtualizeOptions(props.virtualize)
+    this.state = { start: 0, end: options ? options.overscan * 2 : 0 }
 
     EVENT_HANDLERS.forEach(handler => {
       this[handler] = event => {
@@ -97,12 +120,18 @@ class Content extends React.Component {
       this.onNativeSelectionChange
     )
 
+    // Listen to the scrolling of any container, since scroll events don't
+    // bubble, for the viewport of virtualized rendering.
+    window.addEventListener('scroll', this.onNativeScroll, true)
+    window.addEventListener('resize', this.onNativeScroll)
+
     // COMPAT: Restrict scope of `beforeinput` to mobile.
     if ((IS_IOS || IS_ANDROID) && SUPPORTED_EVENTS.beforeinput) {
       this.element.addEventListener('beforeinput', this.onNativeBeforeInput)
     }
 
     this.updateSelection()
+    this.updateVisibleBlocks()
   }
 
   /**
@@ -117,8 +146,13 @@ class Content extends React.Component {
         'selectionchange',
         this.onNativeSelectionChange
       )
+
+      window.removeEventListener('scroll', this.onNativeScroll, true)
+      window.removeEventListener('resize', this.onNativeScroll)
     }
 
+    this.onNativeScroll.cancel()
+
     // COMPAT: Restrict scope of `beforeinput` to mobile.
     if ((IS_IOS || IS_ANDROID) && SUPPORTED_EVENTS.beforeinput) {
       this.element.removeEventListener('beforeinput', this.onNativeBeforeInput)
@@ -126,11 +160,25 @@ class Content extends React.Component {
   }
 
   /**
-   * On update, update the selection.
+   * On update, update the selection, and the blocks that are rendered if the
+   * document or the rendered blocks changed, since their heights may have too.
+   *
+   * @param {Object} prevProps
+   * @param {Object} prevState
    */
 
-  componentDidUpdate = () => {
+  componentDidUpdate = (prevProps, prevState) => {
+    const { document } = this.props.editor.value
+    const { start, end } = this.state
     this.updateSelection()
+
+    if (
+      document != this.tmp.document ||
+      start != prevState.start ||
+      end != prevState.end
+    ) {
+      this.updateVisibleBlocks()
+    }
   }
 
   /**
@@ -237,6 +285,68 @@ class Content extends React.Component {
     debug('updateSelection', { selection, native })
   }
 
+  /**
+   * When virtualized, measure the rendered top-level blocks and update the
+   * range of blocks to render to the ones in the viewport and its overscan.
+   */
+
+  updateVisibleBlocks = () => {
+    const options = getVirtualizeOptions(this.props.virtualize)
+    if (!options || !this.element) return
+
+    const { editor } = this.props
+    const { document } = editor.value
+    const { heights } = this.tmp
+    const { children } = this.element
+    const window = getWindow(this.element)
+    this.tmp.document = document
+
+    for (let i = 0; i < children.length; i++) {
+      const key = children[i].getAttribute('data-key')
+      if (key) heights[key] = children[i].offsetHeight
+    }
+
+    // The viewport is measured from the top of the editor, and the one of the
+    // window contains the one of any scrolling container that the editor is in.
+    const rect = this.element.getBoundingClientRect()
+    const top = -rect.top
+    const bottom = window.innerHeight - rect.top
+    let start = document.nodes.size
+    let end = document.nodes.size
+    let y = 0
+
+    document.nodes.forEach((node, i) => {
+      if (y >= bottom) {
+        end = i
+        return false
+      }
+
+      y += this.getBlockHeight(node, options)
+      if (start == document.nodes.size && y > top) start = i
+    })
+
+    start = Math.max(0, start - options.overscan)
+    end = Math.min(document.nodes.size, end + options.overscan)
+
+    if (start != this.state.start || end != this.state.end) {
+      debug('updateVisibleBlocks', { start, end })
+      this.setState({ start, end })
+    }
+  }
+
+  /**
+   * Get the measured height of a top-level `block`, or else the estimated one.
+   *
+   * @param {Block} block
+   * @param {Object} options
+   * @return {Number}
+   */
+
+  getBlockHeight = (block, options) => {
+    const { heights } = this.tmp
+    return block.key in heights ? heights[block.key] : options.estimatedHeight
+  }
+
   /**
    * The React ref method to set the root content element locally.
    *
@@ -250,7 +360,8 @@ class Content extends React.Component {
   /**
    * Check if an event `target` is fired from within the contenteditable
    * element. This should be false for edits happening in non-contenteditable
-   * children, such as void nodes and other nested Slate editors.
+   * children, such as void nodes and other nested Slate editors, but true for
+   * locked nodes, so that selecting and copying works through them.
    *
    * @param {Element} target
    * @return {Boolean}
@@ -261,8 +372,10 @@ class Content extends React.Component {
     // COMPAT: Text nodes don't have `isContentEditable` property. So, when
     // `target` is a text node use its parent node for check.
     const el = target.nodeType === 3 ? target.parentNode : target
+    const editable = el.closest('[contenteditable]')
+    const isLocked = !!editable && editable.hasAttribute('data-slate-locked')
     return (
-      el.isContentEditable &&
+      (el.isContentEditable || isLocked) &&
       (el === element || el.closest('[data-slate-editor]') === element)
     )
   }
@@ -377,6 +490,8 @@ class Content extends React.Component {
         editor.change(change => {
           if (change.value.isInVoid) {
             change.collapseToStartOfNextText()
+          } else if (change.value.isInList) {
+            change.select(range).splitListItem()
           } else {
             change.splitBlockAtRange(range)
           }
@@ -438,6 +553,17 @@ class Content extends React.Component {
     this.props.onSelect(event)
   }, 100)
 
+  /**
+   * On native `scroll` and `resize` events, update the blocks that are
+   * rendered when virtualized.
+   *
+   * @param {Event} event
+   */
+
+  onNativeScroll = throttle(() => {
+    this.updateVisibleBlocks()
+  }, 50)
+
   /**
    * Render the editor content.
    *
@@ -459,15 +585,38 @@ class Content extends React.Component {
     const Container = tagName
     const { document, selection, decorations } = value
     const indexes = document.getSelectionIndexes(selection, selection.isFocused)
-    const decs = document.getDecorations(stack).concat(decorations || [])
+    const decs = document
+      .getDecorations(stack)
+      .concat(decorations || [])
+      .concat(getAnnotationDecorations(value))
     const childrenDecorations = getChildrenDecorations(document, decs)
+    const options = getVirtualizeOptions(props.virtualize)
+    const isMounted = this.getMountedBlocks(options)
+    const children = []
+    let spacer = 0
+
+    // The blocks that aren't rendered are replaced by spacers of their height,
+    // so that the scroll position and the scrollbar stay right.
+    document.nodes.forEach((child, i) => {
+      if (!isMounted(i)) {
+        spacer += this.getBlockHeight(child, options)
+        return
+      }
 
-    const children = document.nodes.toArray().map((child, i) => {
       const isSelected = !!indexes && indexes.start <= i && i < indexes.end
 
-      return this.renderNode(child, isSelected, childrenDecorations[i])
+      if (spacer) {
+        children.push(this.renderSpacer(spacer, child.key))
+        spacer = 0
+      }
+
+      children.push(this.renderNode(child, isSelected, childrenDecorations[i]))
     })
 
+    if (spacer) {
+      children.push(this.renderSpacer(spacer, document.key))
+    }
+
     const handlers = EVENT_HANDLERS.reduce((obj, handler) => {
       obj[handler] = this[handler]
       return obj
@@ -530,6 +679,59 @@ class Content extends React.Component {
     )
   }
 
+  /**
+   * Get a function that checks whether the top-level block at an index is
+   * rendered. When virtualized, the blocks of the selection are always
+   * rendered, so that the native selection can be set and scrolled to even
+   * when they are out of the viewport, and so that it's copied in full.
+   *
+   * @param {Object|Null} options
+   * @return {Function}
+   */
+
+  getMountedBlocks = options => {
+    if (!options) return () => true
+
+    const { editor } = this.props
+    const { document, selection } = editor.value
+    const { start, end } = this.state
+    let first = -1
+    let last = -1
+
+    if (selection.isSet) {
+      const { startKey, endKey } = selection
+      const startBlock = document.getFurthestAncestor(startKey)
+      const endBlock = document.getFurthestAncestor(endKey)
+
+      if (startBlock && endBlock) {
+        first = document.nodes.indexOf(startBlock)
+        last = document.nodes.indexOf(endBlock)
+      }
+    }
+
+    return i => (start <= i && i < end) || (first <= i && i <= last)
+  }
+
+  /**
+   * Render a spacer of `height` in place of blocks that aren't rendered,
+   * before the block or document with `key`.
+   *
+   * @param {Number} height
+   * @param {String} key
+   * @return {Element}
+   */
+
+  renderSpacer = (height, key) => {
+    return (
+      <div
+        key={`spacer-${key}`}
+        data-slate-spacer
+        contentEditable={false}
+        style={{ height }}
+      />
+    )
+  }
+
   /**
    * Render a `child` node of the document.
    *
@@ -558,6 +760,20 @@ class Content extends React.Component {
   }
 }
 
+/**
+ * Get the options of virtualized rendering from a `virtualize` property, or
+ * null when it isn't enabled.
+ *
+ * @param {Boolean|Object} virtualize
+ * @return {Object|Null}
+ */
+
+function getVirtualizeOptions(virtualize) {
+  if (!virtualize) return null
+  if (virtualize === true) return VIRTUALIZE_DEFAULTS
+  return { ...VIRTUALIZE_DEFAULTS, ...virtualize }
+}
+
 /**
  * Mix in handler prop types.
  */
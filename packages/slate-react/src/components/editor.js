@@ -37,6 +37,7 @@ class Editor extends React.Component {
     autoCorrect: Types.bool,
     autoFocus: Types.bool,
     className: Types.string,
+    history: Types.object,
     onChange: Types.func,
     placeholder: Types.any,
     plugins: Types.array,
@@ -45,8 +46,10 @@ class Editor extends React.Component {
     schema: Types.object,
     spellCheck: Types.bool,
     style: Types.object,
+    suggest: Types.oneOfType([Types.bool, Types.object]),
     tabIndex: Types.number,
     value: SlateTypes.value.isRequired,
+    virtualize: Types.oneOfType([Types.bool, Types.object]),
   }
 
   /**
@@ -63,6 +66,8 @@ class Editor extends React.Component {
     readOnly: false,
     schema: {},
     spellCheck: true,
+    suggest: false,
+    virtualize: false,
   }
 
   /**
@@ -197,13 +202,16 @@ class Editor extends React.Component {
   }
 
   /**
-   * Perform a change on the editor, passing `...args` to `change.call`.
+   * Perform a change on the editor, passing `...args` to `change.call`. When
+   * the `suggest` prop is set, the edits are made as suggestions by its
+   * `author`.
    *
    * @param {Mixed} ...args
    */
 
   change = (...args) => {
-    const change = this.value.change().call(...args)
+    const { suggest } = this.props
+    const change = this.value.change({ suggest }).call(...args)
     this.onChange(change)
   }
 
@@ -261,6 +269,12 @@ class Editor extends React.Component {
   onChange = change => {
     debug('onChange', { change })
 
+    // Let the plugins know about the annotations whose content was deleted,
+    // for example to resolve their comment threads.
+    change.getDeletedAnnotations().forEach(annotation => {
+      this.stack.run('onAnnotationDelete', annotation, change, this)
+    })
+
     this.stack.run('onChange', change, this)
     const { value } = change
     const { onChange } = this.props
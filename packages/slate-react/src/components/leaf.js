@@ -3,6 +3,7 @@ import React from 'react'
 import Types from 'prop-types'
 import SlateTypes from 'slate-prop-types'
 
+import MARK_TYPES from '../constants/mark-types'
 import OffsetKey from '../utils/offset-key'
 
 /**
@@ -80,30 +81,49 @@ class Leaf extends React.Component {
   render() {
     this.debug('render', this)
 
-    const { node, index } = this.props
+    const { marks, node, index } = this.props
     const offsetKey = OffsetKey.stringify({
       key: node.key,
       index,
     })
 
-    return <span data-offset-key={offsetKey}>{this.renderMarks()}</span>
+    // Flag the text that is suggested to be deleted, so that it can be left
+    // out when copying.
+    const attributes = {}
+
+    if (marks.some(mark => mark.type == MARK_TYPES.DELETION)) {
+      attributes['data-slate-deleted'] = true
+    }
+
+    return (
+      <span data-offset-key={offsetKey} {...attributes}>
+        {this.renderMarks()}
+      </span>
+    )
   }
 
   /**
-   * Render all of the leaf's mark components.
+   * Render all of the leaf's mark components, and then its annotations around
+   * them, so that the overlapping annotations are nested in the same order.
    *
    * @return {Element}
    */
 
   renderMarks() {
-    const { marks, node, offset, text, editor } = this.props
+    const { node, offset, text, editor } = this.props
     const { stack } = editor
     const leaf = this.renderText()
     const attributes = {
       'data-slate-leaf': true,
     }
 
-    return marks.reduce((children, mark) => {
+    const marks = this.props.marks.filter(m => m.type != MARK_TYPES.ANNOTATION)
+
+    const annotations = this.props.marks
+      .filter(m => m.type == MARK_TYPES.ANNOTATION)
+      .map(m => m.data.get('annotation'))
+
+    const children = marks.reduce((child, mark) => {
       const props = {
         editor,
         mark,
@@ -111,12 +131,27 @@ class Leaf extends React.Component {
         node,
         offset,
         text,
-        children,
+        children: child,
         attributes,
       }
       const element = stack.find('renderMark', props)
-      return element || children
+      return element || child
     }, leaf)
+
+    return annotations.reduce((child, annotation) => {
+      const props = {
+        editor,
+        annotation,
+        marks,
+        node,
+        offset,
+        text,
+        children: child,
+        attributes,
+      }
+      const element = stack.find('renderAnnotation', props)
+      return element || child
+    }, children)
   }
 
   /**
@@ -155,6 +155,13 @@ class Node extends React.Component {
       if (direction == 'rtl') attributes.dir = 'rtl'
     }
 
+    // If it's a locked node, it can't be edited natively, but its text is still
+    // rendered so that it can be selected and copied through.
+    if (node.isLocked && !readOnly) {
+      attributes.contentEditable = false
+      attributes['data-slate-locked'] = true
+    }
+
     const props = {
       key: node.key,
       editor,
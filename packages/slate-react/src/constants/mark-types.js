@@ -0,0 +1,21 @@
+/**
+ * The types of the marks that are rendered specially, which are the marks that
+ * Slate adds to decorations for annotations, and the marks of the suggestions
+ * made in suggestion mode.
+ *
+ * @type {Object}
+ */
+
+const MARK_TYPES = {
+  ANNOTATION: '@@__SLATE_ANNOTATION__@@',
+  DELETION: 'deletion',
+  INSERTION: 'insertion',
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export default MARK_TYPES
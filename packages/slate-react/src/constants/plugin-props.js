@@ -9,7 +9,9 @@ import EVENT_HANDLERS from './event-handlers'
 const PLUGIN_PROPS = [
   ...EVENT_HANDLERS,
   'decorateNode',
+  'onAnnotationDelete',
   'onChange',
+  'renderAnnotation',
   'renderEditor',
   'renderMark',
   'renderNode',
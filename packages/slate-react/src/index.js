@@ -9,6 +9,7 @@ import getEventTransfer from './utils/get-event-transfer'
 import setEventTransfer from './utils/set-event-transfer'
 import AfterPlugin from './plugins/after'
 import BeforePlugin from './plugins/before'
+import SearchPlugin from './plugins/search'
 
 /**
  * Export.
@@ -28,6 +29,7 @@ export {
   setEventTransfer,
   AfterPlugin,
   BeforePlugin,
+  SearchPlugin,
 }
 
 export default {
@@ -42,4 +44,5 @@ export default {
   setEventTransfer,
   AfterPlugin,
   BeforePlugin,
+  SearchPlugin,
 }
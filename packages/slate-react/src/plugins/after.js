@@ -369,9 +369,8 @@ function AfterPlugin() {
     // `onNativeBeforeInput` handler of the `<Content>` component in order to
     // preserve native autocorrect behavior, so they shouldn't be handled here.
     if (Hotkeys.isSplitBlock(event) && !IS_IOS) {
-      return value.isInVoid
-        ? change.collapseToStartOfNextText()
-        : change.splitBlock()
+      if (value.isInVoid) return change.collapseToStartOfNextText()
+      return value.isInList ? change.splitListItem() : change.splitBlock()
     }
 
     if (Hotkeys.isDeleteCharBackward(event) && !IS_IOS) {
@@ -406,6 +405,18 @@ function AfterPlugin() {
       return change.undo()
     }
 
+    // Tab moves between table cells, instead of moving the focus out of the
+    // editor.
+    if (Hotkeys.isNextCell(event) && value.isInTable) {
+      event.preventDefault()
+      return change.moveToNextCell()
+    }
+
+    if (Hotkeys.isPreviousCell(event) && value.isInTable) {
+      event.preventDefault()
+      return change.moveToPreviousCell()
+    }
+
     // COMPAT: Certain browsers don't handle the selection updates properly. In
     // Chrome, the selection isn't properly extended. And in Firefox, the
     // selection isn't properly collapsed. (2017/10/17)
@@ -613,6 +624,7 @@ function AfterPlugin() {
         style={props.style}
         tabIndex={props.tabIndex}
         tagName={props.tagName}
+        virtualize={props.virtualize}
       />
     )
   }
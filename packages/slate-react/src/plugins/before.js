@@ -119,6 +119,12 @@ function BeforePlugin() {
       change.setValue({ schema: editor.schema }, { save: false }).normalize()
     }
 
+    // If the editor has history options, make sure the value's history uses
+    // them. This doesn't apply an operation, so nothing is saved either.
+    if (editor.props.history) {
+      change.setHistoryOptions(editor.props.history)
+    }
+
     debug('onChange')
   }
 
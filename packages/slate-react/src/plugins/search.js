@@ -0,0 +1,192 @@
+import Debug from 'debug'
+import React from 'react'
+import { List } from 'immutable'
+import { Mark } from 'slate'
+import Hotkeys from 'slate-hotkeys'
+
+/**
+ * Debug.
+ *
+ * @type {Function}
+ */
+
+const debug = Debug('slate:search')
+
+/**
+ * The default styles of the search marks.
+ *
+ * @type {Object}
+ */
+
+const STYLES = {
+  match: { backgroundColor: '#fff59d' },
+  current: { backgroundColor: '#ffb74d' },
+}
+
+/**
+ * The search plugin, which highlights the matches of the search query in the
+ * `search` data of the value, and selects the next and previous matches with
+ * the find hotkeys.
+ *
+ * The query is an object with a `pattern` and the `caseSensitive`, `regex` and
+ * `wholeWord` options of `Node.findAll`. The matches are decorated with the
+ * `search-match` mark, and the one that is selected with the `search-current`
+ * mark too.
+ *
+ * @param {Object} options
+ *   @property {String} key
+ *   @property {String} matchMark
+ *   @property {String} currentMark
+ * @return {Object}
+ */
+
+function SearchPlugin(options = {}) {
+  const {
+    key = 'search',
+    matchMark = 'search-match',
+    currentMark = 'search-current',
+  } = options
+
+  const types = [matchMark, currentMark]
+
+  /**
+   * Get the search query of a `value`, or null if it has none.
+   *
+   * @param {Value} value
+   * @return {Object|Null}
+   */
+
+  function getQuery(value) {
+    let query = value.data.get(key)
+    if (query && typeof query.toJS == 'function') query = query.toJS()
+    if (typeof query == 'string') query = { pattern: query }
+    if (!query || !query.pattern) return null
+    return query
+  }
+
+  /**
+   * Find the ranges of the matches of the query in a `value`.
+   *
+   * @param {Value} value
+   * @return {List<Range>}
+   */
+
+  function findMatches(value) {
+    const query = getQuery(value)
+    if (!query) return List()
+
+    // The query is often typed by the user, so an invalid regular expression
+    // has no matches instead of throwing.
+    try {
+      return value.document.findAll(query.pattern, query)
+    } catch (e) {
+      debug('findMatches', { error: e })
+      return List()
+    }
+  }
+
+  /**
+   * On change, update the search decorations of the value. They aren't saved
+   * to the history, since they are derived from the rest of the value.
+   *
+   * @param {Change} change
+   */
+
+  function onChange(change) {
+    const { value } = change
+    const { selection } = value
+    const decorations = value.decorations || List()
+    const others = decorations.filter(d => !isSearchDecoration(d))
+
+    const matches = findMatches(value).map(range => {
+      const isCurrent =
+        range.startKey == selection.startKey &&
+        range.startOffset == selection.startOffset &&
+        range.endKey == selection.endKey &&
+        range.endOffset == selection.endOffset
+
+      const marks = isCurrent ? [matchMark, currentMark] : [matchMark]
+      return range.set('marks', Mark.createSet(marks))
+    })
+
+    const next = others.concat(matches)
+    if (next.equals(decorations)) return
+
+    debug('onChange', { matches: matches.size })
+    change.setDecorations(next)
+  }
+
+  /**
+   * On key down, select the next or previous match.
+   *
+   * @param {Event} event
+   * @param {Change} change
+   * @return {Change|Undefined}
+   */
+
+  function onKeyDown(event, change) {
+    const query = getQuery(change.value)
+    if (!query) return
+
+    if (Hotkeys.isFindNext(event)) {
+      event.preventDefault()
+      return change.selectNextMatch(query.pattern, query)
+    }
+
+    if (Hotkeys.isFindPrevious(event)) {
+      event.preventDefault()
+      return change.selectPreviousMatch(query.pattern, query)
+    }
+  }
+
+  /**
+   * Render the search marks, with a highlight.
+   *
+   * @param {Object} props
+   * @return {Element}
+   */
+
+  function renderMark(props) {
+    const { attributes, children, mark } = props
+    if (!types.includes(mark.type)) return
+    const style = mark.type == currentMark ? STYLES.current : STYLES.match
+
+    return (
+      <span {...attributes} style={style}>
+        {children}
+      </span>
+    )
+  }
+
+  /**
+   * Check if a `decoration` is one of the search decorations.
+   *
+   * @param {Range} decoration
+   * @return {Boolean}
+   */
+
+  function isSearchDecoration(decoration) {
+    const { marks } = decoration
+    return !!marks && marks.some(m => types.includes(m.type))
+  }
+
+  /**
+   * Return the plugin.
+   *
+   * @type {Object}
+   */
+
+  return {
+    onChange,
+    onKeyDown,
+    renderMark,
+  }
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export default SearchPlugin
@@ -1,4 +1,6 @@
 import Base64 from 'slate-base64-serializer'
+import { Range, Value } from 'slate'
+import MARK_TYPES from '../constants/mark-types'
 import TRANSFER_TYPES from '../constants/transfer-types'
 import getWindow from 'get-window'
 import findDOMNode from './find-dom-node'
@@ -25,11 +27,15 @@ function cloneFragment(event, value, fragment = value.fragment) {
   // If the selection is collapsed, and it isn't inside a void node, abort.
   if (native.isCollapsed && !startVoid) return
 
+  // Only the resulting content is copied, without the text that is suggested
+  // to be deleted, like if the suggestions were accepted.
+  fragment = acceptSuggestions(fragment)
+
   // Create a fake selection so that we can add a Base64-encoded copy of the
   // fragment to the HTML, to decode on future pastes.
   const encoded = Base64.serializeNode(fragment)
   const range = native.getRangeAt(0)
-  let contents = range.cloneContents()
+  let contents = removeDeleted(range.cloneContents())
   let attach = contents.childNodes[0]
 
   // Make sure attach is a non-empty node, since empty nodes will not get copied
@@ -46,7 +52,7 @@ function cloneFragment(event, value, fragment = value.fragment) {
     const r = range.cloneRange()
     const node = findDOMNode(endVoid, window)
     r.setEndAfter(node)
-    contents = r.cloneContents()
+    contents = removeDeleted(r.cloneContents())
   }
 
   // COMPAT: If the start node is a void node, we need to attach the encoded
@@ -114,4 +120,48 @@ function cloneFragment(event, value, fragment = value.fragment) {
   })
 }
 
+/**
+ * Accept the suggestions in a `fragment`, if it has any.
+ *
+ * @param {Document} fragment
+ * @return {Document}
+ */
+
+function acceptSuggestions(fragment) {
+  const { DELETION, INSERTION } = MARK_TYPES
+  const hasMarks = fragment
+    .getMarks()
+    .some(mark => mark.type == DELETION || mark.type == INSERTION)
+
+  const hasBlocks = fragment
+    .getBlocks()
+    .some(block => block.data.has('suggestion'))
+
+  if (!hasMarks && !hasBlocks) return fragment
+
+  const value = Value.create({ document: fragment })
+  const range = Range.create().moveToRangeOf(fragment)
+  const change = value.change().acceptSuggestionsAtRange(range)
+  return change.value.document
+}
+
+/**
+ * Remove the text that is suggested to be deleted from cloned DOM `contents`.
+ *
+ * @param {DocumentFragment} contents
+ * @return {DocumentFragment}
+ */
+
+function removeDeleted(contents) {
+  const deleted = contents.querySelectorAll('[data-slate-deleted]')
+  ;[].slice.call(deleted).forEach(node => node.parentNode.removeChild(node))
+  return contents
+}
+
+/**
+ * Export.
+ *
+ * @type {Function}
+ */
+
 export default cloneFragment
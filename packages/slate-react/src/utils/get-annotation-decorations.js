@@ -0,0 +1,34 @@
+import { List } from 'immutable'
+import { Mark } from 'slate'
+
+import MARK_TYPES from '../constants/mark-types'
+
+/**
+ * Get the decorations that render the annotations of a `value`, with a mark
+ * that holds each annotation, so that they are split into leaves like marks.
+ *
+ * @param {Value} value
+ * @return {List<Range>}
+ */
+
+function getAnnotationDecorations(value) {
+  const { annotations } = value
+  if (!annotations || annotations.size == 0) return List()
+
+  return annotations.toList().map(annotation => {
+    const mark = Mark.create({
+      type: MARK_TYPES.ANNOTATION,
+      data: { annotation },
+    })
+
+    return annotation.range.set('marks', Mark.createSet([mark]))
+  })
+}
+
+/**
+ * Export.
+ *
+ * @type {Function}
+ */
+
+export default getAnnotationDecorations
@@ -16,6 +16,10 @@ const h = createHyperscript({
       type: 'image',
       isVoid: true,
     },
+    locked: {
+      type: 'paragraph',
+      isLocked: true,
+    },
   },
   inlines: {
     link: 'link',
@@ -30,6 +34,7 @@ const h = createHyperscript({
     b: 'bold',
     i: 'italic',
     u: 'underline',
+    del: 'deletion',
   },
 })
 
@@ -0,0 +1,29 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export const props = {}
+
+export const value = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <locked>two</locked>
+    </document>
+  </value>
+)
+
+export const output = `
+<div data-slate-editor="true" contenteditable="true" role="textbox">
+  <div style="position:relative">
+    <span>
+      <span>one</span>
+    </span>
+  </div>
+  <div contenteditable="false" data-slate-locked="true" style="position:relative">
+    <span>
+      <span>two</span>
+    </span>
+  </div>
+</div>
+`.trim()
@@ -0,0 +1,57 @@
+/** @jsx h */
+
+import React from 'react'
+import h from '../../helpers/h'
+
+function renderAnnotation(props) {
+  const { annotation, attributes, children } = props
+  const className = `comment-${annotation.id}`
+  return React.createElement('span', { ...attributes, className }, children)
+}
+
+export const props = {
+  renderAnnotation,
+}
+
+export const value = (
+  <value
+    annotations={[
+      {
+        id: 'a',
+        type: 'comment',
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 0,
+          focusPath: [0, 0],
+          focusOffset: 7,
+        },
+      },
+      {
+        id: 'b',
+        type: 'comment',
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 4,
+          focusPath: [0, 0],
+          focusOffset: 13,
+        },
+      },
+    ]}
+  >
+    <document>
+      <paragraph>one two three</paragraph>
+    </document>
+  </value>
+)
+
+export const output = `
+<div data-slate-editor="true" contenteditable="true" role="textbox">
+  <div style="position:relative">
+    <span>
+      <span><span data-slate-leaf="true" class="comment-a">one</span></span>
+      <span><span data-slate-leaf="true" class="comment-b"><span data-slate-leaf="true" class="comment-a">two</span></span></span>
+      <span><span data-slate-leaf="true" class="comment-b">three</span></span>
+    </span>
+  </div>
+</div>
+`.trim()
@@ -0,0 +1,30 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import { SearchPlugin } from '../../..'
+
+export const props = {
+  plugins: [SearchPlugin()],
+}
+
+export const value = (
+  <value data={{ search: { pattern: 'one' } }}>
+    <document>
+      <paragraph>
+        one two <anchor />One<focus />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = `
+<div data-slate-editor="true" contenteditable="true" role="textbox">
+  <div style="position:relative">
+    <span>
+      <span><span data-slate-leaf="true" style="background-color:#fff59d">one</span></span>
+      <span>two</span>
+      <span><span data-slate-leaf="true" style="background-color:#ffb74d"><span data-slate-leaf="true" style="background-color:#fff59d">One</span></span></span>
+    </span>
+  </div>
+</div>
+`.trim()
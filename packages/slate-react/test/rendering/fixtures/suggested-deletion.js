@@ -0,0 +1,35 @@
+/** @jsx h */
+
+import React from 'react'
+import h from '../../helpers/h'
+
+function renderMark(props) {
+  if (props.mark.type != 'deletion') return
+  return React.createElement('del', { ...props.attributes }, props.children)
+}
+
+export const props = {
+  renderMark,
+}
+
+export const value = (
+  <value>
+    <document>
+      <paragraph>
+        one <del author="ann">two</del> three
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = `
+<div data-slate-editor="true" contenteditable="true" role="textbox">
+  <div style="position:relative">
+    <span>
+      <span>one</span>
+      <span data-slate-deleted="true"><del data-slate-leaf="true">two</del></span>
+      <span>three</span>
+    </span>
+  </div>
+</div>
+`.trim()
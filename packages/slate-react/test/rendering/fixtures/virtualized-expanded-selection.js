@@ -0,0 +1,57 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export const props = {
+  virtualize: { overscan: 1, estimatedHeight: 20 },
+}
+
+export const value = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph>two</paragraph>
+      <paragraph>three</paragraph>
+      <paragraph>
+        fo<anchor />ur
+      </paragraph>
+      <paragraph>five</paragraph>
+      <paragraph>
+        s<focus />ix
+      </paragraph>
+      <paragraph>seven</paragraph>
+    </document>
+  </value>
+)
+
+export const output = `
+<div data-slate-editor="true" contenteditable="true" role="textbox">
+  <div style="position:relative">
+    <span>
+      <span>one</span>
+    </span>
+  </div>
+  <div style="position:relative">
+    <span>
+      <span>two</span>
+    </span>
+  </div>
+  <div data-slate-spacer="true" contenteditable="false" style="height:20px"></div>
+  <div style="position:relative">
+    <span>
+      <span>four</span>
+    </span>
+  </div>
+  <div style="position:relative">
+    <span>
+      <span>five</span>
+    </span>
+  </div>
+  <div style="position:relative">
+    <span>
+      <span>six</span>
+    </span>
+  </div>
+  <div data-slate-spacer="true" contenteditable="false" style="height:20px"></div>
+</div>
+`.trim()
@@ -0,0 +1,35 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export const props = {
+  virtualize: { overscan: 1 },
+}
+
+export const value = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph>two</paragraph>
+      <paragraph>three</paragraph>
+      <paragraph>four</paragraph>
+      <paragraph>five</paragraph>
+    </document>
+  </value>
+)
+
+export const output = `
+<div data-slate-editor="true" contenteditable="true" role="textbox">
+  <div style="position:relative">
+    <span>
+      <span>one</span>
+    </span>
+  </div>
+  <div style="position:relative">
+    <span>
+      <span>two</span>
+    </span>
+  </div>
+  <div data-slate-spacer="true" contenteditable="false" style="height:90px"></div>
+</div>
+`.trim()
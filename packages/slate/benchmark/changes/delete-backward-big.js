@@ -0,0 +1,32 @@
+/** @jsx h */
+/* eslint-disable react/jsx-key */
+
+import h from '../../test/helpers/h'
+
+export default function(value) {
+  value.change().deleteBackward()
+}
+
+export function before(value) {
+  const { key } = value.document.getFirstText()
+  const selection = {
+    anchorKey: key,
+    anchorOffset: 50000,
+    focusKey: key,
+    focusOffset: 50000,
+  }
+
+  return value.change().select(selection).value
+}
+
+export const input = (
+  <value>
+    <document>
+      <code>
+        {Array.from(Array(1000)).map(
+          (v, i) => (i % 2 ? <b>{'a'.repeat(100)}</b> : 'a'.repeat(100))
+        )}
+      </code>
+    </document>
+  </value>
+)
@@ -0,0 +1,13 @@
+import { Set } from 'immutable'
+import { Mark, Text } from '../..'
+
+export default function(text) {
+  text.insertText(50000, 'a', Set.of(Mark.create('bold')))
+}
+
+export const input = Text.create({
+  leaves: Array.from(Array(1000)).map((v, i) => ({
+    text: 'a'.repeat(100),
+    marks: i % 2 ? [{ type: 'bold' }] : [],
+  })),
+})
@@ -0,0 +1,12 @@
+import { Text } from '../..'
+
+export default function(text) {
+  text.removeText(50000, 1)
+}
+
+export const input = Text.create({
+  leaves: Array.from(Array(1000)).map((v, i) => ({
+    text: 'a'.repeat(100),
+    marks: i % 2 ? [{ type: 'bold' }] : [],
+  })),
+})
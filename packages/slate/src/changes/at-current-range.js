@@ -1,3 +1,4 @@
+import { is } from 'immutable'
 import logger from 'slate-dev-logger'
 import Block from '../models/block'
 import Inline from '../models/inline'
@@ -77,16 +78,13 @@ Changes.setInline = (...args) => {
 Changes.addMark = (change, mark) => {
   mark = Mark.create(mark)
   const { value } = change
-  const { document, selection } = value
+  const { document, schema, selection } = value
 
   if (selection.isExpanded) {
     change.addMarkAtRange(selection, mark)
-  } else if (selection.marks) {
-    const marks = selection.marks.add(mark)
-    const sel = selection.set('marks', marks)
-    change.select(sel)
   } else {
-    const marks = document.getActiveMarksAtRange(selection).add(mark)
+    const current = selection.marks || document.getActiveMarksAtRange(selection)
+    const marks = current.filterNot(m => schema.excludesMark(mark, m)).add(mark)
     const sel = selection.set('marks', marks)
     change.select(sel)
   }
@@ -288,7 +286,8 @@ Changes.replaceMark = (change, oldMark, newMark) => {
 Changes.toggleMark = (change, mark) => {
   mark = Mark.create(mark)
   const { value } = change
-  const exists = value.activeMarks.has(mark)
+  const key = value.schema.getMarkGroup(mark.type) || mark.type
+  const exists = is(value.activeMarks.get(key), mark)
 
   if (exists) {
     change.removeMark(mark)
@@ -5,7 +5,22 @@ import Block from '../models/block'
 import Inline from '../models/inline'
 import Mark from '../models/mark'
 import Node from '../models/node'
+import SUGGESTION_TYPES from '../constants/suggestion-types'
 import String from '../utils/string'
+import { getClosestItem, getListTypes } from '../utils/list'
+import { isLocked, isLockedAtRange } from '../utils/lock'
+import { getClosestCell, getTableTypes } from '../utils/table'
+import {
+  createSuggestionMark,
+  findSuggestionMark,
+  getBlockSuggestion,
+  getBoundariesAtRange,
+  getSpansAtRange,
+  getSuggestion,
+  isSameSuggestion,
+  isSuggestionMark,
+  setBlockSuggestion,
+} from '../utils/suggestion'
 
 /**
  * Changes.
@@ -62,12 +77,14 @@ Changes.addMarksAtRange = (change, range, marks, options = {}) => {
 }
 
 /**
- * Delete everything in a `range`.
+ * Delete everything in a `range`. In suggestion mode, the content is marked
+ * as a suggested deletion instead.
  *
  * @param {Change} change
  * @param {Range} range
  * @param {Object} options
  *   @property {Boolean} normalize
+ *   @property {Object|Boolean} suggest
  */
 
 Changes.deleteAtRange = (change, range, options = {}) => {
@@ -77,6 +94,190 @@ Changes.deleteAtRange = (change, range, options = {}) => {
   // when you undo a delete, the expanded selection will be retained.
   change.snapshotSelection()
 
+  const suggestion = getSuggestion(change, options)
+
+  if (suggestion) {
+    suggestDeleteAtRange(change, range, suggestion, options)
+    return
+  }
+
+  // If the range goes across locked nodes, delete the parts of it in between
+  // them separately instead, so that the locked nodes are skipped.
+  if (isLockedAtRange(change, range)) {
+    deleteAroundLocked(change, range, options)
+  } else {
+    deleteUnlockedRange(change, range, options)
+  }
+}
+
+/**
+ * Delete everything in a `range` that doesn't go across locked nodes.
+ *
+ * @param {Change} change
+ * @param {Range} range
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+function deleteUnlockedRange(change, range, options) {
+  const { document, schema } = change.value
+  const types = getTableTypes(schema)
+
+  if (!types) {
+    deleteInRange(change, range, options)
+    return
+  }
+
+  const startCell = getClosestCell(document, range.startKey, types)
+  const endCell = getClosestCell(document, range.endKey, types)
+  const startCellKey = startCell ? startCell.key : null
+  const endCellKey = endCell ? endCell.key : null
+
+  // If the range goes across table cells, clear the content of each of them
+  // separately instead, so that the cells are never merged together.
+  if (startCellKey != endCellKey) {
+    deleteAcrossCells(change, range, types, options)
+  } else {
+    deleteInRange(change, range, options)
+  }
+}
+
+/**
+ * Delete everything in a `range` that goes across locked nodes, by deleting
+ * the runs of unlocked text in between them separately.
+ *
+ * @param {Change} change
+ * @param {Range} range
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+function deleteAroundLocked(change, range, options) {
+  const normalize = change.getFlag('normalize', options)
+  const { document } = change.value
+  const { startKey, startOffset, endKey, endOffset } = range
+  const ancestor = document.getCommonAncestor(startKey, endKey)
+  const groups = []
+  let last = null
+
+  document.getTextsAtRange(range).forEach(text => {
+    if (isLocked(change, text.key)) {
+      last = null
+    } else if (last) {
+      last.push(text)
+    } else {
+      last = [text]
+      groups.push(last)
+    }
+  })
+
+  // Delete in reverse order, so that the earlier texts aren't affected.
+  groups.reverse().forEach(texts => {
+    const first = texts[0]
+    const end = texts[texts.length - 1]
+    const subrange = range.merge({
+      anchorKey: first.key,
+      anchorOffset: first.key == startKey ? startOffset : 0,
+      focusKey: end.key,
+      focusOffset: end.key == endKey ? endOffset : end.text.length,
+      isBackward: false,
+    })
+
+    if (subrange.isCollapsed) return
+    deleteUnlockedRange(change, subrange, { normalize: false })
+  })
+
+  if (normalize && change.value.document.getNode(ancestor.key)) {
+    change.normalizeDirtyPaths()
+  }
+}
+
+/**
+ * Suggest to delete everything in a `range`. The text is marked with a
+ * deletion mark, and the blocks that the range goes across are marked to be
+ * merged, except for the suggested insertions which are removed right away.
+ *
+ * @param {Change} change
+ * @param {Range} range
+ * @param {Object} suggestion
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+function suggestDeleteAtRange(change, range, suggestion, options) {
+  const normalize = change.getFlag('normalize', options)
+  const { value } = change
+  const { document, selection } = value
+  const { INSERTION, DELETION } = SUGGESTION_TYPES
+  const mark = createSuggestionMark(DELETION, suggestion)
+  const spans = getSpansAtRange(document, range)
+  const boundaries = getBoundariesAtRange(document, range)
+  const ref = value.createRangeRef(range)
+
+  // Go backwards, so that removing text doesn't move the spans left to do.
+  spans.reverse().forEach(({ key, offset, length, marks }) => {
+    if (findSuggestionMark(marks, INSERTION)) {
+      change.removeTextByKey(key, offset, length, { normalize: false })
+    } else if (!findSuggestionMark(marks, DELETION)) {
+      change.addMarkByKey(key, offset, length, mark, { normalize: false })
+    }
+  })
+
+  boundaries.reverse().forEach(block => {
+    const existing = getBlockSuggestion(block)
+    const prev = change.value.document.getPreviousSibling(block.key)
+
+    if (existing && existing.type == INSERTION && prev) {
+      change.mergeNodeByKey(block.key, { normalize: false })
+    } else if (!existing) {
+      const next = change.value.document.getDescendant(block.key)
+      const data = { type: DELETION, ...suggestion }
+      setBlockSuggestion(change, next, data, { normalize: false })
+    }
+  })
+
+  // Since the content is still there, move a selection that was at one edge
+  // of the range to the other, like if the content was removed.
+  const current = ref.current
+  ref.unref()
+
+  const isAtStart =
+    selection.isCollapsed &&
+    selection.startKey == range.startKey &&
+    selection.startOffset == range.startOffset
+
+  const isAtEnd =
+    selection.startKey == range.endKey &&
+    selection.startOffset == range.endOffset
+
+  const isAround =
+    selection.isExpanded &&
+    selection.startKey == range.startKey &&
+    selection.startOffset == range.startOffset &&
+    selection.endKey == range.endKey &&
+    selection.endOffset == range.endOffset
+
+  if (current && (isAtStart || isAround)) {
+    change.select(current.collapseToEnd())
+  } else if (current && isAtEnd && selection.isCollapsed) {
+    change.select(current.collapseToStart())
+  }
+
+  if (normalize) {
+    change.normalizeDirtyPaths()
+  }
+}
+
+/**
+ * Delete everything in a `range` that doesn't go across table cells.
+ *
+ * @param {Change} change
+ * @param {Range} range
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+function deleteInRange(change, range, options) {
   const normalize = change.getFlag('normalize', options)
   const { value } = change
   let { startKey, startOffset, endKey, endOffset } = range
@@ -257,11 +458,62 @@ Changes.deleteAtRange = (change, range, options = {}) => {
 
     // If we should normalize, do it now after everything.
     if (normalize) {
-      change.normalizeNodeByKey(ancestor.key)
+      change.normalizeDirtyPaths()
     }
   }
 }
 
+/**
+ * Delete everything in a `range` that goes across table cells, by deleting
+ * the parts of it that are in each cell, or outside of the cells, separately.
+ *
+ * @param {Change} change
+ * @param {Range} range
+ * @param {Object} types
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+function deleteAcrossCells(change, range, types, options) {
+  const normalize = change.getFlag('normalize', options)
+  const { document } = change.value
+  const { startKey, startOffset, endKey, endOffset } = range
+  const ancestor = document.getCommonAncestor(startKey, endKey)
+  const groups = []
+
+  document.getTextsAtRange(range).forEach(text => {
+    const cell = getClosestCell(document, text.key, types)
+    const key = cell ? cell.key : null
+    const last = groups[groups.length - 1]
+
+    if (last && last.key == key) {
+      last.texts.push(text)
+    } else {
+      groups.push({ key, texts: [text] })
+    }
+  })
+
+  // Delete in reverse order, so that the earlier texts aren't affected.
+  groups.reverse().forEach(({ texts }) => {
+    const first = texts[0]
+    const last = texts[texts.length - 1]
+    const subrange = range.merge({
+      anchorKey: first.key,
+      anchorOffset: first.key == startKey ? startOffset : 0,
+      focusKey: last.key,
+      focusOffset: last.key == endKey ? endOffset : last.text.length,
+      isBackward: false,
+    })
+
+    if (subrange.isCollapsed) return
+    deleteInRange(change, subrange, { normalize: false })
+  })
+
+  if (normalize && change.value.document.getNode(ancestor.key)) {
+    change.normalizeDirtyPaths()
+  }
+}
+
 /**
  * Delete backward until the character boundary at a `range`.
  *
@@ -354,6 +606,16 @@ Changes.deleteBackwardAtRange = (change, range, n = 1, options = {}) => {
     return
   }
 
+  const types = getListTypes(value.schema)
+  const item = types && getClosestItem(document, startKey, types)
+
+  // If the range is at the start of a list item, merge the item into the one
+  // before it, or decrease its depth if it's the first.
+  if (item && range.isAtStartOf(item)) {
+    change.mergeListItemByKey(item.key, { normalize })
+    return
+  }
+
   const block = document.getClosestBlock(startKey)
 
   // If the closest is not void, but empty, remove it
@@ -525,6 +787,21 @@ Changes.deleteForwardAtRange = (change, range, n = 1, options = {}) => {
     return
   }
 
+  const types = getListTypes(value.schema)
+  const item = types && getClosestItem(document, startKey, types)
+
+  // If the range is at the end of a list item, merge the item that starts
+  // right after it into it, the same as deleting backward at its start.
+  if (item && range.isAtEndOf(item)) {
+    const next = document.getNextText(startKey)
+    const nextItem = next && getClosestItem(document, next.key, types)
+
+    if (nextItem && nextItem.getFirstText().key == next.key) {
+      change.mergeListItemByKey(nextItem.key, { normalize })
+      return
+    }
+  }
+
   const block = document.getClosestBlock(startKey)
 
   // If the closest is not void, but empty, remove it
@@ -626,6 +903,8 @@ Changes.deleteForwardAtRange = (change, range, n = 1, options = {}) => {
  */
 
 Changes.insertBlockAtRange = (change, range, block, options = {}) => {
+  if (isLocked(change, range.startKey)) return
+
   block = Block.create(block)
   const normalize = change.getFlag('normalize', options)
 
@@ -659,7 +938,7 @@ Changes.insertBlockAtRange = (change, range, block, options = {}) => {
   }
 
   if (normalize) {
-    change.normalizeNodeByKey(parent.key)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -674,6 +953,8 @@ Changes.insertBlockAtRange = (change, range, block, options = {}) => {
  */
 
 Changes.insertFragmentAtRange = (change, range, fragment, options = {}) => {
+  if (isLocked(change, range.startKey)) return
+
   const normalize = change.getFlag('normalize', options)
 
   // If the range is expanded, delete it first.
@@ -801,7 +1082,7 @@ Changes.insertFragmentAtRange = (change, range, fragment, options = {}) => {
 
   // Normalize if requested.
   if (normalize) {
-    change.normalizeNodeByKey(parent.key)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -816,6 +1097,8 @@ Changes.insertFragmentAtRange = (change, range, fragment, options = {}) => {
  */
 
 Changes.insertInlineAtRange = (change, range, inline, options = {}) => {
+  if (isLocked(change, range.startKey)) return
+
   const normalize = change.getFlag('normalize', options)
   inline = Inline.create(inline)
 
@@ -837,12 +1120,13 @@ Changes.insertInlineAtRange = (change, range, inline, options = {}) => {
   change.insertNodeByKey(parent.key, index + 1, inline, { normalize: false })
 
   if (normalize) {
-    change.normalizeNodeByKey(parent.key)
+    change.normalizeDirtyPaths()
   }
 }
 
 /**
- * Insert `text` at a `range`, with optional `marks`.
+ * Insert `text` at a `range`, with optional `marks`. In suggestion mode, the
+ * text is marked as a suggested insertion.
  *
  * @param {Change} change
  * @param {Range} range
@@ -850,20 +1134,38 @@ Changes.insertInlineAtRange = (change, range, inline, options = {}) => {
  * @param {Set<Mark>} marks (optional)
  * @param {Object} options
  *   @property {Boolean} normalize
+ *   @property {Object|Boolean} suggest
  */
 
 Changes.insertTextAtRange = (change, range, text, marks, options = {}) => {
+  if (isLocked(change, range.startKey)) return
+
   let { normalize } = options
   const { value } = change
   const { document } = value
   const { startKey, startOffset } = range
+  const suggestion = getSuggestion(change, options)
   let key = startKey
   let offset = startOffset
   const parent = document.getParent(startKey)
 
   if (parent.isVoid) return
 
-  if (range.isExpanded) {
+  // The suggestion marks of the text around aren't carried over to the new
+  // text, which is only a suggestion if it's inserted in suggestion mode.
+  if (marks) {
+    marks = marks.filter(mark => !isSuggestionMark(mark))
+  }
+
+  if (range.isExpanded && suggestion) {
+    // In suggestion mode, the text goes after the content that is suggested
+    // to be deleted, which is still there.
+    const ref = value.createRangeRef(range)
+    change.deleteAtRange(range, { normalize: false })
+    key = ref.current.endKey
+    offset = ref.current.endOffset
+    ref.unref()
+  } else if (range.isExpanded) {
     change.deleteAtRange(range, { normalize: false })
 
     // Update range start after delete
@@ -873,6 +1175,16 @@ Changes.insertTextAtRange = (change, range, text, marks, options = {}) => {
     }
   }
 
+  if (suggestion) {
+    // Text typed right after an insertion by the same author extends it, so
+    // that it stays a single suggestion instead of one for each keystroke.
+    const mark = createSuggestionMark(SUGGESTION_TYPES.INSERTION, suggestion)
+    const node = change.value.document.assertDescendant(key)
+    const before = offset > 0 ? node.getMarksAtIndex(offset) : Mark.createSet()
+    const existing = before.find(m => isSameSuggestion(m, mark))
+    marks = (marks || Mark.createSet()).add(existing || mark)
+  }
+
   // PERF: Unless specified, don't normalize if only inserting text.
   if (normalize === undefined) {
     normalize = range.isExpanded && marks.size !== 0
@@ -881,18 +1193,7 @@ Changes.insertTextAtRange = (change, range, text, marks, options = {}) => {
   change.insertTextByKey(key, offset, text, marks, { normalize: false })
 
   if (normalize) {
-    // normalize in the narrowest existing block that originally contains startKey and endKey
-    const commonAncestor = document.getCommonAncestor(startKey, range.endKey)
-    const ancestors = document
-      .getAncestors(commonAncestor.key)
-      .push(commonAncestor)
-    const normalizeAncestor = ancestors.findLast(n =>
-      change.value.document.getDescendant(n.key)
-    )
-    // it is possible that normalizeAncestor doesn't return any node
-    // on that case fallback to startKey to be normalized
-    const normalizeKey = normalizeAncestor ? normalizeAncestor.key : startKey
-    change.normalizeNodeByKey(normalizeKey)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -928,6 +1229,39 @@ Changes.removeMarkAtRange = (change, range, mark, options = {}) => {
   })
 }
 
+/**
+ * Replace the text in a `range` with `text`, keeping the marks of the first
+ * character that is replaced.
+ *
+ * @param {Change} change
+ * @param {Range} range
+ * @param {String} text
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.replaceAtRange = (change, range, text, options = {}) => {
+  const normalize = change.getFlag('normalize', options)
+  const { value } = change
+  const { document } = value
+  const { startKey, startOffset } = range
+  const marks = document.getInsertMarksAtRange(range)
+
+  // Unlike `insertTextAtRange`, the text is always inserted at the start of
+  // the range, and not at the selection, since it's rarely the same range.
+  if (range.isExpanded) {
+    change.deleteAtRange(range, { normalize: false })
+  }
+
+  change.insertTextByKey(startKey, startOffset, text, marks, {
+    normalize: false,
+  })
+
+  if (normalize) {
+    change.normalizeDirtyPaths()
+  }
+}
+
 /**
  * Set the `properties` of block nodes in a `range`.
  *
@@ -1008,17 +1342,28 @@ Changes.setInlineAtRange = (...args) => {
 }
 
 /**
- * Split the block nodes at a `range`, to optional `height`.
+ * Split the block nodes at a `range`, to optional `height`. In suggestion
+ * mode, the new block is marked as a suggested insertion, to be merged back
+ * if it's rejected, and the content of the range as a suggested deletion.
  *
  * @param {Change} change
  * @param {Range} range
  * @param {Number} height (optional)
  * @param {Object} options
  *   @property {Boolean} normalize
+ *   @property {Object|Boolean} suggest
  */
 
 Changes.splitBlockAtRange = (change, range, height = 1, options = {}) => {
+  if (isLocked(change, range.startKey)) return
+
   const normalize = change.getFlag('normalize', options)
+  const suggestion = getSuggestion(change, options)
+
+  if (suggestion) {
+    suggestSplitBlockAtRange(change, range, height, suggestion, options)
+    return
+  }
 
   const { startKey, startOffset, endOffset, endKey } = range
   const { value } = change
@@ -1037,6 +1382,14 @@ Changes.splitBlockAtRange = (change, range, height = 1, options = {}) => {
     normalize: normalize && range.isCollapsed,
   })
 
+  // The suggestion of a block is about its start, so the new block doesn't
+  // get the one of the block that was split.
+  const next = change.value.document.getNextSibling(node.key)
+
+  if (next && getBlockSuggestion(next)) {
+    setBlockSuggestion(change, next, null, { normalize: false })
+  }
+
   if (range.isExpanded) {
     if (range.isBackward) range = range.flip()
     const nextBlock = change.value.document.getNextBlock(node.key)
@@ -1050,6 +1403,49 @@ Changes.splitBlockAtRange = (change, range, height = 1, options = {}) => {
   }
 }
 
+/**
+ * Suggest to split the block nodes at a `range`, to optional `height`.
+ *
+ * @param {Change} change
+ * @param {Range} range
+ * @param {Number} height
+ * @param {Object} suggestion
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+function suggestSplitBlockAtRange(change, range, height, suggestion, options) {
+  const normalize = change.getFlag('normalize', options)
+
+  // The content of the range is still there, so the split is after it.
+  if (range.isExpanded) {
+    const ref = change.value.createRangeRef(range)
+    change.deleteAtRange(range, { normalize: false })
+    range = ref.current.collapseToEnd()
+    ref.unref()
+  }
+
+  const { document } = change.value
+  const block = document.getClosestBlock(range.startKey)
+  let node = block
+
+  for (let h = 1; h < height; h++) {
+    const parent = document.getParent(node.key)
+    if (!parent || parent.object != 'block') break
+    node = parent
+  }
+
+  change.splitBlockAtRange(range, height, { normalize: false, suggest: false })
+
+  const next = change.value.document.getNextSibling(node.key)
+  const data = { type: SUGGESTION_TYPES.INSERTION, ...suggestion }
+  setBlockSuggestion(change, next, data, { normalize: false })
+
+  if (normalize) {
+    change.normalizeDirtyPaths()
+  }
+}
+
 /**
  * Split the inline nodes at a `range`, to optional `height`.
  *
@@ -1066,6 +1462,8 @@ Changes.splitInlineAtRange = (
   height = Infinity,
   options = {}
 ) => {
+  if (isLocked(change, range.startKey)) return
+
   const normalize = change.getFlag('normalize', options)
 
   if (range.isExpanded) {
@@ -1129,6 +1527,8 @@ Changes.toggleMarkAtRange = (change, range, mark, options = {}) => {
  */
 
 Changes.unwrapBlockAtRange = (change, range, properties, options = {}) => {
+  if (isLockedAtRange(change, range)) return
+
   properties = Node.createProperties(properties)
 
   const normalize = change.getFlag('normalize', options)
@@ -1211,9 +1611,8 @@ Changes.unwrapBlockAtRange = (change, range, properties, options = {}) => {
     }
   })
 
-  // TODO: optmize to only normalize the right block
   if (normalize) {
-    change.normalizeDocument()
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -1228,6 +1627,8 @@ Changes.unwrapBlockAtRange = (change, range, properties, options = {}) => {
  */
 
 Changes.unwrapInlineAtRange = (change, range, properties, options = {}) => {
+  if (isLockedAtRange(change, range)) return
+
   properties = Node.createProperties(properties)
 
   const normalize = change.getFlag('normalize', options)
@@ -1262,9 +1663,8 @@ Changes.unwrapInlineAtRange = (change, range, properties, options = {}) => {
     })
   })
 
-  // TODO: optmize to only normalize the right block
   if (normalize) {
-    change.normalizeDocument()
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -1279,6 +1679,8 @@ Changes.unwrapInlineAtRange = (change, range, properties, options = {}) => {
  */
 
 Changes.wrapBlockAtRange = (change, range, block, options = {}) => {
+  if (isLockedAtRange(change, range)) return
+
   block = Block.create(block)
   block = block.set('nodes', block.nodes.clear())
 
@@ -1333,7 +1735,7 @@ Changes.wrapBlockAtRange = (change, range, block, options = {}) => {
   })
 
   if (normalize) {
-    change.normalizeNodeByKey(parent.key)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -1348,6 +1750,8 @@ Changes.wrapBlockAtRange = (change, range, block, options = {}) => {
  */
 
 Changes.wrapInlineAtRange = (change, range, inline, options = {}) => {
+  if (isLockedAtRange(change, range)) return
+
   const { value } = change
   let { document } = value
   const normalize = change.getFlag('normalize', options)
@@ -1414,7 +1818,7 @@ Changes.wrapInlineAtRange = (change, range, inline, options = {}) => {
     })
 
     if (normalize) {
-      change.normalizeNodeByKey(startBlock.key)
+      change.normalizeDirtyPaths()
     }
   } else {
     const startInlines = startBlock.nodes.slice(startIndex + 1)
@@ -1439,7 +1843,7 @@ Changes.wrapInlineAtRange = (change, range, inline, options = {}) => {
     })
 
     if (normalize) {
-      change.normalizeNodeByKey(startBlock.key).normalizeNodeByKey(endBlock.key)
+      change.normalizeDirtyPaths()
     }
 
     blocks.slice(1, -1).forEach(block => {
@@ -1451,7 +1855,7 @@ Changes.wrapInlineAtRange = (change, range, inline, options = {}) => {
       })
 
       if (normalize) {
-        change.normalizeNodeByKey(block.key)
+        change.normalizeDirtyPaths()
       }
     })
   }
@@ -1475,6 +1879,8 @@ Changes.wrapTextAtRange = (
   suffix = prefix,
   options = {}
 ) => {
+  if (isLockedAtRange(change, range)) return
+
   const normalize = change.getFlag('normalize', options)
   const { startKey, endKey } = range
   const start = range.collapseToStart()
@@ -3,6 +3,7 @@ import Inline from '../models/inline'
 import Mark from '../models/mark'
 import Node from '../models/node'
 import Range from '../models/range'
+import { containsLocked, isLocked } from '../utils/lock'
 
 /**
  * Changes.
@@ -25,10 +26,12 @@ const Changes = {}
  */
 
 Changes.addMarkByKey = (change, key, offset, length, mark, options = {}) => {
+  if (isLocked(change, key)) return
+
   mark = Mark.create(mark)
   const normalize = change.getFlag('normalize', options)
   const { value } = change
-  const { document } = value
+  const { document, schema } = value
   const path = document.getPath(key)
   const node = document.getNode(key)
   const leaves = node.getLeaves()
@@ -47,13 +50,29 @@ Changes.addMarkByKey = (change, key, offset, length, mark, options = {}) => {
     // If the leaf doesn't overlap with the operation, continue on.
     if (ay < bx || by < ax) return
 
-    // If the leaf already has the mark, continue on.
-    if (leaf.marks.has(mark)) return
-
     // Otherwise, determine which offset and characters overlap.
     const start = Math.max(ax, bx)
     const end = Math.min(ay, by)
 
+    // Remove the marks that the new mark replaces in the overlap first.
+    if (start < end) {
+      leaf.marks.forEach(m => {
+        if (!schema.excludesMark(mark, m)) return
+
+        operations.push({
+          type: 'remove_mark',
+          value,
+          path,
+          offset: start,
+          length: end - start,
+          mark: m,
+        })
+      })
+    }
+
+    // If the leaf already has the mark, continue on.
+    if (leaf.marks.has(mark)) return
+
     operations.push({
       type: 'add_mark',
       value,
@@ -67,8 +86,7 @@ Changes.addMarkByKey = (change, key, offset, length, mark, options = {}) => {
   change.applyOperations(operations)
 
   if (normalize) {
-    const parent = document.getParent(key)
-    change.normalizeNodeByKey(parent.key)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -91,7 +109,7 @@ Changes.insertFragmentByKey = (change, key, index, fragment, options = {}) => {
   })
 
   if (normalize) {
-    change.normalizeNodeByKey(key)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -107,6 +125,8 @@ Changes.insertFragmentByKey = (change, key, index, fragment, options = {}) => {
  */
 
 Changes.insertNodeByKey = (change, key, index, node, options = {}) => {
+  if (isLocked(change, key)) return
+
   const normalize = change.getFlag('normalize', options)
   const { value } = change
   const { document } = value
@@ -120,7 +140,7 @@ Changes.insertNodeByKey = (change, key, index, node, options = {}) => {
   })
 
   if (normalize) {
-    change.normalizeNodeByKey(key)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -137,6 +157,8 @@ Changes.insertNodeByKey = (change, key, index, node, options = {}) => {
  */
 
 Changes.insertTextByKey = (change, key, offset, text, marks, options = {}) => {
+  if (isLocked(change, key)) return
+
   const normalize = change.getFlag('normalize', options)
 
   const { value } = change
@@ -155,8 +177,7 @@ Changes.insertTextByKey = (change, key, offset, text, marks, options = {}) => {
   })
 
   if (normalize) {
-    const parent = document.getParent(key)
-    change.normalizeNodeByKey(parent.key)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -181,6 +202,8 @@ Changes.mergeNodeByKey = (change, key, options = {}) => {
     throw new Error(`Unable to merge node with key "${key}", no previous key.`)
   }
 
+  if (isLocked(change, key) || isLocked(change, previous.key)) return
+
   const position =
     previous.object == 'text' ? previous.text.length : previous.nodes.size
 
@@ -199,8 +222,7 @@ Changes.mergeNodeByKey = (change, key, options = {}) => {
   })
 
   if (normalize) {
-    const parent = document.getParent(key)
-    change.normalizeNodeByKey(parent.key)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -220,6 +242,11 @@ Changes.moveNodeByKey = (change, key, newKey, newIndex, options = {}) => {
   const normalize = change.getFlag('normalize', options)
   const { value } = change
   const { document } = value
+  const parent = document.getParent(key)
+
+  // Locked nodes can be moved, but not out of or into other locked nodes.
+  if (isLocked(change, parent.key) || isLocked(change, newKey)) return
+
   const path = document.getPath(key)
   const newPath = document.getPath(newKey)
 
@@ -231,8 +258,7 @@ Changes.moveNodeByKey = (change, key, newKey, newIndex, options = {}) => {
   })
 
   if (normalize) {
-    const parent = document.getCommonAncestor(key, newKey)
-    change.normalizeNodeByKey(parent.key)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -249,6 +275,8 @@ Changes.moveNodeByKey = (change, key, newKey, newIndex, options = {}) => {
  */
 
 Changes.removeMarkByKey = (change, key, offset, length, mark, options = {}) => {
+  if (isLocked(change, key)) return
+
   mark = Mark.create(mark)
   const normalize = change.getFlag('normalize', options)
   const { value } = change
@@ -291,8 +319,7 @@ Changes.removeMarkByKey = (change, key, offset, length, mark, options = {}) => {
   change.applyOperations(operations)
 
   if (normalize) {
-    const parent = document.getParent(key)
-    change.normalizeNodeByKey(parent.key)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -328,6 +355,8 @@ Changes.removeAllMarksByKey = (change, key, options = {}) => {
  */
 
 Changes.removeNodeByKey = (change, key, options = {}) => {
+  if (containsLocked(change, key)) return
+
   const normalize = change.getFlag('normalize', options)
   const { value } = change
   const { document } = value
@@ -342,8 +371,7 @@ Changes.removeNodeByKey = (change, key, options = {}) => {
   })
 
   if (normalize) {
-    const parent = document.getParent(key)
-    change.normalizeNodeByKey(parent.key)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -429,6 +457,8 @@ Changes.replaceTextByKey = (
  */
 
 Changes.removeTextByKey = (change, key, offset, length, options = {}) => {
+  if (isLocked(change, key)) return
+
   const normalize = change.getFlag('normalize', options)
   const { value } = change
   const { document } = value
@@ -470,8 +500,7 @@ Changes.removeTextByKey = (change, key, offset, length, options = {}) => {
   change.applyOperations(removals.reverse())
 
   if (normalize) {
-    const block = document.getClosestBlock(key)
-    change.normalizeNodeByKey(block.key)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -486,6 +515,8 @@ Changes.removeTextByKey = (change, key, offset, length, options = {}) => {
  */
 
 Changes.replaceNodeByKey = (change, key, newNode, options = {}) => {
+  if (containsLocked(change, key)) return
+
   newNode = Node.create(newNode)
   const normalize = change.getFlag('normalize', options)
   const { value } = change
@@ -497,7 +528,7 @@ Changes.replaceNodeByKey = (change, key, newNode, options = {}) => {
   change.insertNodeByKey(parent.key, index, newNode, { normalize: false })
 
   if (normalize) {
-    change.normalizeNodeByKey(parent.key)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -522,6 +553,8 @@ Changes.setMarkByKey = (
   properties,
   options = {}
 ) => {
+  if (isLocked(change, key)) return
+
   mark = Mark.create(mark)
   properties = Mark.createProperties(properties)
   const normalize = change.getFlag('normalize', options)
@@ -540,8 +573,7 @@ Changes.setMarkByKey = (
   })
 
   if (normalize) {
-    const parent = document.getParent(key)
-    change.normalizeNodeByKey(parent.key)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -562,6 +594,12 @@ Changes.setNodeByKey = (change, key, properties, options = {}) => {
   const { document } = value
   const path = document.getPath(key)
   const node = document.getNode(key)
+  const parent = document.getParent(key)
+
+  // The only property of a locked node that can be set is `isLocked` itself,
+  // unless it's inside another locked node.
+  const isLocking = Object.keys(properties).every(p => p == 'isLocked')
+  if (isLocked(change, isLocking && parent ? parent.key : key)) return
 
   change.applyOperation({
     type: 'set_node',
@@ -572,7 +610,7 @@ Changes.setNodeByKey = (change, key, properties, options = {}) => {
   })
 
   if (normalize) {
-    change.normalizeNodeByKey(node.key)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -587,6 +625,8 @@ Changes.setNodeByKey = (change, key, properties, options = {}) => {
  */
 
 Changes.splitNodeByKey = (change, key, position, options = {}) => {
+  if (isLocked(change, key)) return
+
   const { normalize = true, target = null } = options
   const { value } = change
   const { document } = value
@@ -606,8 +646,7 @@ Changes.splitNodeByKey = (change, key, position, options = {}) => {
   })
 
   if (normalize) {
-    const parent = document.getParent(key)
-    change.normalizeNodeByKey(parent.key)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -628,6 +667,8 @@ Changes.splitDescendantsByKey = (
   textOffset,
   options = {}
 ) => {
+  if (isLocked(change, textKey)) return
+
   if (key == textKey) {
     change.splitNodeByKey(textKey, textOffset, options)
     return
@@ -658,8 +699,7 @@ Changes.splitDescendantsByKey = (
   })
 
   if (normalize) {
-    const parent = document.getParent(key)
-    change.normalizeNodeByKey(parent.key)
+    change.normalizeDirtyPaths()
   }
 }
 
@@ -722,6 +762,7 @@ Changes.unwrapNodeByKey = (change, key, options = {}) => {
   const { document } = value
   const parent = document.getParent(key)
   const node = parent.getChild(key)
+  if (isLocked(change, parent.key)) return
 
   const index = parent.nodes.indexOf(node)
   const isFirst = index === 0
@@ -752,7 +793,7 @@ Changes.unwrapNodeByKey = (change, key, options = {}) => {
     })
 
     if (normalize) {
-      change.normalizeNodeByKey(parentParent.key)
+      change.normalizeDirtyPaths()
     }
   }
 }
@@ -775,6 +816,7 @@ Changes.wrapBlockByKey = (change, key, block, options) => {
   const node = document.assertDescendant(key)
   const parent = document.getParent(node.key)
   const index = parent.nodes.indexOf(node)
+  if (isLocked(change, parent.key)) return
 
   change.insertNodeByKey(parent.key, index, block, { normalize: false })
   change.moveNodeByKey(node.key, block.key, 0, options)
@@ -798,6 +840,7 @@ Changes.wrapInlineByKey = (change, key, inline, options) => {
   const node = document.assertDescendant(key)
   const parent = document.getParent(node.key)
   const index = parent.nodes.indexOf(node)
+  if (isLocked(change, parent.key)) return
 
   change.insertNodeByKey(parent.key, index, inline, { normalize: false })
   change.moveNodeByKey(node.key, inline.key, 0, options)
@@ -1,8 +1,13 @@
 import AtCurrentRange from './at-current-range'
 import AtRange from './at-range'
 import ByKey from './by-key'
+import OnAnnotation from './on-annotation'
 import OnHistory from './on-history'
+import OnList from './on-list'
+import OnSearch from './on-search'
 import OnSelection from './on-selection'
+import OnSuggestion from './on-suggestion'
+import OnTable from './on-table'
 import OnValue from './on-value'
 import WithSchema from './with-schema'
 
@@ -16,8 +21,13 @@ export default {
   ...AtCurrentRange,
   ...AtRange,
   ...ByKey,
+  ...OnAnnotation,
   ...OnHistory,
+  ...OnList,
+  ...OnSearch,
   ...OnSelection,
+  ...OnSuggestion,
+  ...OnTable,
   ...OnValue,
   ...WithSchema,
 }
@@ -0,0 +1,115 @@
+import Annotation from '../models/annotation'
+
+/**
+ * Changes.
+ *
+ * @type {Object}
+ */
+
+const Changes = {}
+
+/**
+ * Add an `annotation` to the value. Its range defaults to the selection.
+ *
+ * @param {Change} change
+ * @param {Object|Annotation} annotation
+ * @param {Object} options
+ */
+
+Changes.addAnnotation = (change, annotation, options = {}) => {
+  const { value } = change
+  const { document, selection } = value
+
+  if (!Annotation.isAnnotation(annotation) && !annotation.range) {
+    annotation = { ...annotation, range: selection }
+  }
+
+  annotation = Annotation.create(annotation)
+  annotation = annotation.set('range', annotation.range.normalize(document))
+
+  change.applyOperation(
+    {
+      type: 'add_annotation',
+      annotation,
+      value,
+    },
+    options
+  )
+}
+
+/**
+ * Remove the annotation with an `id` from the value.
+ *
+ * @param {Change} change
+ * @param {String} id
+ * @param {Object} options
+ */
+
+Changes.removeAnnotation = (change, id, options = {}) => {
+  const { value } = change
+  const annotation = assertAnnotation(value, id)
+
+  change.applyOperation(
+    {
+      type: 'remove_annotation',
+      annotation,
+      value,
+    },
+    options
+  )
+}
+
+/**
+ * Set `properties` on the annotation with an `id`.
+ *
+ * @param {Change} change
+ * @param {String} id
+ * @param {Object} properties
+ * @param {Object} options
+ */
+
+Changes.setAnnotation = (change, id, properties, options = {}) => {
+  const { value } = change
+  const annotation = assertAnnotation(value, id)
+  properties = Annotation.createProperties(properties)
+
+  if (properties.range) {
+    properties.range = properties.range.normalize(value.document)
+  }
+
+  change.applyOperation(
+    {
+      type: 'set_annotation',
+      annotation,
+      properties,
+      value,
+    },
+    options
+  )
+}
+
+/**
+ * Get the annotation with an `id` in a `value`, or throw an error.
+ *
+ * @param {Value} value
+ * @param {String} id
+ * @return {Annotation}
+ */
+
+function assertAnnotation(value, id) {
+  const annotation = value.annotations.get(id)
+
+  if (!annotation) {
+    throw new Error(`Could not find an annotation with the id "${id}".`)
+  }
+
+  return annotation
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export default Changes
@@ -1,5 +1,8 @@
-import invert from '../operations/invert'
 import omit from 'lodash/omit'
+import { List, Stack } from 'immutable'
+
+import invert from '../operations/invert'
+import { transformOperations } from '../operations/transform'
 
 /**
  * Changes.
@@ -9,6 +12,20 @@ import omit from 'lodash/omit'
 
 const Changes = {}
 
+/**
+ * End the current history group.
+ *
+ * @param {Change} change
+ */
+
+Changes.endHistoryGroup = change => {
+  const { value } = change
+  const { history } = value
+  if (!history) return
+
+  change.value = value.set('history', history.endGroup())
+}
+
 /**
  * Redo to the next value in the history.
  *
@@ -29,7 +46,7 @@ Changes.redo = change => {
   undos = undos.push(next)
 
   // Replay the next operations.
-  next.forEach(op => {
+  next.operations.forEach(op => {
     const { type, properties } = op
 
     // When the operation mutates the selection, omit its `isFocused` value to
@@ -49,7 +66,40 @@ Changes.redo = change => {
 }
 
 /**
- * Undo the previous operations in the history.
+ * Set the history `options`, like its `maxDepth`, `mergeWindow` or custom
+ * `shouldMerge` predicate.
+ *
+ * @param {Change} change
+ * @param {Object} options
+ */
+
+Changes.setHistoryOptions = (change, options) => {
+  const { value } = change
+  const { history } = value
+  if (!history) return
+
+  change.value = value.set('history', history.setOptions(options))
+}
+
+/**
+ * Start a history group, so that the operations applied until the group is
+ * ended are undone together, even across changes.
+ *
+ * @param {Change} change
+ */
+
+Changes.startHistoryGroup = change => {
+  const { value } = change
+  const { history } = value
+  if (!history) return
+
+  change.value = value.set('history', history.startGroup())
+}
+
+/**
+ * Undo the previous operations in the history. Only the local batches are
+ * undone, and if remote batches were saved after the previous local one, its
+ * inverse is transformed past them.
  *
  * @param {Change} change
  */
@@ -60,15 +110,26 @@ Changes.undo = change => {
   if (!history) return
 
   let { undos, redos } = history
+  const index = undos.findIndex(batch => !history.isRemote(batch))
+  if (index == -1) return
+
+  if (index > 0) {
+    const batch = revertBatch(change, index)
+    value = change.value
+    history = value.history.set('redos', redos.push(batch))
+    value = value.set('history', history)
+    change.value = value
+    return
+  }
+
   const previous = undos.peek()
-  if (!previous) return
 
   // Shift the previous operations into the redo stack.
   undos = undos.pop()
   redos = redos.push(previous)
 
   // Replay the inverse of the previous operations.
-  previous
+  previous.operations
     .slice()
     .reverse()
     .map(invert)
@@ -91,6 +152,79 @@ Changes.undo = change => {
   change.value = value
 }
 
+/**
+ * Undo a single batch of operations by `id`, leaving the batches saved after
+ * it in place. The inverse operations are transformed past those later
+ * batches, and the later batches are transformed to still be undoable.
+ *
+ * @param {Change} change
+ * @param {String} id
+ */
+
+Changes.undoBatch = (change, id) => {
+  let { value } = change
+  let { history } = value
+  if (!history) return
+
+  const index = history.undos.findIndex(batch => batch.id == id)
+  if (index == -1) return
+
+  revertBatch(change, index)
+  value = change.value
+  history = value.history.set('redos', history.redos.clear())
+  value = value.set('history', history)
+  change.value = value
+}
+
+/**
+ * Revert the undoable batch at `index` in the history of a `change`'s value,
+ * transforming its inverse past the later batches, and the later batches to
+ * still be undoable. Returns the batch transformed to apply after them, so
+ * that it can be redone.
+ *
+ * @param {Change} change
+ * @param {Number} index
+ * @return {Batch}
+ */
+
+function revertBatch(change, index) {
+  let { value } = change
+  let { history } = value
+  const batches = history.undos.toArray()
+  const batch = batches[index]
+
+  // Selections aren't restored, since they would be relative to the batch.
+  const operations = batch.operations.filter(op => op.type != 'set_selection')
+  let inverse = operations.reverse().map(invert)
+  let rebased = new List()
+
+  // Transform the inverse past each later batch, from the oldest to newest.
+  const later = batches
+    .slice(0, index)
+    .reverse()
+    .map(b => {
+      const ops = b.operations.filter(op => op.type != 'set_selection')
+      const [next, rest] = transformOperations(inverse, ops, true)
+      inverse = next
+      rebased = rebased.concat(rest)
+      return b.set('operations', rest)
+    })
+    .filter(b => b.operations.size > 0)
+
+  inverse.forEach(op => {
+    change.applyOperation(op, { save: false })
+  })
+
+  // Replace the batch and the later ones with their transformed versions.
+  const undos = new Stack(later.reverse().concat(batches.slice(index + 1)))
+  const [redo] = transformOperations(operations, rebased)
+  value = change.value
+  history = history.set('undos', undos)
+  value = value.set('history', history)
+  change.value = value
+  return batch.set('operations', redo)
+}
+
 /**
  * Export.
  *
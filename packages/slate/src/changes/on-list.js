@@ -0,0 +1,412 @@
+import Block from '../models/block'
+import LIST_TYPES from '../constants/list-types'
+import {
+  getClosestItem,
+  getItemsAtRange,
+  getListTypes,
+  isItem,
+  isList,
+} from '../utils/list'
+
+/**
+ * Changes.
+ *
+ * @type {Object}
+ */
+
+const Changes = {}
+
+/**
+ * Wrap the blocks in the current selection in a list of `type`, with an item
+ * for each block. The blocks that are in lists already have their lists
+ * changed to `type` instead, which defaults to the bulleted list type.
+ *
+ * @param {Change} change
+ * @param {String} type
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.wrapInList = (change, type, options = {}) => {
+  const types = getTypes(change)
+  if (type == null) type = types.BULLETED
+
+  if (!types.LISTS.includes(type)) {
+    throw new Error(
+      `The list type "${type}" is invalid, it should be one of: ${types.LISTS.join(
+        ', '
+      )}.`
+    )
+  }
+
+  const { value } = change
+  const { document, selection } = value
+  const groups = []
+  const lists = []
+
+  document.getBlocksAtRange(selection).forEach(block => {
+    const item = getClosestItem(document, block.key, types)
+
+    if (item) {
+      const list = document.getParent(item.key)
+      if (list.type != type && !lists.includes(list)) lists.push(list)
+      return
+    }
+
+    // Group the sibling blocks, so that each group goes in a single list.
+    const parent = document.getParent(block.key)
+    const index = parent.nodes.indexOf(block)
+    const last = groups[groups.length - 1]
+
+    if (last && last.parent == parent && last.index == index - 1) {
+      last.blocks.push(block)
+      last.index = index
+    } else {
+      groups.push({ parent, index, blocks: [block] })
+    }
+  })
+
+  lists.forEach(list => {
+    change.setNodeByKey(list.key, { type }, { normalize: false })
+  })
+
+  groups.forEach(({ blocks }) => {
+    const list = Block.create({ type })
+
+    blocks.forEach((block, i) => {
+      if (i == 0) {
+        change.wrapBlockByKey(block.key, list, { normalize: false })
+      } else {
+        change.moveNodeByKey(block.key, list.key, i, { normalize: false })
+      }
+
+      change.wrapBlockByKey(block.key, types.ITEM, { normalize: false })
+    })
+  })
+
+  if (change.getFlag('normalize', options)) {
+    change.normalizeDirtyPaths()
+  }
+}
+
+/**
+ * Unwrap the items in the current selection from their lists, at every
+ * depth, splitting the lists around them.
+ *
+ * @param {Change} change
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.unwrapList = (change, options = {}) => {
+  const { value } = change
+  const { document, selection } = value
+  const types = getTypes(change)
+  const items = getItemsAtRange(document, selection, true, types)
+
+  items.forEach(item => {
+    while (isList(change.value.document.getParent(item.key), types)) {
+      change.decreaseItemDepthByKey(item.key, { normalize: false })
+    }
+  })
+
+  if (change.getFlag('normalize', options)) {
+    change.normalizeDirtyPaths()
+  }
+}
+
+/**
+ * Increase the depth of the items in the current selection.
+ *
+ * @param {Change} change
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.increaseItemDepth = (change, options = {}) => {
+  const { value } = change
+  const { document, selection } = value
+  const items = getItemsAtRange(document, selection, false, getTypes(change))
+
+  items.forEach(item => {
+    change.increaseItemDepthByKey(item.key, { normalize: false })
+  })
+
+  if (change.getFlag('normalize', options)) {
+    change.normalizeDirtyPaths()
+  }
+}
+
+/**
+ * Decrease the depth of the items in the current selection.
+ *
+ * @param {Change} change
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.decreaseItemDepth = (change, options = {}) => {
+  const { value } = change
+  const { document, selection } = value
+  const items = getItemsAtRange(document, selection, false, getTypes(change))
+
+  items.forEach(item => {
+    change.decreaseItemDepthByKey(item.key, { normalize: false })
+  })
+
+  if (change.getFlag('normalize', options)) {
+    change.normalizeDirtyPaths()
+  }
+}
+
+/**
+ * Split the list item at the current selection in two. If the item is empty,
+ * decrease its depth instead.
+ *
+ * @param {Change} change
+ */
+
+Changes.splitListItem = change => {
+  if (change.value.isExpanded) change.delete()
+
+  const { value } = change
+  const { document, startKey, startBlock } = value
+  const item = getClosestItem(document, startKey, getTypes(change))
+
+  if (!item) {
+    change.splitBlock()
+    return
+  }
+
+  if (item.isEmpty) {
+    change.decreaseItemDepthByKey(item.key)
+    return
+  }
+
+  let depth = 1
+  let node = startBlock
+
+  while (node.key != item.key) {
+    node = document.getParent(node.key)
+    depth++
+  }
+
+  change.splitBlock(depth)
+}
+
+/**
+ * Increase the depth of the list item by `key`, by moving it into a list at
+ * the end of its previous item. The first item of a list can't be indented.
+ *
+ * @param {Change} change
+ * @param {String} key
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.increaseItemDepthByKey = (change, key, options = {}) => {
+  const normalize = change.getFlag('normalize', options)
+  const { value } = change
+  const { document } = value
+  const item = document.assertDescendant(key)
+  const list = document.getParent(item.key)
+  const types = getTypes(change)
+  if (!isItem(item, types) || !isList(list, types)) return
+
+  const index = list.nodes.indexOf(item)
+  if (index == 0) return
+
+  const previous = list.nodes.get(index - 1)
+  const last = previous.nodes.last()
+
+  if (isList(last, types)) {
+    change.moveNodeByKey(item.key, last.key, last.nodes.size, {
+      normalize: false,
+    })
+  } else {
+    const sublist = Block.create({ type: list.type })
+    const size = previous.nodes.size
+    change.insertNodeByKey(previous.key, size, sublist, { normalize: false })
+    change.moveNodeByKey(item.key, sublist.key, 0, { normalize: false })
+  }
+
+  if (normalize) {
+    change.normalizeDirtyPaths()
+  }
+}
+
+/**
+ * Decrease the depth of the list item by `key`. A nested item moves after its
+ * parent item, taking the items after it as its children. A top-level item is
+ * unwrapped from its list, which is split around it.
+ *
+ * @param {Change} change
+ * @param {String} key
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.decreaseItemDepthByKey = (change, key, options = {}) => {
+  const normalize = change.getFlag('normalize', options)
+  const { value } = change
+  const { document } = value
+  const item = document.assertDescendant(key)
+  const list = document.getParent(item.key)
+  const types = getTypes(change)
+  if (!isItem(item, types) || !isList(list, types)) return
+
+  const parent = document.getParent(list.key)
+  const index = list.nodes.indexOf(item)
+  const afters = list.nodes.slice(index + 1)
+
+  if (isItem(parent, types)) {
+    const outer = document.getParent(parent.key)
+    const outerIndex = outer.nodes.indexOf(parent)
+
+    change.moveNodeByKey(item.key, outer.key, outerIndex + 1, {
+      normalize: false,
+    })
+
+    // The items after it become its children, in its own nested list if it
+    // has one already.
+    if (afters.size) {
+      let last = item.nodes.last()
+
+      if (!isList(last, types)) {
+        last = Block.create({ type: list.type })
+        const size = item.nodes.size
+        change.insertNodeByKey(item.key, size, last, { normalize: false })
+      }
+
+      afters.forEach((after, i) => {
+        const size = last.nodes.size + i
+        change.moveNodeByKey(after.key, last.key, size, { normalize: false })
+      })
+    }
+  } else {
+    const listIndex = parent.nodes.indexOf(list)
+
+    if (afters.size) {
+      const rest = Block.create({ type: list.type })
+
+      change.insertNodeByKey(parent.key, listIndex + 1, rest, {
+        normalize: false,
+      })
+
+      afters.forEach((after, i) => {
+        change.moveNodeByKey(after.key, rest.key, i, { normalize: false })
+      })
+    }
+
+    item.nodes.forEach((child, i) => {
+      change.moveNodeByKey(child.key, parent.key, listIndex + 1 + i, {
+        normalize: false,
+      })
+    })
+
+    change.removeNodeByKey(item.key, { normalize: false })
+  }
+
+  // If the list has no items left, remove it.
+  if (index == 0) {
+    change.removeNodeByKey(list.key, { normalize: false })
+  }
+
+  if (normalize) {
+    change.normalizeDirtyPaths()
+  }
+}
+
+/**
+ * Merge the list item by `key` into the item before it, joining its first
+ * block with the last block of the previous item. The first item of a list
+ * has its depth decreased instead.
+ *
+ * @param {Change} change
+ * @param {String} key
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.mergeListItemByKey = (change, key, options = {}) => {
+  const normalize = change.getFlag('normalize', options)
+  const { value } = change
+  const { document } = value
+  const item = document.assertDescendant(key)
+  const list = document.getParent(item.key)
+  const types = getTypes(change)
+  if (!isItem(item, types) || !isList(list, types)) return
+
+  if (list.nodes.indexOf(item) == 0) {
+    change.decreaseItemDepthByKey(item.key, { normalize })
+    return
+  }
+
+  // The previous text is in the last block of the previous item, or of its
+  // last nested item.
+  const first = item.nodes.first()
+  const previous = document.getPreviousText(first.getFirstText().key)
+  const target = document.getClosestBlock(previous.key)
+  const targetItem = getClosestItem(document, previous.key, types)
+  const rest = item.nodes.rest()
+  let index = targetItem.nodes.size
+
+  if (isMergeable(first) && isMergeable(target)) {
+    const parent = document.getParent(target.key)
+    const targetIndex = parent.nodes.indexOf(target)
+
+    change.moveNodeByKey(first.key, parent.key, targetIndex + 1, {
+      normalize: false,
+    })
+
+    change.mergeNodeByKey(first.key, { normalize: false })
+  } else {
+    change.moveNodeByKey(first.key, targetItem.key, index++, {
+      normalize: false,
+    })
+  }
+
+  rest.forEach(child => {
+    change.moveNodeByKey(child.key, targetItem.key, index++, {
+      normalize: false,
+    })
+  })
+
+  change.removeNodeByKey(item.key, { normalize: false })
+
+  if (normalize) {
+    change.normalizeDirtyPaths()
+  }
+}
+
+/**
+ * Check if a `block` can have another block merged into it, or be merged,
+ * which is when it holds text rather than blocks and isn't void.
+ *
+ * @param {Block} block
+ * @return {Boolean}
+ */
+
+function isMergeable(block) {
+  return !block.isVoid && block.nodes.first().object != 'block'
+}
+
+/**
+ * Get the list block types of the schema of a `change`, or the default ones
+ * if it doesn't have the list plugin.
+ *
+ * @param {Change} change
+ * @return {Object}
+ */
+
+function getTypes(change) {
+  return getListTypes(change.value.schema) || LIST_TYPES
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export default Changes
@@ -0,0 +1,154 @@
+import { createSearchRegExp } from '../utils/search'
+
+/**
+ * Changes.
+ *
+ * @type {Object}
+ */
+
+const Changes = {}
+
+/**
+ * Replace all of the matches of a search `pattern` in the document with a
+ * `replacement`, keeping the marks of the first character of each match.
+ *
+ * The `replacement` is either a string or a function that is called with the
+ * text of each match and returns its replacement. When the pattern is a
+ * regular expression, the string can refer to the groups of the match with
+ * `$1`, `$2`, etc. like `String.replace`, but they are matched against the
+ * text of each match alone, so assertions about the text around it are lost.
+ *
+ * @param {Change} change
+ * @param {String|RegExp} pattern
+ * @param {String|Function} replacement
+ * @param {Object} options
+ *   @property {Boolean} caseSensitive
+ *   @property {Boolean} normalize
+ *   @property {Boolean} regex
+ *   @property {Boolean} wholeWord
+ */
+
+Changes.replaceAll = (change, pattern, replacement, options = {}) => {
+  const { value } = change
+  const { document } = value
+  const ranges = document.findAll(pattern, options)
+  if (ranges.size == 0) return
+
+  const isRegExp = pattern instanceof RegExp || !!options.regex
+  const regexp = createSearchRegExp(pattern, options)
+  const single = new RegExp(regexp.source, regexp.flags.replace('g', ''))
+
+  // Replace from the last match, so that the earlier ranges stay valid.
+  ranges.reverse().forEach(range => {
+    const text = document.getFragmentAtRange(range).text
+    let string
+
+    if (typeof replacement == 'function') {
+      string = replacement(text)
+    } else if (isRegExp) {
+      string = text.replace(single, replacement)
+    } else {
+      string = replacement
+    }
+
+    change.replaceAtRange(range, string, { normalize: false })
+  })
+
+  if (change.getFlag('normalize', options)) {
+    change.normalizeDirtyPaths()
+  }
+}
+
+/**
+ * Select the next match of a search `pattern` after the start of the current
+ * selection, going back to the first match of the document after the last.
+ *
+ * @param {Change} change
+ * @param {String|RegExp} pattern
+ * @param {Object} options
+ *   @property {Boolean} caseSensitive
+ *   @property {Boolean} regex
+ *   @property {Boolean} wholeWord
+ */
+
+Changes.selectNextMatch = (change, pattern, options = {}) => {
+  const { value } = change
+  const { document, selection } = value
+  const ranges = document.findAll(pattern, options)
+  if (ranges.size == 0) return
+
+  const offset = getStartOffset(document, selection)
+  const isCollapsed = selection.isCollapsed
+  const next =
+    ranges.find(range => {
+      const start = getStartOffset(document, range)
+      return isCollapsed ? start >= offset : start > offset
+    }) || ranges.first()
+
+  selectMatch(change, next)
+}
+
+/**
+ * Select the previous match of a search `pattern` before the start of the
+ * current selection, going back to the last match of the document before the
+ * first.
+ *
+ * @param {Change} change
+ * @param {String|RegExp} pattern
+ * @param {Object} options
+ *   @property {Boolean} caseSensitive
+ *   @property {Boolean} regex
+ *   @property {Boolean} wholeWord
+ */
+
+Changes.selectPreviousMatch = (change, pattern, options = {}) => {
+  const { value } = change
+  const { document, selection } = value
+  const ranges = document.findAll(pattern, options)
+  if (ranges.size == 0) return
+
+  const offset = getStartOffset(document, selection)
+  const previous =
+    ranges.findLast(range => getStartOffset(document, range) < offset) ||
+    ranges.last()
+
+  selectMatch(change, previous)
+}
+
+/**
+ * Get the offset of the start of a `range` in the text of a `document`.
+ *
+ * @param {Document} document
+ * @param {Range} range
+ * @return {Number}
+ */
+
+function getStartOffset(document, range) {
+  if (range.isUnset) return 0
+  return document.getOffset(range.startKey) + range.startOffset
+}
+
+/**
+ * Select the match at a `range`, forwards.
+ *
+ * @param {Change} change
+ * @param {Range} range
+ */
+
+function selectMatch(change, range) {
+  change.select({
+    anchorKey: range.startKey,
+    anchorOffset: range.startOffset,
+    focusKey: range.endKey,
+    focusOffset: range.endOffset,
+    isBackward: false,
+  })
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export default Changes
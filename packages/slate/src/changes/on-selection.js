@@ -2,6 +2,18 @@ import isEmpty from 'is-empty'
 import pick from 'lodash/pick'
 
 import Range from '../models/range'
+import String from '../utils/string'
+
+/**
+ * The key properties that correspond to path properties.
+ *
+ * @type {Object}
+ */
+
+const PATH_KEYS = {
+  anchorPath: 'anchorKey',
+  focusPath: 'focusKey',
+}
 
 /**
  * Changes.
@@ -21,13 +33,25 @@ const Changes = {}
 Changes.select = (change, properties, options = {}) => {
   properties = Range.createProperties(properties)
 
+  // If a point is given by its path alone, resolve it instead of the old key.
+  if ('anchorPath' in properties && !('anchorKey' in properties)) {
+    properties.anchorKey = null
+  }
+
+  if ('focusPath' in properties && !('focusKey' in properties)) {
+    properties.focusKey = null
+  }
+
   const { snapshot = false } = options
   const { value } = change
   const { document, selection } = value
   const props = {}
   const sel = selection.toJSON()
   const next = selection.merge(properties).normalize(document)
-  properties = pick(next, Object.keys(properties))
+
+  // Paths are resolved to keys, since the selection is stored by key.
+  const keys = Object.keys(properties).map(k => PATH_KEYS[k] || k)
+  properties = pick(next, keys)
 
   // Remove any properties that are already equal to the current selection. And
   // create a dictionary of the previous values for all of the properties that
@@ -105,7 +129,9 @@ Changes.moveAnchorCharBackward = change => {
     previousText && document.hasVoidParent(previousText.key)
 
   if (!isInVoid && anchorOffset > 0) {
-    change.moveAnchor(-1)
+    change.moveAnchor(
+      -String.getCharOffsetBackward(anchorText.text, anchorOffset)
+    )
     return
   }
 
@@ -116,7 +142,8 @@ Changes.moveAnchorCharBackward = change => {
   change.moveAnchorToEndOf(previousText)
 
   if (!isInVoid && !isPreviousInVoid && anchorBlock.hasNode(previousText.key)) {
-    change.moveAnchor(-1)
+    const { text } = previousText
+    change.moveAnchor(-String.getCharOffsetBackward(text, text.length))
   }
 }
 
@@ -135,7 +162,9 @@ Changes.moveAnchorCharForward = change => {
   const isNextInVoid = nextText && document.hasVoidParent(nextText.key)
 
   if (!isInVoid && anchorOffset < anchorText.text.length) {
-    change.moveAnchor(1)
+    change.moveAnchor(
+      String.getCharOffsetForward(anchorText.text, anchorOffset)
+    )
     return
   }
 
@@ -146,7 +175,7 @@ Changes.moveAnchorCharForward = change => {
   change.moveAnchorToStartOf(nextText)
 
   if (!isInVoid && !isNextInVoid && anchorBlock.hasNode(nextText.key)) {
-    change.moveAnchor(1)
+    change.moveAnchor(String.getCharOffsetForward(nextText.text, 0))
   }
 }
 
@@ -166,7 +195,7 @@ Changes.moveFocusCharBackward = change => {
     previousText && document.hasVoidParent(previousText.key)
 
   if (!isInVoid && focusOffset > 0) {
-    change.moveFocus(-1)
+    change.moveFocus(-String.getCharOffsetBackward(focusText.text, focusOffset))
     return
   }
 
@@ -177,7 +206,8 @@ Changes.moveFocusCharBackward = change => {
   change.moveFocusToEndOf(previousText)
 
   if (!isInVoid && !isPreviousInVoid && focusBlock.hasNode(previousText.key)) {
-    change.moveFocus(-1)
+    const { text } = previousText
+    change.moveFocus(-String.getCharOffsetBackward(text, text.length))
   }
 }
 
@@ -196,7 +226,7 @@ Changes.moveFocusCharForward = change => {
   const isNextInVoid = nextText && document.hasVoidParent(nextText.key)
 
   if (!isInVoid && focusOffset < focusText.text.length) {
-    change.moveFocus(1)
+    change.moveFocus(String.getCharOffsetForward(focusText.text, focusOffset))
     return
   }
 
@@ -207,7 +237,7 @@ Changes.moveFocusCharForward = change => {
   change.moveFocusToStartOf(nextText)
 
   if (!isInVoid && !isNextInVoid && focusBlock.hasNode(nextText.key)) {
-    change.moveFocus(1)
+    change.moveFocus(String.getCharOffsetForward(nextText.text, 0))
   }
 }
 
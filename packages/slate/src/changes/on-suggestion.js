@@ -0,0 +1,207 @@
+import Range from '../models/range'
+import SUGGESTION_TYPES from '../constants/suggestion-types'
+import {
+  findSuggestionMark,
+  getBlockSuggestion,
+  getBoundariesAtRange,
+  getSpansAtRange,
+  isSameSuggestion,
+  isSuggestionMark,
+  setBlockSuggestion,
+} from '../utils/suggestion'
+
+/**
+ * Changes.
+ *
+ * @type {Object}
+ */
+
+const Changes = {}
+
+/**
+ * Accept all of the suggestions in a `range`. The suggested insertions are
+ * kept, and the suggested deletions are removed.
+ *
+ * @param {Change} change
+ * @param {Range} range
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.acceptSuggestionsAtRange = (change, range, options = {}) => {
+  resolveSuggestionsAtRange(change, range, true, options)
+}
+
+/**
+ * Reject all of the suggestions in a `range`. The suggested insertions are
+ * removed, and the suggested deletions are kept.
+ *
+ * @param {Change} change
+ * @param {Range} range
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.rejectSuggestionsAtRange = (change, range, options = {}) => {
+  resolveSuggestionsAtRange(change, range, false, options)
+}
+
+/**
+ * Accept the suggestion at the start of the current selection.
+ *
+ * @param {Change} change
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.acceptSuggestion = (change, options = {}) => {
+  resolveSuggestion(change, true, options)
+}
+
+/**
+ * Reject the suggestion at the start of the current selection.
+ *
+ * @param {Change} change
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.rejectSuggestion = (change, options = {}) => {
+  resolveSuggestion(change, false, options)
+}
+
+/**
+ * Accept or reject the suggestion at the start of the current selection,
+ * which is either the text around it with the same suggestion mark, or else
+ * the split or merge of its block.
+ *
+ * @param {Change} change
+ * @param {Boolean} isAccept
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+function resolveSuggestion(change, isAccept, options) {
+  const normalize = change.getFlag('normalize', options)
+  const { document, selection } = change.value
+  if (selection.isUnset) return
+
+  const { startKey, startOffset } = selection
+  const block = document.getClosestBlock(startKey)
+  const spans = getSpansAtRange(document, Range.create().moveToRangeOf(block))
+
+  // Prefer the suggested text after the start, and then the one before it.
+  const isSuggested = span => span.marks.some(isSuggestionMark)
+  const isAfter = span =>
+    span.key == startKey &&
+    span.offset <= startOffset &&
+    startOffset < span.offset + span.length
+
+  const isBefore = span =>
+    span.key == startKey && span.offset + span.length == startOffset
+
+  let index = spans.findIndex(span => isAfter(span) && isSuggested(span))
+
+  if (index == -1) {
+    index = spans.findIndex(span => isBefore(span) && isSuggested(span))
+  }
+
+  if (index == -1) {
+    resolveBlockSuggestion(change, block, isAccept, { normalize })
+    return
+  }
+
+  // The suggestion goes on for as long as the spans around have a mark of
+  // the same suggestion, even if they were typed at different times.
+  const mark = spans[index].marks.find(isSuggestionMark)
+  const isSame = span => span.marks.some(m => isSameSuggestion(m, mark))
+  let first = index
+  let last = index
+
+  while (first > 0 && isSame(spans[first - 1])) first--
+  while (last < spans.length - 1 && isSame(spans[last + 1])) last++
+
+  const range = Range.create({
+    anchorKey: spans[first].key,
+    anchorOffset: spans[first].offset,
+    focusKey: spans[last].key,
+    focusOffset: spans[last].offset + spans[last].length,
+  })
+
+  resolveSuggestionsAtRange(change, range, isAccept, { normalize })
+}
+
+/**
+ * Accept or reject all of the suggestions in a `range`.
+ *
+ * @param {Change} change
+ * @param {Range} range
+ * @param {Boolean} isAccept
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+function resolveSuggestionsAtRange(change, range, isAccept, options) {
+  if (range.isCollapsed) return
+
+  const normalize = change.getFlag('normalize', options)
+  const { document } = change.value
+  const { INSERTION, DELETION } = SUGGESTION_TYPES
+  const spans = getSpansAtRange(document, range)
+  const boundaries = getBoundariesAtRange(document, range)
+
+  // Go backwards, so that removing text doesn't move the spans left to do.
+  spans.reverse().forEach(({ key, offset, length, marks }) => {
+    const kept = findSuggestionMark(marks, isAccept ? INSERTION : DELETION)
+    const removed = findSuggestionMark(marks, isAccept ? DELETION : INSERTION)
+
+    if (removed) {
+      change.removeTextByKey(key, offset, length, { normalize: false })
+    } else if (kept) {
+      change.removeMarkByKey(key, offset, length, kept, { normalize: false })
+    }
+  })
+
+  boundaries.reverse().forEach(block => {
+    resolveBlockSuggestion(change, block, isAccept, { normalize: false })
+  })
+
+  if (normalize) {
+    change.normalizeDirtyPaths()
+  }
+}
+
+/**
+ * Accept or reject the suggestion of a `block`, which is a split from the
+ * block before it, or a merge into it.
+ *
+ * @param {Change} change
+ * @param {Block} block
+ * @param {Boolean} isAccept
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+function resolveBlockSuggestion(change, block, isAccept, options) {
+  const { document } = change.value
+  const node = document.getDescendant(block.key)
+  const suggestion = node && getBlockSuggestion(node)
+  if (!suggestion) return
+
+  const isMerge = (suggestion.type == SUGGESTION_TYPES.DELETION) == isAccept
+  const prev = document.getPreviousSibling(node.key)
+
+  if (isMerge && prev) {
+    change.mergeNodeByKey(node.key, options)
+  } else {
+    setBlockSuggestion(change, node, null, options)
+  }
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export default Changes
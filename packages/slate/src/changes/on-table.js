@@ -0,0 +1,505 @@
+import Block from '../models/block'
+import TABLE_TYPES from '../constants/table-types'
+import {
+  createCell,
+  createRow,
+  findCell,
+  getGrid,
+  getInsertIndex,
+  getSpan,
+  getTableContext,
+  getTableTypes,
+  getWidth,
+  isEmptyCell,
+  setSpan,
+} from '../utils/table'
+
+/**
+ * Changes.
+ *
+ * @type {Object}
+ */
+
+const Changes = {}
+
+/**
+ * Insert a new table with `rows` and `columns` of empty cells at the current
+ * selection, and move the selection into its first cell.
+ *
+ * @param {Change} change
+ * @param {Number} rows
+ * @param {Number} columns
+ */
+
+Changes.insertTable = (change, rows = 2, columns = 2) => {
+  if (rows < 1 || columns < 1) {
+    throw new Error(
+      `A table needs at least one row and one column, but ${rows} rows and ${columns} columns were given.`
+    )
+  }
+
+  const types = getTypes(change)
+  const nodes = []
+  for (let i = 0; i < rows; i++) nodes.push(createRow(columns, types))
+  const table = Block.create({ type: types.TABLE, nodes })
+
+  change.insertBlock(table)
+
+  const node = change.value.document.getNode(table.key)
+  if (node) change.collapseToStartOf(node)
+}
+
+/**
+ * Insert a new row before the row of the cell at the current selection.
+ *
+ * @param {Change} change
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.insertRowBefore = (change, options = {}) => {
+  insertRow(change, false, options)
+}
+
+/**
+ * Insert a new row after the row of the cell at the current selection, or
+ * after its last row if it spans several.
+ *
+ * @param {Change} change
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.insertRowAfter = (change, options = {}) => {
+  insertRow(change, true, options)
+}
+
+/**
+ * Insert a new column before the column of the cell at the current selection.
+ *
+ * @param {Change} change
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.insertColumnBefore = (change, options = {}) => {
+  insertColumn(change, false, options)
+}
+
+/**
+ * Insert a new column after the column of the cell at the current selection,
+ * or after its last column if it spans several.
+ *
+ * @param {Change} change
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.insertColumnAfter = (change, options = {}) => {
+  insertColumn(change, true, options)
+}
+
+/**
+ * Remove the row of the cell at the current selection, or the whole table if
+ * it's the only row. The cells that span into the row are shortened.
+ *
+ * @param {Change} change
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.removeRow = (change, options = {}) => {
+  const types = getTypes(change)
+  const { document, startKey } = change.value
+  const context = getTableContext(document, startKey, types)
+  if (!context) return
+
+  const { table, grid, rowIndex, columnIndex } = context
+
+  if (grid.length == 1) {
+    change.removeNodeByKey(table.key, options)
+    return
+  }
+
+  const row = table.nodes.get(rowIndex)
+  const isLast = rowIndex == grid.length - 1
+  const seen = []
+  let moved = 0
+
+  grid[rowIndex].forEach((entry, c) => {
+    if (!entry || seen.includes(entry.cell.key)) return
+    seen.push(entry.cell.key)
+
+    const { cell } = entry
+    const rowspan = getSpan(cell, 'rowspan')
+
+    if (entry.row < rowIndex) {
+      setSpan(change, cell, 'rowspan', rowspan - 1)
+      return
+    }
+
+    // The cells that start in the row but span below it are moved down, so
+    // that their content is kept.
+    if (rowspan > 1) {
+      const next = table.nodes.get(rowIndex + 1)
+      const index = getInsertIndex(grid, rowIndex + 1, c) + moved
+      change.moveNodeByKey(cell.key, next.key, index, { normalize: false })
+      setSpan(change, cell, 'rowspan', rowspan - 1)
+      moved++
+    }
+  })
+
+  change.removeNodeByKey(row.key, { normalize: false })
+  if (change.getFlag('normalize', options)) {
+    change.normalizeDirtyPaths()
+  }
+
+  const newTable = change.value.document.getNode(table.key)
+  if (!newTable) return
+
+  const newGrid = getGrid(newTable, types)
+  const newRow = newGrid[isLast ? rowIndex - 1 : rowIndex]
+  const entry = newRow[Math.min(columnIndex, newRow.length - 1)]
+  change.collapseToStartOf(entry.cell)
+}
+
+/**
+ * Remove the column of the cell at the current selection, or the whole table
+ * if it's the only column. The cells that span over the column are narrowed.
+ *
+ * @param {Change} change
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.removeColumn = (change, options = {}) => {
+  const types = getTypes(change)
+  const { document, startKey } = change.value
+  const context = getTableContext(document, startKey, types)
+  if (!context) return
+
+  const { table, grid, rowIndex, columnIndex } = context
+  const width = getWidth(grid)
+
+  if (width == 1) {
+    change.removeNodeByKey(table.key, options)
+    return
+  }
+
+  const isLast = columnIndex == width - 1
+  const seen = []
+
+  grid.forEach(row => {
+    const entry = row[columnIndex]
+    if (!entry || seen.includes(entry.cell.key)) return
+    seen.push(entry.cell.key)
+
+    const { cell } = entry
+    const colspan = getSpan(cell, 'colspan')
+
+    if (colspan > 1) {
+      setSpan(change, cell, 'colspan', colspan - 1)
+    } else {
+      change.removeNodeByKey(cell.key, { normalize: false })
+    }
+  })
+
+  if (change.getFlag('normalize', options)) {
+    change.normalizeDirtyPaths()
+  }
+
+  const newTable = change.value.document.getNode(table.key)
+  if (!newTable) return
+
+  const newGrid = getGrid(newTable, types)
+  const newRow = newGrid[Math.min(rowIndex, newGrid.length - 1)]
+  const entry = newRow[isLast ? columnIndex - 1 : columnIndex]
+  change.collapseToStartOf(entry.cell)
+}
+
+/**
+ * Merge the cells in the rectangle between the start and end of the current
+ * selection into its top-left cell, moving the content of the others into it.
+ * The rectangle grows to cover the cells that span across its edges.
+ *
+ * @param {Change} change
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.mergeCells = (change, options = {}) => {
+  const types = getTypes(change)
+  const { document, startKey, endKey } = change.value
+  const start = getTableContext(document, startKey, types)
+  const end = getTableContext(document, endKey, types)
+  if (!start || !end) return
+  if (start.table.key != end.table.key) return
+  if (start.cell.key == end.cell.key) return
+
+  const { grid } = start
+  const entries = [findCell(grid, start.cell.key), findCell(grid, end.cell.key)]
+  let top = Math.min(...entries.map(e => e.row))
+  let left = Math.min(...entries.map(e => e.column))
+  let bottom = Math.max(...entries.map(e => e.row + getSpan(e.cell, 'rowspan')))
+  let right = Math.max(
+    ...entries.map(e => e.column + getSpan(e.cell, 'colspan'))
+  )
+
+  // Grow the rectangle until none of the cells inside it sticks out of it.
+  let isGrowing = true
+
+  while (isGrowing) {
+    isGrowing = false
+
+    for (let r = top; r < bottom; r++) {
+      for (let c = left; c < right; c++) {
+        const entry = grid[r][c]
+        if (!entry) continue
+        const b = entry.row + getSpan(entry.cell, 'rowspan')
+        const e = entry.column + getSpan(entry.cell, 'colspan')
+
+        if (entry.row < top || entry.column < left || b > bottom || e > right) {
+          top = Math.min(top, entry.row)
+          left = Math.min(left, entry.column)
+          bottom = Math.max(bottom, b)
+          right = Math.max(right, e)
+          isGrowing = true
+        }
+      }
+    }
+  }
+
+  const target = grid[top][left].cell
+  const others = []
+
+  for (let r = top; r < bottom; r++) {
+    for (let c = left; c < right; c++) {
+      const entry = grid[r][c]
+      if (!entry || entry.cell == target || others.includes(entry.cell))
+        continue
+      others.push(entry.cell)
+    }
+  }
+
+  const contents = others.filter(cell => !isEmptyCell(cell))
+  const isTargetEmpty = isEmptyCell(target) && contents.length > 0
+  let index = target.nodes.size
+
+  contents.forEach(cell => {
+    cell.nodes.forEach(child => {
+      change.moveNodeByKey(child.key, target.key, index++, { normalize: false })
+    })
+  })
+
+  if (isTargetEmpty) {
+    target.nodes.forEach(child => {
+      change.removeNodeByKey(child.key, { normalize: false })
+    })
+  }
+
+  others.forEach(cell => {
+    change.removeNodeByKey(cell.key, { normalize: false })
+  })
+
+  setSpan(change, target, 'colspan', right - left)
+  setSpan(change, target, 'rowspan', bottom - top)
+  if (change.getFlag('normalize', options)) {
+    change.normalizeDirtyPaths()
+  }
+
+  const node = change.value.document.getNode(target.key)
+  change.collapseToStartOf(node)
+}
+
+/**
+ * Split the cell at the current selection, which spans several rows or
+ * columns, into cells that span one each. The content stays in the top-left
+ * cell, and the others are empty.
+ *
+ * @param {Change} change
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.splitCell = (change, options = {}) => {
+  const types = getTypes(change)
+  const { document, startKey } = change.value
+  const context = getTableContext(document, startKey, types)
+  if (!context) return
+
+  const { cell, table, grid, rowIndex, columnIndex } = context
+  const colspan = getSpan(cell, 'colspan')
+  const rowspan = Math.min(getSpan(cell, 'rowspan'), grid.length - rowIndex)
+  if (colspan == 1 && rowspan == 1) return
+
+  for (let r = rowIndex; r < rowIndex + rowspan; r++) {
+    const row = table.nodes.get(r)
+    const index = getInsertIndex(grid, r, columnIndex) + (r == rowIndex ? 1 : 0)
+    const count = r == rowIndex ? colspan - 1 : colspan
+
+    for (let i = 0; i < count; i++) {
+      change.insertNodeByKey(row.key, index + i, createCell(types), {
+        normalize: false,
+      })
+    }
+  }
+
+  setSpan(change, cell, 'colspan', 1)
+  setSpan(change, cell, 'rowspan', 1)
+  if (change.getFlag('normalize', options)) {
+    change.normalizeDirtyPaths()
+  }
+}
+
+/**
+ * Move the selection to the start of the next cell of the table. In the last
+ * cell, a new row is inserted after the last row first.
+ *
+ * @param {Change} change
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+Changes.moveToNextCell = (change, options = {}) => {
+  const types = getTypes(change)
+  const { document, startKey } = change.value
+  const context = getTableContext(document, startKey, types)
+  if (!context) return
+
+  const { cell, table } = context
+  const cells = table.nodes.flatMap(row => row.nodes)
+  const next = cells.get(cells.findIndex(c => c.key == cell.key) + 1)
+
+  if (next) {
+    change.collapseToStartOf(next)
+    return
+  }
+
+  const row = createRow(getWidth(context.grid), types)
+  change.insertNodeByKey(table.key, table.nodes.size, row, options)
+  change.collapseToStartOf(row.nodes.first())
+}
+
+/**
+ * Move the selection to the start of the previous cell of the table.
+ *
+ * @param {Change} change
+ */
+
+Changes.moveToPreviousCell = change => {
+  const types = getTypes(change)
+  const { document, startKey } = change.value
+  const context = getTableContext(document, startKey, types)
+  if (!context) return
+
+  const { cell, table } = context
+  const cells = table.nodes.flatMap(row => row.nodes)
+  const index = cells.findIndex(c => c.key == cell.key)
+  if (index == 0) return
+
+  change.collapseToStartOf(cells.get(index - 1))
+}
+
+/**
+ * Insert a new row before or `after` the cell at the current selection. The
+ * cells that span across the new row are lengthened instead.
+ *
+ * @param {Change} change
+ * @param {Boolean} after
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+function insertRow(change, after, options) {
+  const types = getTypes(change)
+  const { document, startKey } = change.value
+  const context = getTableContext(document, startKey, types)
+  if (!context) return
+
+  const { cell, table, grid, rowIndex } = context
+  const index = after ? rowIndex + getSpan(cell, 'rowspan') : rowIndex
+  const width = getWidth(grid)
+  const row = grid[index] || []
+  const seen = []
+  const cells = []
+
+  for (let c = 0; c < width; c++) {
+    const entry = row[c]
+
+    if (entry && entry.row < index) {
+      if (seen.includes(entry.cell.key)) continue
+      seen.push(entry.cell.key)
+      const rowspan = getSpan(entry.cell, 'rowspan')
+      setSpan(change, entry.cell, 'rowspan', rowspan + 1)
+    } else {
+      cells.push(createCell(types))
+    }
+  }
+
+  const block = Block.create({ type: types.ROW, nodes: cells })
+  change.insertNodeByKey(table.key, index, block, { normalize: false })
+  if (change.getFlag('normalize', options)) {
+    change.normalizeDirtyPaths()
+  }
+}
+
+/**
+ * Insert a new column before or `after` the cell at the current selection.
+ * The cells that span across the new column are widened instead.
+ *
+ * @param {Change} change
+ * @param {Boolean} after
+ * @param {Object} options
+ *   @property {Boolean} normalize
+ */
+
+function insertColumn(change, after, options) {
+  const types = getTypes(change)
+  const { document, startKey } = change.value
+  const context = getTableContext(document, startKey, types)
+  if (!context) return
+
+  const { cell, table, grid, columnIndex } = context
+  const index = after ? columnIndex + getSpan(cell, 'colspan') : columnIndex
+  const seen = []
+
+  grid.forEach((row, r) => {
+    const entry = row[index]
+
+    if (entry && entry.column < index) {
+      if (seen.includes(entry.cell.key)) return
+      seen.push(entry.cell.key)
+      const colspan = getSpan(entry.cell, 'colspan')
+      setSpan(change, entry.cell, 'colspan', colspan + 1)
+      return
+    }
+
+    const { key } = table.nodes.get(r)
+    const i = getInsertIndex(grid, r, index)
+    change.insertNodeByKey(key, i, createCell(types), { normalize: false })
+  })
+
+  if (change.getFlag('normalize', options)) {
+    change.normalizeDirtyPaths()
+  }
+}
+
+/**
+ * Get the table block types of the schema of a `change`, or the default ones
+ * if it doesn't have the table plugin.
+ *
+ * @param {Change} change
+ * @return {Object}
+ */
+
+function getTypes(change) {
+  return getTableTypes(change.value.schema) || TABLE_TYPES
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export default Changes
@@ -1,3 +1,4 @@
+import Range from '../models/range'
 import Value from '../models/value'
 
 /**
@@ -30,6 +31,63 @@ Changes.setValue = (change, properties, options = {}) => {
   )
 }
 
+/**
+ * Set the decorations of the value to a list of `decorations`. The decorations
+ * are moved by the operations that are applied after it, like the selection,
+ * so they stay on the same content until they are set again.
+ *
+ * Unless `options.save` is true they aren't saved to the history, so that
+ * undoing undoes the content and not the decorations.
+ *
+ * @param {Change} change
+ * @param {Array|List<Range>} decorations
+ * @param {Object} options
+ */
+
+Changes.setDecorations = (change, decorations, options = {}) => {
+  const { document } = change.value
+  const list = Range.createList(decorations || []).map(d =>
+    d.normalize(document)
+  )
+
+  change.setValue({ decorations: list }, { save: false, ...options })
+}
+
+/**
+ * Add a `decoration` to the decorations of the value.
+ *
+ * @param {Change} change
+ * @param {Range|Object} decoration
+ * @param {Object} options
+ */
+
+Changes.addDecoration = (change, decoration, options = {}) => {
+  const { decorations } = change.value
+  const list = decorations || Range.createList()
+  change.setDecorations(list.push(Range.create(decoration)), options)
+}
+
+/**
+ * Remove a `decoration` from the decorations of the value. Since decorations
+ * are moved by operations, it should be taken from the current decorations of
+ * the value rather than the one that was added.
+ *
+ * @param {Change} change
+ * @param {Range} decoration
+ * @param {Object} options
+ */
+
+Changes.removeDecoration = (change, decoration, options = {}) => {
+  const { decorations } = change.value
+  if (!decorations) return
+
+  const range = Range.create(decoration)
+  const list = decorations.filterNot(d => d.equals(range))
+  if (list.size == decorations.size) return
+
+  change.setDecorations(list, options)
+}
+
 /**
  * Export.
  *
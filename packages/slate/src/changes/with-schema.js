@@ -1,3 +1,7 @@
+import PathUtils from '../utils/path-utils'
+import { getAncestorPaths, getNodePaths } from '../utils/get-dirty-paths'
+import { transformPath } from '../operations/transform'
+
 /**
  * Changes.
  *
@@ -29,110 +33,148 @@ Changes.normalizeDocument = change => {
 }
 
 /**
- * Normalize a `node` and its children with the value's schema.
+ * Normalize a `node` and its descendants with the value's schema, along with
+ * its ancestors and the other dirty nodes of the change.
  *
  * @param {Change} change
  * @param {Node|String} key
  */
 
 Changes.normalizeNodeByKey = (change, key) => {
-  const { value } = change
-  let { document, schema } = value
+  const { document } = change.value
   const node = document.assertNode(key)
+  const path = node == document ? [] : document.getPath(key)
 
-  normalizeNodeAndChildren(change, node, schema)
+  change.dirtyPaths = change.dirtyPaths.concat(
+    getAncestorPaths(path),
+    getNodePaths(node, path)
+  )
 
-  document = change.value.document
-  const ancestors = document.getAncestors(key)
-  if (!ancestors) return
-
-  ancestors.forEach(ancestor => {
-    if (change.value.document.getDescendant(ancestor.key)) {
-      normalizeNode(change, ancestor, schema)
-    }
-  })
+  change.normalizeDirtyPaths()
 }
 
 /**
- * Normalize a `node` and its children with a `schema`.
+ * Normalize the nodes that the operations of the change may have made
+ * invalid, each one after its descendants. A node is validated again after
+ * it is normalized, and the ones its normalizing made dirty are too, until
+ * they are all valid.
  *
  * @param {Change} change
- * @param {Node} node
- * @param {Schema} schema
  */
 
-function normalizeNodeAndChildren(change, node, schema) {
-  if (node.object == 'text') {
-    normalizeNode(change, node, schema)
-    return
-  }
-
-  let child = node.getFirstInvalidDescendant(schema)
-  let path = change.value.document.getPath(node.key)
-
-  while (node && child) {
-    normalizeNodeAndChildren(change, child, schema)
-    node = change.value.document.refindNode(path, node.key)
+Changes.normalizeDirtyPaths = change => {
+  // The changes made while normalizing can normalize themselves, which is
+  // left to the loop that is already running.
+  if (change.isNormalizing) return
 
-    if (!node) {
-      path = []
-      child = null
-    } else {
-      path = change.value.document.refindPath(path, node.key)
-      child = node.getFirstInvalidDescendant(schema)
-    }
-  }
+  change.isNormalizing = true
 
-  // Normalize the node itself if it still exists.
-  if (node) {
-    normalizeNode(change, node, schema)
+  try {
+    normalizeDirtyPaths(change)
+  } finally {
+    change.isNormalizing = false
   }
 }
 
 /**
- * Normalize a `node` with a `schema`, but not its children.
+ * Normalize the dirty nodes of a `change` until they are all valid.
  *
  * @param {Change} change
- * @param {Node} node
- * @param {Schema} schema
  */
 
-function normalizeNode(change, node, schema) {
-  const max = schema.stack.plugins.length + 1
-  let iterations = 0
-
-  function iterate(c, n) {
-    const normalize = n.validate(schema)
-    if (!normalize) return
-
-    // Run the `normalize` function to fix the node.
-    let path = c.value.document.getPath(n.key)
-    normalize(c)
+function normalizeDirtyPaths(change) {
+  const counts = {}
+  let total = 0
+  let limit = 0
+  let paths = null
+
+  while (change.dirtyPaths.length) {
+    // Sort the paths again when operations have changed them, with the first
+    // one to normalize last.
+    if (change.dirtyPaths != paths) {
+      paths = change.dirtyPaths.sort((a, b) => comparePaths(b, a))
+    }
 
-    // Re-find the node reference, in case it was updated. If the node no longer
-    // exists, we're done for this branch.
-    n = c.value.document.refindNode(path, n.key)
-    if (!n) return
+    const path = paths.pop()
 
-    path = c.value.document.refindPath(path, n.key)
+    while (paths.length && PathUtils.isEqual(paths[paths.length - 1], path)) {
+      paths.pop()
+    }
 
-    // Increment the iterations counter, and check to make sure that we haven't
-    // exceeded the max. Without this check, it's easy for the `validate` or
-    // `normalize` function of a schema rule to be written incorrectly and for
-    // an infinite invalid loop to occur.
-    iterations++
+    const { document, schema } = change.value
+    const node = document.getNodeAtPath(path)
+    if (!node) continue
+
+    const normalize = node.validate(schema)
+    if (!normalize) continue
+
+    // Count the times each node is normalized, and check to make sure that we
+    // haven't exceeded the max. Without this check, it's easy for the
+    // `validate` or `normalize` function of a schema rule to be written
+    // incorrectly and for an infinite invalid loop to occur.
+    const max = schema.stack.plugins.length + 1
+    counts[node.key] = (counts[node.key] || 0) + 1
+    total++
+
+    // A rule that replaces the node it normalizes gives it a new key each
+    // time, so the normalizations of the whole run are bounded too, by the max
+    // for each node of the document.
+    if (total > limit) {
+      limit = max * (document.getKeysAsArray().length + 1)
+    }
 
-    if (iterations > max) {
+    if (counts[node.key] > max || total > limit) {
+      const rule = getRuleDescription(normalize, node)
+      const at = path.join(', ')
       throw new Error(
-        'A schema rule could not be validated after sufficient iterations. This is usually due to a `rule.validate` or `rule.normalize` function of a schema being incorrectly written, causing an infinite loop.'
+        `A schema rule could not be validated after ${max} iterations: ${rule} at path [${at}] is still invalid. This is usually due to a \`rule.validate\` or \`rule.normalize\` function of a schema being incorrectly written, causing an infinite loop.`
       )
     }
 
-    // Otherwise, iterate again.
-    iterate(c, n)
+    // Run the `normalize` function to fix the node, and then validate it
+    // again if it still exists.
+    const { size } = change.operations
+    normalize(change)
+
+    const next = change.operations
+      .skip(size)
+      .reduce((p, op) => p && transformPath(p, op), path)
+
+    if (next) change.dirtyPaths.push(next)
   }
+}
+
+/**
+ * Compare two paths `a` and `b` in the order that their nodes are normalized,
+ * which is the order of the document but with the descendants of a node
+ * before it.
+ *
+ * @param {Array} a
+ * @param {Array} b
+ * @return {Number}
+ */
+
+function comparePaths(a, b) {
+  const result = PathUtils.compare(a, b)
+  return result == null ? b.length - a.length : result
+}
+
+/**
+ * Describe the schema rule that a `normalize` function for a `node` comes
+ * from, for error messages.
+ *
+ * @param {Function} normalize
+ * @param {Node} node
+ * @return {String}
+ */
+
+function getRuleDescription(normalize, node) {
+  const { object, type } = node
+  const target = type ? `the "${type}" ${object}` : `the ${object}`
 
-  iterate(change, node)
+  return normalize.violation
+    ? `the "${normalize.violation}" rule for ${target}`
+    : `a \`validateNode\` function for ${target}`
 }
 
 /**
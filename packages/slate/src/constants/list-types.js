@@ -0,0 +1,23 @@
+/**
+ * The block types that make up a list, which is a block of one of the `LISTS`
+ * types, with `ITEM` blocks whose content is in blocks of the `CONTENT` type
+ * by default.
+ *
+ * @type {Object}
+ */
+
+const LIST_TYPES = {
+  BULLETED: 'bulleted-list',
+  NUMBERED: 'numbered-list',
+  LISTS: ['bulleted-list', 'numbered-list'],
+  ITEM: 'list-item',
+  CONTENT: 'paragraph',
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export default LIST_TYPES
@@ -5,6 +5,7 @@
  */
 
 const MODEL_TYPES = {
+  ANNOTATION: '@@__SLATE_ANNOTATION__@@',
   BLOCK: '@@__SLATE_BLOCK__@@',
   CHANGE: '@@__SLATE_CHANGE__@@',
   CHARACTER: '@@__SLATE_CHARACTER__@@',
@@ -14,7 +15,10 @@ const MODEL_TYPES = {
   LEAF: '@@__SLATE_LEAF__@@',
   MARK: '@@__SLATE_MARK__@@',
   OPERATION: '@@__SLATE_OPERATION__@@',
+  POINT: '@@__SLATE_POINT__@@',
+  POINT_REF: '@@__SLATE_POINT_REF__@@',
   RANGE: '@@__SLATE_RANGE__@@',
+  RANGE_REF: '@@__SLATE_RANGE_REF__@@',
   SCHEMA: '@@__SLATE_SCHEMA__@@',
   STACK: '@@__SLATE_STACK__@@',
   TEXT: '@@__SLATE_TEXT__@@',
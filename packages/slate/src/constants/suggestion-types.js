@@ -0,0 +1,20 @@
+/**
+ * The types of the suggestions made in suggestion mode. They are the types of
+ * the marks of the suggested text, and of the `suggestion` data of the blocks
+ * that were split or merged.
+ *
+ * @type {Object}
+ */
+
+const SUGGESTION_TYPES = {
+  INSERTION: 'insertion',
+  DELETION: 'deletion',
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export default SUGGESTION_TYPES
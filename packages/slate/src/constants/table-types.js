@@ -0,0 +1,22 @@
+/**
+ * The block types that make up a table, which is a `TABLE` block of `ROW`
+ * blocks of `CELL` blocks, whose content is in blocks of the `CONTENT` type
+ * by default.
+ *
+ * @type {Object}
+ */
+
+const TABLE_TYPES = {
+  TABLE: 'table',
+  ROW: 'table-row',
+  CELL: 'table-cell',
+  CONTENT: 'paragraph',
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export default TABLE_TYPES
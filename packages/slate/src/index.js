@@ -1,3 +1,4 @@
+import Annotation from './models/annotation'
 import Block from './models/block'
 import Change from './models/change'
 import Changes from './changes'
@@ -7,17 +8,27 @@ import Document from './models/document'
 import History from './models/history'
 import Inline from './models/inline'
 import Leaf from './models/leaf'
+import ListPlugin from './plugins/list'
 import Mark from './models/mark'
 import Node from './models/node'
 import Operation from './models/operation'
 import Operations from './operations'
+import Point from './models/point'
+import PointRef from './models/point-ref'
 import Range from './models/range'
+import RangeRef from './models/range-ref'
 import Schema from './models/schema'
 import Stack from './models/stack'
+import TablePlugin from './plugins/table'
 import Text from './models/text'
 import Value from './models/value'
-import { resetKeyGenerator, setKeyGenerator } from './utils/generate-key'
+import {
+  createKeyGenerator,
+  resetKeyGenerator,
+  setKeyGenerator,
+} from './utils/generate-key'
 import { resetMemoization, useMemoization } from './utils/memoize'
+import { setWordSegmenter } from './utils/string'
 
 /**
  * Export.
@@ -26,6 +37,7 @@ import { resetMemoization, useMemoization } from './utils/memoize'
  */
 
 export {
+  Annotation,
   Block,
   Change,
   Changes,
@@ -35,22 +47,30 @@ export {
   History,
   Inline,
   Leaf,
+  ListPlugin,
   Mark,
   Node,
   Operation,
   Operations,
+  Point,
+  PointRef,
   Range,
+  RangeRef,
   Schema,
   Stack,
+  TablePlugin,
   Text,
   Value,
+  createKeyGenerator,
   resetKeyGenerator,
   setKeyGenerator,
+  setWordSegmenter,
   resetMemoization,
   useMemoization,
 }
 
 export default {
+  Annotation,
   Block,
   Changes,
   Character,
@@ -59,17 +79,24 @@ export default {
   History,
   Inline,
   Leaf,
+  ListPlugin,
   Mark,
   Node,
   Operation,
   Operations,
+  Point,
+  PointRef,
   Range,
+  RangeRef,
   Schema,
   Stack,
+  TablePlugin,
   Text,
   Value,
+  createKeyGenerator,
   resetKeyGenerator,
   setKeyGenerator,
+  setWordSegmenter,
   resetMemoization,
   useMemoization,
 }
@@ -0,0 +1,227 @@
+import isPlainObject from 'is-plain-object'
+import { List, Map, OrderedMap, Record } from 'immutable'
+
+import MODEL_TYPES, { isType } from '../constants/model-types'
+import Data from './data'
+import Range from './range'
+import generateKey from '../utils/generate-key'
+
+/**
+ * Default properties.
+ *
+ * @type {Object}
+ */
+
+const DEFAULTS = {
+  data: new Map(),
+  id: undefined,
+  range: Range.create(),
+  type: undefined,
+}
+
+/**
+ * Annotation.
+ *
+ * An annotation is a span of the document that has an `id`, a `type` and
+ * `data`, like the anchor of a comment thread. Its `range` is moved by the
+ * operations applied to the value, so that it stays on the same content.
+ *
+ * @type {Annotation}
+ */
+
+class Annotation extends Record(DEFAULTS) {
+  /**
+   * Create a new `Annotation` with `attrs`.
+   *
+   * @param {Object|Annotation} attrs
+   * @return {Annotation}
+   */
+
+  static create(attrs = {}) {
+    if (Annotation.isAnnotation(attrs)) {
+      return attrs
+    }
+
+    if (isPlainObject(attrs)) {
+      return Annotation.fromJSON(attrs)
+    }
+
+    throw new Error(
+      `\`Annotation.create\` only accepts objects or annotations, but you passed it: ${attrs}`
+    )
+  }
+
+  /**
+   * Create a map of annotations by id, from `elements`.
+   *
+   * @param {Array|List|Map|Null} elements
+   * @return {OrderedMap<String,Annotation>}
+   */
+
+  static createMap(elements) {
+    if (elements == null) {
+      return OrderedMap()
+    }
+
+    if (Map.isMap(elements)) {
+      elements = elements.toList()
+    }
+
+    if (List.isList(elements) || Array.isArray(elements)) {
+      const map = OrderedMap(
+        elements.map(element => {
+          const annotation = Annotation.create(element)
+          return [annotation.id, annotation]
+        })
+      )
+
+      return map
+    }
+
+    throw new Error(
+      `\`Annotation.createMap\` only accepts arrays, lists, maps or null, but you passed it: ${elements}`
+    )
+  }
+
+  /**
+   * Create a dictionary of settable annotation properties from `attrs`.
+   *
+   * @param {Object|Annotation} attrs
+   * @return {Object}
+   */
+
+  static createProperties(attrs = {}) {
+    if (Annotation.isAnnotation(attrs)) {
+      return {
+        data: attrs.data,
+        range: attrs.range,
+        type: attrs.type,
+      }
+    }
+
+    if (isPlainObject(attrs)) {
+      const props = {}
+      if ('data' in attrs) props.data = Data.create(attrs.data)
+      if ('range' in attrs) props.range = Range.create(attrs.range)
+      if ('type' in attrs) props.type = attrs.type
+      return props
+    }
+
+    throw new Error(
+      `\`Annotation.createProperties\` only accepts objects or annotations, but you passed it: ${attrs}`
+    )
+  }
+
+  /**
+   * Create an `Annotation` from a JSON `object`.
+   *
+   * @param {Object} object
+   * @return {Annotation}
+   */
+
+  static fromJSON(object) {
+    const { data = {}, id = generateKey(), range = {}, type } = object
+
+    if (typeof type != 'string') {
+      throw new Error('`Annotation.fromJSON` requires a `type` string.')
+    }
+
+    const annotation = new Annotation({
+      data: new Map(data),
+      id,
+      range: Range.create(range),
+      type,
+    })
+
+    return annotation
+  }
+
+  /**
+   * Alias `fromJS`.
+   */
+
+  static fromJS = Annotation.fromJSON
+
+  /**
+   * Check if `any` is an `Annotation`.
+   *
+   * @param {Any} any
+   * @return {Boolean}
+   */
+
+  static isAnnotation = isType.bind(null, 'ANNOTATION')
+
+  /**
+   * Object.
+   */
+
+  get object() {
+    return 'annotation'
+  }
+
+  /**
+   * Return a JSON representation of the annotation. Unless `preserveKeys` is
+   * true, its range is given by paths in the `document` instead of keys.
+   *
+   * @param {Object} options
+   *   @property {Document} document
+   *   @property {Boolean} preserveKeys
+   * @return {Object}
+   */
+
+  toJSON(options = {}) {
+    const { document, preserveKeys } = options
+    const { range } = this
+    const object = {
+      object: this.object,
+      id: this.id,
+      type: this.type,
+      data: this.data.toJSON(),
+      range: {
+        anchorKey: range.anchorKey,
+        anchorOffset: range.anchorOffset,
+        focusKey: range.focusKey,
+        focusOffset: range.focusOffset,
+      },
+    }
+
+    // A range that was only given by paths, like in a remote operation, keeps
+    // them as they are.
+    if (!preserveKeys && (range.isSet ? document : range.anchorPath)) {
+      object.range = {
+        anchorPath: range.isSet
+          ? document.getPath(range.anchorKey)
+          : range.anchorPath,
+        anchorOffset: range.anchorOffset,
+        focusPath: range.isSet
+          ? document.getPath(range.focusKey)
+          : range.focusPath,
+        focusOffset: range.focusOffset,
+      }
+    }
+
+    return object
+  }
+
+  /**
+   * Alias `toJS`.
+   */
+
+  toJS(options) {
+    return this.toJSON(options)
+  }
+}
+
+/**
+ * Attach a pseudo-symbol for type checking.
+ */
+
+Annotation.prototype[MODEL_TYPES.ANNOTATION] = true
+
+/**
+ * Export.
+ *
+ * @type {Annotation}
+ */
+
+export default Annotation
@@ -8,6 +8,10 @@ import MODEL_TYPES, { isType } from '../constants/model-types'
 import Changes from '../changes'
 import Operation from './operation'
 import apply from '../operations/apply'
+import invert from '../operations/invert'
+import { transformOperations, transformPath } from '../operations/transform'
+import getDirtyPaths from '../utils/get-dirty-paths'
+import { withKeyGenerator } from '../utils/generate-key'
 
 /**
  * Debug.
@@ -44,10 +48,12 @@ class Change {
     const { value } = attrs
     this.value = value
     this.operations = new List()
+    this.dirtyPaths = []
+    this.isNormalizing = false
 
     this.flags = {
       normalize: true,
-      ...pick(attrs, ['merge', 'save', 'normalize']),
+      ...pick(attrs, ['merge', 'save', 'normalize', 'suggest']),
     }
   }
 
@@ -79,17 +85,21 @@ class Change {
    */
 
   applyOperation(operation, options = {}) {
-    const { operations, flags } = this
-    let { value } = this
-    let { history } = value
-
     // Add in the current `value` in case the operation was serialized.
     if (isPlainObject(operation)) {
-      operation = { ...operation, value }
+      operation = { ...operation, value: this.value }
     }
 
     operation = Operation.create(operation)
 
+    // Remove the annotations whose content is all removed by the operation
+    // first, so that undoing it brings them back with their content.
+    removeEmptiedAnnotations(this, operation, options)
+
+    const { operations, flags } = this
+    let { value } = this
+    let { history } = value
+
     // Default options to the change-level flags, this allows for setting
     // specific options for all of the operations of a given change.
     options = { ...flags, ...options }
@@ -97,13 +107,20 @@ class Change {
     // Derive the default option values.
     const {
       merge = operations.size == 0 ? null : true,
+      origin = null,
       save = true,
       skip = null,
     } = options
 
+    // Tag the operation with its origin, so that the history can tell the
+    // local operations from the remote ones.
+    if (origin != null) {
+      operation = operation.set('origin', origin)
+    }
+
     // Apply the operation to the value.
     debug('apply', { operation, save, merge })
-    value = apply(value, operation)
+    value = withValueKeys(this, () => applyWithRefs(value, operation))
 
     // If needed, save the operation to the history.
     if (history && save) {
@@ -111,9 +128,11 @@ class Change {
       value = value.set('history', history)
     }
 
-    // Update the mutable change object.
+    // Update the mutable change object, keeping track of the nodes that may
+    // need to be normalized.
     this.value = value
     this.operations = operations.push(operation)
+    this.dirtyPaths = updateDirtyPaths(this.dirtyPaths, operation)
     return this
   }
 
@@ -130,6 +149,74 @@ class Change {
     return this
   }
 
+  /**
+   * Get the annotations that were removed because all of their content was
+   * deleted by the operations of the change.
+   *
+   * @return {List<Annotation>}
+   */
+
+  getDeletedAnnotations() {
+    const { operations } = this
+
+    return operations
+      .filter((op, i) => {
+        if (op.type != 'remove_annotation') return false
+
+        // The annotations emptied by an operation are removed right before it.
+        const next = operations
+          .skip(i + 1)
+          .find(o => o.type != 'remove_annotation')
+
+        return !!next && isEmptied(op.annotation, apply(op.value, next))
+      })
+      .map(op => op.annotation)
+  }
+
+  /**
+   * Rebase the operations of the change on top of remote `operations` that
+   * were applied concurrently to the same starting value. The change's own
+   * operations are reverted, the remote ones applied, and the change's own
+   * ones transformed to apply after them, so that every peer converges on the
+   * same value. The history is left untouched.
+   *
+   * @param {Array|List} operations
+   * @return {Change}
+   */
+
+  rebase(operations) {
+    const local = this.operations
+    let { value, dirtyPaths } = this
+
+    local.reverse().forEach(op => {
+      const inverse = invert(op)
+      value = applyWithRefs(value, inverse)
+      dirtyPaths = updateDirtyPaths(dirtyPaths, inverse)
+    })
+
+    let remote = new List()
+
+    operations.forEach(op => {
+      op = Operation.create(isPlainObject(op) ? { ...op, value } : op)
+      value = applyWithRefs(value, op)
+      dirtyPaths = updateDirtyPaths(dirtyPaths, op)
+      remote = remote.push(op)
+    })
+
+    const [rebased] = transformOperations(local, remote, false)
+
+    rebased.forEach(op => {
+      value = applyWithRefs(value, op)
+      dirtyPaths = updateDirtyPaths(dirtyPaths, op)
+    })
+
+    debug('rebase', { local, remote, rebased })
+    this.value = value
+    this.operations = rebased
+    this.dirtyPaths = dirtyPaths
+    return this
+  }
+
   /**
    * Call a change `fn` with arguments.
    *
@@ -139,12 +226,13 @@ class Change {
    */
 
   call(fn, ...args) {
-    fn(this, ...args)
+    withValueKeys(this, () => fn(this, ...args))
     return this
   }
 
   /**
-   * Applies a series of change mutations and defers normalization until the end.
+   * Applies a series of change mutations and defers normalization until the
+   * end, when the nodes that they made dirty are normalized.
    *
    * @param {Function} customChange - function that accepts a change object and executes change operations
    * @return {Change}
@@ -157,7 +245,7 @@ class Change {
     try {
       customChange(this)
       // if the change function worked then run normalization
-      this.normalizeDocument()
+      this.normalizeDirtyPaths()
     } finally {
       // restore the flag to whatever it was
       this.setOperationFlag('normalize', original)
@@ -204,6 +292,124 @@ class Change {
   }
 }
 
+/**
+ * Apply an `operation` to a `value` of a change, moving the refs that track
+ * points or ranges in it over to the next value before updating them, so that
+ * they follow the single line of values of the change. Applying operations
+ * anywhere else, like to preview them, leaves the refs alone.
+ *
+ * @param {Value} value
+ * @param {Operation} operation
+ * @return {Value}
+ */
+
+function applyWithRefs(value, operation) {
+  let next = apply(value, operation)
+  if (!value.refs) return next
+
+  const refs = value.refs.splice(0)
+  refs.forEach(ref => (ref.refs = refs))
+  next = next.set('refs', refs)
+  refs.slice().forEach(ref => ref.transform(operation, value, next))
+  return next
+}
+
+/**
+ * Remove the annotations of a `change`'s value whose content is all removed
+ * by an `operation`, with the same `options` as the operation. The content
+ * may have been removed by earlier operations already, so an annotation is
+ * emptied by the operation that collapses its range.
+ *
+ * @param {Change} change
+ * @param {Operation} operation
+ * @param {Object} options
+ */
+
+function removeEmptiedAnnotations(change, operation, options) {
+  const { type } = operation
+  if (type != 'remove_text' && type != 'remove_node' && type != 'merge_node')
+    return
+
+  const { value } = change
+  const { annotations } = value
+  if (!annotations || annotations.size == 0) return
+
+  const next = apply(value, operation)
+
+  annotations
+    .filter(annotation => isEmptied(annotation, next))
+    .forEach(annotation => {
+      change.applyOperation({ type: 'remove_annotation', annotation }, options)
+    })
+}
+
+/**
+ * Check if an `annotation` with an expanded range was emptied in the `next`
+ * value, which is when its range there is collapsed, or it's gone because its
+ * range was unset.
+ *
+ * @param {Annotation} annotation
+ * @param {Value} next
+ * @return {Boolean}
+ */
+
+function isEmptied(annotation, next) {
+  const { range } = annotation
+  if (range.isUnset || range.isCollapsed) return false
+  const adjusted = next.annotations.get(annotation.id)
+  return !adjusted || adjusted.range.isCollapsed
+}
+
+/**
+ * Update the dirty `paths` of a change for an `operation`, moving the ones it
+ * changes and adding the ones it makes dirty, without duplicates.
+ *
+ * @param {Array<Array>} paths
+ * @param {Operation} operation
+ * @return {Array<Array>}
+ */
+
+function updateDirtyPaths(paths, operation) {
+  const next = []
+  const ids = {}
+
+  const add = path => {
+    const id = path.join(',')
+    if (ids[id]) return
+    ids[id] = true
+    next.push(path)
+  }
+
+  paths.forEach(path => {
+    const p = transformPath(path, operation)
+    if (p) add(p)
+  })
+
+  getDirtyPaths(operation).forEach(add)
+  return next
+}
+
+/**
+ * Call `fn`, generating its keys with the key generator of a `change`'s value,
+ * and never generating the keys that are already used in its document, or by
+ * the document itself.
+ *
+ * @param {Change} change
+ * @param {Function} fn
+ * @return {Any}
+ */
+
+function withValueKeys(change, fn) {
+  const { keyGenerator } = change.value
+
+  const isUsed = key => {
+    const { document } = change.value
+    return key == document.key || document.hasNode(key)
+  }
+
+  return withKeyGenerator(keyGenerator, isUsed, fn)
+}
+
 /**
  * Attach a pseudo-symbol for type checking.
  */
@@ -5,6 +5,8 @@ import logger from 'slate-dev-logger'
 import { List, Record, Stack } from 'immutable'
 
 import MODEL_TYPES, { isType } from '../constants/model-types'
+import Operation from './operation'
+import { transformOperations } from '../operations/transform'
 
 /**
  * Debug.
@@ -14,6 +16,105 @@ import MODEL_TYPES, { isType } from '../constants/model-types'
 
 const debug = Debug('slate:history')
 
+/**
+ * A counter for the ids of new batches, which is kept apart from the key
+ * generator so that the history doesn't change the keys of the document. It is
+ * moved past the ids of any batches that are loaded, so that new batches never
+ * share an id with a deserialized one.
+ *
+ * @type {Number}
+ */
+
+let n = 0
+
+/**
+ * A pattern matching the ids that the counter generates.
+ *
+ * @type {RegExp}
+ */
+
+const BATCH_ID = /^batch_(\d+)$/
+
+/**
+ * Default properties of a batch of operations.
+ *
+ * @type {Object}
+ */
+
+const BATCH_DEFAULTS = {
+  id: null,
+  operations: new List(),
+  origin: null,
+  timestamp: null,
+}
+
+/**
+ * Batch.
+ *
+ * A group of operations that are undone and redone together.
+ *
+ * @type {Batch}
+ */
+
+class Batch extends Record(BATCH_DEFAULTS) {
+  /**
+   * Create a new `Batch` with `attrs`, which can also be a list of operations
+   * for the format of older histories.
+   *
+   * @param {Object|Array|List|Batch} attrs
+   * @return {Batch}
+   */
+
+  static create(attrs) {
+    if (attrs instanceof Batch) {
+      return attrs
+    }
+
+    if (List.isList(attrs) || Array.isArray(attrs)) {
+      attrs = { operations: attrs }
+    }
+
+    const {
+      id = `batch_${n++}`,
+      operations = [],
+      origin = null,
+      timestamp = null,
+    } = attrs
+
+    const match = BATCH_ID.exec(id)
+    if (match) n = Math.max(n, parseInt(match[1], 10) + 1)
+
+    const batch = new Batch({
+      id,
+      operations: Operation.createList(operations),
+      origin,
+      timestamp,
+    })
+
+    return batch
+  }
+
+  /**
+   * Return a JSON representation of the batch.
+   *
+   * @param {Object} options
+   * @return {Object}
+   */
+
+  toJSON(options = {}) {
+    const object = {
+      id: this.id,
+      operations: this.operations
+        .toArray()
+        .map(o => o.toJSON({ ...options, preserveInverse: true })),
+      origin: this.origin,
+      timestamp: this.timestamp,
+    }
+
+    return object
+  }
+}
+
 /**
  * Default properties.
  *
@@ -21,7 +122,13 @@ const debug = Debug('slate:history')
  */
 
 const DEFAULTS = {
+  group: null,
+  groupDepth: 0,
+  maxDepth: 100,
+  mergeWindow: null,
+  origin: null,
   redos: new Stack(),
+  shouldMerge: null,
   undos: new Stack(),
 }
 
@@ -53,6 +160,37 @@ class History extends Record(DEFAULTS) {
     )
   }
 
+  /**
+   * Create a dictionary of settable history options from `attrs`.
+   *
+   * @param {Object|History} attrs
+   * @return {Object}
+   */
+
+  static createOptions(attrs = {}) {
+    if (History.isHistory(attrs)) {
+      return {
+        maxDepth: attrs.maxDepth,
+        mergeWindow: attrs.mergeWindow,
+        origin: attrs.origin,
+        shouldMerge: attrs.shouldMerge,
+      }
+    }
+
+    if (isPlainObject(attrs)) {
+      const options = {}
+      if ('maxDepth' in attrs) options.maxDepth = attrs.maxDepth
+      if ('mergeWindow' in attrs) options.mergeWindow = attrs.mergeWindow
+      if ('origin' in attrs) options.origin = attrs.origin
+      if ('shouldMerge' in attrs) options.shouldMerge = attrs.shouldMerge
+      return options
+    }
+
+    throw new Error(
+      `\`History.createOptions\` only accepts objects or histories, but you passed it: ${attrs}`
+    )
+  }
+
   /**
    * Create a `History` from a JSON `object`.
    *
@@ -61,11 +199,21 @@ class History extends Record(DEFAULTS) {
    */
 
   static fromJSON(object) {
-    const { redos = [], undos = [] } = object
+    const {
+      maxDepth = 100,
+      mergeWindow = null,
+      origin = null,
+      redos = [],
+      undos = [],
+    } = object
 
     const history = new History({
-      redos: new Stack(redos),
-      undos: new Stack(undos),
+      maxDepth,
+      mergeWindow,
+      origin,
+      redos: new Stack(redos).map(Batch.create),
+      shouldMerge: object.shouldMerge || null,
+      undos: new Stack(undos).map(Batch.create),
     })
 
     return history
@@ -104,6 +252,29 @@ class History extends Record(DEFAULTS) {
     return this.object
   }
 
+  /**
+   * Find the batch of undoable operations by `id`.
+   *
+   * @param {String} id
+   * @return {Batch|Void}
+   */
+
+  getBatch(id) {
+    return this.undos.find(batch => batch.id == id)
+  }
+
+  /**
+   * Check whether an `operation` or batch came from a remote origin, instead
+   * of the history's own. Operations without an origin are always local.
+   *
+   * @param {Operation|Batch} object
+   * @return {Boolean}
+   */
+
+  isRemote(object) {
+    return object.origin != null && object.origin != this.origin
+  }
+
   /**
    * Save an `operation` into the history.
    *
@@ -116,8 +287,10 @@ class History extends Record(DEFAULTS) {
     let history = this
     let { undos, redos } = history
     let { merge, skip } = options
+    const { group, groupDepth, maxDepth, mergeWindow } = history
     const prevBatch = undos.peek()
-    const prevOperation = prevBatch && prevBatch.last()
+    const prevOperation = prevBatch && prevBatch.operations.last()
+    const timestamp = Date.now()
 
     if (skip == null) {
       skip = shouldSkip(operation, prevOperation)
@@ -127,26 +300,82 @@ class History extends Record(DEFAULTS) {
       return history
     }
 
-    if (merge == null) {
-      merge = shouldMerge(operation, prevOperation)
+    // Remote operations are only kept so that the local batches can be
+    // transformed past them. They never merge with local ones, and instead of
+    // clearing the redos they transform them to apply after themselves.
+    if (history.isRemote(operation)) {
+      const { origin } = operation
+
+      if (prevBatch && prevBatch.origin == origin) {
+        const batch = prevBatch
+          .set('operations', prevBatch.operations.push(operation))
+          .set('timestamp', timestamp)
+
+        undos = undos.pop()
+        undos = undos.push(batch)
+      } else {
+        const batch = Batch.create({
+          operations: [operation],
+          origin,
+          timestamp,
+        })
+        undos = undos.push(batch)
+      }
+
+      if (maxDepth != null && undos.size > maxDepth) {
+        undos = undos.take(maxDepth)
+      }
+
+      debug('save', { operation, origin })
+      redos = transformBatches(redos, new List([operation]))
+      history = history.set('undos', undos).set('redos', redos)
+      return history
+    }
+
+    // Inside of a group, every operation is merged into the group's batch.
+    if (groupDepth > 0) {
+      merge = group != null && prevBatch != null && prevBatch.id == group
+    } else if (merge == null) {
+      const predicate = history.shouldMerge || shouldMerge
+      const isRecent =
+        mergeWindow == null ||
+        (prevBatch != null &&
+          prevBatch.timestamp != null &&
+          timestamp - prevBatch.timestamp <= mergeWindow)
+
+      merge =
+        !!prevOperation && isRecent && !!predicate(operation, prevOperation)
+    }
+
+    // Local operations are never merged into a remote batch.
+    if (prevBatch && history.isRemote(prevBatch)) {
+      merge = false
     }
 
     debug('save', { operation, merge })
 
     // If the `merge` flag is true, add the operation to the previous batch.
     if (merge && prevBatch) {
-      const batch = prevBatch.push(operation)
+      const batch = prevBatch
+        .set('operations', prevBatch.operations.push(operation))
+        .set('timestamp', timestamp)
+
       undos = undos.pop()
       undos = undos.push(batch)
     } else {
       // Otherwise, create a new batch with the operation.
-      const batch = new List([operation])
+      const { origin } = operation
+      const batch = Batch.create({ operations: [operation], origin, timestamp })
       undos = undos.push(batch)
+
+      if (groupDepth > 0) {
+        history = history.set('group', batch.id)
+      }
     }
 
-    // Constrain the history to 100 entries for memory's sake.
-    if (undos.size > 100) {
-      undos = undos.take(100)
+    // Constrain the history to its maximum depth for memory's sake.
+    if (maxDepth != null && undos.size > maxDepth) {
+      undos = undos.take(maxDepth)
     }
 
     // Clear the redos and update the history.
@@ -155,17 +384,66 @@ class History extends Record(DEFAULTS) {
     return history
   }
 
+  /**
+   * Set the history `options`, like its maximum depth, merge window or custom
+   * merge predicate.
+   *
+   * @param {Object} options
+   * @return {History}
+   */
+
+  setOptions(options) {
+    options = History.createOptions(options)
+    let history = this
+
+    for (const key in options) {
+      history = history.set(key, options[key])
+    }
+
+    return history
+  }
+
+  /**
+   * Start a group, so that the operations saved until it is ended are undone
+   * as a single batch. Groups can be nested.
+   *
+   * @return {History}
+   */
+
+  startGroup() {
+    const { groupDepth } = this
+    const history = this.set('groupDepth', groupDepth + 1)
+    return history
+  }
+
+  /**
+   * End the current group.
+   *
+   * @return {History}
+   */
+
+  endGroup() {
+    const { groupDepth } = this
+    if (groupDepth == 0) return this
+    const history = this.set('groupDepth', groupDepth - 1)
+    return groupDepth == 1 ? history.set('group', null) : history
+  }
+
   /**
    * Return a JSON representation of the history.
    *
+   * @param {Object} options
    * @return {Object}
    */
 
-  toJSON() {
+  toJSON(options = {}) {
     const object = {
       object: this.object,
-      redos: this.redos.toJSON(),
-      undos: this.undos.toJSON(),
+      maxDepth: this.maxDepth,
+      mergeWindow: this.mergeWindow,
+      origin: this.origin,
+      redos: this.redos.toArray().map(b => b.toJSON(options)),
+      undos: this.undos.toArray().map(b => b.toJSON(options)),
     }
 
     return object
@@ -175,8 +453,8 @@ class History extends Record(DEFAULTS) {
    * Alias `toJS`.
    */
 
-  toJS() {
-    return this.toJSON()
+  toJS(options) {
+    return this.toJSON(options)
   }
 }
 
@@ -186,6 +464,27 @@ class History extends Record(DEFAULTS) {
 
 History.prototype[MODEL_TYPES.HISTORY] = true
 
+/**
+ * Transform a stack of `batches` to apply after concurrent `operations`,
+ * dropping their selection operations since they can't be transformed
+ * reliably and removing the batches that end up empty.
+ *
+ * @param {Stack<Batch>} batches
+ * @param {List<Operation>} operations
+ * @return {Stack<Batch>}
+ */
+
+function transformBatches(batches, operations) {
+  return batches
+    .map(batch => {
+      const ops = batch.operations.filter(op => op.type != 'set_selection')
+      const [next, rest] = transformOperations(ops, operations)
+      operations = rest
+      return batch.set('operations', next)
+    })
+    .filter(batch => batch.operations.size > 0)
+}
+
 /**
  * Check whether to merge a new operation `o` into the previous operation `p`.
  *
@@ -17,6 +17,7 @@ import generateKey from '../utils/generate-key'
 
 const DEFAULTS = {
   data: new Map(),
+  isLocked: false,
   isVoid: false,
   key: undefined,
   nodes: new List(),
@@ -87,6 +88,7 @@ class Inline extends Record(DEFAULTS) {
 
     const {
       data = {},
+      isLocked = false,
       isVoid = false,
       key = generateKey(),
       nodes = [],
@@ -100,6 +102,7 @@ class Inline extends Record(DEFAULTS) {
     const inline = new Inline({
       key,
       type,
+      isLocked: !!isLocked,
       isVoid: !!isVoid,
       data: new Map(data),
       nodes: Inline.createChildren(nodes),
@@ -190,6 +193,10 @@ class Inline extends Record(DEFAULTS) {
       nodes: this.nodes.toArray().map(n => n.toJSON(options)),
     }
 
+    if (this.isLocked) {
+      object.isLocked = true
+    }
+
     if (options.preserveKeys) {
       object.key = this.key
     }
@@ -11,6 +11,8 @@ import { isType } from '../constants/model-types'
 import Range from './range'
 import Text from './text'
 import generateKey from '../utils/generate-key'
+import { lookupKey } from '../utils/key-index'
+import { findMatches } from '../utils/search'
 import memoize from '../utils/memoize'
 
 /**
@@ -97,6 +99,7 @@ class Node {
     if (Block.isBlock(attrs) || Inline.isInline(attrs)) {
       return {
         data: attrs.data,
+        isLocked: attrs.isLocked,
         isVoid: attrs.isVoid,
         type: attrs.type,
       }
@@ -110,6 +113,7 @@ class Node {
       const props = {}
       if ('type' in attrs) props.type = attrs.type
       if ('data' in attrs) props.data = Data.create(attrs.data)
+      if ('isLocked' in attrs) props.isLocked = attrs.isLocked
       if ('isVoid' in attrs) props.isVoid = attrs.isVoid
       return props
     }
@@ -315,6 +319,46 @@ class Node {
     return found
   }
 
+  /**
+   * Find all of the ranges of text that match a search `pattern`. The matches
+   * can go across text nodes and inline nodes, but not across blocks.
+   *
+   * @param {String|RegExp} pattern
+   * @param {Object} options
+   *   @property {Boolean} caseSensitive
+   *   @property {Boolean} regex
+   *   @property {Boolean} wholeWord
+   * @return {List<Range>}
+   */
+
+  findAll(pattern, options = {}) {
+    const isLeaf = this.object == 'inline' || this.isLeafBlock()
+    const containers = isLeaf ? List([this]) : this.getBlocks()
+    const ranges = []
+
+    containers.forEach(container => {
+      const texts = container.getTexts()
+      const string = texts.map(t => t.text).join('')
+
+      findMatches(string, pattern, options).forEach(({ index, length }) => {
+        const start = getPointAtOffset(texts, index, false)
+        const end = getPointAtOffset(texts, index + length, true)
+
+        ranges.push(
+          Range.create({
+            anchorKey: start.key,
+            anchorOffset: start.offset,
+            focusKey: end.key,
+            focusOffset: end.offset,
+            isBackward: false,
+          })
+        )
+      })
+    })
+
+    return List(ranges)
+  }
+
   /**
    * Recursively iterate over all descendant nodes with `iterator`. If the
    * iterator returns false it will break the loop.
@@ -351,6 +395,12 @@ class Node {
     key = assertKey(key)
 
     if (key == this.key) return List()
+
+    if (this.object == 'document') {
+      const found = lookupKey(this, key)
+      return found ? List(found.nodes.slice(0, -1)) : null
+    }
+
     if (this.hasChild(key)) return List([this])
 
     let ancestors
@@ -636,6 +686,12 @@ class Node {
 
   getDescendant(key) {
     key = assertKey(key)
+
+    if (this.object == 'document') {
+      const found = key == this.key ? null : lookupKey(this, key)
+      return found ? found.nodes[found.nodes.length - 1] : null
+    }
+
     let descendantFound = null
 
     const found = this.nodes.find(node => {
@@ -1371,6 +1427,13 @@ class Node {
    */
 
   getParent(key) {
+    if (this.object == 'document') {
+      const found = lookupKey(this, assertKey(key))
+      return found && found.nodes.length > 1
+        ? found.nodes[found.nodes.length - 2]
+        : null
+    }
+
     if (this.hasChild(key)) return this
 
     let node = null
@@ -1395,6 +1458,11 @@ class Node {
    */
 
   getPath(key) {
+    if (this.object == 'document') {
+      this.assertNode(key)
+      return lookupKey(this, key).path
+    }
+
     let child = this.assertNode(key)
     const ancestors = this.getAncestors(key)
     const path = []
@@ -1763,7 +1831,8 @@ class Node {
   }
 
   /**
-   * Insert a `node` at `index`.
+   * Insert a `node` at `index`, regenerating the keys of it and its descendants
+   * that are used by the node or its descendants already.
    *
    * @param {Number} index
    * @param {Node} node
@@ -1771,7 +1840,7 @@ class Node {
    */
 
   insertNode(index, node) {
-    const keys = this.getKeysAsArray()
+    const keys = this.getKeysAsArray().concat(this.key)
 
     if (keys.includes(node.key)) {
       node = node.regenerateKey()
@@ -2082,6 +2151,35 @@ function assertKey(arg) {
   )
 }
 
+/**
+ * Get the point at an `offset` in the joined text of a list of `texts`. An
+ * offset between two texts is at the end of the first one if `isEnd`, and at
+ * the start of the second one otherwise.
+ *
+ * @param {List<Text>} texts
+ * @param {Number} offset
+ * @param {Boolean} isEnd
+ * @return {Object}
+ */
+
+function getPointAtOffset(texts, offset, isEnd) {
+  let start = 0
+
+  const text = texts.find(t => {
+    const end = start + t.text.length
+    const isInside = isEnd ? offset <= end : offset < end
+    if (!isInside) start = end
+    return isInside
+  })
+
+  if (!text) {
+    const last = texts.last()
+    return { key: last.key, offset: last.text.length }
+  }
+
+  return { key: text.key, offset: offset - start }
+}
+
 /**
  * Memoize read methods.
  */
@@ -4,6 +4,7 @@ import { List, Record } from 'immutable'
 
 import MODEL_TYPES from '../constants/model-types'
 import OPERATION_ATTRIBUTES from '../constants/operation-attributes'
+import Annotation from './annotation'
 import Mark from './mark'
 import Node from './node'
 import Range from './range'
@@ -16,12 +17,14 @@ import Value from './value'
  */
 
 const DEFAULTS = {
+  annotation: undefined,
   length: undefined,
   mark: undefined,
   marks: undefined,
   newPath: undefined,
   node: undefined,
   offset: undefined,
+  origin: undefined,
   path: undefined,
   position: undefined,
   properties: undefined,
@@ -116,6 +119,10 @@ class Operation extends Record(DEFAULTS) {
         )
       }
 
+      if (key == 'annotation') {
+        v = Annotation.create(v)
+      }
+
       if (key == 'mark') {
         v = Mark.create(v)
       }
@@ -140,6 +147,10 @@ class Operation extends Record(DEFAULTS) {
         v = Node.createProperties(v)
       }
 
+      if (key == 'properties' && type == 'set_annotation') {
+        v = Annotation.createProperties(v)
+      }
+
       if (key == 'properties' && type == 'set_mark') {
         v = Mark.createProperties(v)
       }
@@ -174,6 +185,11 @@ class Operation extends Record(DEFAULTS) {
       attrs[key] = v
     }
 
+    // The origin is optional, and tags operations that came from elsewhere.
+    if (object.origin != null) {
+      attrs.origin = object.origin
+    }
+
     const node = new Operation(attrs)
     return node
   }
@@ -225,7 +241,9 @@ class Operation extends Record(DEFAULTS) {
   }
 
   /**
-   * Return a JSON representation of the operation.
+   * Return a JSON representation of the operation. If `preserveInverse` is
+   * `true`, the data needed to invert the operation is kept too, so that it
+   * can still be undone after being deserialized.
    *
    * @param {Object} options
    * @return {Object}
@@ -233,12 +251,30 @@ class Operation extends Record(DEFAULTS) {
 
   toJSON(options = {}) {
     const { object, type } = this
+    const { preserveInverse } = options
     const json = { object, type }
     const ATTRIBUTES = OPERATION_ATTRIBUTES[type]
 
     for (const key of ATTRIBUTES) {
       let value = this[key]
 
+      if (preserveInverse && value != null) {
+        if (key == 'node' && type != 'insert_node') {
+          json.node = value.toJSON(options)
+          continue
+        }
+
+        if (key == 'selection') {
+          json.selection = getInverseSelection(this)
+          continue
+        }
+
+        if (key == 'value' && type == 'set_value') {
+          json.value = getInverseValue(this)
+          continue
+        }
+      }
+
       // Skip keys for objects that should not be serialized, and are only used
       // for providing the local-only invert behavior for the history stack.
       if (key == 'document') continue
@@ -246,10 +282,21 @@ class Operation extends Record(DEFAULTS) {
       if (key == 'value') continue
       if (key == 'node' && type != 'insert_node') continue
 
-      if (key == 'mark' || key == 'marks' || key == 'node') {
+      // The ranges of annotations are given by paths, so that they can be
+      // applied to other copies of the document.
+      if (key == 'annotation') {
+        const document = this.value ? this.value.document : null
+        value = value.toJSON({ document })
+      }
+
+      if (key == 'mark' || key == 'marks') {
         value = value.toJSON()
       }
 
+      if (key == 'node') {
+        value = value.toJSON(options)
+      }
+
       if (key == 'properties' && type == 'merge_node') {
         const v = {}
         if ('data' in value) v.data = value.data.toJS()
@@ -257,6 +304,22 @@ class Operation extends Record(DEFAULTS) {
         value = v
       }
 
+      if (key == 'properties' && type == 'set_annotation') {
+        const v = {}
+        if ('data' in value) v.data = value.data.toJS()
+        if ('type' in value) v.type = value.type
+
+        if ('range' in value) {
+          const document = this.value ? this.value.document : null
+
+          v.range = this.annotation.set('range', value.range).toJSON({
+            document,
+          }).range
+        }
+
+        value = v
+      }
+
       if (key == 'properties' && type == 'set_mark') {
         const v = {}
         if ('data' in value) v.data = value.data.toJS()
@@ -267,6 +330,7 @@ class Operation extends Record(DEFAULTS) {
       if (key == 'properties' && type == 'set_node') {
         const v = {}
         if ('data' in value) v.data = value.data.toJS()
+        if ('isLocked' in value) v.isLocked = value.isLocked
         if ('isVoid' in value) v.isVoid = value.isVoid
         if ('type' in value) v.type = value.type
         value = v
@@ -303,6 +367,10 @@ class Operation extends Record(DEFAULTS) {
       json[key] = value
     }
 
+    if (this.origin != null) {
+      json.origin = this.origin
+    }
+
     return json
   }
 
@@ -315,6 +383,40 @@ class Operation extends Record(DEFAULTS) {
   }
 }
 
+/**
+ * Get the JSON for the selection of a `set_selection` operation, relying on
+ * paths instead of keys since they may not survive serialization.
+ *
+ * @param {Operation} operation
+ * @return {Object}
+ */
+
+function getInverseSelection(operation) {
+  let { selection, value } = operation
+
+  if (value && selection.isSet) {
+    selection = selection.normalize(value.document)
+  }
+
+  return selection.toJSON({ preserveKeys: false })
+}
+
+/**
+ * Get the JSON for the value of a `set_value` operation, keeping only the
+ * properties that the operation changes.
+ *
+ * @param {Operation} operation
+ * @return {Object}
+ */
+
+function getInverseValue(operation) {
+  const { properties, value } = operation
+  const v = {}
+  if ('data' in properties) v.data = value.data.toJS()
+  if ('schema' in properties) v.schema = value.schema.toJS()
+  return v
+}
+
 /**
  * Attach a pseudo-symbol for type checking.
  */
@@ -0,0 +1,213 @@
+import MODEL_TYPES, { isType } from '../constants/model-types'
+import Point from './point'
+
+/**
+ * Point ref.
+ *
+ * A mutable reference to a point, which is kept up to date as operations are
+ * applied to the value that created it, until it is unreferenced.
+ *
+ * @type {PointRef}
+ */
+
+class PointRef {
+  /**
+   * Check if `any` is a `PointRef`.
+   *
+   * @param {Any} any
+   * @return {Boolean}
+   */
+
+  static isPointRef = isType.bind(null, 'POINT_REF')
+
+  /**
+   * Create a new `PointRef` with `attrs`.
+   *
+   * @param {Object} attrs
+   *   @property {Point} point
+   *   @property {String} gravity
+   *   @property {Array} refs
+   */
+
+  constructor(attrs) {
+    const { point, gravity = 'right', refs = null } = attrs
+
+    if (gravity != 'left' && gravity != 'right') {
+      throw new Error(
+        `A point ref's \`gravity\` must be either "left" or "right", but you passed: ${gravity}`
+      )
+    }
+
+    this.current = point == null ? null : Point.create(point)
+    this.gravity = gravity
+    this.refs = refs
+    if (refs) refs.push(this)
+  }
+
+  /**
+   * Object.
+   *
+   * @return {String}
+   */
+
+  get object() {
+    return 'point_ref'
+  }
+
+  /**
+   * Update the point for an `operation` that turned the `prev` value into the
+   * `next` value. If the point's text node is removed, it moves to the end of
+   * the previous text, or with right gravity to the start of the next text.
+   *
+   * @param {Operation} operation
+   * @param {Value} prev
+   * @param {Value} next
+   * @return {PointRef}
+   */
+
+  transform(operation, prev, next) {
+    const { current, gravity } = this
+    if (!current) return this
+
+    const { type, path } = operation
+    const { document } = prev
+    let { key, offset } = current
+
+    switch (type) {
+      case 'insert_text': {
+        const node = document.assertPath(path)
+        const { length } = operation.text
+
+        if (
+          node.key == key &&
+          (operation.offset < offset ||
+            (operation.offset == offset && gravity == 'right'))
+        ) {
+          offset += length
+        }
+
+        break
+      }
+
+      case 'remove_text': {
+        const node = document.assertPath(path)
+        const { length } = operation.text
+        if (node.key != key) break
+
+        if (offset >= operation.offset + length) {
+          offset -= length
+        } else if (offset > operation.offset) {
+          offset = operation.offset
+        }
+
+        break
+      }
+
+      case 'split_node': {
+        const node = document.assertPath(path)
+        const { position } = operation
+
+        if (
+          node.key == key &&
+          (offset > position || (offset == position && gravity == 'right'))
+        ) {
+          const index = path[path.length - 1] + 1
+          const second = next.document.assertPath(
+            path.slice(0, -1).concat(index)
+          )
+          key = second.key
+          offset -= position
+        }
+
+        break
+      }
+
+      case 'merge_node': {
+        const node = document.assertPath(path)
+
+        if (node.key == key) {
+          const index = path[path.length - 1] - 1
+          const first = document.assertPath(path.slice(0, -1).concat(index))
+          key = first.key
+          offset += operation.position
+        }
+
+        break
+      }
+
+      case 'remove_node': {
+        const node = document.assertPath(path)
+        if (node.key != key && !node.hasDescendant(key)) break
+
+        const first = node.object == 'text' ? node : node.getFirstText()
+        const last = node.object == 'text' ? node : node.getLastText()
+        const before = first && document.getPreviousText(first.key)
+        const after = last && document.getNextText(last.key)
+
+        if (before && (gravity == 'left' || !after)) {
+          key = before.key
+          offset = before.text.length
+        } else if (after) {
+          key = after.key
+          offset = 0
+        } else {
+          this.current = null
+          return this
+        }
+
+        break
+      }
+
+      default: {
+        break
+      }
+    }
+
+    if (
+      key == current.key &&
+      offset == current.offset &&
+      document == next.document
+    ) {
+      return this
+    }
+
+    this.current = current
+      .set('key', key)
+      .set('offset', offset)
+      .set('path', next.document.getPath(key))
+
+    return this
+  }
+
+  /**
+   * Stop tracking the point, returning its last value.
+   *
+   * @return {Point|Null}
+   */
+
+  unref() {
+    const { refs, current } = this
+
+    if (refs) {
+      const index = refs.indexOf(this)
+      if (index != -1) refs.splice(index, 1)
+      this.refs = null
+    }
+
+    return current
+  }
+}
+
+/**
+ * Attach a pseudo-symbol for type checking.
+ */
+
+PointRef.prototype[MODEL_TYPES.POINT_REF] = true
+
+/**
+ * Export.
+ *
+ * @type {PointRef}
+ */
+
+export default PointRef
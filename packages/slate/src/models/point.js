@@ -0,0 +1,234 @@
+import isPlainObject from 'is-plain-object'
+import logger from 'slate-dev-logger'
+import { List, Record } from 'immutable'
+
+import MODEL_TYPES, { isType } from '../constants/model-types'
+
+/**
+ * Default properties.
+ *
+ * @type {Object}
+ */
+
+const DEFAULTS = {
+  key: null,
+  offset: 0,
+  path: null,
+}
+
+/**
+ * Point.
+ *
+ * @type {Point}
+ */
+
+class Point extends Record(DEFAULTS) {
+  /**
+   * Create a new `Point` with `attrs`.
+   *
+   * @param {Object|Point} attrs
+   * @return {Point}
+   */
+
+  static create(attrs = {}) {
+    if (Point.isPoint(attrs)) {
+      return attrs
+    }
+
+    if (isPlainObject(attrs)) {
+      return Point.fromJSON(attrs)
+    }
+
+    throw new Error(
+      `\`Point.create\` only accepts objects or points, but you passed it: ${attrs}`
+    )
+  }
+
+  /**
+   * Create a `Point` from a JSON `object`.
+   *
+   * @param {Object} object
+   * @return {Point}
+   */
+
+  static fromJSON(object) {
+    const { key = null, offset = 0, path = null } = object
+
+    const point = new Point({
+      key,
+      offset,
+      path: List.isList(path) ? path.toArray() : path,
+    })
+
+    return point
+  }
+
+  /**
+   * Alias `fromJS`.
+   */
+
+  static fromJS = Point.fromJSON
+
+  /**
+   * Check if an `obj` is a `Point`.
+   *
+   * @param {Any} obj
+   * @return {Boolean}
+   */
+
+  static isPoint = isType.bind(null, 'POINT')
+
+  /**
+   * Object.
+   *
+   * @return {String}
+   */
+
+  get object() {
+    return 'point'
+  }
+
+  /**
+   * Check whether the point is set, by either its key or its path.
+   *
+   * @return {Boolean}
+   */
+
+  get isSet() {
+    return this.key != null || this.path != null
+  }
+
+  /**
+   * Check whether the point is not set.
+   *
+   * @return {Boolean}
+   */
+
+  get isUnset() {
+    return !this.isSet
+  }
+
+  /**
+   * Set the point's `key`, clearing its path since it may not match anymore.
+   *
+   * @param {String} key
+   * @return {Point}
+   */
+
+  setKey(key) {
+    return this.set('key', key).set('path', null)
+  }
+
+  /**
+   * Set the point's `path`, clearing its key since it may not match anymore.
+   *
+   * @param {Array} path
+   * @return {Point}
+   */
+
+  setPath(path) {
+    return this.set('key', null).set('path', path)
+  }
+
+  /**
+   * Set the point's `offset`.
+   *
+   * @param {Number} offset
+   * @return {Point}
+   */
+
+  setOffset(offset) {
+    return this.set('offset', offset)
+  }
+
+  /**
+   * Normalize the point relative to a `node`, resolving its key from its path
+   * or its path from its key, whichever is missing. When both are set the key
+   * wins, and the path is recalculated.
+   *
+   * @param {Node} node
+   * @return {Point}
+   */
+
+  normalize(node) {
+    const point = this
+    const { key, path } = point
+    let { offset } = point
+
+    if (point.isUnset) {
+      return point.setOffset(0)
+    }
+
+    let target =
+      key != null ? node.getDescendant(key) : node.getDescendantAtPath(path)
+
+    // If the point is malformed, warn and move it to the start of the node.
+    if (!target) {
+      logger.warn(
+        'The point was invalid and was reset. The point in question was:',
+        point
+      )
+
+      const first = node.getFirstText()
+      const reset = point.setKey(null).setOffset(0)
+      return first ? reset.setKey(first.key).normalize(node) : reset
+    }
+
+    // If the point isn't in a text node, match it to one.
+    if (target.object != 'text') {
+      const text = target.getTextAtOffset(offset)
+      offset = offset - target.getOffset(text.key)
+      target = text
+    }
+
+    return point
+      .set('key', target.key)
+      .set('offset', offset)
+      .set('path', node.getPath(target.key))
+  }
+
+  /**
+   * Return a JSON representation of the point. If `preserveKeys` is `false`,
+   * the key is left out, so that the point only relies on its path.
+   *
+   * @param {Object} options
+   * @return {Object}
+   */
+
+  toJSON(options = {}) {
+    const object = {
+      object: this.object,
+      key: this.key,
+      offset: this.offset,
+      path: this.path,
+    }
+
+    if (options.preserveKeys === false) {
+      delete object.key
+    }
+
+    return object
+  }
+
+  /**
+   * Alias `toJS`.
+   */
+
+  toJS(options) {
+    return this.toJSON(options)
+  }
+}
+
+/**
+ * Attach a pseudo-symbol for type checking.
+ */
+
+Point.prototype[MODEL_TYPES.POINT] = true
+
+/**
+ * Export.
+ *
+ * @type {Point}
+ */
+
+export default Point
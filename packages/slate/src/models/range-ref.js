@@ -0,0 +1,156 @@
+import MODEL_TYPES, { isType } from '../constants/model-types'
+import PointRef from './point-ref'
+import Range from './range'
+
+/**
+ * The gravity of the start and end points of a range, by the range's gravity.
+ *
+ * @type {Object}
+ */
+
+const GRAVITIES = {
+  left: { start: 'left', end: 'left' },
+  right: { start: 'right', end: 'right' },
+  inward: { start: 'right', end: 'left' },
+  outward: { start: 'left', end: 'right' },
+}
+
+/**
+ * Range ref.
+ *
+ * A mutable reference to a range, which is kept up to date as operations are
+ * applied to the value that created it, until it is unreferenced.
+ *
+ * @type {RangeRef}
+ */
+
+class RangeRef {
+  /**
+   * Check if `any` is a `RangeRef`.
+   *
+   * @param {Any} any
+   * @return {Boolean}
+   */
+
+  static isRangeRef = isType.bind(null, 'RANGE_REF')
+
+  /**
+   * Create a new `RangeRef` with `attrs`.
+   *
+   * @param {Object} attrs
+   *   @property {Range} range
+   *   @property {String} gravity
+   *   @property {Array} refs
+   */
+
+  constructor(attrs) {
+    const { gravity = 'right', refs = null } = attrs
+    const range = Range.create(attrs.range)
+    const gravities = GRAVITIES[gravity]
+
+    if (!gravities) {
+      throw new Error(
+        `A range ref's \`gravity\` must be one of "left", "right", "inward" or "outward", but you passed: ${gravity}`
+      )
+    }
+
+    const { isBackward } = range
+    const anchor = isBackward ? gravities.end : gravities.start
+    const focus = isBackward ? gravities.start : gravities.end
+
+    this.anchor = new PointRef({ point: range.anchorPoint, gravity: anchor })
+    this.focus = new PointRef({ point: range.focusPoint, gravity: focus })
+    this.gravity = gravity
+    this.range = range
+    this.refs = refs
+    if (refs) refs.push(this)
+  }
+
+  /**
+   * Object.
+   *
+   * @return {String}
+   */
+
+  get object() {
+    return 'range_ref'
+  }
+
+  /**
+   * Get the current range, or `null` if it no longer exists.
+   *
+   * @return {Range|Null}
+   */
+
+  get current() {
+    return this.range
+  }
+
+  /**
+   * Update the range for an `operation` that turned the `prev` value into the
+   * `next` value.
+   *
+   * @param {Operation} operation
+   * @param {Value} prev
+   * @param {Value} next
+   * @return {RangeRef}
+   */
+
+  transform(operation, prev, next) {
+    const { range, anchor, focus } = this
+    if (!range) return this
+
+    const a = anchor.current
+    const f = focus.current
+    anchor.transform(operation, prev, next)
+    focus.transform(operation, prev, next)
+
+    if (!anchor.current || !focus.current) {
+      this.range = null
+      return this
+    }
+
+    if (anchor.current == a && focus.current == f) {
+      return this
+    }
+
+    this.range = range
+      .setAnchorPoint(anchor.current)
+      .setFocusPoint(focus.current)
+      .normalize(next.document)
+
+    return this
+  }
+
+  /**
+   * Stop tracking the range, returning its last value.
+   *
+   * @return {Range|Null}
+   */
+
+  unref() {
+    const { refs, range } = this
+
+    if (refs) {
+      const index = refs.indexOf(this)
+      if (index != -1) refs.splice(index, 1)
+      this.refs = null
+    }
+
+    return range
+  }
+}
+
+/**
+ * Attach a pseudo-symbol for type checking.
+ */
+
+RangeRef.prototype[MODEL_TYPES.RANGE_REF] = true
+
+/**
+ * Export.
+ *
+ * @type {RangeRef}
+ */
+
+export default RangeRef
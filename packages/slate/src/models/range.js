@@ -4,6 +4,7 @@ import { List, Record, Set } from 'immutable'
 
 import MODEL_TYPES from '../constants/model-types'
 import Mark from './mark'
+import Point from './point'
 
 /**
  * Default properties.
@@ -14,8 +15,10 @@ import Mark from './mark'
 const DEFAULTS = {
   anchorKey: null,
   anchorOffset: 0,
+  anchorPath: null,
   focusKey: null,
   focusOffset: 0,
+  focusPath: null,
   isBackward: null,
   isFocused: false,
   marks: null,
@@ -80,8 +83,10 @@ class Range extends Record(DEFAULTS) {
       return {
         anchorKey: attrs.anchorKey,
         anchorOffset: attrs.anchorOffset,
+        anchorPath: attrs.anchorPath,
         focusKey: attrs.focusKey,
         focusOffset: attrs.focusOffset,
+        focusPath: attrs.focusPath,
         isBackward: attrs.isBackward,
         isFocused: attrs.isFocused,
         marks: attrs.marks,
@@ -119,21 +124,31 @@ class Range extends Record(DEFAULTS) {
 
   static fromJSON(object) {
     const {
-      anchorKey = null,
-      anchorOffset = 0,
-      focusKey = null,
-      focusOffset = 0,
       isBackward = null,
       isFocused = false,
       marks = null,
       isAtomic = false,
     } = object
 
+    const anchor = Point.create({
+      key: object.anchorKey,
+      offset: object.anchorOffset,
+      path: object.anchorPath,
+    })
+
+    const focus = Point.create({
+      key: object.focusKey,
+      offset: object.focusOffset,
+      path: object.focusPath,
+    })
+
     const range = new Range({
-      anchorKey,
-      anchorOffset,
-      focusKey,
-      focusOffset,
+      anchorKey: anchor.key,
+      anchorOffset: anchor.offset,
+      anchorPath: anchor.path,
+      focusKey: focus.key,
+      focusOffset: focus.offset,
+      focusPath: focus.path,
       isBackward,
       isFocused,
       marks: marks == null ? null : new Set(marks.map(Mark.fromJSON)),
@@ -280,6 +295,54 @@ class Range extends Record(DEFAULTS) {
     return this.isBackward ? this.anchorOffset : this.focusOffset
   }
 
+  /**
+   * Get the anchor point of the range.
+   *
+   * @return {Point}
+   */
+
+  get anchorPoint() {
+    return Point.create({
+      key: this.anchorKey,
+      offset: this.anchorOffset,
+      path: this.anchorPath,
+    })
+  }
+
+  /**
+   * Get the focus point of the range.
+   *
+   * @return {Point}
+   */
+
+  get focusPoint() {
+    return Point.create({
+      key: this.focusKey,
+      offset: this.focusOffset,
+      path: this.focusPath,
+    })
+  }
+
+  /**
+   * Get the start point of the range.
+   *
+   * @return {Point}
+   */
+
+  get startPoint() {
+    return this.isBackward ? this.focusPoint : this.anchorPoint
+  }
+
+  /**
+   * Get the end point of the range.
+   *
+   * @return {Point}
+   */
+
+  get endPoint() {
+    return this.isBackward ? this.anchorPoint : this.focusPoint
+  }
+
   /**
    * Check whether anchor point of the range is at the start of a `node`.
    *
@@ -449,8 +512,10 @@ class Range extends Record(DEFAULTS) {
     return this.merge({
       anchorKey: null,
       anchorOffset: 0,
+      anchorPath: null,
       focusKey: null,
       focusOffset: 0,
+      focusPath: null,
       isFocused: false,
       isBackward: false,
     })
@@ -470,6 +535,8 @@ class Range extends Record(DEFAULTS) {
       focusOffset: this.anchorOffset,
       isBackward: this.isBackward == null ? null : !this.isBackward,
     })
+      .set('anchorPath', this.focusPath)
+      .set('focusPath', this.anchorPath)
   }
 
   /**
@@ -523,7 +590,7 @@ class Range extends Record(DEFAULTS) {
         key == focusKey
           ? offset > focusOffset
           : key == anchorKey ? isBackward : null,
-    })
+    }).set('anchorPath', key == anchorKey ? this.anchorPath : null)
   }
 
   /**
@@ -543,7 +610,7 @@ class Range extends Record(DEFAULTS) {
         key == anchorKey
           ? anchorOffset > offset
           : key == focusKey ? isBackward : null,
-    })
+    }).set('focusPath', key == focusKey ? this.focusPath : null)
   }
 
   /**
@@ -673,9 +740,41 @@ class Range extends Record(DEFAULTS) {
     return range.moveAnchorToStartOf(start).moveFocusToEndOf(end)
   }
 
+  /**
+   * Set the anchor point of the range to a `point`.
+   *
+   * @param {Point|Object} point
+   * @return {Range}
+   */
+
+  setAnchorPoint(point) {
+    point = Point.create(point)
+    return this.set('anchorKey', point.key)
+      .set('anchorOffset', point.offset)
+      .set('anchorPath', point.path)
+      .set('isBackward', null)
+  }
+
+  /**
+   * Set the focus point of the range to a `point`.
+   *
+   * @param {Point|Object} point
+   * @return {Range}
+   */
+
+  setFocusPoint(point) {
+    point = Point.create(point)
+    return this.set('focusKey', point.key)
+      .set('focusOffset', point.offset)
+      .set('focusPath', point.path)
+      .set('isBackward', null)
+  }
+
   /**
    * Normalize the range, relative to a `node`, ensuring that the anchor
-   * and focus nodes of the range always refer to leaf text nodes.
+   * and focus nodes of the range always refer to leaf text nodes. Points that
+   * only have a path get their key resolved, and the paths of all points are
+   * recalculated from their keys.
    *
    * @param {Node} node
    * @return {Range}
@@ -683,6 +782,7 @@ class Range extends Record(DEFAULTS) {
 
   normalize(node) {
     const range = this
+    const { anchorPath, focusPath } = range
     let { anchorKey, anchorOffset, focusKey, focusOffset, isBackward } = range
 
     const anchorOffsetType = typeof anchorOffset
@@ -695,19 +795,31 @@ class Range extends Record(DEFAULTS) {
     }
 
     // If the range is unset, make sure it is properly zeroed out.
-    if (anchorKey == null || focusKey == null) {
+    if (
+      (anchorKey == null && anchorPath == null) ||
+      (focusKey == null && focusPath == null)
+    ) {
       return range.merge({
         anchorKey: null,
         anchorOffset: 0,
+        anchorPath: null,
         focusKey: null,
         focusOffset: 0,
+        focusPath: null,
         isBackward: false,
       })
     }
 
-    // Get the anchor and focus nodes.
-    let anchorNode = node.getDescendant(anchorKey)
-    let focusNode = node.getDescendant(focusKey)
+    // Get the anchor and focus nodes, by key if possible or else by path.
+    let anchorNode =
+      anchorKey == null
+        ? node.getDescendantAtPath(anchorPath)
+        : node.getDescendant(anchorKey)
+
+    let focusNode =
+      focusKey == null
+        ? node.getDescendantAtPath(focusPath)
+        : node.getDescendant(focusKey)
 
     // If the range is malformed, warn and zero it out.
     if (!anchorNode || !focusNode) {
@@ -717,13 +829,17 @@ class Range extends Record(DEFAULTS) {
       )
 
       const first = node.getFirstText()
-      return range.merge({
-        anchorKey: first ? first.key : null,
-        anchorOffset: 0,
-        focusKey: first ? first.key : null,
-        focusOffset: 0,
-        isBackward: false,
-      })
+      const path = first ? node.getPath(first.key) : null
+      return range
+        .merge({
+          anchorKey: first ? first.key : null,
+          anchorOffset: 0,
+          focusKey: first ? first.key : null,
+          focusOffset: 0,
+          isBackward: false,
+        })
+        .set('anchorPath', path)
+        .set('focusPath', path)
     }
 
     // If the anchor node isn't a text node, match it to one.
@@ -761,23 +877,30 @@ class Range extends Record(DEFAULTS) {
       }
     }
 
-    // Merge in any updated properties.
-    return range.merge({
-      anchorKey: anchorNode.key,
-      anchorOffset,
-      focusKey: focusNode.key,
-      focusOffset,
-      isBackward,
-    })
+    // Merge in any updated properties, and the paths of the points, which are
+    // only looked up when they are missing or point to another node.
+    return range
+      .merge({
+        anchorKey: anchorNode.key,
+        anchorOffset,
+        focusKey: focusNode.key,
+        focusOffset,
+        isBackward,
+      })
+      .set('anchorPath', getPointPath(node, anchorPath, anchorNode))
+      .set('focusPath', getPointPath(node, focusPath, focusNode))
   }
 
   /**
-   * Return a JSON representation of the range.
+   * Return a JSON representation of the range. If `preserveKeys` is `false`,
+   * the points are described by their paths instead of their keys, so the
+   * range should have been normalized against the document first.
    *
+   * @param {Object} options
    * @return {Object}
    */
 
-  toJSON() {
+  toJSON(options = {}) {
     const object = {
       object: this.object,
       anchorKey: this.anchorKey,
@@ -791,6 +914,13 @@ class Range extends Record(DEFAULTS) {
       isAtomic: this.isAtomic,
     }
 
+    if (options.preserveKeys === false) {
+      object.anchorPath = this.anchorPath
+      object.focusPath = this.focusPath
+      delete object.anchorKey
+      delete object.focusKey
+    }
+
     return object
   }
 
@@ -798,11 +928,30 @@ class Range extends Record(DEFAULTS) {
    * Alias `toJS`.
    */
 
-  toJS() {
-    return this.toJSON()
+  toJS(options) {
+    return this.toJSON(options)
   }
 }
 
+/**
+ * Get the path of the `text` node of a point in a `node`, reusing its current
+ * `path` if it still points to it.
+ *
+ * @param {Node} node
+ * @param {Array|Null} path
+ * @param {Text} text
+ * @return {Array}
+ */
+
+function getPointPath(node, path, text) {
+  if (path != null) {
+    const current = node.getDescendantAtPath(path)
+    if (current && current.key == text.key) return path
+  }
+
+  return node.getPath(text.key)
+}
+
 /**
  * Attach a pseudo-symbol for type checking.
  */
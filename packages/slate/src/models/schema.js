@@ -7,23 +7,32 @@ import { Record } from 'immutable'
 import {
   CHILD_OBJECT_INVALID,
   CHILD_REQUIRED,
+  CHILD_SEQUENCE_INVALID,
   CHILD_TYPE_INVALID,
   CHILD_UNKNOWN,
   FIRST_CHILD_OBJECT_INVALID,
   FIRST_CHILD_TYPE_INVALID,
   LAST_CHILD_OBJECT_INVALID,
   LAST_CHILD_TYPE_INVALID,
+  NEXT_SIBLING_INVALID,
+  NEXT_SIBLING_OBJECT_INVALID,
+  NEXT_SIBLING_TYPE_INVALID,
   NODE_DATA_INVALID,
+  NODE_INVALID,
   NODE_IS_VOID_INVALID,
   NODE_MARK_INVALID,
   NODE_TEXT_INVALID,
   PARENT_OBJECT_INVALID,
   PARENT_TYPE_INVALID,
+  PREVIOUS_SIBLING_INVALID,
+  PREVIOUS_SIBLING_OBJECT_INVALID,
+  PREVIOUS_SIBLING_TYPE_INVALID,
 } from 'slate-schema-violations'
 
 import CORE_SCHEMA_RULES from '../constants/core-schema-rules'
 import MODEL_TYPES from '../constants/model-types'
 import Stack from './stack'
+import matchSequence from '../utils/sequence'
 import memoize from '../utils/memoize'
 
 /**
@@ -45,6 +54,25 @@ const DEFAULTS = {
   document: {},
   blocks: {},
   inlines: {},
+  marks: {},
+}
+
+/**
+ * The violations of the previous and next sibling rules, by constraint.
+ *
+ * @type {Object}
+ */
+
+const PREVIOUS_VIOLATIONS = {
+  invalid: PREVIOUS_SIBLING_INVALID,
+  object: PREVIOUS_SIBLING_OBJECT_INVALID,
+  type: PREVIOUS_SIBLING_TYPE_INVALID,
+}
+
+const NEXT_VIOLATIONS = {
+  invalid: NEXT_SIBLING_INVALID,
+  object: NEXT_SIBLING_OBJECT_INVALID,
+  type: NEXT_SIBLING_TYPE_INVALID,
 }
 
 /**
@@ -164,6 +192,34 @@ class Schema extends Record(DEFAULTS) {
     }
   }
 
+  /**
+   * Get the group of the marks of `type`, or null if they aren't in a group.
+   *
+   * @param {String} type
+   * @return {String|Null}
+   */
+
+  getMarkGroup(type) {
+    const rule = this.marks[type]
+    return rule && rule.group != null ? rule.group : null
+  }
+
+  /**
+   * Check if adding a `mark` to some text removes an `other` mark from it,
+   * because they are of the same type with different data, or of different
+   * types in the same group.
+   *
+   * @param {Mark} mark
+   * @param {Mark} other
+   * @return {Boolean}
+   */
+
+  excludesMark(mark, other) {
+    if (mark.type == other.type) return !mark.equals(other)
+    const group = this.getMarkGroup(mark.type)
+    return group != null && group == this.getMarkGroup(other.type)
+  }
+
   /**
    * Get a dictionary of the parent rule validations by child type.
    *
@@ -190,7 +246,33 @@ class Schema extends Record(DEFAULTS) {
   }
 
   /**
-   * Fail validation by returning a normalizing change function.
+   * Get a dictionary of the sibling rule validations by child type.
+   *
+   * @return {Object|Null}
+   */
+
+  getSiblingRules() {
+    const { blocks, inlines } = this
+    const siblings = {}
+
+    for (const key in blocks) {
+      const rule = blocks[key]
+      if (rule.previous == null && rule.next == null) continue
+      siblings[key] = rule
+    }
+
+    for (const key in inlines) {
+      const rule = inlines[key]
+      if (rule.previous == null && rule.next == null) continue
+      siblings[key] = rule
+    }
+
+    return Object.keys(siblings).length == 0 ? null : siblings
+  }
+
+  /**
+   * Fail validation by returning a normalizing change function, which has
+   * the `violation` and its `context` attached.
    *
    * @param {String} violation
    * @param {Object} context
@@ -198,7 +280,7 @@ class Schema extends Record(DEFAULTS) {
    */
 
   fail(violation, context) {
-    return change => {
+    const fn = change => {
       debug(`normalizing`, { violation, context })
       const { rule } = context
       const { size } = change.operations
@@ -206,6 +288,11 @@ class Schema extends Record(DEFAULTS) {
       if (change.operations.size > size) return
       this.normalize(change, violation, context)
     }
+
+    // Expose the violation, so that it can be reported without normalizing.
+    fn.violation = violation
+    fn.context = context
+    return fn
   }
 
   /**
@@ -233,10 +320,24 @@ class Schema extends Record(DEFAULTS) {
           : change.removeNodeByKey(child.key)
       }
 
+      case CHILD_SEQUENCE_INVALID: {
+        const { child, node } = context
+        if (child) return change.removeNodeByKey(child.key)
+        return node.object == 'document'
+          ? node.nodes.forEach(c => change.removeNodeByKey(c.key))
+          : change.removeNodeByKey(node.key)
+      }
+
       case CHILD_REQUIRED:
       case NODE_TEXT_INVALID:
       case PARENT_OBJECT_INVALID:
-      case PARENT_TYPE_INVALID: {
+      case PARENT_TYPE_INVALID:
+      case NEXT_SIBLING_INVALID:
+      case NEXT_SIBLING_OBJECT_INVALID:
+      case NEXT_SIBLING_TYPE_INVALID:
+      case PREVIOUS_SIBLING_INVALID:
+      case PREVIOUS_SIBLING_OBJECT_INVALID:
+      case PREVIOUS_SIBLING_TYPE_INVALID: {
         const { node } = context
         return node.object == 'document'
           ? node.nodes.forEach(child => change.removeNodeByKey(child.key))
@@ -261,6 +362,15 @@ class Schema extends Record(DEFAULTS) {
           .getTexts()
           .forEach(t => change.removeMarkByKey(t.key, 0, t.text.length, mark))
       }
+
+      // Custom violations returned by a rule's `validate` function, including
+      // `NODE_INVALID`, remove the invalid node by default.
+      default: {
+        const { node } = context
+        return node.object == 'document'
+          ? node.nodes.forEach(child => change.removeNodeByKey(child.key))
+          : change.removeNodeByKey(node.key)
+      }
     }
   }
 
@@ -280,6 +390,7 @@ class Schema extends Record(DEFAULTS) {
 
     const rule = this.getRule(node) || {}
     const parents = this.getParentRules()
+    const siblings = this.getSiblingRules()
     const ctx = { node, rule }
 
     if (rule.isVoid != null) {
@@ -343,7 +454,17 @@ class Schema extends Record(DEFAULTS) {
       }
     }
 
-    if (rule.nodes != null || parents != null) {
+    if (rule.sequence != null) {
+      const children = node.nodes.toArray()
+      const index = matchSequence(rule.sequence, children)
+
+      if (index != -1) {
+        const child = children[index]
+        return this.fail(CHILD_SEQUENCE_INVALID, { ...ctx, child, index })
+      }
+    }
+
+    if (rule.nodes != null || parents != null || siblings != null) {
       const children = node.nodes.toArray()
       const defs = rule.nodes != null ? rule.nodes.slice() : []
 
@@ -407,6 +528,36 @@ class Schema extends Record(DEFAULTS) {
           }
         }
 
+        if (
+          siblings != null &&
+          child.object != 'text' &&
+          child.type in siblings
+        ) {
+          const r = siblings[child.type]
+          const sides = [
+            [r.previous, children[index - 1], PREVIOUS_VIOLATIONS],
+            [r.next, children[index + 1], NEXT_VIOLATIONS],
+          ]
+
+          for (const [constraint, sibling, violations] of sides) {
+            const violation = validateSibling(
+              constraint,
+              sibling,
+              child,
+              violations
+            )
+
+            if (violation) {
+              return this.fail(violation, {
+                node: child,
+                parent: node,
+                sibling,
+                rule: r,
+              })
+            }
+          }
+        }
+
         if (rule.nodes != null) {
           if (!def) {
             return this.fail(CHILD_UNKNOWN, { ...ctx, child, index })
@@ -440,6 +591,60 @@ class Schema extends Record(DEFAULTS) {
         }
       }
     }
+
+    if (rule.validate != null) {
+      const result = rule.validate(node)
+
+      if (result === false) {
+        return this.fail(NODE_INVALID, ctx)
+      }
+
+      if (typeof result == 'string') {
+        return this.fail(result, ctx)
+      }
+    }
+  }
+
+  /**
+   * Validate all of the nodes in the document of a `value` without
+   * normalizing them, returning a list of the violations that were found, at
+   * most one for each node. Each violation points at the node whose rule was
+   * violated, so child violations point at the parent and have the child in
+   * their `context`. Violations from plugins' `validateNode` functions, like
+   * the core ones, have a `null` code since they can't be identified.
+   *
+   * @param {Value} value
+   * @return {Array}
+   */
+
+  validate(value) {
+    const violations = []
+
+    const visit = (node, path) => {
+      const fn = this.validateNode(node)
+
+      if (fn) {
+        const { violation = null, context = {} } = fn
+        const invalid = context.node || node
+        const index = node.nodes ? node.nodes.indexOf(invalid) : -1
+
+        violations.push({
+          code: violation,
+          path: index == -1 ? path : path.concat(index),
+          key: invalid.key,
+          node: invalid,
+          rule: context.rule || null,
+          context,
+        })
+      }
+
+      if (node.object != 'text') {
+        node.nodes.forEach((child, i) => visit(child, path.concat(i)))
+      }
+    }
+
+    visit(value.document, [])
+    return violations
   }
 
   /**
@@ -454,6 +659,7 @@ class Schema extends Record(DEFAULTS) {
       document: this.document,
       blocks: this.blocks,
       inlines: this.inlines,
+      marks: this.marks,
     }
 
     return object
@@ -480,6 +686,7 @@ function resolveSchema(plugins = []) {
     document: {},
     blocks: {},
     inlines: {},
+    marks: {},
   }
 
   plugins
@@ -500,10 +707,17 @@ function resolveSchema(plugins = []) {
         )
       }
 
-      const { document = {}, blocks = {}, inlines = {} } = plugin.schema
+      const {
+        document = {},
+        blocks = {},
+        inlines = {},
+        marks = {},
+      } = plugin.schema
+
       const d = resolveDocumentRule(document)
       const bs = {}
       const is = {}
+      const ms = {}
 
       for (const key in blocks) {
         bs[key] = resolveNodeRule('block', key, blocks[key])
@@ -513,9 +727,14 @@ function resolveSchema(plugins = []) {
         is[key] = resolveNodeRule('inline', key, inlines[key])
       }
 
+      for (const key in marks) {
+        ms[key] = resolveMarkRule(marks[key])
+      }
+
       mergeWith(schema.document, d, customizer)
       mergeWith(schema.blocks, bs, customizer)
       mergeWith(schema.inlines, is, customizer)
+      mergeWith(schema.marks, ms, customizer)
     })
 
   return schema
@@ -532,6 +751,8 @@ function resolveDocumentRule(obj) {
   return {
     data: {},
     nodes: null,
+    sequence: null,
+    validate: null,
     ...obj,
   }
 }
@@ -552,12 +773,58 @@ function resolveNodeRule(object, type, obj) {
     nodes: null,
     first: null,
     last: null,
+    next: null,
     parent: null,
+    previous: null,
+    sequence: null,
     text: null,
+    validate: null,
+    ...obj,
+  }
+}
+
+/**
+ * Resolve a mark rule from `obj`.
+ *
+ * @param {Object} obj
+ * @return {Object}
+ */
+
+function resolveMarkRule(obj) {
+  return {
+    group: null,
     ...obj,
   }
 }
 
+/**
+ * Validate the `sibling` of a `node` against a sibling rule `def`, returning
+ * the violation from `violations` if it's invalid. A missing sibling is valid.
+ *
+ * @param {Object} def
+ * @param {Node} sibling
+ * @param {Node} node
+ * @param {Object} violations
+ * @return {String|Void}
+ */
+
+function validateSibling(def, sibling, node, violations) {
+  if (def == null || sibling == null) return
+  const { objects, types, validate } = def
+
+  if (objects != null && !objects.includes(sibling.object)) {
+    return violations.object
+  }
+
+  if (types != null && !types.includes(sibling.type)) {
+    return violations.type
+  }
+
+  if (validate != null && !validate(sibling, node)) {
+    return violations.invalid
+  }
+}
+
 /**
  * A Lodash customizer for merging schema definitions. Special cases `objects`,
  * `marks` and `types` arrays to be unioned, and ignores new `null` values.
@@ -585,7 +852,7 @@ Schema.prototype[MODEL_TYPES.SCHEMA] = true
  * Memoize read methods.
  */
 
-memoize(Schema.prototype, ['getParentRules'])
+memoize(Schema.prototype, ['getParentRules', 'getSiblingRules'])
 
 /**
  * Export.
@@ -4,6 +4,7 @@ import { List, OrderedSet, Record, Set } from 'immutable'
 
 import Leaf from './leaf'
 import MODEL_TYPES, { isType } from '../constants/model-types'
+import Rope from '../utils/rope'
 import generateKey from '../utils/generate-key'
 import memoize from '../utils/memoize'
 
@@ -14,7 +15,7 @@ import memoize from '../utils/memoize'
  */
 
 const DEFAULTS = {
-  leaves: List(),
+  rope: null,
   key: undefined,
 }
 
@@ -97,7 +98,7 @@ class Text extends Record(DEFAULTS) {
     }
 
     const node = new Text({
-      leaves: Leaf.createLeaves(leaves),
+      rope: Rope.create(Leaf.createLeaves(leaves)),
       key,
     })
 
@@ -148,6 +149,30 @@ class Text extends Record(DEFAULTS) {
     return this.object
   }
 
+  /**
+   * Check if the node is equal to an `other` one, by their keys and leaves,
+   * since the same leaves can be stored in ropes of different shapes.
+   *
+   * @param {Any} other
+   * @return {Boolean}
+   */
+
+  equals(other) {
+    if (this === other) return true
+    if (!Text.isText(other) || this.key !== other.key) return false
+    return this.leaves.equals(other.leaves)
+  }
+
+  /**
+   * Get a hash code of the node, from its key and leaves, to match `equals`.
+   *
+   * @return {Number}
+   */
+
+  hashCode() {
+    return List.of(this.key, this.leaves).hashCode()
+  }
+
   /**
    * Is the node empty?
    *
@@ -155,7 +180,7 @@ class Text extends Record(DEFAULTS) {
    */
 
   get isEmpty() {
-    return this.text == ''
+    return Rope.isEmpty(this.rope)
   }
 
   /**
@@ -175,7 +200,28 @@ class Text extends Record(DEFAULTS) {
    */
 
   getString() {
-    return this.leaves.reduce((string, leaf) => string + leaf.text, '')
+    return Rope.getText(this.rope)
+  }
+
+  /**
+   * Get the leaves of the node.
+   *
+   * @return {List<Leaf>}
+   */
+
+  get leaves() {
+    return this.getMergedLeaves()
+  }
+
+  /**
+   * Get the leaves of the node, merged from the chunks of its rope, cached
+   * for leaves getter.
+   *
+   * @return {List<Leaf>}
+   */
+
+  getMergedLeaves() {
+    return Rope.getLeaves(this.rope)
   }
 
   /**
@@ -248,30 +294,24 @@ class Text extends Record(DEFAULTS) {
    */
 
   addMarks(index, length, set) {
-    if (this.text === '' && length === 0 && index === 0) {
-      const { leaves } = this
-      const first = leaves.first()
+    if (Rope.isEmpty(this.rope) && length === 0 && index === 0) {
+      const first = this.rope
 
       if (!first) {
-        return this.set(
-          'leaves',
-          List.of(Leaf.fromJSON({ text: '', marks: set }))
-        )
+        return this.set('rope', Leaf.fromJSON({ text: '', marks: set }))
       }
 
       const newFirst = first.addMarks(set)
       if (newFirst === first) return this
-      return this.set('leaves', List.of(newFirst))
+      return this.set('rope', newFirst)
     }
 
-    if (this.text === '') return this
+    if (Rope.isEmpty(this.rope)) return this
     if (length === 0) return this
-    if (index >= this.text.length) return this
+    if (index >= Rope.getLength(this.rope)) return this
 
-    const [before, bundle] = Leaf.splitLeaves(this.leaves, index)
-    const [middle, after] = Leaf.splitLeaves(bundle, length)
-    const leaves = before.concat(middle.map(x => x.addMarks(set)), after)
-    return this.setLeaves(leaves)
+    const rope = mapRope(this.rope, index, length, x => x.addMarks(set))
+    return this.set('rope', normalizeRope(rope))
   }
 
   /**
@@ -347,7 +387,7 @@ class Text extends Record(DEFAULTS) {
     let result = null
     let leafEnd = 0
 
-    this.leaves.forEach(leaf => {
+    Rope.forEach(this.rope, leaf => {
       const leafStart = leafEnd
       leafEnd = leafStart + leaf.text.length
 
@@ -361,7 +401,6 @@ class Text extends Record(DEFAULTS) {
 
       result = result.intersect(leaf.marks)
       if (result && result.size === 0) return false
-      return false
     })
 
     return result || Set()
@@ -374,13 +413,13 @@ class Text extends Record(DEFAULTS) {
    */
 
   getActiveMarks() {
-    if (this.leaves.size === 0) return Set()
+    if (!this.rope) return Set()
 
-    const result = this.leaves.first().marks
+    const result = Rope.find(this.rope, 0).leaf.marks
     if (result.size === 0) return result
 
     return result.withMutations(x => {
-      this.leaves.forEach(c => {
+      Rope.forEach(this.rope, c => {
         x.intersect(c.marks)
         if (x.size === 0) return false
       })
@@ -408,7 +447,7 @@ class Text extends Record(DEFAULTS) {
     let result = null
     let leafEnd = 0
 
-    this.leaves.forEach(leaf => {
+    Rope.forEach(this.rope, leaf => {
       const leafStart = leafEnd
       leafEnd = leafStart + leaf.text.length
 
@@ -444,13 +483,13 @@ class Text extends Record(DEFAULTS) {
    */
 
   getMarksAsArray() {
-    if (this.leaves.size === 0) return []
-    const first = this.leaves.first().marks
-    if (this.leaves.size === 1) return first.toArray()
+    if (!this.rope) return []
+    const first = Rope.find(this.rope, 0).leaf.marks
+    if (!this.rope.left) return first.toArray()
 
     const result = []
 
-    this.leaves.forEach(leaf => {
+    Rope.forEach(this.rope, leaf => {
       result.push(leaf.marks.toArray())
     })
 
@@ -470,7 +509,7 @@ class Text extends Record(DEFAULTS) {
    */
 
   getMarksAtIndex(index) {
-    const { leaf } = this.searchLeafAtOffset(index)
+    const { leaf } = Rope.find(this.rope, index)
     if (!leaf) return Set()
     return leaf.marks
   }
@@ -507,35 +546,32 @@ class Text extends Record(DEFAULTS) {
    */
 
   insertText(offset, text, marks) {
-    if (this.text === '') {
-      return this.set('leaves', List.of(Leaf.create({ text, marks })))
+    if (Rope.isEmpty(this.rope)) {
+      const leaves = List.of(Leaf.create({ text, marks }))
+      return this.set('rope', Rope.create(leaves))
     }
 
     if (text.length === 0) return this
     if (!marks) marks = Set()
 
-    const { startOffset, leaf, index } = this.searchLeafAtOffset(offset)
-    const delta = offset - startOffset
-    const beforeText = leaf.text.slice(0, delta)
-    const afterText = leaf.text.slice(delta)
-    const { leaves } = this
+    const { rope } = this
+    const { startOffset, leaf } = Rope.find(rope, offset)
 
+    // If the marks are the same, insert into the chunk at the offset instead of
+    // adding a new one, so that typing doesn't fragment the rope.
     if (leaf.marks.equals(marks)) {
-      return this.set(
-        'leaves',
-        leaves.set(index, leaf.set('text', beforeText + text + afterText))
-      )
+      const delta = offset - startOffset
+      const beforeText = leaf.text.slice(0, delta)
+      const afterText = leaf.text.slice(delta)
+      const next = leaf.set('text', beforeText + text + afterText)
+      const length = leaf.text.length
+      const chunk = Rope.create(List.of(next))
+      return this.set('rope', replaceRope(rope, startOffset, length, chunk))
     }
 
-    const nextLeaves = leaves.splice(
-      index,
-      1,
-      leaf.set('text', beforeText),
-      Leaf.create({ text, marks }),
-      leaf.set('text', afterText)
-    )
-
-    return this.setLeaves(nextLeaves)
+    const chunk = Rope.create(List.of(Leaf.create({ text, marks })))
+    const next = replaceRope(rope, offset, 0, chunk)
+    return this.set('rope', normalizeRope(next))
   }
 
   /**
@@ -559,20 +595,18 @@ class Text extends Record(DEFAULTS) {
    */
 
   removeMark(index, length, mark) {
-    if (this.text === '' && index === 0 && length === 0) {
-      const first = this.leaves.first()
+    if (Rope.isEmpty(this.rope) && index === 0 && length === 0) {
+      const first = this.rope
       if (!first) return this
       const newFirst = first.removeMark(mark)
       if (newFirst === first) return this
-      return this.set('leaves', List.of(newFirst))
+      return this.set('rope', newFirst)
     }
 
     if (length <= 0) return this
-    if (index >= this.text.length) return this
-    const [before, bundle] = Leaf.splitLeaves(this.leaves, index)
-    const [middle, after] = Leaf.splitLeaves(bundle, length)
-    const leaves = before.concat(middle.map(x => x.removeMark(mark)), after)
-    return this.setLeaves(leaves)
+    if (index >= Rope.getLength(this.rope)) return this
+    const rope = mapRope(this.rope, index, length, x => x.removeMark(mark))
+    return this.set('rope', normalizeRope(rope))
   }
 
   /**
@@ -585,48 +619,15 @@ class Text extends Record(DEFAULTS) {
 
   removeText(start, length) {
     if (length <= 0) return this
-    if (start >= this.text.length) return this
+    if (start >= Rope.getLength(this.rope)) return this
 
-    // PERF: For simple backspace, we can operate directly on the leaf
-    if (length === 1) {
-      const { leaf, index, startOffset } = this.searchLeafAtOffset(start + 1)
-      const offset = start - startOffset
-
-      if (leaf) {
-        if (leaf.text.length === 1) {
-          const leaves = this.leaves.remove(index)
-          return this.setLeaves(leaves)
-        }
+    const rope = replaceRope(this.rope, start, length, null)
+    if (!Rope.isEmpty(rope)) return this.set('rope', rope)
 
-        const beforeText = leaf.text.slice(0, offset)
-        const afterText = leaf.text.slice(offset + length)
-        const text = beforeText + afterText
-
-        if (text.length > 0) {
-          return this.set(
-            'leaves',
-            this.leaves.set(index, leaf.set('text', text))
-          )
-        }
-      }
-    }
-
-    const [before, bundle] = Leaf.splitLeaves(this.leaves, start)
-    const after = Leaf.splitLeaves(bundle, length)[1]
-    const leaves = Leaf.createLeaves(before.concat(after))
-
-    if (leaves.size === 1) {
-      const first = leaves.first()
-
-      if (first.text === '') {
-        return this.set(
-          'leaves',
-          List.of(first.set('marks', this.getActiveMarks()))
-        )
-      }
-    }
-
-    return this.set('leaves', leaves)
+    // If a single character is removed, the text loses its marks with it, but
+    // otherwise they're kept on the empty text.
+    if (length === 1) return this.set('rope', null)
+    return this.set('rope', rope.set('marks', this.getActiveMarks()))
   }
 
   /**
@@ -672,27 +673,22 @@ class Text extends Record(DEFAULTS) {
   updateMark(index, length, mark, properties) {
     const newMark = mark.merge(properties)
 
-    if (this.text === '' && length === 0 && index === 0) {
-      const { leaves } = this
-      const first = leaves.first()
+    if (Rope.isEmpty(this.rope) && length === 0 && index === 0) {
+      const first = this.rope
       if (!first) return this
       const newFirst = first.updateMark(mark, newMark)
       if (newFirst === first) return this
-      return this.set('leaves', List.of(newFirst))
+      return this.set('rope', newFirst)
     }
 
     if (length <= 0) return this
-    if (index >= this.text.length) return this
+    if (index >= Rope.getLength(this.rope)) return this
 
-    const [before, bundle] = Leaf.splitLeaves(this.leaves, index)
-    const [middle, after] = Leaf.splitLeaves(bundle, length)
-
-    const leaves = before.concat(
-      middle.map(x => x.updateMark(mark, newMark)),
-      after
+    const rope = mapRope(this.rope, index, length, x =>
+      x.updateMark(mark, newMark)
     )
 
-    return this.setLeaves(leaves)
+    return this.set('rope', normalizeRope(rope))
   }
 
   /**
@@ -702,9 +698,9 @@ class Text extends Record(DEFAULTS) {
    */
 
   splitText(offset) {
-    const splitted = Leaf.splitLeaves(this.leaves, offset)
-    const one = this.set('leaves', splitted[0])
-    const two = this.set('leaves', splitted[1]).regenerateKey()
+    const splitted = Rope.split(this.rope, offset)
+    const one = this.set('rope', splitted[0])
+    const two = this.set('rope', splitted[1]).regenerateKey()
     return [one, two]
   }
 
@@ -715,8 +711,8 @@ class Text extends Record(DEFAULTS) {
    */
 
   mergeText(text) {
-    const leaves = this.leaves.concat(text.leaves)
-    return this.setLeaves(leaves)
+    const rope = Rope.concat(this.rope, text.rope)
+    return this.set('rope', normalizeRope(rope))
   }
 
   /**
@@ -750,20 +746,55 @@ class Text extends Record(DEFAULTS) {
    */
 
   setLeaves(leaves) {
-    const result = Leaf.createLeaves(leaves)
+    const rope = Rope.create(Leaf.createLeaves(leaves))
+    return this.set('rope', normalizeRope(rope))
+  }
+}
 
-    if (result.size === 1) {
-      const first = result.first()
+/**
+ * Replace the text of a `rope` at `offset` and `length` with another rope.
+ *
+ * @param {Object|Null} rope
+ * @param {Number} offset
+ * @param {Number} length
+ * @param {Object|Null} replacement
+ * @return {Object|Null}
+ */
 
-      if (!first.marks || first.marks.size === 0) {
-        if (first.text === '') {
-          return this.set('leaves', List())
-        }
-      }
-    }
+function replaceRope(rope, offset, length, replacement) {
+  const [before, bundle] = Rope.split(rope, offset)
+  const after = Rope.split(bundle, length)[1]
+  return Rope.concat(Rope.concat(before, replacement), after)
+}
 
-    return this.set('leaves', Leaf.createLeaves(leaves))
-  }
+/**
+ * Map the chunks of the text of a `rope` at `offset` and `length` with an
+ * `iterator`.
+ *
+ * @param {Object|Null} rope
+ * @param {Number} offset
+ * @param {Number} length
+ * @param {Function} iterator
+ * @return {Object|Null}
+ */
+
+function mapRope(rope, offset, length, iterator) {
+  const [before, bundle] = Rope.split(rope, offset)
+  const [middle, after] = Rope.split(bundle, length)
+  const mapped = Rope.map(middle, iterator)
+  return Rope.concat(Rope.concat(before, mapped), after)
+}
+
+/**
+ * Normalize a `rope` so that an empty text without marks has no rope.
+ *
+ * @param {Object|Null} rope
+ * @return {Object|Null}
+ */
+
+function normalizeRope(rope) {
+  if (rope == null || !Rope.isEmpty(rope)) return rope
+  return rope.marks.size === 0 ? null : rope
 }
 
 /**
@@ -778,6 +809,7 @@ Text.prototype[MODEL_TYPES.TEXT] = true
 
 memoize(Text.prototype, [
   'getDecorations',
+  'getMergedLeaves',
   'getActiveMarks',
   'getMarks',
   'getMarksAsArray',
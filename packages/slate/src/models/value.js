@@ -1,14 +1,22 @@
 import isPlainObject from 'is-plain-object'
 import logger from 'slate-dev-logger'
-import { Record, Set, List, Map } from 'immutable'
+import { Record, Set, List, Map, OrderedMap, is } from 'immutable'
 
 import MODEL_TYPES from '../constants/model-types'
+import Annotation from './annotation'
 import Change from './change'
 import Data from './data'
 import Document from './document'
 import History from './history'
+import Point from './point'
+import PointRef from './point-ref'
 import Range from './range'
+import RangeRef from './range-ref'
 import Schema from './schema'
+import diff from '../operations/diff'
+import { withKeyGenerator } from '../utils/generate-key'
+import { getClosestItem, getListTypes } from '../utils/list'
+import { getTableContext, getTableTypes } from '../utils/table'
 
 /**
  * Default properties.
@@ -17,14 +25,25 @@ import Schema from './schema'
  */
 
 const DEFAULTS = {
+  annotations: new OrderedMap(),
   data: new Map(),
   decorations: null,
   document: Document.create(),
   history: History.create(),
+  keyGenerator: null,
+  refs: null,
   schema: Schema.create(),
   selection: Range.create(),
 }
 
+/**
+ * The value of a mark group that has different marks in the selection.
+ *
+ * @type {String}
+ */
+
+const MIXED = 'mixed'
+
 /**
  * Value.
  *
@@ -89,19 +108,44 @@ class Value extends Record(DEFAULTS) {
    *
    * @param {Object} object
    * @param {Object} options
+   *   @property {Object} history
    *   @property {Boolean} normalize
    *   @property {Array} plugins
+   *   @property {Object|Schema} schema
+   *   @property {Boolean} strict
    * @return {Value}
    */
 
   static fromJSON(object, options = {}) {
-    let { document = {}, selection = {}, schema = {} } = object
+    let { document = {}, history = {}, selection = {}, schema = {} } = object
 
     let data = new Map()
 
-    document = Document.fromJSON(document)
+    // The keys of the value are generated with its own generator if it's
+    // given, and the duplicate keys of the document are regenerated, so that
+    // each key is only used once.
+    const { keyGenerator = null } = options
+
+    document = withKeyGenerator(keyGenerator, null, () =>
+      Document.fromJSON(document)
+    )
+
+    document = regenerateDuplicateKeys(document, keyGenerator)
+
+    // The ranges of the annotations can be given by paths, so they are
+    // resolved against the document.
+    const annotations = Annotation.createMap(object.annotations).map(a =>
+      a.set('range', a.range.normalize(document))
+    )
+
+    history = History.create(history)
     selection = Range.fromJSON(selection)
-    schema = Schema.fromJSON(schema)
+    schema = Schema.create(options.schema || schema)
+
+    // Allow the history to be configured, like its maximum depth.
+    if (options.history) {
+      history = history.setOptions(options.history)
+    }
 
     // Allow plugins to set a default value for `data`.
     if (options.plugins) {
@@ -115,19 +159,48 @@ class Value extends Record(DEFAULTS) {
       data = data.merge(object.data)
     }
 
+    // If the selection was given by paths, resolve its keys in the document.
+    if (selection.isUnset && selection.anchorPath && selection.focusPath) {
+      selection = selection.normalize(document)
+    }
+
     if (selection.isUnset) {
       const text = document.getFirstText()
       if (text) selection = selection.collapseToStartOf(text)
     }
 
+    // The refs are handed over to the next value by each operation that a
+    // change applies, so that they can be updated by the ones after them.
+    const refs = []
+
     let value = new Value({
+      annotations,
       data,
       document,
+      history,
+      keyGenerator,
+      refs,
       selection,
       schema,
     })
 
-    if (options.normalize !== false) {
+    // In strict mode, an invalid value is rejected instead of normalized.
+    if (options.strict) {
+      const violations = schema.validate(value)
+
+      if (violations.length) {
+        const list = violations
+          .map(v => `${v.code} at [${v.path.join(', ')}]`)
+          .join(', ')
+
+        const error = new Error(
+          `The value is invalid for its schema, with these violations: ${list}`
+        )
+
+        error.violations = violations
+        throw error
+      }
+    } else if (options.normalize !== false) {
       value = value.change({ save: false }).normalize().value
     }
 
@@ -140,6 +213,19 @@ class Value extends Record(DEFAULTS) {
 
   static fromJS = Value.fromJSON
 
+  /**
+   * Get the list of operations that turn the document of a value `a` into the
+   * document of a value `b`, when applied to `a`.
+   *
+   * @param {Value} a
+   * @param {Value} b
+   * @return {List<Operation>}
+   */
+
+  static diff(a, b) {
+    return diff(a, b)
+  }
+
   /**
    * Check if a `value` is a `Value`.
    *
@@ -534,16 +620,24 @@ class Value extends Record(DEFAULTS) {
   }
 
   /**
-   * Get the active marks of the current selection.
+   * Get the active marks of the current selection, as the value of each mark
+   * group in it, keyed by the group, or by the type for marks that aren't in a
+   * group. It's the mark of the group that all of the selection has, or
+   * `'mixed'` if it differs, like for several colours.
    *
-   * @return {Set<Mark>}
+   * @return {Map<String,Mark|String>}
    */
 
   get activeMarks() {
-    return this.selection.isUnset
-      ? new Set()
-      : this.selection.marks ||
-          this.document.getActiveMarksAtRange(this.selection)
+    const { document, schema, selection } = this
+    if (selection.isUnset) return new Map()
+
+    const sets =
+      selection.isCollapsed || selection.marks
+        ? [selection.marks || document.getActiveMarksAtRange(selection)]
+        : getLeafMarksAtRange(document, selection)
+
+    return getMarkGroups(sets, schema)
   }
 
   /**
@@ -617,6 +711,59 @@ class Value extends Record(DEFAULTS) {
     return this.document.hasVoidParent(this.startKey)
   }
 
+  /**
+   * Check whether the start of the selection is in a list item, which is only
+   * ever true when the schema has the list plugin.
+   *
+   * @return {Boolean}
+   */
+
+  get isInList() {
+    const types = getListTypes(this.schema)
+    if (!this.startKey || !types) return false
+    return !!getClosestItem(this.document, this.startKey, types)
+  }
+
+  /**
+   * Check whether the start of the selection is in a table cell, which is
+   * only ever true when the schema has the table plugin.
+   *
+   * @return {Boolean}
+   */
+
+  get isInTable() {
+    const types = getTableTypes(this.schema)
+    if (!this.startKey || !types) return false
+    return !!getTableContext(this.document, this.startKey, types)
+  }
+
+  /**
+   * Get the annotations that overlap a `range`, including the ones that only
+   * touch its edges, in the order they were added.
+   *
+   * @param {Range} range
+   * @return {List<Annotation>}
+   */
+
+  getAnnotationsAtRange(range = this.selection) {
+    const { annotations, document } = this
+    range = range.normalize(document)
+    if (range.isUnset) return List()
+
+    const getOffset = (key, offset) => document.getOffset(key) + offset
+    const start = getOffset(range.startKey, range.startOffset)
+    const end = getOffset(range.endKey, range.endOffset)
+
+    return annotations
+      .filter(({ range: r }) => {
+        if (r.isUnset) return false
+        const s = getOffset(r.startKey, r.startOffset)
+        const e = getOffset(r.endKey, r.endOffset)
+        return s <= end && e >= start
+      })
+      .toList()
+  }
+
   /**
    * Create a new `Change` with the current value as a starting point.
    *
@@ -628,6 +775,40 @@ class Value extends Record(DEFAULTS) {
     return new Change({ ...attrs, value: this })
   }
 
+  /**
+   * Create a ref to a `point` in the document, which is kept up to date as
+   * operations are applied, until it is unreferenced.
+   *
+   * @param {Point|Object} point
+   * @param {Object} options
+   *   @property {String} gravity
+   * @return {PointRef}
+   */
+
+  createPointRef(point, options = {}) {
+    const { gravity } = options
+    const { document, refs } = this
+    point = Point.create(point).normalize(document)
+    return new PointRef({ point, gravity, refs })
+  }
+
+  /**
+   * Create a ref to a `range` in the document, which is kept up to date as
+   * operations are applied, until it is unreferenced.
+   *
+   * @param {Range|Object} range
+   * @param {Object} options
+   *   @property {String} gravity
+   * @return {RangeRef}
+   */
+
+  createRangeRef(range, options = {}) {
+    const { gravity } = options
+    const { document, refs } = this
+    range = Range.create(range).normalize(document)
+    return new RangeRef({ range, gravity, refs })
+  }
+
   /**
    * Return a JSON representation of the value.
    *
@@ -645,6 +826,15 @@ class Value extends Record(DEFAULTS) {
       object.data = this.data.toJSON()
     }
 
+    if (this.annotations.size) {
+      const { document } = this
+      const { preserveKeys } = options
+
+      object.annotations = this.annotations
+        .toArray()
+        .map(a => a.toJSON({ document, preserveKeys }))
+    }
+
     if (options.preserveDecorations) {
       object.decorations = this.decorations
         ? this.decorations.toArray().map(d => d.toJSON())
@@ -652,7 +842,7 @@ class Value extends Record(DEFAULTS) {
     }
 
     if (options.preserveHistory) {
-      object.history = this.history.toJSON()
+      object.history = this.history.toJSON(options)
     }
 
     if (options.preserveSelection) {
@@ -709,6 +899,95 @@ class Value extends Record(DEFAULTS) {
   }
 }
 
+/**
+ * Regenerate the keys of the nodes of a `document` that have the same key as
+ * another node, except for the first of them, with a `keyGenerator` if it's
+ * given, making sure that the new keys aren't used in the document either.
+ *
+ * @param {Document} document
+ * @param {Function|Null} keyGenerator
+ * @return {Document}
+ */
+
+function regenerateDuplicateKeys(document, keyGenerator) {
+  const keys = document.getKeysAsArray()
+  const used = Set(keys).add(document.key)
+  if (used.size > keys.length) return document
+
+  const seen = { [document.key]: true }
+  const isUsed = key => used.has(key)
+
+  return withKeyGenerator(keyGenerator, isUsed, () =>
+    document.mapDescendants(node => {
+      if (seen[node.key] === true) return node.regenerateKey()
+      seen[node.key] = true
+      return node
+    })
+  )
+}
+
+/**
+ * Get the sets of marks of the non-empty leaves in a `range` of a `document`.
+ *
+ * @param {Document} document
+ * @param {Range} range
+ * @return {Array<Set<Mark>>}
+ */
+
+function getLeafMarksAtRange(document, range) {
+  const { startKey, startOffset, endKey, endOffset } = range
+  const sets = []
+
+  document.getTextsAtRange(range).forEach(text => {
+    const start = text.key == startKey ? startOffset : 0
+    const end = text.key == endKey ? endOffset : text.text.length
+    let offset = 0
+
+    text.getLeaves().forEach(leaf => {
+      const ax = offset
+      const ay = ax + leaf.text.length
+      offset = ay
+      if (ax < end && start < ay) sets.push(leaf.marks)
+    })
+  })
+
+  return sets
+}
+
+/**
+ * Get the value of each mark group in a list of `sets` of marks, with the
+ * groups of a `schema`.
+ *
+ * @param {Array<Set<Mark>>} sets
+ * @param {Schema} schema
+ * @return {Map<String,Mark|String>}
+ */
+
+function getMarkGroups(sets, schema) {
+  const keys = {}
+  const groups = sets.map(marks => {
+    const group = {}
+
+    marks.forEach(mark => {
+      const key = schema.getMarkGroup(mark.type) || mark.type
+      group[key] = group[key] ? MIXED : mark
+      keys[key] = true
+    })
+
+    return group
+  })
+
+  let map = new Map()
+
+  for (const key in keys) {
+    const first = groups[0][key]
+    const isSame = groups.every(group => is(group[key], first))
+    map = map.set(key, isSame ? first : MIXED)
+  }
+
+  return map
+}
+
 /**
  * Attach a pseudo-symbol for type checking.
  */
@@ -1,6 +1,13 @@
 import Debug from 'debug'
 
 import Operation from '../models/operation'
+import isRangeRemoved from '../utils/is-range-removed'
+import {
+  getKeyIndex,
+  hasKeyIndex,
+  setKeyIndex,
+  updateKeyIndex,
+} from '../utils/key-index'
 
 /**
  * Debug.
@@ -11,7 +18,21 @@ import Operation from '../models/operation'
 const debug = Debug('slate:operation:apply')
 
 /**
- * Apply adjustments to affected ranges (selections, decorations);
+ * The types of the operations that change the paths of the nodes.
+ *
+ * @type {Array}
+ */
+
+const STRUCTURAL_TYPES = [
+  'insert_node',
+  'merge_node',
+  'move_node',
+  'remove_node',
+  'split_node',
+]
+
+/**
+ * Apply adjustments to affected ranges (selections, annotations, decorations);
  * accepts (value, checking function(range) -> bool, applying function(range) -> range)
  * returns value with affected ranges updated
  *
@@ -27,6 +48,20 @@ function applyRangeAdjustments(value, checkAffected, adjustRange) {
     value = value.set('selection', adjustRange(value.selection))
   }
 
+  // check all annotations, removing the ones whose range was unset
+  if (value.annotations.size) {
+    const annotations = value.annotations
+      .map(
+        annotation =>
+          checkAffected(annotation.range)
+            ? annotation.set('range', adjustRange(annotation.range))
+            : annotation
+      )
+      .filter(annotation => annotation.range.anchorKey !== null)
+
+    value = value.set('annotations', annotations)
+  }
+
   if (!value.decorations) return value
 
   // check all ranges, apply adjustment if affected
@@ -39,6 +74,52 @@ function applyRangeAdjustments(value, checkAffected, adjustRange) {
   return value.set('decorations', decorations)
 }
 
+/**
+ * Update the paths of the points of the ranges in a `value` that have them,
+ * from their keys, since the operations that change the structure of the
+ * document change the paths without changing the keys.
+ *
+ * @param {Value} value
+ * @return {Value}
+ */
+
+function updateRangePaths(value) {
+  const { document } = value
+
+  const getPath = (key, path) => {
+    if (key == null) return path
+    return document.hasDescendant(key) ? document.getPath(key) : null
+  }
+
+  return applyRangeAdjustments(
+    value,
+    range => range.anchorPath != null || range.focusPath != null,
+    range =>
+      range
+        .set('anchorPath', getPath(range.anchorKey, range.anchorPath))
+        .set('focusPath', getPath(range.focusKey, range.focusPath))
+  )
+}
+
+/**
+ * Remove the decorations whose content is all removed by an `operation`.
+ *
+ * @param {Value} value
+ * @param {Operation} operation
+ * @return {Value}
+ */
+
+function removeEmptiedDecorations(value, operation) {
+  if (!value.decorations) return value
+  const { document } = value
+
+  const decorations = value.decorations.filter(
+    decoration => !isRangeRemoved(document, operation, decoration)
+  )
+
+  return value.set('decorations', decorations)
+}
+
 /**
  * clear any atomic ranges (in decorations) if they contain the point (key, offset, offset-end?)
  * specified
@@ -77,6 +158,23 @@ function clearAtomicRangesIfContains(value, key, offset, offsetEnd = null) {
  */
 
 const APPLIERS = {
+  /**
+   * Add an `annotation`, resolving its range in the document.
+   *
+   * @param {Value} value
+   * @param {Operation} operation
+   * @return {Value}
+   */
+
+  add_annotation(value, operation) {
+    const { document } = value
+    let { annotation } = operation
+    annotation = annotation.set('range', annotation.range.normalize(document))
+    const annotations = value.annotations.set(annotation.id, annotation)
+    value = value.set('annotations', annotations)
+    return value
+  },
+
   /**
    * Add mark to text at `offset` and `length` in node by `path`.
    *
@@ -230,8 +328,13 @@ const APPLIERS = {
     // Remove the node from its current parent.
     let parent = document.getParent(node.key)
     parent = parent.removeNode(oldIndex)
+    const index = getKeyIndex(document)
     document = document.updateNode(parent)
 
+    // The key index only differs by the moved node, which isn't found in the
+    // intermediate document anymore, so it can be reused to find the target.
+    setKeyIndex(document, index)
+
     // Find the new target...
     let target
 
@@ -262,6 +365,21 @@ const APPLIERS = {
     return value
   },
 
+  /**
+   * Remove an `annotation` by its id.
+   *
+   * @param {Value} value
+   * @param {Operation} operation
+   * @return {Value}
+   */
+
+  remove_annotation(value, operation) {
+    const { annotation } = operation
+    const annotations = value.annotations.delete(annotation.id)
+    value = value.set('annotations', annotations)
+    return value
+  },
+
   /**
    * Remove mark from text at `offset` and `length` in node by `path`.
    *
@@ -293,6 +411,8 @@ const APPLIERS = {
     let { document, selection } = value
     const node = document.assertPath(path)
 
+    value = removeEmptiedDecorations(value, operation)
+
     if (selection.isSet || value.decorations !== null) {
       const first = node.object == 'text' ? node : node.getFirstText() || node
       const last = node.object == 'text' ? node : node.getLastText() || node
@@ -362,6 +482,8 @@ const APPLIERS = {
       offset + length
     )
 
+    value = removeEmptiedDecorations(value, operation)
+
     value = applyRangeAdjustments(
       value,
       // if anchor of range is here
@@ -394,6 +516,34 @@ const APPLIERS = {
     return value
   },
 
+  /**
+   * Set `properties` on an `annotation` by its id.
+   *
+   * @param {Value} value
+   * @param {Operation} operation
+   * @return {Value}
+   */
+
+  set_annotation(value, operation) {
+    const { annotation: { id }, properties } = operation
+    const { document } = value
+    let annotation = value.annotations.get(id)
+
+    if (!annotation) {
+      throw new Error(`Could not find an annotation with the id "${id}".`)
+    }
+
+    annotation = annotation.merge(properties)
+
+    if ('range' in properties) {
+      annotation = annotation.set('range', annotation.range.normalize(document))
+    }
+
+    const annotations = value.annotations.set(id, annotation)
+    value = value.set('annotations', annotations)
+    return value
+  },
+
   /**
    * Set `properties` on mark on text at `offset` and `length` in node by `path`.
    *
@@ -555,7 +705,20 @@ function applyOperation(value, operation) {
   }
 
   debug(type, operation)
+  const prev = value
   value = apply(value, operation)
+
+  // Carry the key index of the document over to the next one.
+  if (value.document !== prev.document && hasKeyIndex(prev.document)) {
+    const index = getKeyIndex(prev.document)
+    const next = updateKeyIndex(index, operation, prev.document, value.document)
+    if (next) setKeyIndex(value.document, next)
+  }
+
+  if (STRUCTURAL_TYPES.includes(type)) {
+    value = updateRangePaths(value)
+  }
+
   return value
 }
 
@@ -0,0 +1,597 @@
+import Debug from 'debug'
+import { List, Set } from 'immutable'
+
+import Operation from '../models/operation'
+import apply from './apply'
+import { withKeyGenerator } from '../utils/generate-key'
+
+/**
+ * Debug.
+ *
+ * @type {Function}
+ */
+
+const debug = Debug('slate:operation:diff')
+
+/**
+ * The largest number of character pairs that are compared to diff the text
+ * that changed in a text node. Past it, the text is replaced as a whole.
+ *
+ * @type {Number}
+ */
+
+const MAX_TEXT_DIFF = 1000000
+
+/**
+ * The largest number of pairs of children that are compared to match the
+ * children of two nodes without keys in common. Past it, each child is matched
+ * with the first one of the same kind that isn't matched yet instead.
+ *
+ * @type {Number}
+ */
+
+const MAX_CHILDREN_DIFF = 1000000
+
+/**
+ * Diff the documents of two values, `a` and `b`, returning the list of
+ * operations that turn the document of `a` into the one of `b`.
+ *
+ * The children of the nodes are matched by key when some of the keys are the
+ * same, like for values that come from the same one, and otherwise by their
+ * content and type. The text of the matched text nodes is diffed character
+ * by character. The inserted nodes get new keys for the ones that are used in
+ * the document already, since unrelated values can have the same keys.
+ *
+ * @param {Value} a
+ * @param {Value} b
+ * @return {List<Operation>}
+ */
+
+function diff(a, b) {
+  // The refs of `a` are left out, since they follow the operations that are
+  // applied to it by a change, and not the ones of the diff.
+  const state = { value: a.set('refs', null), operations: [] }
+  diffNode(a.document, b.document, [], state)
+  debug('diff', { operations: state.operations })
+  return List(state.operations)
+}
+
+/**
+ * Add an operation with `attrs` to the diff `state`, applying it to the value
+ * so that the next operations have the value they are applied to.
+ *
+ * @param {Object} state
+ * @param {Object} attrs
+ */
+
+function push(state, attrs) {
+  const { value } = state
+  const operation = Operation.create({ ...attrs, value })
+  state.value = apply(value, operation)
+  state.operations.push(operation)
+}
+
+/**
+ * Diff two matching nodes `a` and `b` at `path`.
+ *
+ * @param {Node} a
+ * @param {Node} b
+ * @param {Array} path
+ * @param {Object} state
+ */
+
+function diffNode(a, b, path, state) {
+  if (a.object == 'text') {
+    diffText(a, b, path, state)
+    return
+  }
+
+  const properties = {}
+  if (!a.data.equals(b.data)) properties.data = b.data
+
+  if (a.object != 'document') {
+    if (a.type != b.type) properties.type = b.type
+    if (a.isVoid != b.isVoid) properties.isVoid = b.isVoid
+  }
+
+  if (Object.keys(properties).length) {
+    const node = state.value.document.assertPath(path)
+    push(state, { type: 'set_node', path, node, properties })
+  }
+
+  diffChildren(a, b, path, state)
+}
+
+/**
+ * Diff the children of two matching nodes `a` and `b` at `path`. The ones of
+ * `a` that don't match are removed, the others are moved into the order of
+ * `b` and diffed, and the ones of `b` that don't match are inserted.
+ *
+ * @param {Node} a
+ * @param {Node} b
+ * @param {Array} path
+ * @param {Object} state
+ */
+
+function diffChildren(a, b, path, state) {
+  const matches = matchChildren(a.nodes, b.nodes)
+  const matched = matches.filter(i => i != -1)
+  const isMatched = {}
+  matched.forEach(i => (isMatched[i] = true))
+
+  // The indexes and nodes are read from the value that the previous operations
+  // were applied to, so that they are never stale.
+  for (let i = a.nodes.size - 1; i >= 0; i--) {
+    if (isMatched[i]) continue
+    const node = state.value.document.assertPath(path.concat(i))
+    push(state, { type: 'remove_node', path: path.concat(i), node })
+  }
+
+  // The children in the longest run that is already in the order of `b` stay
+  // where they are, and the others are moved or inserted right after the
+  // child before them in `b`, which ends up with the order of `b`. So every
+  // child is either at its index in `a`, or right after the last stable child
+  // before it in `b`, and the children at each of those places are counted to
+  // get their current indexes.
+  const isStable = {}
+  getLongestIncreasing(matched).forEach(i => (isStable[i] = true))
+  const counts = new Array(a.nodes.size + 2).fill(0)
+  matched.forEach(i => addCount(counts, i + 1, 1))
+  let anchor = -1
+
+  b.nodes.forEach((node, j) => {
+    const i = matches[j]
+
+    if (i != -1 && isStable[i]) {
+      anchor = i
+      return
+    }
+
+    if (i == -1) {
+      const index = sumCounts(counts, anchor + 2)
+      const unique = regenerateUsedKeys(node, state)
+      const p = path.concat(index)
+      push(state, { type: 'insert_node', path: p, node: unique })
+      addCount(counts, anchor + 1, 1)
+      return
+    }
+
+    const current = sumCounts(counts, i + 1)
+    addCount(counts, i + 1, -1)
+    const index = sumCounts(counts, anchor + 2)
+    addCount(counts, anchor + 1, 1)
+
+    if (current != index) {
+      push(state, {
+        type: 'move_node',
+        path: path.concat(current),
+        newPath: path.concat(index),
+      })
+    }
+  })
+
+  b.nodes.forEach((node, j) => {
+    if (matches[j] == -1) return
+    const p = path.concat(j)
+    diffNode(state.value.document.assertPath(p), node, p, state)
+  })
+}
+
+/**
+ * Add `delta` to the count at `index` of a binary indexed tree of `counts`.
+ *
+ * @param {Array<Number>} counts
+ * @param {Number} index
+ * @param {Number} delta
+ */
+
+function addCount(counts, index, delta) {
+  for (let i = index + 1; i < counts.length; i += i & -i) counts[i] += delta
+}
+
+/**
+ * Sum the counts before `index` in a binary indexed tree of `counts`.
+ *
+ * @param {Array<Number>} counts
+ * @param {Number} index
+ * @return {Number}
+ */
+
+function sumCounts(counts, index) {
+  let sum = 0
+  for (let i = index; i > 0; i -= i & -i) sum += counts[i]
+  return sum
+}
+
+/**
+ * Regenerate the keys of a `node` and its descendants that are used in the
+ * document of the diff `state` already, with the key generator of its value.
+ *
+ * @param {Node} node
+ * @param {Object} state
+ * @return {Node}
+ */
+
+function regenerateUsedKeys(node, state) {
+  const { document, keyGenerator } = state.value
+  const keys = node.object == 'text' ? [] : node.getKeysAsArray()
+  const own = Set(keys).add(node.key)
+  const isTaken = key => key == document.key || document.hasNode(key)
+  const isUsed = key => own.has(key) || isTaken(key)
+  const regenerate = n => (isTaken(n.key) ? n.regenerateKey() : n)
+
+  return withKeyGenerator(keyGenerator, isUsed, () => {
+    const next = regenerate(node)
+    return next.object == 'text' ? next : next.mapDescendants(regenerate)
+  })
+}
+
+/**
+ * Match the children of two nodes, `as` and `bs`, returning an array with the
+ * index in `as` of the match of each node in `bs`, or -1 if it has none.
+ *
+ * @param {List<Node>} as
+ * @param {List<Node>} bs
+ * @return {Array<Number>}
+ */
+
+function matchChildren(as, bs) {
+  const indexes = {}
+  as.forEach((node, i) => (indexes[node.key] = i))
+
+  const byKey = bs.map(node => {
+    const i = indexes[node.key]
+    return i != null && as.get(i).object == node.object ? i : -1
+  })
+
+  if (byKey.some(i => i != -1)) {
+    return byKey.toArray()
+  }
+
+  // Without keys in common, match the nodes with the same content first, then
+  // the nodes of the same type between them, and then of the same object.
+  const matches = bs.map(() => -1).toArray()
+  const getters = [
+    n => JSON.stringify(n.toJSON()),
+    n => `${n.object}:${n.type}`,
+    n => n.object,
+  ]
+
+  matchBetween(as, bs, [0, as.size], [0, bs.size], getters, matches)
+  return matches
+}
+
+/**
+ * Match the nodes of `as` and `bs` between the `aRange` and `bRange` indexes,
+ * which have the same value for the first of the `getters`, and then the ones
+ * between them with the next getters, setting them in `matches`.
+ *
+ * @param {List<Node>} as
+ * @param {List<Node>} bs
+ * @param {Array} aRange
+ * @param {Array} bRange
+ * @param {Array<Function>} getters
+ * @param {Array<Number>} matches
+ */
+
+function matchBetween(as, bs, aRange, bRange, getters, matches) {
+  if (getters.length == 0) return
+
+  const [get, ...rest] = getters
+  const [aStart, aEnd] = aRange
+  const [bStart, bEnd] = bRange
+  const aValues = as
+    .slice(aStart, aEnd)
+    .map(get)
+    .toArray()
+  const bValues = bs
+    .slice(bStart, bEnd)
+    .map(get)
+    .toArray()
+  const isSmall = aValues.length * bValues.length <= MAX_CHILDREN_DIFF
+  const pairs = isSmall
+    ? getLongestCommon(aValues, bValues, aStart, bStart)
+    : getFirstCommon(aValues, bValues, aStart, bStart)
+
+  let ai = aStart
+  let bi = bStart
+
+  pairs.concat([[aEnd, bEnd]]).forEach(([i, j]) => {
+    matchBetween(as, bs, [ai, i], [bi, j], rest, matches)
+    if (i < aEnd) matches[j] = i
+    ai = i + 1
+    bi = j + 1
+  })
+}
+
+/**
+ * Diff two matching text nodes `a` and `b` at `path`. The marks of the text
+ * that is in both are updated first, then the text that is only in `a` is
+ * removed, and the text that is only in `b` is inserted.
+ *
+ * @param {Text} a
+ * @param {Text} b
+ * @param {Array} path
+ * @param {Object} state
+ */
+
+function diffText(a, b, path, state) {
+  const aMarks = getMarksByOffset(a)
+  const bMarks = getMarksByOffset(b)
+  const isSame = (i, j) => aMarks[i].equals(bMarks[j])
+  const { kept, removed, inserted } = alignText(a.text, b.text, isSame)
+
+  // Update the marks of the kept characters, in runs of consecutive ones.
+  const marks = kept.reduce(
+    (set, [i, j]) => set.union(aMarks[i], bMarks[j]),
+    Set()
+  )
+
+  marks.forEach(mark => {
+    const adds = []
+    const removes = []
+
+    kept.forEach(([i, j]) => {
+      const inA = aMarks[i].has(mark)
+      const inB = bMarks[j].has(mark)
+      if (inB && !inA) adds.push(i)
+      if (inA && !inB) removes.push(i)
+    })
+
+    getRuns(adds, () => true).forEach(([offset, length]) => {
+      push(state, { type: 'add_mark', path, offset, length, mark })
+    })
+
+    getRuns(removes, () => true).forEach(([offset, length]) => {
+      push(state, { type: 'remove_mark', path, offset, length, mark })
+    })
+  })
+
+  // Remove from the end, so that the offsets of the other runs don't change.
+  const sameMarks = list => (x, y) => list[x].equals(list[y])
+
+  getRuns(removed, sameMarks(aMarks))
+    .reverse()
+    .forEach(([offset, length]) => {
+      const text = a.text.slice(offset, offset + length)
+      const m = aMarks[offset]
+      push(state, { type: 'remove_text', path, offset, text, marks: m })
+    })
+
+  // Once the text before a character is the same as in `b`, its offset is
+  // the same as in `b`, so the insertions are done from the start.
+  getRuns(inserted, sameMarks(bMarks)).forEach(([offset, length]) => {
+    const text = b.text.slice(offset, offset + length)
+    const m = bMarks[offset]
+    push(state, { type: 'insert_text', path, offset, text, marks: m })
+  })
+}
+
+/**
+ * Get the marks of each offset in a `text` node, from its leaves.
+ *
+ * @param {Text} text
+ * @return {Array<Set<Mark>>}
+ */
+
+function getMarksByOffset(text) {
+  const list = []
+
+  text.leaves.forEach(leaf => {
+    for (let i = 0; i < leaf.text.length; i++) list.push(leaf.marks)
+  })
+
+  return list
+}
+
+/**
+ * Align two strings `a` and `b`, returning the pairs of indexes of the
+ * characters that are kept, and the indexes of the removed characters of `a`
+ * and the inserted characters of `b`. The common prefix and suffix only take
+ * characters that `isSame` too, so that marks can decide between equal texts.
+ *
+ * @param {String} a
+ * @param {String} b
+ * @param {Function} isSame
+ * @return {Object}
+ */
+
+function alignText(a, b, isSame) {
+  let start = 0
+  let end = 0
+  const min = Math.min(a.length, b.length)
+
+  const isEqual = (i, j) => a[i] == b[j] && isSame(i, j)
+
+  while (start < min && isEqual(start, start)) start++
+
+  while (end < min - start && isEqual(a.length - 1 - end, b.length - 1 - end)) {
+    end++
+  }
+
+  const aMiddle = a.slice(start, a.length - end).split('')
+  const bMiddle = b.slice(start, b.length - end).split('')
+  const isSmall = aMiddle.length * bMiddle.length <= MAX_TEXT_DIFF
+  const pairs = isSmall ? getLongestCommon(aMiddle, bMiddle, start, start) : []
+  const kept = []
+
+  for (let i = 0; i < start; i++) kept.push([i, i])
+  pairs.forEach(pair => kept.push(pair))
+
+  for (let i = 0; i < end; i++) {
+    kept.push([a.length - end + i, b.length - end + i])
+  }
+
+  const keptA = {}
+  const keptB = {}
+  const removed = []
+  const inserted = []
+
+  kept.forEach(([i, j]) => {
+    keptA[i] = true
+    keptB[j] = true
+  })
+
+  for (let i = 0; i < a.length; i++) if (!keptA[i]) removed.push(i)
+  for (let j = 0; j < b.length; j++) if (!keptB[j]) inserted.push(j)
+
+  return { kept, removed, inserted }
+}
+
+/**
+ * Get the longest common subsequence of two arrays `as` and `bs`, as pairs of
+ * the indexes of its items, offset by `aOffset` and `bOffset`.
+ *
+ * @param {Array} as
+ * @param {Array} bs
+ * @param {Number} aOffset
+ * @param {Number} bOffset
+ * @return {Array}
+ */
+
+function getLongestCommon(as, bs, aOffset, bOffset) {
+  const n = as.length
+  const m = bs.length
+  const lengths = []
+
+  for (let i = 0; i <= n; i++) {
+    lengths.push(new Array(m + 1).fill(0))
+  }
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] =
+        as[i] === bs[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const pairs = []
+  let i = 0
+  let j = 0
+
+  while (i < n && j < m) {
+    if (as[i] === bs[j]) {
+      pairs.push([i + aOffset, j + bOffset])
+      i++
+      j++
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++
+    } else {
+      j++
+    }
+  }
+
+  return pairs
+}
+
+/**
+ * Get a common subsequence of two arrays `as` and `bs` without comparing every
+ * pair of their items, by pairing each item of `bs` with the first unpaired
+ * equal item of `as`, and keeping the longest run of pairs that are in order.
+ * The pairs are the indexes of the items, offset by `aOffset` and `bOffset`.
+ *
+ * @param {Array} as
+ * @param {Array} bs
+ * @param {Number} aOffset
+ * @param {Number} bOffset
+ * @return {Array}
+ */
+
+function getFirstCommon(as, bs, aOffset, bOffset) {
+  const indexes = {}
+  const next = {}
+  const candidates = []
+
+  as.forEach((value, i) => {
+    if (!indexes[value]) indexes[value] = []
+    indexes[value].push(i)
+  })
+
+  bs.forEach((value, j) => {
+    const list = indexes[value]
+    const k = next[value] || 0
+    if (!list || k == list.length) return
+    next[value] = k + 1
+    candidates.push([list[k], j])
+  })
+
+  const isKept = {}
+  getLongestIncreasing(candidates.map(([i]) => i)).forEach(
+    i => (isKept[i] = true)
+  )
+
+  return candidates
+    .filter(([i]) => isKept[i])
+    .map(([i, j]) => [i + aOffset, j + bOffset])
+}
+
+/**
+ * Get the longest increasing subsequence of an array of `numbers`.
+ *
+ * @param {Array<Number>} numbers
+ * @return {Array<Number>}
+ */
+
+function getLongestIncreasing(numbers) {
+  const tails = []
+  const previous = []
+
+  numbers.forEach((number, k) => {
+    let low = 0
+    let high = tails.length
+
+    while (low < high) {
+      const mid = (low + high) >> 1
+      if (numbers[tails[mid]] < number) low = mid + 1
+      else high = mid
+    }
+
+    previous[k] = low > 0 ? tails[low - 1] : -1
+    tails[low] = k
+  })
+
+  const result = []
+  let k = tails.length ? tails[tails.length - 1] : -1
+
+  while (k != -1) {
+    result.unshift(numbers[k])
+    k = previous[k]
+  }
+
+  return result
+}
+
+/**
+ * Group sorted `indexes` in runs of consecutive ones that `isSame` accepts,
+ * returning the offset and length of each run.
+ *
+ * @param {Array<Number>} indexes
+ * @param {Function} isSame
+ * @return {Array}
+ */
+
+function getRuns(indexes, isSame) {
+  const runs = []
+
+  indexes.forEach(index => {
+    const run = runs[runs.length - 1]
+
+    if (run && run[0] + run[1] == index && isSame(run[0], index)) {
+      run[1]++
+    } else {
+      runs.push([index, 1])
+    }
+  })
+
+  return runs
+}
+
+/**
+ * Export.
+ *
+ * @type {Function}
+ */
+
+export default diff
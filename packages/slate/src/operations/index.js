@@ -1,5 +1,7 @@
 import apply from './apply'
+import diff from './diff'
 import invert from './invert'
+import transform from './transform'
 
 /**
  * Export.
@@ -9,5 +11,7 @@ import invert from './invert'
 
 export default {
   apply,
+  diff,
   invert,
+  transform,
 }
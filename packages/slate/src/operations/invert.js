@@ -174,12 +174,61 @@ function invertOperation(op) {
     return inverse
   }
 
+  /**
+   * Add annotation.
+   */
+
+  if (type == 'add_annotation') {
+    const inverse = op.set('type', 'remove_annotation')
+    return inverse
+  }
+
+  /**
+   * Remove annotation.
+   */
+
+  if (type == 'remove_annotation') {
+    const inverse = op.set('type', 'add_annotation')
+    return inverse
+  }
+
+  /**
+   * Set annotation.
+   */
+
+  if (type == 'set_annotation') {
+    const { properties, annotation } = op
+    const inverseAnnotation = annotation.merge(properties)
+    const inverseProperties = pick(annotation, Object.keys(properties))
+    const inverse = op
+      .set('annotation', inverseAnnotation)
+      .set('properties', inverseProperties)
+    return inverse
+  }
+
   /**
    * Set selection.
    */
 
   if (type == 'set_selection') {
     const { properties, selection, value } = op
+
+    // If the operation was deserialized it has no value to resolve keys with,
+    // but its selection is path-based, so invert its properties directly.
+    if (!value) {
+      const { anchorPath, focusPath, ...rest } = properties
+      let inverseSelection = selection.merge(rest)
+      if (anchorPath !== undefined)
+        inverseSelection = inverseSelection.set('anchorPath', anchorPath)
+      if (focusPath !== undefined)
+        inverseSelection = inverseSelection.set('focusPath', focusPath)
+      const inverseProps = pick(selection, Object.keys(properties))
+      const inverse = op
+        .set('selection', inverseSelection)
+        .set('properties', inverseProps)
+      return inverse
+    }
+
     const { anchorPath, focusPath, ...props } = properties
     const { document } = value
 
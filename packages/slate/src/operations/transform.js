@@ -0,0 +1,984 @@
+import Debug from 'debug'
+
+import Operation from '../models/operation'
+import PathUtils from '../utils/path-utils'
+import invert from './invert'
+
+/**
+ * Debug.
+ *
+ * @type {Function}
+ */
+
+const debug = Debug('slate:operation:transform')
+
+/**
+ * Transform the `path` of a node by an `op`, returning its new path, or `null`
+ * if the node was removed.
+ *
+ * @param {Array} path
+ * @param {Operation} op
+ * @return {Array|Null}
+ */
+
+function transformPath(path, op) {
+  const p = op.path
+
+  switch (op.type) {
+    case 'insert_node': {
+      const level = p.length - 1
+
+      if (
+        PathUtils.isAbove(PathUtils.lift(p), path) &&
+        p[level] <= path[level]
+      ) {
+        return PathUtils.increment(path, 1, level)
+      }
+
+      return path
+    }
+
+    case 'remove_node': {
+      if (PathUtils.isInside(path, p)) return null
+      const level = p.length - 1
+
+      if (
+        PathUtils.isAbove(PathUtils.lift(p), path) &&
+        p[level] < path[level]
+      ) {
+        return PathUtils.decrement(path, 1, level)
+      }
+
+      return path
+    }
+
+    case 'split_node': {
+      const level = p.length - 1
+
+      if (
+        PathUtils.isAbove(PathUtils.lift(p), path) &&
+        p[level] < path[level]
+      ) {
+        return PathUtils.increment(path, 1, level)
+      }
+
+      if (PathUtils.isAbove(p, path) && path[p.length] >= op.position) {
+        const next = PathUtils.increment(p)
+        next.push(path[p.length] - op.position)
+        return next.concat(path.slice(p.length + 1))
+      }
+
+      return path
+    }
+
+    case 'merge_node': {
+      const level = p.length - 1
+      const prev = PathUtils.decrement(p)
+
+      if (PathUtils.isEqual(path, p)) {
+        return prev
+      }
+
+      if (PathUtils.isAbove(p, path)) {
+        prev.push(path[p.length] + op.position)
+        return prev.concat(path.slice(p.length + 1))
+      }
+
+      if (
+        PathUtils.isAbove(PathUtils.lift(p), path) &&
+        p[level] < path[level]
+      ) {
+        return PathUtils.decrement(path, 1, level)
+      }
+
+      return path
+    }
+
+    case 'move_node': {
+      const moved = PathUtils.getMovedPath(p, op.newPath)
+
+      if (PathUtils.isInside(path, p)) {
+        return PathUtils.rebase(path, p, moved)
+      }
+
+      const removed = transformPath(path, { type: 'remove_node', path: p })
+      return transformPath(removed, { type: 'insert_node', path: moved })
+    }
+
+    default: {
+      return path
+    }
+  }
+}
+
+/**
+ * Transform an insertion `path`, which points in between nodes instead of at
+ * a node, by an `op`. When the `op` inserts at the same place, `priority`
+ * decides whether the insertion point stays in front of it.
+ *
+ * @param {Array} path
+ * @param {Operation} op
+ * @param {Boolean} priority
+ * @return {Array|Null}
+ */
+
+function transformInsertionPath(path, op, priority) {
+  const p = op.path
+
+  switch (op.type) {
+    case 'insert_node': {
+      if (PathUtils.isEqual(path, p) && priority) return path
+      return transformPath(path, op)
+    }
+
+    case 'remove_node': {
+      if (PathUtils.isAbove(p, path)) return null
+      if (PathUtils.isEqual(path, p)) return path
+      return transformPath(path, op)
+    }
+
+    case 'split_node': {
+      if (PathUtils.isParent(p, path) && path[p.length] == op.position) {
+        return path
+      }
+
+      return transformPath(path, op)
+    }
+
+    case 'merge_node': {
+      if (PathUtils.isEqual(path, p)) return path
+      return transformPath(path, op)
+    }
+
+    case 'move_node': {
+      const moved = PathUtils.getMovedPath(p, op.newPath)
+
+      if (PathUtils.isAbove(p, path)) {
+        return PathUtils.rebase(path, p, moved)
+      }
+
+      const removed = transformInsertionPath(
+        path,
+        { type: 'remove_node', path: p },
+        priority
+      )
+
+      return transformInsertionPath(
+        removed,
+        { type: 'insert_node', path: moved },
+        priority
+      )
+    }
+
+    default: {
+      return path
+    }
+  }
+}
+
+/**
+ * Transform a point in a text node at `path` and `offset` by an `op`. When the
+ * `op` inserts text at the point, `priority` decides whether the point stays
+ * in front of the inserted text.
+ *
+ * @param {Array} path
+ * @param {Number} offset
+ * @param {Operation} op
+ * @param {Boolean} priority
+ * @return {Object|Null}
+ */
+
+function transformPoint(path, offset, op, priority) {
+  const { type } = op
+  const isSame = op.path != null && PathUtils.isEqual(path, op.path)
+
+  if (isSame && type == 'insert_text') {
+    const { length } = op.text
+    const isAfter = op.offset < offset || (op.offset == offset && !priority)
+    return { path, offset: isAfter ? offset + length : offset }
+  }
+
+  if (isSame && type == 'remove_text') {
+    const { length } = op.text
+    const end = op.offset + length
+    if (offset >= end) return { path, offset: offset - length }
+    if (offset > op.offset) return { path, offset: op.offset }
+    return { path, offset }
+  }
+
+  if (isSame && type == 'split_node' && offset > op.position) {
+    const next = PathUtils.increment(path)
+    return { path: next, offset: offset - op.position }
+  }
+
+  if (isSame && type == 'merge_node') {
+    const prev = PathUtils.decrement(path)
+    return { path: prev, offset: offset + op.position }
+  }
+
+  const next = transformPath(path, op)
+  return next ? { path: next, offset } : null
+}
+
+/**
+ * Transform the points of a `range` by an `op`, by their paths, returning the
+ * new range or `null` if one of its points was removed. The points without a
+ * path are left as they are. Like the ranges of a value, text inserted right
+ * at a point ends up before it.
+ *
+ * @param {Range} range
+ * @param {Operation} op
+ * @return {Range|Null}
+ */
+
+function transformRange(range, op) {
+  for (const edge of ['anchor', 'focus']) {
+    const path = range[`${edge}Path`]
+    if (path == null) continue
+
+    const offset = range[`${edge}Offset`]
+    const point = transformPoint(path, offset, op, false)
+    if (!point) return null
+
+    range = range
+      .set(`${edge}Path`, point.path)
+      .set(`${edge}Offset`, point.offset)
+  }
+
+  return range
+}
+
+/**
+ * Transform a span of text of `length` at `path` and `offset` by an `op`,
+ * returning the list of spans it now covers. Text inserted inside the span
+ * by the `op` is left out, so that both spans are still applied in the order
+ * they are returned.
+ *
+ * @param {Array} path
+ * @param {Number} offset
+ * @param {Number} length
+ * @param {Operation} op
+ * @return {Array}
+ */
+
+function transformSpan(path, offset, length, op) {
+  const { type } = op
+  const end = offset + length
+  const isSame = op.path != null && PathUtils.isEqual(path, op.path)
+
+  if (isSame && type == 'insert_text') {
+    const n = op.text.length
+    if (op.offset <= offset)
+      return [{ path, offset: offset + n, start: 0, length }]
+    if (op.offset >= end) return [{ path, offset, start: 0, length }]
+    const before = op.offset - offset
+
+    return [
+      { path, offset: op.offset + n, start: before, length: length - before },
+      { path, offset, start: 0, length: before },
+    ]
+  }
+
+  if (isSame && type == 'remove_text') {
+    const rStart = op.offset
+    const rEnd = op.offset + op.text.length
+    const spans = []
+
+    if (offset < rStart) {
+      const l = Math.min(end, rStart) - offset
+      spans.push({ path, offset, start: 0, length: l })
+    }
+
+    if (end > rEnd) {
+      const s = Math.max(offset, rEnd)
+      const o = s - (rEnd - rStart)
+      const last = spans[0]
+
+      // If the removal was in the middle of the span, the two sides are now
+      // next to each other, so join them back into a single span.
+      if (last && last.offset + last.length == o) {
+        spans[0] = {
+          ...last,
+          length: last.length + end - s,
+          gap: [rStart, rEnd],
+        }
+      } else {
+        spans.push({ path, offset: o, start: s - offset, length: end - s })
+      }
+    }
+
+    return spans
+  }
+
+  if (isSame && type == 'split_node') {
+    const { position } = op
+    const next = PathUtils.increment(path)
+    if (end <= position) return [{ path, offset, start: 0, length }]
+
+    if (offset >= position) {
+      return [{ path: next, offset: offset - position, start: 0, length }]
+    }
+
+    const before = position - offset
+
+    return [
+      { path: next, offset: 0, start: before, length: length - before },
+      { path, offset, start: 0, length: before },
+    ]
+  }
+
+  const point = transformPoint(path, offset, op, false)
+  return point ? [{ ...point, start: 0, length }] : []
+}
+
+/**
+ * Transform a `position` inside the node at `path`, which is either a text
+ * offset or a child index, by an `op`. Content inserted right at the position
+ * ends up before it.
+ *
+ * @param {Array} path
+ * @param {Number} position
+ * @param {Operation} op
+ * @return {Number}
+ */
+
+function transformPosition(path, position, op) {
+  const { type } = op
+  const p = op.path
+
+  if (type == 'insert_text' && PathUtils.isEqual(p, path)) {
+    return op.offset <= position ? position + op.text.length : position
+  }
+
+  if (type == 'remove_text' && PathUtils.isEqual(p, path)) {
+    return transformPoint(p, position, op).offset
+  }
+
+  if (type == 'move_node') {
+    const moved = PathUtils.getMovedPath(p, op.newPath)
+    const removed = { type: 'remove_node', path: p }
+    const inserted = { type: 'insert_node', path: moved }
+    const next = transformPosition(path, position, removed)
+    const target = transformPath(path, removed)
+    return target ? transformPosition(target, next, inserted) : next
+  }
+
+  if (!p || !PathUtils.isParent(path, p)) {
+    return position
+  }
+
+  const index = p[p.length - 1]
+
+  switch (type) {
+    case 'insert_node':
+      return index <= position ? position + 1 : position
+    case 'split_node':
+      return index < position ? position + 1 : position
+    case 'remove_node':
+    case 'merge_node':
+      return index < position ? position - 1 : position
+    default:
+      return position
+  }
+}
+
+/**
+ * Remove the keys in `properties` that are also set by `other`, unless the
+ * operation has `priority`.
+ *
+ * @param {Object} properties
+ * @param {Object} other
+ * @param {Boolean} priority
+ * @return {Object}
+ */
+
+function resolveProperties(properties, other, priority) {
+  if (priority) return properties
+  const props = {}
+
+  for (const k in properties) {
+    if (!(k in other)) props[k] = properties[k]
+  }
+
+  return props
+}
+
+/**
+ * Create the operations that remove the content of a `node` that was merged
+ * into the node at `path`, starting at `position`.
+ *
+ * @param {Node} node
+ * @param {Array} path
+ * @param {Number} position
+ * @return {Array}
+ */
+
+function removeContent(node, path, position) {
+  const ops = []
+
+  if (node.object == 'text') {
+    let offset = position
+
+    node.getLeaves().forEach(leaf => {
+      const { text, marks } = leaf
+      if (!text.length) return
+      ops.unshift({ type: 'remove_text', path, offset, text, marks })
+      offset += text.length
+    })
+  } else {
+    node.nodes.forEach((child, i) => {
+      const p = path.concat(position + i)
+      ops.unshift({ type: 'remove_node', path: p, node: child })
+    })
+  }
+
+  return ops
+}
+
+/**
+ * Transforming functions, by the type of the operation being transformed.
+ * Each one returns the list of operations that has the same intent as `a`,
+ * once `b` has been applied.
+ *
+ * @type {Object}
+ */
+
+const TRANSFORMERS = {
+  /**
+   * Add annotation.
+   *
+   * @param {Operation} a
+   * @param {Operation} b
+   * @param {Boolean} priority
+   * @return {Array}
+   */
+
+  add_annotation(a, b, priority) {
+    const { annotation } = a
+    const isSame = b.annotation != null && b.annotation.id == annotation.id
+
+    if (isSame && b.type == 'add_annotation' && !priority) {
+      return []
+    }
+
+    // If the annotated text was removed, there is nothing left to annotate.
+    const range = transformRange(annotation.range, b)
+    return range ? [a.set('annotation', annotation.set('range', range))] : []
+  },
+
+  /**
+   * Add mark.
+   *
+   * @param {Operation} a
+   * @param {Operation} b
+   * @param {Boolean} priority
+   * @return {Array}
+   */
+
+  add_mark(a, b, priority) {
+    return transformSpan(a.path, a.offset, a.length, b).map(span =>
+      a
+        .set('path', span.path)
+        .set('offset', span.offset)
+        .set('length', span.length)
+    )
+  },
+
+  /**
+   * Insert node.
+   *
+   * @param {Operation} a
+   * @param {Operation} b
+   * @param {Boolean} priority
+   * @return {Array}
+   */
+
+  insert_node(a, b, priority) {
+    const path = transformInsertionPath(a.path, b, priority)
+    return path ? [a.set('path', path)] : []
+  },
+
+  /**
+   * Insert text.
+   *
+   * @param {Operation} a
+   * @param {Operation} b
+   * @param {Boolean} priority
+   * @return {Array}
+   */
+
+  insert_text(a, b, priority) {
+    const point = transformPoint(a.path, a.offset, b, priority)
+    return point ? [a.set('path', point.path).set('offset', point.offset)] : []
+  },
+
+  /**
+   * Merge node.
+   *
+   * @param {Operation} a
+   * @param {Operation} b
+   * @param {Boolean} priority
+   * @return {Array}
+   */
+
+  merge_node(a, b, priority) {
+    const { path, position } = a
+    const prev = PathUtils.decrement(path)
+    const p = b.path
+
+    // If the same node or the node it was merging into was removed, or the
+    // same node was already merged, there is nothing left to merge.
+    if (
+      (b.type == 'remove_node' &&
+        (PathUtils.isInside(path, p) || PathUtils.isInside(prev, p))) ||
+      (b.type == 'merge_node' && PathUtils.isEqual(path, p))
+    ) {
+      return []
+    }
+
+    // If the node it was merging into was merged, merge into the result.
+    if (b.type == 'merge_node' && PathUtils.isEqual(prev, p)) {
+      return [a.set('path', prev).set('position', position + b.position)]
+    }
+
+    // If the node it was merging into was split, merge into the second half.
+    if (b.type == 'split_node' && PathUtils.isEqual(prev, p)) {
+      const next = PathUtils.increment(path)
+      return [a.set('path', next).set('position', position - b.position)]
+    }
+
+    const newPath = transformPath(path, b)
+    const newPrev = transformPath(prev, b)
+    const newPosition = transformPosition(prev, position, b)
+    const merge = a.set('path', newPath).set('position', newPosition)
+
+    if (!newPath || !newPrev) return []
+    if (PathUtils.isEqual(PathUtils.increment(newPrev), newPath)) return [merge]
+
+    // If a node was inserted in between the two nodes, move it after them, so
+    // that they can still be merged.
+    if (b.type == 'insert_node' && PathUtils.isEqual(p, path)) {
+      const move = { type: 'move_node', path: p, newPath }
+      return [move, merge.set('path', p)]
+    }
+
+    // If one of the two nodes was moved away from the other, or a node was
+    // moved in between them, move them back next to each other first. When
+    // the node itself was moved, the merged node belongs where it was moved
+    // to, so the node it was merging into is moved there instead.
+    if (
+      b.type == 'move_node' &&
+      !PathUtils.isInside(newPath, newPrev) &&
+      !PathUtils.isInside(newPrev, newPath)
+    ) {
+      const isMoved = PathUtils.isEqual(p, path)
+      const from = isMoved ? newPrev : newPath
+      const to = isMoved ? newPath : PathUtils.increment(newPrev)
+      const removal = { type: 'remove_node', path: from }
+      const moved = transformInsertionPath(to, removal)
+      const target = PathUtils.getNewPath(from, moved)
+      const move = { type: 'move_node', path: from, newPath: target }
+      const next = isMoved ? PathUtils.increment(moved) : moved
+      return [move, merge.set('path', next)]
+    }
+
+    return []
+  },
+
+  /**
+   * Move node.
+   *
+   * @param {Operation} a
+   * @param {Operation} b
+   * @param {Boolean} priority
+   * @return {Array}
+   */
+
+  move_node(a, b, priority) {
+    const { path } = a
+    const level = path.length - 1
+    const moved = PathUtils.getMovedPath(path, a.newPath)
+
+    // Find where the node is inserted, as if it hadn't been removed yet.
+    const target =
+      PathUtils.isSibling(path, moved) && path[level] <= moved[level]
+        ? PathUtils.increment(moved)
+        : PathUtils.getNewPath(path, moved)
+
+    if (b.type == 'move_node' && PathUtils.isEqual(path, b.path) && !priority) {
+      return []
+    }
+
+    const newPath = transformPath(path, b)
+    if (!newPath) return []
+
+    const newTarget = transformInsertionPath(target, b, priority)
+
+    // If the new parent was removed, the node is removed along with it.
+    if (!newTarget) {
+      return [{ type: 'remove_node', path: newPath }]
+    }
+
+    // If the other move put the new parent inside of the node, the two moves
+    // would nest the nodes in each other, so only the one with priority is
+    // kept, after moving the other node back.
+    if (PathUtils.isInside(PathUtils.lift(newTarget), newPath)) {
+      return priority ? [invert(b), a] : []
+    }
+
+    const removal = { type: 'remove_node', path: newPath }
+    const newMoved = transformInsertionPath(newTarget, removal)
+    if (!newMoved) return []
+
+    const newNewPath = PathUtils.getNewPath(newPath, newMoved)
+    return [a.set('path', newPath).set('newPath', newNewPath)]
+  },
+
+  /**
+   * Remove annotation.
+   *
+   * @param {Operation} a
+   * @param {Operation} b
+   * @param {Boolean} priority
+   * @return {Array}
+   */
+
+  remove_annotation(a, b, priority) {
+    const { annotation } = a
+    const isSame = b.annotation != null && b.annotation.id == annotation.id
+
+    if (isSame && b.type == 'remove_annotation') {
+      return []
+    }
+
+    // The range is kept up to date too, so that the removal can be inverted.
+    const range = transformRange(annotation.range, b)
+    return range ? [a.set('annotation', annotation.set('range', range))] : [a]
+  },
+
+  /**
+   * Remove mark.
+   *
+   * @param {Operation} a
+   * @param {Operation} b
+   * @param {Boolean} priority
+   * @return {Array}
+   */
+
+  remove_mark(a, b, priority) {
+    return TRANSFORMERS.add_mark(a, b, priority)
+  },
+
+  /**
+   * Remove node.
+   *
+   * @param {Operation} a
+   * @param {Operation} b
+   * @param {Boolean} priority
+   * @return {Array}
+   */
+
+  remove_node(a, b, priority) {
+    const { path, node } = a
+    const p = b.path
+
+    // If the node was split, remove both halves.
+    if (b.type == 'split_node' && PathUtils.isEqual(path, p)) {
+      const next = PathUtils.increment(path)
+      let one
+      let two
+
+      if (node.object == 'text') {
+        ;[one, two] = node.splitText(b.position)
+      } else {
+        one = node.set('nodes', node.nodes.take(b.position))
+        two = node.set('nodes', node.nodes.skip(b.position))
+      }
+
+      return [a.set('path', next).set('node', two), a.set('node', one)]
+    }
+
+    // If the node was merged into its previous sibling, remove its content
+    // from there instead.
+    if (b.type == 'merge_node' && PathUtils.isEqual(path, p)) {
+      const prev = PathUtils.decrement(path)
+      return removeContent(node, prev, b.position)
+    }
+
+    // If the next sibling was merged into the node, only remove the node's
+    // own content, and take on the properties of the merged sibling.
+    if (
+      b.type == 'merge_node' &&
+      PathUtils.isEqual(PathUtils.increment(path), p)
+    ) {
+      const ops = removeContent(node, path, 0)
+      if (node.object == 'text') return ops
+      const set = { type: 'set_node', path, node, properties: b.properties }
+      return ops.concat(set)
+    }
+
+    const newPath = transformPath(path, b)
+    return newPath ? [a.set('path', newPath)] : []
+  },
+
+  /**
+   * Remove text.
+   *
+   * @param {Operation} a
+   * @param {Operation} b
+   * @param {Boolean} priority
+   * @return {Array}
+   */
+
+  remove_text(a, b, priority) {
+    const { text } = a
+
+    return transformSpan(a.path, a.offset, text.length, b).map(span => {
+      const { gap, start, length } = span
+      let string = text.slice(start, start + length)
+
+      // If the span was joined around text that was already removed, leave
+      // that text out of the removal.
+      if (gap) {
+        const [gs, ge] = gap.map(g => g - a.offset)
+        string = text.slice(0, gs) + text.slice(ge)
+      }
+
+      return a
+        .set('path', span.path)
+        .set('offset', span.offset)
+        .set('text', string)
+    })
+  },
+
+  /**
+   * Set annotation.
+   *
+   * @param {Operation} a
+   * @param {Operation} b
+   * @param {Boolean} priority
+   * @return {Array}
+   */
+
+  set_annotation(a, b, priority) {
+    const { annotation } = a
+    const isSame = b.annotation != null && b.annotation.id == annotation.id
+    let props = { ...a.properties }
+
+    if (isSame && b.type == 'remove_annotation') {
+      return []
+    }
+
+    if (isSame && b.type == 'set_annotation') {
+      props = resolveProperties(props, b.properties, priority)
+    }
+
+    if (props.range) {
+      const range = transformRange(props.range, b)
+      if (range) props.range = range
+      else delete props.range
+    }
+
+    return Object.keys(props).length ? [a.set('properties', props)] : []
+  },
+
+  /**
+   * Set mark.
+   *
+   * @param {Operation} a
+   * @param {Operation} b
+   * @param {Boolean} priority
+   * @return {Array}
+   */
+
+  set_mark(a, b, priority) {
+    return TRANSFORMERS.add_mark(a, b, priority)
+  },
+
+  /**
+   * Set node.
+   *
+   * @param {Operation} a
+   * @param {Operation} b
+   * @param {Boolean} priority
+   * @return {Array}
+   */
+
+  set_node(a, b, priority) {
+    const { path } = a
+    const p = b.path
+    const isSame = p != null && PathUtils.isEqual(path, p)
+
+    if (isSame && b.type == 'merge_node') {
+      return []
+    }
+
+    if (isSame && b.type == 'split_node') {
+      const next = PathUtils.increment(path)
+      return [a.set('path', next), a]
+    }
+
+    if (isSame && b.type == 'set_node') {
+      const props = resolveProperties(a.properties, b.properties, priority)
+      return Object.keys(props).length ? [a.set('properties', props)] : []
+    }
+
+    const newPath = transformPath(path, b)
+    return newPath ? [a.set('path', newPath)] : []
+  },
+
+  /**
+   * Set selection.
+   *
+   * @param {Operation} a
+   * @param {Operation} b
+   * @param {Boolean} priority
+   * @return {Array}
+   */
+
+  set_selection(a, b, priority) {
+    const props = { ...a.properties }
+
+    for (const edge of ['anchor', 'focus']) {
+      const path = props[`${edge}Path`]
+      const offset = props[`${edge}Offset`]
+      if (path == null) continue
+
+      const point = transformPoint(path, offset || 0, b, priority)
+      props[`${edge}Path`] = point ? point.path : null
+      if (offset != null) props[`${edge}Offset`] = point ? point.offset : 0
+    }
+
+    return [a.set('properties', props)]
+  },
+
+  /**
+   * Set value.
+   *
+   * @param {Operation} a
+   * @param {Operation} b
+   * @param {Boolean} priority
+   * @return {Array}
+   */
+
+  set_value(a, b, priority) {
+    if (b.type != 'set_value') return [a]
+    const props = resolveProperties(a.properties, b.properties, priority)
+    return Object.keys(props).length ? [a.set('properties', props)] : []
+  },
+
+  /**
+   * Split node.
+   *
+   * @param {Operation} a
+   * @param {Operation} b
+   * @param {Boolean} priority
+   * @return {Array}
+   */
+
+  split_node(a, b, priority) {
+    const { path, position } = a
+    const p = b.path
+    const isSame = p != null && PathUtils.isEqual(path, p)
+
+    // If the node was already split, split the half the position is now in.
+    if (isSame && b.type == 'split_node') {
+      if (b.position < position || (b.position == position && !priority)) {
+        const next = PathUtils.increment(path)
+        return [a.set('path', next).set('position', position - b.position)]
+      }
+
+      return [a]
+    }
+
+    // If the node was merged into its previous sibling, split it there.
+    if (isSame && b.type == 'merge_node') {
+      const prev = PathUtils.decrement(path)
+      return [a.set('path', prev).set('position', position + b.position)]
+    }
+
+    // If the node's properties changed, the second half should have them too.
+    if (isSame && b.type == 'set_node') {
+      const props = { ...a.properties }
+      if ('type' in b.properties) props.type = b.properties.type
+      if ('data' in b.properties) props.data = b.properties.data
+      return [a.set('properties', props)]
+    }
+
+    const newPath = transformPath(path, b)
+    const newPosition = transformPosition(path, position, b)
+    if (!newPath) return []
+    return [a.set('path', newPath).set('position', newPosition)]
+  },
+}
+
+/**
+ * Transform an operation `a` against an operation `b` that was applied
+ * concurrently to the same value, returning the operations that carry out the
+ * intent of `a` once `b` has been applied. When both operations insert at the
+ * same place, `a` ends up first if it has `priority`.
+ *
+ * @param {Object|Operation} a
+ * @param {Object|Operation} b
+ * @param {Boolean} priority
+ * @return {List<Operation>}
+ */
+
+function transformOperation(a, b, priority = false) {
+  a = Operation.create(a)
+  b = Operation.create(b)
+  const { type } = a
+  const transform = TRANSFORMERS[type]
+
+  if (!transform) {
+    throw new Error(`Unknown operation type: "${type}".`)
+  }
+
+  debug(type, { a, b, priority })
+  const operations = transform(a, b, priority)
+  return Operation.createList(operations)
+}
+
+/**
+ * Transform two lists of concurrent operations against each other, returning
+ * `[a, b]` where `a` applies after the original `b` and `b` after `a`.
+ *
+ * @param {List<Operation>} a
+ * @param {List<Operation>} b
+ * @param {Boolean} priority
+ * @return {Array}
+ */
+
+function transformOperations(a, b, priority = false) {
+  if (a.size == 0 || b.size == 0) {
+    return [a, b]
+  }
+
+  if (a.size == 1 && b.size == 1) {
+    const x = a.first()
+    const y = b.first()
+    return [
+      transformOperation(x, y, priority),
+      transformOperation(y, x, !priority),
+    ]
+  }
+
+  if (a.size > 1) {
+    const [one, next] = transformOperations(a.take(1), b, priority)
+    const [two, last] = transformOperations(a.skip(1), next, priority)
+    return [one.concat(two), last]
+  }
+
+  const [next, one] = transformOperations(a, b.take(1), priority)
+  const [last, two] = transformOperations(next, b.skip(1), priority)
+  return [last, one.concat(two)]
+}
+
+/**
+ * Export.
+ *
+ * @type {Function}
+ */
+
+export default transformOperation
+export { transformOperations, transformPath }
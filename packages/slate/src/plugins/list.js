@@ -0,0 +1,177 @@
+import { List } from 'immutable'
+
+import Block from '../models/block'
+import LIST_TYPES from '../constants/list-types'
+import { isItem, isList } from '../utils/list'
+
+/**
+ * The list plugin, which adds the schema rules that keep lists valid, and
+ * turns on the list behaviors of the delete changes and `value.isInList`. The
+ * block types default to the `LIST_TYPES`, and can be changed with the
+ * `bulleted`, `numbered`, `item` and `content` options.
+ *
+ * @param {Object} options
+ * @return {Object}
+ */
+
+function ListPlugin(options = {}) {
+  const {
+    bulleted = LIST_TYPES.BULLETED,
+    numbered = LIST_TYPES.NUMBERED,
+    item = LIST_TYPES.ITEM,
+    content = LIST_TYPES.CONTENT,
+  } = options
+
+  const types = {
+    BULLETED: bulleted,
+    NUMBERED: numbered,
+    LISTS: [bulleted, numbered],
+    ITEM: item,
+    CONTENT: content,
+  }
+
+  const rules = [wrapContent, wrapChildren, wrapItems]
+
+  /**
+   * Validate a `node`, returning the fix of the first rule it breaks.
+   *
+   * @param {Node} node
+   * @return {Function|Void}
+   */
+
+  function validateNode(node) {
+    for (const rule of rules) {
+      const ret = rule(node, types)
+      if (ret) return ret
+    }
+  }
+
+  /**
+   * Return the plugin.
+   *
+   * @type {Object}
+   */
+
+  return {
+    listTypes: types,
+    validateNode,
+  }
+}
+
+/**
+ * Ensure that the content of lists and list items is in blocks, by wrapping
+ * their inline and text nodes, or removing the lists that are empty.
+ *
+ * @param {Node} node
+ * @param {Object} types
+ * @return {Function|Void}
+ */
+
+function wrapContent(node, types) {
+  if (!isList(node, types) && !isItem(node, types)) return
+  if (node.nodes.first().object == 'block') return
+
+  const isEmpty = node.text == '' && !node.findDescendant(n => n.isVoid)
+
+  if (isEmpty && isList(node, types)) {
+    return change => {
+      change.removeNodeByKey(node.key, { normalize: false })
+    }
+  }
+
+  return change => {
+    const content = Block.create({ type: types.CONTENT })
+    let wrapper = content
+
+    if (isList(node, types)) {
+      wrapper = Block.create({ type: types.ITEM, nodes: [wrapper] })
+    }
+
+    change.insertNodeByKey(node.key, 0, wrapper, { normalize: false })
+
+    node.nodes.forEach((child, i) => {
+      change.moveNodeByKey(child.key, content.key, i, { normalize: false })
+    })
+  }
+}
+
+/**
+ * Only allow list items in lists, by moving the nested lists into the items
+ * before them, and wrapping the other blocks in items.
+ *
+ * @param {Node} node
+ * @param {Object} types
+ * @return {Function|Void}
+ */
+
+function wrapChildren(node, types) {
+  if (!isList(node, types)) return
+  const invalids = node.nodes.filter(n => !isItem(n, types))
+  if (!invalids.size) return
+
+  return change => {
+    invalids.forEach(child => {
+      const { nodes } = change.value.document.getNode(node.key)
+      const index = nodes.findIndex(n => n.key == child.key)
+      const previous = index > 0 ? nodes.get(index - 1) : null
+
+      if (isList(child, types) && isItem(previous, types)) {
+        const size = previous.nodes.size
+
+        change.moveNodeByKey(child.key, previous.key, size, {
+          normalize: false,
+        })
+      } else {
+        change.wrapBlockByKey(child.key, types.ITEM, { normalize: false })
+      }
+    })
+  }
+}
+
+/**
+ * Only allow list items in lists, by wrapping the items that are anywhere
+ * else in bulleted lists.
+ *
+ * @param {Node} node
+ * @param {Object} types
+ * @return {Function|Void}
+ */
+
+function wrapItems(node, types) {
+  if (node.object != 'document' && node.object != 'block') return
+  if (isList(node, types)) return
+
+  const groups = node.nodes.reduce((list, child, index) => {
+    if (!isItem(child, types)) return list
+    const last = list.last()
+
+    if (last && last.end == index) {
+      return list.set(list.size - 1, { ...last, end: index + 1 })
+    }
+
+    return list.push({ start: index, end: index + 1 })
+  }, new List())
+
+  if (!groups.size) return
+
+  return change => {
+    // Wrap the last groups first, so that the indexes stay the same.
+    groups.reverse().forEach(({ start, end }) => {
+      const list = Block.create({ type: types.BULLETED })
+      const items = node.nodes.slice(start, end)
+      change.insertNodeByKey(node.key, start, list, { normalize: false })
+
+      items.forEach((item, i) => {
+        change.moveNodeByKey(item.key, list.key, i, { normalize: false })
+      })
+    })
+  }
+}
+
+/**
+ * Export.
+ *
+ * @type {Function}
+ */
+
+export default ListPlugin
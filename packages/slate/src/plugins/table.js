@@ -0,0 +1,197 @@
+import { List } from 'immutable'
+
+import Block from '../models/block'
+import TABLE_TYPES from '../constants/table-types'
+import {
+  createCell,
+  getGrid,
+  getSpan,
+  getWidth,
+  isBlockOfType,
+  setSpan,
+} from '../utils/table'
+
+/**
+ * The table plugin, which adds the schema rules that keep tables valid, and
+ * turns on the table behaviors of the delete changes and `value.isInTable`.
+ * The block types default to the `TABLE_TYPES`, and can be changed with the
+ * `table`, `row`, `cell` and `content` options.
+ *
+ * @param {Object} options
+ * @return {Object}
+ */
+
+function TablePlugin(options = {}) {
+  const {
+    table = TABLE_TYPES.TABLE,
+    row = TABLE_TYPES.ROW,
+    cell = TABLE_TYPES.CELL,
+    content = TABLE_TYPES.CONTENT,
+  } = options
+
+  const types = { TABLE: table, ROW: row, CELL: cell, CONTENT: content }
+  const rules = [wrapContent, wrapChildren, fillRows]
+
+  /**
+   * Validate a `node`, returning the fix of the first rule it breaks.
+   *
+   * @param {Node} node
+   * @return {Function|Void}
+   */
+
+  function validateNode(node) {
+    for (const rule of rules) {
+      const ret = rule(node, types)
+      if (ret) return ret
+    }
+  }
+
+  /**
+   * Return the plugin.
+   *
+   * @type {Object}
+   */
+
+  return {
+    tableTypes: types,
+    validateNode,
+  }
+}
+
+/**
+ * Ensure that the content of tables, rows and cells is in blocks, by wrapping
+ * their inline and text nodes, or removing the tables and rows that are empty.
+ *
+ * @param {Node} node
+ * @param {Object} types
+ * @return {Function|Void}
+ */
+
+function wrapContent(node, types) {
+  const { TABLE, ROW, CELL, CONTENT } = types
+  if (node.object != 'block') return
+  if (![TABLE, ROW, CELL].includes(node.type)) return
+  if (node.nodes.first().object == 'block') return
+
+  const isEmpty = node.text == '' && !node.findDescendant(n => n.isVoid)
+
+  if (isEmpty && node.type != CELL) {
+    return change => {
+      change.removeNodeByKey(node.key, { normalize: false })
+    }
+  }
+
+  return change => {
+    const content = Block.create({ type: CONTENT })
+    let wrapper = content
+
+    if (node.type != CELL) {
+      wrapper = Block.create({ type: CELL, nodes: [wrapper] })
+    }
+
+    if (node.type == TABLE) {
+      wrapper = Block.create({ type: ROW, nodes: [wrapper] })
+    }
+
+    change.insertNodeByKey(node.key, 0, wrapper, { normalize: false })
+
+    node.nodes.forEach((child, i) => {
+      change.moveNodeByKey(child.key, content.key, i, { normalize: false })
+    })
+  }
+}
+
+/**
+ * Only allow rows in tables and cells in rows, by wrapping the other blocks.
+ *
+ * @param {Node} node
+ * @param {Object} types
+ * @return {Function|Void}
+ */
+
+function wrapChildren(node, types) {
+  const { TABLE, ROW, CELL } = types
+  const isTable = isBlockOfType(node, TABLE)
+  if (!isTable && !isBlockOfType(node, ROW)) return
+
+  const type = isTable ? ROW : CELL
+  const invalids = node.nodes.filter(n => n.type != type)
+  if (!invalids.size) return
+
+  return change => {
+    invalids.forEach(child => {
+      let { key } = child
+
+      if (isTable && child.type != CELL) {
+        const cell = Block.create({ type: CELL })
+        change.wrapBlockByKey(key, cell, { normalize: false })
+        key = cell.key
+      }
+
+      change.wrapBlockByKey(key, type, { normalize: false })
+    })
+  }
+}
+
+/**
+ * Keep tables rectangular, by adding empty cells to the end of the rows that
+ * are too short, and shortening the row spans that go past the last row.
+ *
+ * @param {Node} node
+ * @param {Object} types
+ * @return {Function|Void}
+ */
+
+function fillRows(node, types) {
+  const { TABLE, ROW, CELL } = types
+  if (!isBlockOfType(node, TABLE)) return
+
+  // Wait until the structure is valid, since the other rules fix it.
+  const isValid = node.nodes.every(
+    row =>
+      isBlockOfType(row, ROW) &&
+      row.nodes.every(cell => isBlockOfType(cell, CELL))
+  )
+
+  if (!isValid) return
+
+  const grid = getGrid(node, types)
+  const width = getWidth(grid)
+
+  const spans = node.nodes.reduce((list, row, r) => {
+    return row.nodes.reduce((l, cell) => {
+      const rowspan = getSpan(cell, 'rowspan')
+      const max = node.nodes.size - r
+      return rowspan > max ? l.push({ cell, rowspan: max }) : l
+    }, list)
+  }, new List())
+
+  const shorts = node.nodes.reduce((list, row, r) => {
+    const count = grid[r].filter(Boolean).length
+    return count < width ? list.push({ row, missing: width - count }) : list
+  }, new List())
+
+  if (!spans.size && !shorts.size) return
+
+  return change => {
+    spans.forEach(({ cell, rowspan }) => {
+      setSpan(change, cell, 'rowspan', rowspan)
+    })
+
+    shorts.forEach(({ row, missing }) => {
+      for (let i = 0; i < missing; i++) {
+        const index = row.nodes.size + i
+        const cell = createCell(types)
+        change.insertNodeByKey(row.key, index, cell, { normalize: false })
+      }
+    })
+  }
+}
+
+/**
+ * Export.
+ *
+ * @type {Function}
+ */
+
+export default TablePlugin
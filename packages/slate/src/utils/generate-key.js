@@ -15,13 +15,69 @@ let n
 let generate
 
 /**
- * Generate a key.
+ * The scope that keys are being generated in, while a value is created or
+ * changed, with its own key generating function and a check for the keys that
+ * are already used in its document.
+ *
+ * @type {Object|Null}
+ */
+
+let scope = null
+
+/**
+ * Generate a key, with the generating function of the current scope if there
+ * is one, skipping the keys that are already used in it.
  *
  * @return {String}
  */
 
 function generateKey() {
-  return generate()
+  const func = (scope && scope.generate) || generate
+  const isUsed = scope && scope.isUsed
+  let key = func()
+
+  while (isUsed && isUsed(key)) {
+    key = func()
+  }
+
+  return key
+}
+
+/**
+ * Create a new auto-incrementing key generating function, independent of the
+ * global one. A value created with its own generator always generates the same
+ * keys, for example when it's rendered on the server and then in the browser.
+ * Its keys start with a `prefix`, so that they are never the same as the keys
+ * of the nodes that are created outside of the value by the global one.
+ *
+ * @param {String} prefix
+ * @return {Function}
+ */
+
+function createKeyGenerator(prefix = 'v') {
+  let i = 0
+  return () => `${prefix}${i++}`
+}
+
+/**
+ * Call `fn`, generating its keys with `func` instead of the global generating
+ * function if it's given, and never generating the keys that `isUsed`.
+ *
+ * @param {Function|Null} func
+ * @param {Function|Null} isUsed
+ * @param {Function} fn
+ * @return {Any}
+ */
+
+function withKeyGenerator(func, isUsed, fn) {
+  const prev = scope
+  scope = { generate: func, isUsed }
+
+  try {
+    return fn()
+  } finally {
+    scope = prev
+  }
 }
 
 /**
@@ -56,4 +112,9 @@ resetKeyGenerator()
  */
 
 export default generateKey
-export { setKeyGenerator, resetKeyGenerator }
+export {
+  createKeyGenerator,
+  setKeyGenerator,
+  resetKeyGenerator,
+  withKeyGenerator,
+}
@@ -0,0 +1,102 @@
+import PathUtils from './path-utils'
+import { transformPath } from '../operations/transform'
+
+/**
+ * Get the paths of the nodes that an `operation` may have made invalid, in
+ * the document after it was applied. Since nodes validate their children,
+ * the ancestors of the changed nodes are always included.
+ *
+ * @param {Operation} operation
+ * @return {Array<Array>}
+ */
+
+function getDirtyPaths(operation) {
+  const { type, path } = operation
+
+  switch (type) {
+    case 'add_mark':
+    case 'insert_text':
+    case 'remove_mark':
+    case 'remove_text':
+    case 'set_mark':
+    case 'set_node': {
+      return getAncestorPaths(path).concat([path])
+    }
+
+    case 'insert_node': {
+      return getAncestorPaths(path).concat(getNodePaths(operation.node, path))
+    }
+
+    case 'remove_node': {
+      return getAncestorPaths(path)
+    }
+
+    case 'merge_node': {
+      const prev = PathUtils.decrement(path)
+      return getAncestorPaths(prev).concat([prev])
+    }
+
+    case 'split_node': {
+      const next = PathUtils.increment(path)
+      return getAncestorPaths(path).concat([path, next])
+    }
+
+    case 'move_node': {
+      const parent = transformPath(PathUtils.lift(path), operation)
+      const moved = PathUtils.getMovedPath(path, operation.newPath)
+      return getAncestorPaths(parent)
+        .concat([parent])
+        .concat(getAncestorPaths(moved))
+    }
+
+    default: {
+      return []
+    }
+  }
+}
+
+/**
+ * Get the paths of the ancestors of a `path`, from the document down.
+ *
+ * @param {Array} path
+ * @return {Array<Array>}
+ */
+
+function getAncestorPaths(path) {
+  const paths = []
+
+  for (let i = 0; i < path.length; i++) {
+    paths.push(path.slice(0, i))
+  }
+
+  return paths
+}
+
+/**
+ * Get the paths of a `node` at `path` and of all of its descendants.
+ *
+ * @param {Node} node
+ * @param {Array} path
+ * @return {Array<Array>}
+ */
+
+function getNodePaths(node, path) {
+  const paths = [path]
+
+  if (node.object != 'text') {
+    node.nodes.forEach((child, i) => {
+      getNodePaths(child, path.concat(i)).forEach(p => paths.push(p))
+    })
+  }
+
+  return paths
+}
+
+/**
+ * Export.
+ *
+ * @type {Function}
+ */
+
+export default getDirtyPaths
+export { getAncestorPaths, getNodePaths }
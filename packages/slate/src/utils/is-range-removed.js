@@ -0,0 +1,44 @@
+/**
+ * Check if all of the content of an expanded `range` in a `document` is
+ * removed by an `operation`, which leaves it empty. Collapsed ranges have no
+ * content, so they are never removed.
+ *
+ * @param {Document} document
+ * @param {Operation} operation
+ * @param {Range} range
+ * @return {Boolean}
+ */
+
+function isRangeRemoved(document, operation, range) {
+  if (range.isUnset || range.isCollapsed) return false
+
+  const { type, path } = operation
+  const { startKey, startOffset, endKey, endOffset } = range
+
+  if (type == 'remove_text') {
+    const { key } = document.assertPath(path)
+    const { offset, text } = operation
+
+    return (
+      startKey == key &&
+      endKey == key &&
+      startOffset >= offset &&
+      endOffset <= offset + text.length
+    )
+  }
+
+  if (type == 'remove_node') {
+    const node = document.assertPath(path)
+    return node.hasNode(startKey) && node.hasNode(endKey)
+  }
+
+  return false
+}
+
+/**
+ * Export.
+ *
+ * @type {Function}
+ */
+
+export default isRangeRemoved
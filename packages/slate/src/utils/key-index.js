@@ -0,0 +1,225 @@
+import { Map } from 'immutable'
+
+import PathUtils from './path-utils'
+
+/**
+ * A key index maps the key of each node in a document to the key of its
+ * parent, so that a node can be found by walking up to the document and back
+ * down its ancestors, instead of searching the whole tree. It's built once for
+ * a document, and then carried over to the next document by each operation.
+ */
+
+/**
+ * Get the key index of a `document`, building it if needed.
+ *
+ * @param {Document} document
+ * @return {Map}
+ */
+
+function getKeyIndex(document) {
+  if (!document.__key_index) {
+    document.__key_index = indexNode(Map(), document)
+  }
+
+  return document.__key_index
+}
+
+/**
+ * Set the key `index` of a `document`.
+ *
+ * @param {Document} document
+ * @param {Map} index
+ * @return {Document}
+ */
+
+function setKeyIndex(document, index) {
+  document.__key_index = index
+  return document
+}
+
+/**
+ * Check if a `document` already has a key index.
+ *
+ * @param {Document} document
+ * @return {Boolean}
+ */
+
+function hasKeyIndex(document) {
+  return !!document.__key_index
+}
+
+/**
+ * Find the node with `key` in a `document`, returning the nodes from the
+ * document down to it, and its path.
+ *
+ * @param {Document} document
+ * @param {String} key
+ * @return {Object|Null}
+ *   @property {Array<Node>} nodes
+ *   @property {Array} path
+ */
+
+function lookupKey(document, key) {
+  const index = getKeyIndex(document)
+  const keys = []
+
+  while (key != document.key) {
+    if (!index.has(key)) return null
+    keys.unshift(key)
+    key = index.get(key)
+  }
+
+  const nodes = [document]
+  const path = []
+  let node = document
+
+  for (const k of keys) {
+    const i = getChildIndexes(node.nodes).get(k)
+    if (i == null) return null
+    node = node.nodes.get(i)
+    nodes.push(node)
+    path.push(i)
+  }
+
+  return { nodes, path }
+}
+
+/**
+ * Get the index of each of the `children` of a node by their key. Since the
+ * lists of children are immutable, it's built once for each list and kept on
+ * it, and shared by the nodes whose children didn't change.
+ *
+ * @param {List<Node>} children
+ * @return {Map}
+ */
+
+function getChildIndexes(children) {
+  if (!children.__child_indexes) {
+    children.__child_indexes = Map().withMutations(map => {
+      children.forEach((child, i) => {
+        if (!map.has(child.key)) map.set(child.key, i)
+      })
+    })
+  }
+
+  return children.__child_indexes
+}
+
+/**
+ * Update the key `index` of the `prev` document by an `operation` that turned
+ * it into the `next` document. Only the keys of the nodes that the operation
+ * inserted, removed or moved are changed.
+ *
+ * @param {Map} index
+ * @param {Operation} operation
+ * @param {Document} prev
+ * @param {Document} next
+ * @return {Map|Null}
+ */
+
+function updateKeyIndex(index, operation, prev, next) {
+  const { type, path } = operation
+
+  switch (type) {
+    case 'add_mark':
+    case 'insert_text':
+    case 'remove_mark':
+    case 'remove_text':
+    case 'set_mark':
+    case 'set_node': {
+      return index
+    }
+
+    // The inserted node is read from the next document, since its keys are
+    // regenerated when they are used there already.
+    case 'insert_node': {
+      const parent = prev.assertPath(PathUtils.lift(path))
+      return indexNode(index, next.assertPath(path), parent.key)
+    }
+
+    case 'remove_node': {
+      return unindexNode(index, prev.assertPath(path))
+    }
+
+    case 'merge_node': {
+      const one = prev.assertPath(PathUtils.decrement(path))
+      const two = prev.assertPath(path)
+      return reparentChildren(index.delete(two.key), two, one.key)
+    }
+
+    case 'split_node': {
+      const parent = next.assertPath(PathUtils.lift(path))
+      const node = next.assertPath(PathUtils.increment(path))
+      return reparentChildren(index.set(node.key, parent.key), node, node.key)
+    }
+
+    case 'move_node': {
+      const node = prev.assertPath(path)
+      const moved = PathUtils.getMovedPath(path, operation.newPath)
+      const parent = next.assertPath(PathUtils.lift(moved))
+      return index.set(node.key, parent.key)
+    }
+
+    default: {
+      return null
+    }
+  }
+}
+
+/**
+ * Add a `node` and its descendants to a key `index`.
+ *
+ * @param {Map} index
+ * @param {Node} node
+ * @param {String} parentKey
+ * @return {Map}
+ */
+
+function indexNode(index, node, parentKey) {
+  return index.withMutations(map => {
+    if (parentKey != null) map.set(node.key, parentKey)
+    if (node.object == 'text') return
+    node.nodes.forEach(child => indexNode(map, child, node.key))
+  })
+}
+
+/**
+ * Remove a `node` and its descendants from a key `index`.
+ *
+ * @param {Map} index
+ * @param {Node} node
+ * @return {Map}
+ */
+
+function unindexNode(index, node) {
+  return index.withMutations(map => {
+    map.delete(node.key)
+    if (node.object == 'text') return
+    node.nodes.forEach(child => unindexNode(map, child))
+  })
+}
+
+/**
+ * Set the parent of the children of a `node` to `parentKey` in a key `index`.
+ *
+ * @param {Map} index
+ * @param {Node} node
+ * @param {String} parentKey
+ * @return {Map}
+ */
+
+function reparentChildren(index, node, parentKey) {
+  if (node.object == 'text') return index
+
+  return index.withMutations(map => {
+    node.nodes.forEach(child => map.set(child.key, parentKey))
+  })
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export { getKeyIndex, hasKeyIndex, lookupKey, setKeyIndex, updateKeyIndex }
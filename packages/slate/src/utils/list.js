@@ -0,0 +1,86 @@
+import LIST_TYPES from '../constants/list-types'
+
+/**
+ * Get the list block `types` of the list plugin in a `schema`, or null if the
+ * schema doesn't have one.
+ *
+ * @param {Schema} schema
+ * @return {Object|Null}
+ */
+
+function getListTypes(schema) {
+  const [plugin] = schema.stack.getPluginsWith('listTypes')
+  return plugin ? plugin.listTypes : null
+}
+
+/**
+ * Check if a `node` is a list block of `types`.
+ *
+ * @param {Node} node
+ * @param {Object} types
+ * @return {Boolean}
+ */
+
+function isList(node, types = LIST_TYPES) {
+  return !!node && node.object == 'block' && types.LISTS.includes(node.type)
+}
+
+/**
+ * Check if a `node` is a list item block of `types`.
+ *
+ * @param {Node} node
+ * @param {Object} types
+ * @return {Boolean}
+ */
+
+function isItem(node, types = LIST_TYPES) {
+  return !!node && node.object == 'block' && node.type == types.ITEM
+}
+
+/**
+ * Get the closest list item ancestor of the node with `key` in a `document`.
+ *
+ * @param {Node} document
+ * @param {String} key
+ * @param {Object} types
+ * @return {Block|Null}
+ */
+
+function getClosestItem(document, key, types = LIST_TYPES) {
+  return document.getClosest(key, n => isItem(n, types))
+}
+
+/**
+ * Get the list items that contain the blocks in a `range` of a `document`,
+ * in document order. Unless `nested` is true, the items that are inside of
+ * other items of the range are left out, since they move with them.
+ *
+ * @param {Node} document
+ * @param {Range} range
+ * @param {Boolean} nested
+ * @param {Object} types
+ * @return {Array}
+ */
+
+function getItemsAtRange(document, range, nested = false, types = LIST_TYPES) {
+  const items = []
+
+  document.getBlocksAtRange(range).forEach(block => {
+    const item = getClosestItem(document, block.key, types)
+    if (item && !items.some(i => i.key == item.key)) items.push(item)
+  })
+
+  if (nested) return items
+
+  return items.filter(item => {
+    return !items.some(i => i.key != item.key && i.hasDescendant(item.key))
+  })
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export { getClosestItem, getItemsAtRange, getListTypes, isItem, isList }
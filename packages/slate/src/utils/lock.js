@@ -0,0 +1,63 @@
+/**
+ * Check if the node with `key` can't be edited by a `change`, because it or
+ * one of its ancestors is locked. Normalizing isn't restricted, so that the
+ * schema still applies to the locked nodes.
+ *
+ * @param {Change} change
+ * @param {String} key
+ * @return {Boolean}
+ */
+
+function isLocked(change, key) {
+  if (change.isNormalizing) return false
+
+  const { document } = change.value
+  if (key == document.key) return false
+
+  const node = document.getDescendant(key)
+  if (!node) return false
+  if (node.isLocked) return true
+  return !!document.getClosest(key, parent => parent.isLocked)
+}
+
+/**
+ * Check if the node with `key` can't be removed by a `change`, because it is
+ * locked, is inside a locked node or has locked descendants.
+ *
+ * @param {Change} change
+ * @param {String} key
+ * @return {Boolean}
+ */
+
+function containsLocked(change, key) {
+  if (isLocked(change, key)) return true
+  if (change.isNormalizing) return false
+
+  const node = change.value.document.getDescendant(key)
+  if (!node || node.object == 'text') return false
+  return !!node.findDescendant(n => n.isLocked)
+}
+
+/**
+ * Check if any of the text in a `range` can't be edited by a `change`.
+ *
+ * @param {Change} change
+ * @param {Range} range
+ * @return {Boolean}
+ */
+
+function isLockedAtRange(change, range) {
+  if (change.isNormalizing) return false
+
+  const { document } = change.value
+  const texts = document.getTextsAtRange(range)
+  return texts.some(text => isLocked(change, text.key))
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export { containsLocked, isLocked, isLockedAtRange }
@@ -0,0 +1,191 @@
+/**
+ * Compare paths `one` and `two` to see which comes first in the document,
+ * returning `-1`, `0` or `1`, or `null` if one path is above the other.
+ *
+ * @param {Array} one
+ * @param {Array} two
+ * @return {Number|Null}
+ */
+
+function compare(one, two) {
+  const min = Math.min(one.length, two.length)
+
+  for (let i = 0; i < min; i++) {
+    if (one[i] < two[i]) return -1
+    if (one[i] > two[i]) return 1
+  }
+
+  return one.length == two.length ? 0 : null
+}
+
+/**
+ * Check if path `one` is equal to path `two`.
+ *
+ * @param {Array} one
+ * @param {Array} two
+ * @return {Boolean}
+ */
+
+function isEqual(one, two) {
+  return one.length == two.length && compare(one, two) === 0
+}
+
+/**
+ * Check if path `one` is an ancestor of path `two`.
+ *
+ * @param {Array} one
+ * @param {Array} two
+ * @return {Boolean}
+ */
+
+function isAbove(one, two) {
+  return one.length < two.length && one.every((x, i) => x === two[i])
+}
+
+/**
+ * Check if path `one` is a descendant of path `two`, or equal to it.
+ *
+ * @param {Array} one
+ * @param {Array} two
+ * @return {Boolean}
+ */
+
+function isInside(one, two) {
+  return isEqual(one, two) || isAbove(two, one)
+}
+
+/**
+ * Check if path `one` is a sibling of path `two`.
+ *
+ * @param {Array} one
+ * @param {Array} two
+ * @return {Boolean}
+ */
+
+function isSibling(one, two) {
+  return one.length == two.length && isAbove(lift(one), two)
+}
+
+/**
+ * Check if path `one` is the parent of path `two`.
+ *
+ * @param {Array} one
+ * @param {Array} two
+ * @return {Boolean}
+ */
+
+function isParent(one, two) {
+  return one.length + 1 == two.length && isAbove(one, two)
+}
+
+/**
+ * Get the path of the parent of a `path`.
+ *
+ * @param {Array} path
+ * @return {Array}
+ */
+
+function lift(path) {
+  return path.slice(0, -1)
+}
+
+/**
+ * Increment the index of a `path` at `level` by `n`, defaulting to the last.
+ *
+ * @param {Array} path
+ * @param {Number} n
+ * @param {Number} level
+ * @return {Array}
+ */
+
+function increment(path, n = 1, level = path.length - 1) {
+  const next = path.slice()
+  next[level] += n
+  return next
+}
+
+/**
+ * Decrement the index of a `path` at `level` by `n`, defaulting to the last.
+ *
+ * @param {Array} path
+ * @param {Number} n
+ * @param {Number} level
+ * @return {Array}
+ */
+
+function decrement(path, n = 1, level = path.length - 1) {
+  return increment(path, 0 - n, level)
+}
+
+/**
+ * Replace the leading `prefix` of a `path` with `replacement`.
+ *
+ * @param {Array} path
+ * @param {Array} prefix
+ * @param {Array} replacement
+ * @return {Array}
+ */
+
+function rebase(path, prefix, replacement) {
+  return replacement.concat(path.slice(prefix.length))
+}
+
+/**
+ * Get the path where a node moved by a `move_node` operation from `path` to
+ * `newPath` ends up, since `newPath` describes its parent before the node
+ * was removed from its old position.
+ *
+ * @param {Array} path
+ * @param {Array} newPath
+ * @return {Array}
+ */
+
+function getMovedPath(path, newPath) {
+  const level = path.length - 1
+
+  if (isAbove(lift(path), lift(newPath)) && path[level] < newPath[level]) {
+    return decrement(newPath, 1, level)
+  }
+
+  return newPath.slice()
+}
+
+/**
+ * The inverse of `getMovedPath`, returning the `newPath` that moves a node at
+ * `path` so that it ends up at `movedPath`.
+ *
+ * @param {Array} path
+ * @param {Array} movedPath
+ * @return {Array}
+ */
+
+function getNewPath(path, movedPath) {
+  const level = path.length - 1
+
+  if (isAbove(lift(path), lift(movedPath)) && path[level] <= movedPath[level]) {
+    return increment(movedPath, 1, level)
+  }
+
+  return movedPath.slice()
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export default {
+  compare,
+  decrement,
+  getMovedPath,
+  getNewPath,
+  increment,
+  isAbove,
+  isEqual,
+  isInside,
+  isParent,
+  isSibling,
+  lift,
+  rebase,
+}
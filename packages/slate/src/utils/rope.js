@@ -0,0 +1,366 @@
+import { List } from 'immutable'
+
+/**
+ * The maximum length of the text of a chunk in a rope.
+ *
+ * @type {Number}
+ */
+
+const CHUNK_SIZE = 1024
+
+/**
+ * A rope stores the leaves of a text node as a balanced binary tree, so that
+ * the text can be split and concatenated in logarithmic time. Its chunks are
+ * leaves of at most `CHUNK_SIZE` characters, and its branches are plain
+ * objects with a `left` and `right` child, which cache the `length` of their
+ * text and their `height`. A rope is never mutated.
+ *
+ * An empty rope is `null`, except when an empty text still has marks, which
+ * is a rope of a single empty chunk. Otherwise, the chunks are never empty.
+ * Adjacent chunks can have the same marks, so they're merged into leaves when
+ * they're read.
+ */
+
+/**
+ * Create a rope from a list of `leaves`.
+ *
+ * @param {List<Leaf>} leaves
+ * @return {Object|Null}
+ */
+
+function create(leaves) {
+  const chunks = []
+
+  leaves.forEach(leaf => {
+    const { text } = leaf
+    const count = Math.ceil(text.length / CHUNK_SIZE)
+    const size = Math.ceil(text.length / count)
+
+    for (let i = 0; i < count; i++) {
+      chunks.push(leaf.set('text', text.slice(i * size, (i + 1) * size)))
+    }
+  })
+
+  if (chunks.length == 0) {
+    return leaves.size == 0 ? null : leaves.first()
+  }
+
+  return build(chunks, 0, chunks.length)
+}
+
+/**
+ * Build a balanced rope from the `chunks` between `start` and `end`.
+ *
+ * @param {Array<Leaf>} chunks
+ * @param {Number} start
+ * @param {Number} end
+ * @return {Object}
+ */
+
+function build(chunks, start, end) {
+  if (end - start == 1) return chunks[start]
+  const middle = Math.floor((start + end) / 2)
+  return branch(build(chunks, start, middle), build(chunks, middle, end))
+}
+
+/**
+ * Create a branch of a `left` and `right` rope.
+ *
+ * @param {Object} left
+ * @param {Object} right
+ * @return {Object}
+ */
+
+function branch(left, right) {
+  return {
+    left,
+    right,
+    length: getLength(left) + getLength(right),
+    height: Math.max(getHeight(left), getHeight(right)) + 1,
+  }
+}
+
+/**
+ * Create a branch of a `left` and `right` rope whose heights differ by up to
+ * two, rotating it to keep it balanced.
+ *
+ * @param {Object} left
+ * @param {Object} right
+ * @return {Object}
+ */
+
+function balance(left, right) {
+  const lh = getHeight(left)
+  const rh = getHeight(right)
+
+  if (lh > rh + 1) {
+    const { left: ll, right: lr } = left
+
+    if (getHeight(ll) >= getHeight(lr)) {
+      return branch(ll, branch(lr, right))
+    }
+
+    return branch(branch(ll, lr.left), branch(lr.right, right))
+  }
+
+  if (rh > lh + 1) {
+    const { left: rl, right: rr } = right
+
+    if (getHeight(rr) >= getHeight(rl)) {
+      return branch(branch(left, rl), rr)
+    }
+
+    return branch(branch(left, rl.left), branch(rl.right, rr))
+  }
+
+  return branch(left, right)
+}
+
+/**
+ * Join two non-empty ropes, in time proportional to the difference of their
+ * heights.
+ *
+ * @param {Object} left
+ * @param {Object} right
+ * @return {Object}
+ */
+
+function join(left, right) {
+  const lh = getHeight(left)
+  const rh = getHeight(right)
+
+  if (lh > rh + 1) {
+    return balance(left.left, join(left.right, right))
+  }
+
+  if (rh > lh + 1) {
+    return balance(join(left, right.left), right.right)
+  }
+
+  return branch(left, right)
+}
+
+/**
+ * Concatenate two ropes. When one of them is empty, it's dropped, unless the
+ * other one doesn't exist.
+ *
+ * @param {Object|Null} left
+ * @param {Object|Null} right
+ * @return {Object|Null}
+ */
+
+function concat(left, right) {
+  if (isEmpty(right)) return left == null ? right : left
+  if (isEmpty(left)) return right
+  return join(left, right)
+}
+
+/**
+ * Split a rope at `offset`. When the offset is at the edge of a chunk, it's
+ * split after the chunk. When one of the two ropes would be empty at the start
+ * or end of the rope, it's an empty chunk with the marks at that edge.
+ *
+ * @param {Object|Null} rope
+ * @param {Number} offset
+ * @return {Array}
+ */
+
+function split(rope, offset) {
+  if (rope == null) return [null, null]
+  if (offset < 0) return [null, rope]
+  if (offset > getLength(rope)) return [rope, null]
+  return splitAt(rope, offset, true, true)
+}
+
+/**
+ * Split a non-empty rope at `offset`, knowing whether it's at the start and
+ * end of the whole rope.
+ *
+ * @param {Object} rope
+ * @param {Number} offset
+ * @param {Boolean} isFirst
+ * @param {Boolean} isLast
+ * @return {Array}
+ */
+
+function splitAt(rope, offset, isFirst, isLast) {
+  if (!rope.left) {
+    const { text } = rope
+    const left = rope.set('text', text.slice(0, offset))
+    const right = rope.set('text', text.slice(offset))
+    if (left.text == '') return [isFirst ? left : null, rope]
+    if (right.text == '') return [rope, isLast ? right : null]
+    return [left, right]
+  }
+
+  const length = getLength(rope.left)
+
+  if (offset <= length) {
+    const [a, b] = splitAt(rope.left, offset, isFirst, false)
+    return [a, concat(b, rope.right)]
+  }
+
+  const [a, b] = splitAt(rope.right, offset - length, false, isLast)
+  return [concat(rope.left, a), b]
+}
+
+/**
+ * Find the first chunk of a rope that ends at or after `offset`, and the
+ * offset that it starts at.
+ *
+ * @param {Object|Null} rope
+ * @param {Number} offset
+ * @return {Object}
+ *   @property {Leaf|Null} leaf
+ *   @property {Number} startOffset
+ */
+
+function find(rope, offset) {
+  if (rope == null || offset > getLength(rope)) {
+    return { leaf: null, startOffset: getLength(rope) }
+  }
+
+  let node = rope
+  let startOffset = 0
+
+  while (node.left) {
+    const length = getLength(node.left)
+
+    if (offset <= length) {
+      node = node.left
+    } else {
+      offset -= length
+      startOffset += length
+      node = node.right
+    }
+  }
+
+  return { leaf: node, startOffset }
+}
+
+/**
+ * Call `iterator` with each chunk of a rope in order, until it returns false.
+ *
+ * @param {Object|Null} rope
+ * @param {Function} iterator
+ * @return {Boolean}
+ */
+
+function forEach(rope, iterator) {
+  if (rope == null) return true
+  if (!rope.left) return iterator(rope) !== false
+  return forEach(rope.left, iterator) && forEach(rope.right, iterator)
+}
+
+/**
+ * Map each chunk of a rope with `iterator`.
+ *
+ * @param {Object|Null} rope
+ * @param {Function} iterator
+ * @return {Object|Null}
+ */
+
+function map(rope, iterator) {
+  if (rope == null) return null
+  if (!rope.left) return iterator(rope)
+  return branch(map(rope.left, iterator), map(rope.right, iterator))
+}
+
+/**
+ * Get the leaves of a rope, merging the adjacent chunks with the same marks.
+ *
+ * @param {Object|Null} rope
+ * @return {List<Leaf>}
+ */
+
+function getLeaves(rope) {
+  const leaves = []
+  let last = null
+  let text = ''
+
+  forEach(rope, chunk => {
+    if (last && last.marks.equals(chunk.marks)) {
+      text += chunk.text
+      return
+    }
+
+    if (last) leaves.push(last.set('text', text))
+    last = chunk
+    text = chunk.text
+  })
+
+  if (last) leaves.push(last.set('text', text))
+  return List(leaves)
+}
+
+/**
+ * Get the text of a rope.
+ *
+ * @param {Object|Null} rope
+ * @return {String}
+ */
+
+function getText(rope) {
+  let text = ''
+
+  forEach(rope, chunk => {
+    text += chunk.text
+  })
+
+  return text
+}
+
+/**
+ * Get the length of the text of a rope.
+ *
+ * @param {Object|Null} rope
+ * @return {Number}
+ */
+
+function getLength(rope) {
+  if (rope == null) return 0
+  return rope.left ? rope.length : rope.text.length
+}
+
+/**
+ * Get the height of a rope.
+ *
+ * @param {Object|Null} rope
+ * @return {Number}
+ */
+
+function getHeight(rope) {
+  if (rope == null) return -1
+  return rope.left ? rope.height : 0
+}
+
+/**
+ * Check if a rope has no text.
+ *
+ * @param {Object|Null} rope
+ * @return {Boolean}
+ */
+
+function isEmpty(rope) {
+  return getLength(rope) == 0
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export default {
+  CHUNK_SIZE,
+  concat,
+  create,
+  find,
+  forEach,
+  getLeaves,
+  getLength,
+  getText,
+  isEmpty,
+  map,
+  split,
+}
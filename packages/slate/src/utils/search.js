@@ -0,0 +1,92 @@
+import String from './string'
+
+/**
+ * A pattern that matches the special characters of regular expressions.
+ *
+ * @type {RegExp}
+ */
+
+const SPECIAL_CHARACTERS = /[\\^$.*+?()[\]{}|]/g
+
+/**
+ * Create the global regular expression to search for a `pattern` with.
+ *
+ * The `pattern` is either a regular expression, whose flags are kept, or a
+ * string, which is matched literally unless `options.regex` is true, and case
+ * insensitively unless `options.caseSensitive` is true.
+ *
+ * @param {String|RegExp} pattern
+ * @param {Object} options
+ *   @property {Boolean} caseSensitive
+ *   @property {Boolean} regex
+ * @return {RegExp}
+ */
+
+function createSearchRegExp(pattern, options = {}) {
+  const { caseSensitive = false, regex = false } = options
+
+  if (pattern instanceof RegExp) {
+    const flags = pattern.flags.replace('g', '')
+    return new RegExp(pattern.source, `${flags}g`)
+  }
+
+  if (typeof pattern != 'string' || pattern == '') {
+    throw new Error(
+      `A search pattern must be a non-empty string or a regular expression, but you passed: ${pattern}`
+    )
+  }
+
+  const source = regex ? pattern : pattern.replace(SPECIAL_CHARACTERS, '\\$&')
+  return new RegExp(source, caseSensitive ? 'g' : 'gi')
+}
+
+/**
+ * Find the matches of a search `pattern` in a `string`, as a list of their
+ * `index`, `length` and matched `text`. Empty matches are skipped, and with
+ * `options.wholeWord` so are the matches that are part of a larger word.
+ *
+ * @param {String} string
+ * @param {String|RegExp} pattern
+ * @param {Object} options
+ *   @property {Boolean} caseSensitive
+ *   @property {Boolean} regex
+ *   @property {Boolean} wholeWord
+ * @return {Array}
+ */
+
+function findMatches(string, pattern, options = {}) {
+  const { wholeWord = false } = options
+  const regexp = createSearchRegExp(pattern, options)
+  const matches = []
+  let match
+
+  while ((match = regexp.exec(string))) {
+    const [text] = match
+    const { index } = match
+
+    if (text == '') {
+      regexp.lastIndex++
+      continue
+    }
+
+    if (wholeWord) {
+      const before = string.charAt(index - 1)
+      const after = string.charAt(index + text.length)
+      const rest = string.slice(index + text.length + 1)
+      if (before && String.isWord(before, text)) continue
+      if (after && String.isWord(after, rest)) continue
+    }
+
+    matches.push({ index, length: text.length, text })
+  }
+
+  return matches
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export { createSearchRegExp, findMatches }
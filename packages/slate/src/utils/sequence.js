@@ -0,0 +1,299 @@
+/**
+ * A cache of compiled patterns, by pattern string.
+ *
+ * @type {Object}
+ */
+
+const CACHE = {}
+
+/**
+ * A pattern to tokenize sequence patterns with.
+ *
+ * @type {RegExp}
+ */
+
+const TOKEN = /\s*(?:([()|?*+.])|\{(\d+)(?:(,)(\d*))?\}|(#?[\w-]+))/g
+
+/**
+ * Find the index of the first of the `nodes` that doesn't match a sequence
+ * `pattern`, which is like a regular expression of node types. It returns
+ * `nodes.length` if the nodes end before the pattern is complete, and `-1` if
+ * they match it entirely.
+ *
+ * Node types match nodes of that type, `#block`, `#inline` and `#text` match
+ * nodes of that object, and `.` matches any node. They can be grouped with
+ * parentheses, separated with `|` for alternatives, and followed by the `?`,
+ * `*`, `+` and `{min,max}` quantifiers.
+ *
+ *     'image caption?'
+ *     '(heading paragraph*)+'
+ *     '#block{1,3}'
+ *
+ * @param {String} pattern
+ * @param {Array} nodes
+ * @return {Number}
+ */
+
+function matchSequence(pattern, nodes) {
+  const { start, end } = compile(pattern)
+  let states = closure([start])
+
+  for (let i = 0; i < nodes.length; i++) {
+    const node = nodes[i]
+    const next = []
+
+    states.forEach(state => {
+      state.edges.forEach(edge => {
+        if (edge.test(node)) next.push(edge.to)
+      })
+    })
+
+    if (next.length == 0) return i
+    states = closure(next)
+  }
+
+  return states.includes(end) ? -1 : nodes.length
+}
+
+/**
+ * Compile a sequence `pattern` into an automaton with `start` and `end`
+ * states, caching the result.
+ *
+ * @param {String} pattern
+ * @return {Object}
+ */
+
+function compile(pattern) {
+  if (CACHE[pattern]) return CACHE[pattern]
+
+  const tokens = tokenize(pattern)
+  let index = 0
+
+  const peek = () => tokens[index]
+
+  const fail = () => {
+    throw new Error(`The schema sequence pattern "${pattern}" is invalid.`)
+  }
+
+  const parseAlternatives = () => {
+    const options = [parseSequence()]
+
+    while (peek() && peek().value == '|') {
+      index++
+      options.push(parseSequence())
+    }
+
+    return options.length == 1 ? options[0] : { kind: 'alt', options }
+  }
+
+  const parseSequence = () => {
+    const items = []
+
+    while (peek() && peek().value != '|' && peek().value != ')') {
+      items.push(parseQuantified())
+    }
+
+    return { kind: 'seq', items }
+  }
+
+  const parseQuantified = () => {
+    const node = parseAtom()
+    const token = peek()
+    if (!token || !token.quantifier) return node
+    index++
+    return { kind: 'repeat', node, min: token.min, max: token.max }
+  }
+
+  const parseAtom = () => {
+    const token = tokens[index++]
+    if (!token || token.quantifier) fail()
+
+    if (token.value == '(') {
+      const node = parseAlternatives()
+      if (!peek() || peek().value != ')') fail()
+      index++
+      return node
+    }
+
+    if (token.value == ')' || token.value == '|') fail()
+    return { kind: 'atom', test: getTest(token.value) }
+  }
+
+  const tree = parseAlternatives()
+  if (index < tokens.length) fail()
+
+  const ret = build(tree)
+  CACHE[pattern] = ret
+  return ret
+}
+
+/**
+ * Split a sequence `pattern` into tokens.
+ *
+ * @param {String} pattern
+ * @return {Array}
+ */
+
+function tokenize(pattern) {
+  const tokens = []
+  const string = pattern.trim()
+  let last = 0
+  let match
+
+  TOKEN.lastIndex = 0
+
+  while (last < string.length && (match = TOKEN.exec(string))) {
+    if (match.index != last) break
+    const [all, char, min, comma, max, name] = match
+    last += all.length
+
+    if (char == '?' || char == '*' || char == '+') {
+      tokens.push({
+        quantifier: true,
+        min: char == '+' ? 1 : 0,
+        max: char == '?' ? 1 : Infinity,
+      })
+    } else if (min != null) {
+      const n = parseInt(min, 10)
+      const m = comma ? (max ? parseInt(max, 10) : Infinity) : n
+      if (m < n) break
+      tokens.push({ quantifier: true, min: n, max: m })
+    } else {
+      tokens.push({ value: char || name })
+    }
+  }
+
+  if (last < string.length) {
+    throw new Error(`The schema sequence pattern "${pattern}" is invalid.`)
+  }
+
+  return tokens
+}
+
+/**
+ * Get the function that tests whether a node matches a pattern `value`.
+ *
+ * @param {String} value
+ * @return {Function}
+ */
+
+function getTest(value) {
+  if (value == '.') return () => true
+
+  if (value[0] == '#') {
+    const object = value.slice(1)
+    return node => node.object == object
+  }
+
+  return node => node.object != 'text' && node.type == value
+}
+
+/**
+ * Build the automaton states for a pattern `tree`, returning its `start` and
+ * `end` states.
+ *
+ * @param {Object} tree
+ * @return {Object}
+ */
+
+function build(tree) {
+  const start = createState()
+  const end = createState()
+
+  switch (tree.kind) {
+    case 'atom': {
+      start.edges.push({ test: tree.test, to: end })
+      break
+    }
+
+    case 'seq': {
+      const last = tree.items.reduce((state, item) => {
+        const fragment = build(item)
+        state.epsilons.push(fragment.start)
+        return fragment.end
+      }, start)
+
+      last.epsilons.push(end)
+      break
+    }
+
+    case 'alt': {
+      tree.options.forEach(option => {
+        const fragment = build(option)
+        start.epsilons.push(fragment.start)
+        fragment.end.epsilons.push(end)
+      })
+
+      break
+    }
+
+    case 'repeat': {
+      const { node, min, max } = tree
+      let state = start
+
+      for (let i = 0; i < min; i++) {
+        const fragment = build(node)
+        state.epsilons.push(fragment.start)
+        state = fragment.end
+      }
+
+      if (max == Infinity) {
+        const fragment = build(node)
+        state.epsilons.push(fragment.start, end)
+        fragment.end.epsilons.push(fragment.start, end)
+      } else {
+        for (let i = min; i < max; i++) {
+          const fragment = build(node)
+          state.epsilons.push(fragment.start, end)
+          state = fragment.end
+        }
+
+        state.epsilons.push(end)
+      }
+
+      break
+    }
+  }
+
+  return { start, end }
+}
+
+/**
+ * Create a new automaton state.
+ *
+ * @return {Object}
+ */
+
+function createState() {
+  return { edges: [], epsilons: [] }
+}
+
+/**
+ * Get all of the states that are reachable from `states` without consuming a
+ * node.
+ *
+ * @param {Array} states
+ * @return {Array}
+ */
+
+function closure(states) {
+  const ret = []
+  const stack = states.slice()
+
+  while (stack.length) {
+    const state = stack.pop()
+    if (ret.includes(state)) continue
+    ret.push(state)
+    stack.push(...state.epsilons)
+  }
+
+  return ret
+}
+
+/**
+ * Export.
+ *
+ * @type {Function}
+ */
+
+export default matchSequence
@@ -1,5 +1,3 @@
-import { reverse } from 'esrever'
-
 /**
  * Surrogate pair start and end points.
  *
@@ -34,6 +32,92 @@ const CHAMELEON = /['\u2018\u2019]/
 
 const PUNCTUATION = /[\u0021-\u0023\u0025-\u002A\u002C-\u002F\u003A\u003B\u003F\u0040\u005B-\u005D\u005F\u007B\u007D\u00A1\u00A7\u00AB\u00B6\u00B7\u00BB\u00BF\u037E\u0387\u055A-\u055F\u0589\u058A\u05BE\u05C0\u05C3\u05C6\u05F3\u05F4\u0609\u060A\u060C\u060D\u061B\u061E\u061F\u066A-\u066D\u06D4\u0700-\u070D\u07F7-\u07F9\u0830-\u083E\u085E\u0964\u0965\u0970\u0AF0\u0DF4\u0E4F\u0E5A\u0E5B\u0F04-\u0F12\u0F14\u0F3A-\u0F3D\u0F85\u0FD0-\u0FD4\u0FD9\u0FDA\u104A-\u104F\u10FB\u1360-\u1368\u1400\u166D\u166E\u169B\u169C\u16EB-\u16ED\u1735\u1736\u17D4-\u17D6\u17D8-\u17DA\u1800-\u180A\u1944\u1945\u1A1E\u1A1F\u1AA0-\u1AA6\u1AA8-\u1AAD\u1B5A-\u1B60\u1BFC-\u1BFF\u1C3B-\u1C3F\u1C7E\u1C7F\u1CC0-\u1CC7\u1CD3\u2010-\u2027\u2030-\u2043\u2045-\u2051\u2053-\u205E\u207D\u207E\u208D\u208E\u2329\u232A\u2768-\u2775\u27C5\u27C6\u27E6-\u27EF\u2983-\u2998\u29D8-\u29DB\u29FC\u29FD\u2CF9-\u2CFC\u2CFE\u2CFF\u2D70\u2E00-\u2E2E\u2E30-\u2E3B\u3001-\u3003\u3008-\u3011\u3014-\u301F\u3030\u303D\u30A0\u30FB\uA4FE\uA4FF\uA60D-\uA60F\uA673\uA67E\uA6F2-\uA6F7\uA874-\uA877\uA8CE\uA8CF\uA8F8-\uA8FA\uA92E\uA92F\uA95F\uA9C1-\uA9CD\uA9DE\uA9DF\uAA5C-\uAA5F\uAADE\uAADF\uAAF0\uAAF1\uABEB\uFD3E\uFD3F\uFE10-\uFE19\uFE30-\uFE52\uFE54-\uFE61\uFE63\uFE68\uFE6A\uFE6B\uFF01-\uFF03\uFF05-\uFF0A\uFF0C-\uFF0F\uFF1A\uFF1B\uFF1F\uFF20\uFF3B-\uFF3D\uFF3F\uFF5B\uFF5D\uFF5F-\uFF65]/
 
+/**
+ * The grapheme cluster break properties of UAX #29. The characters that aren't
+ * in any of the tables below are `Other`.
+ *
+ * @type {String}
+ */
+
+const OTHER = 'Other'
+const CR = 'CR'
+const LF = 'LF'
+const CONTROL = 'Control'
+const EXTEND = 'Extend'
+const ZWJ = 'ZWJ'
+const REGIONAL_INDICATOR = 'Regional_Indicator'
+const PREPEND = 'Prepend'
+const SPACING_MARK = 'SpacingMark'
+const L = 'L'
+const V = 'V'
+const T = 'T'
+const LV = 'LV'
+const LVT = 'LVT'
+const EXTENDED_PICTOGRAPHIC = 'Extended_Pictographic'
+
+/**
+ * The ranges of code points of each grapheme cluster break property, in order,
+ * as hexadecimal code points or ranges of them.
+ *
+ * @type {Array<Number>}
+ */
+
+const CONTROL_RANGES = parseRanges(
+  '0000-0009 000b-000c 000e-001f 007f-009f 00ad 061c 180e 200b 200e-200f 2028-202e 2060-206f feff fff0-fffb 1bca0-1bca3 1d173-1d17a e0000-e001f e0080-e00ff e01f0-e0fff'
+)
+
+const EXTEND_RANGES = parseRanges(
+  '0300-036f 0483-0489 0591-05bd 05bf 05c1-05c2 05c4-05c5 05c7 0610-061a 064b-065f 0670 06d6-06dc 06df-06e4 06e7-06e8 06ea-06ed 0711 0730-074a 07a6-07b0 07eb-07f3 0816-0819 081b-0823 0825-0827 0829-082d 0859-085b 08d3-08e1 08e3-0902 093a 093c 0941-0948 094d 0951-0957 0962-0963 0981 09bc 09be 09c1-09c4 09cd 09d7 09e2-09e3 0a01-0a02 0a3c 0a41-0a42 0a47-0a48 0a4b-0a4d 0a51 0a70-0a71 0a75 0a81-0a82 0abc 0ac1-0ac5 0ac7-0ac8 0acd 0ae2-0ae3 0b01 0b3c 0b3e-0b3f 0b41-0b44 0b4d 0b56-0b57 0b62-0b63 0b82 0bbe 0bc0 0bcd 0bd7 0c00 0c3e-0c40 0c46-0c48 0c4a-0c4d 0c55-0c56 0c62-0c63 0c81 0cbc 0cbf 0cc2 0cc6 0ccc-0ccd 0cd5-0cd6 0ce2-0ce3 0d00-0d01 0d3b-0d3c 0d3e 0d41-0d44 0d4d 0d57 0d62-0d63 0dca 0dcf 0dd2-0dd4 0dd6 0ddf 0e31 0e34-0e3a 0e47-0e4e 0eb1 0eb4-0ebc 0ec8-0ecd 0f18-0f19 0f35 0f37 0f39 0f71-0f7e 0f80-0f84 0f86-0f87 0f8d-0fbc 0fc6 102d-1030 1032-1037 1039-103a 103d-103e 1058-1059 105e-1060 1071-1074 1082 1085-1086 108d 109d 135d-135f 1712-1714 1732-1734 1752-1753 1772-1773 17b4-17b5 17b7-17bd 17c6 17c9-17d3 17dd 180b-180d 1885-1886 18a9 1920-1922 1927-1928 1932 1939-193b 1a17-1a18 1a1b 1a56 1a58-1a5e 1a60 1a62 1a65-1a6c 1a73-1a7c 1a7f 1ab0-1abe 1b00-1b03 1b34-1b3a 1b3c 1b42 1b6b-1b73 1b80-1b81 1ba2-1ba5 1ba8-1ba9 1bab-1bad 1be6 1be8-1be9 1bed 1bef-1bf1 1c2c-1c33 1c36-1c37 1cd0-1cd2 1cd4-1ce0 1ce2-1ce8 1ced 1cf4 1cf8-1cf9 1dc0-1df9 1dfb-1dff 200c 20d0-20f0 2cef-2cf1 2d7f 2de0-2dff 302a-302f 3099-309a a66f-a672 a674-a67d a69e-a69f a6f0-a6f1 a802 a806 a80b a825-a826 a8c4-a8c5 a8e0-a8f1 a8ff a926-a92d a947-a951 a980-a982 a9b3 a9b6-a9b9 a9bc-a9bd a9e5 aa29-aa2e aa31-aa32 aa35-aa36 aa43 aa4c aa7c aab0 aab2-aab4 aab7-aab8 aabe-aabf aac1 aaec-aaed aaf6 abe5 abe8 abed fb1e fe00-fe0f fe20-fe2f ff9e-ff9f 101fd 102e0 10376-1037a 10a01-10a0f 10a38-10a3f 11001 11038-11046 1107f-11081 110b3-110b6 110b9-110ba 11100-11102 11127-1112b 1112d-11134 11173 11180-11181 111b6-111be 1d165 1d167-1d169 1d16e-1d172 1d17b-1d182 1d185-1d18b 1d1aa-1d1ad 1d242-1d244 1e000-1e02a 1e8d0-1e8d6 1e944-1e94a 1f3fb-1f3ff e0020-e007f e0100-e01ef'
+)
+
+const PREPEND_RANGES = parseRanges(
+  '0600-0605 06dd 070f 08e2 0d4e 110bd 110cd 111c2-111c3 11a3a 11a84-11a89 11d46'
+)
+
+const SPACING_MARK_RANGES = parseRanges(
+  '0903 093b 093e-0940 0949-094c 094e-094f 0982-0983 09bf-09c0 09c7-09c8 09cb-09cc 0a03 0a3e-0a40 0a83 0abe-0ac0 0ac9 0acb-0acc 0b02-0b03 0b40 0b47-0b48 0b4b-0b4c 0bbf 0bc1-0bc2 0bc6-0bc8 0bca-0bcc 0c01-0c03 0c41-0c44 0c82-0c83 0cbe 0cc0-0cc1 0cc3-0cc4 0cc7-0cc8 0cca-0ccb 0d02-0d03 0d3f-0d40 0d46-0d48 0d4a-0d4c 0d82-0d83 0dd0-0dd1 0dd8-0dde 0df2-0df3 0e33 0eb3 0f3e-0f3f 0f7f 1031 103b-103c 1056-1057 1084 17b6 17be-17c5 17c7-17c8 1923-1926 1929-192b 1930-1931 1933-1938 1a19-1a1a 1a55 1a57 1a6d-1a72 1b04 1b3b 1b3d-1b41 1b43-1b44 1b82 1ba1 1ba6-1ba7 1baa 1be7 1bea-1bec 1bee 1bf2-1bf3 1c24-1c2b 1c34-1c35 1ce1 1cf7 a823-a824 a827 a880-a881 a8b4-a8c3 a952-a953 a983 a9b4-a9b5 a9ba-a9bb a9be-a9c0 aa2f-aa30 aa33-aa34 aa4d aaeb aaee-aaef aaf5 abe3-abe4 abe6-abe7 abe9-abea abec'
+)
+
+const L_RANGES = parseRanges('1100-115f a960-a97c')
+
+const V_RANGES = parseRanges('1160-11a7 d7b0-d7c6')
+
+const T_RANGES = parseRanges('11a8-11ff d7cb-d7fb')
+
+const EXTENDED_PICTOGRAPHIC_RANGES = parseRanges(
+  '00a9 00ae 203c 2049 2122 2139 2194-2199 21a9-21aa 231a-231b 2328 2388 23cf 23e9-23f3 23f8-23fa 24c2 25aa-25ab 25b6 25c0 25fb-25fe 2600-2605 2607-2612 2614-2685 2690-2705 2708-2712 2714 2716 271d 2721 2728 2733-2734 2744 2747 274c 274e 2753-2755 2757 2763-2767 2795-2797 27a1 27b0 27bf 2934-2935 2b05-2b07 2b1b-2b1c 2b50 2b55 3030 303d 3297 3299 1f000-1f0ff 1f10d-1f10f 1f12f 1f16c-1f171 1f17e-1f17f 1f18e 1f191-1f19a 1f1ad-1f1e5 1f201-1f20f 1f21a 1f22f 1f232-1f23a 1f23c-1f23f 1f249-1f3fa 1f400-1f53d 1f546-1f64f 1f680-1f6ff 1f774-1f77f 1f7d5-1f7ff 1f80c-1f80f 1f848-1f84f 1f85a-1f85f 1f888-1f88f 1f8ae-1f8ff 1f90c-1f93a 1f93c-1f945 1f947-1faff 1fc00-1fffd'
+)
+
+/**
+ * The ranges of code points of the scripts that are written without spaces
+ * between words, like Thai, Lao, Myanmar, Khmer, Japanese and Chinese, which
+ * need a dictionary to find their words.
+ *
+ * @type {Array<Number>}
+ */
+
+const DICTIONARY_RANGES = parseRanges(
+  '0e00-0eff 1000-109f 1780-17ff 19e0-19ff 3040-30ff 31f0-31ff 3400-4dbf 4e00-9fff f900-faff ff66-ff9f 20000-2fa1f'
+)
+
+/**
+ * The ranges of code points of Katakana, whose words aren't split between each
+ * character when there is no dictionary.
+ *
+ * @type {Array<Number>}
+ */
+
+const KATAKANA_RANGES = parseRanges('30a0-30ff 31f0-31ff ff66-ff9f')
+
+/**
+ * The function that splits a run of text of the scripts written without spaces
+ * into words, if one is set.
+ *
+ * @type {Function|Null}
+ */
+
+let segmenter = null
+
 /**
  * Is a character `code` in a surrogate character.
  *
@@ -81,19 +165,252 @@ function getCharLength(char) {
 }
 
 /**
- * Get the offset to the end of the first character in `text`.
+ * Parse a `string` of hexadecimal code points and ranges of them, separated by
+ * spaces, into a list of the first and last code points of each range.
+ *
+ * @param {String} string
+ * @return {Array<Number>}
+ */
+
+function parseRanges(string) {
+  const ranges = []
+
+  string.split(' ').forEach(range => {
+    const [start, end = start] = range.split('-')
+    ranges.push(parseInt(start, 16), parseInt(end, 16))
+  })
+
+  return ranges
+}
+
+/**
+ * Check if a `code` point is in a list of `ranges`.
+ *
+ * @param {Number} code
+ * @param {Array<Number>} ranges
+ * @return {Boolean}
+ */
+
+function isInRanges(code, ranges) {
+  let low = 0
+  let high = ranges.length / 2 - 1
+
+  while (low <= high) {
+    const middle = (low + high) >> 1
+
+    if (code < ranges[middle * 2]) {
+      high = middle - 1
+    } else if (code > ranges[middle * 2 + 1]) {
+      low = middle + 1
+    } else {
+      return true
+    }
+  }
+
+  return false
+}
+
+/**
+ * Get the code point that starts at `offset` in `text`.
  *
  * @param {String} text
+ * @param {Number} offset
  * @return {Number}
  */
 
-function getCharOffset(text) {
-  const char = text.charAt(0)
-  return getCharLength(char)
+function getCodePointAt(text, offset) {
+  const code = text.charCodeAt(offset)
+
+  if (code >= 0xd800 && code <= 0xdbff && offset + 1 < text.length) {
+    const next = text.charCodeAt(offset + 1)
+
+    if (next >= 0xdc00 && next <= 0xdfff) {
+      return (code - 0xd800) * 0x400 + next - 0xdc00 + 0x10000
+    }
+  }
+
+  return code
 }
 
 /**
- * Get the offset to the end of the character before an `offset` in `text`.
+ * Get the code point that ends at `offset` in `text`.
+ *
+ * @param {String} text
+ * @param {Number} offset
+ * @return {Number}
+ */
+
+function getCodePointBefore(text, offset) {
+  const code = text.charCodeAt(offset - 1)
+
+  if (code >= 0xdc00 && code <= 0xdfff && offset - 2 >= 0) {
+    const prev = text.charCodeAt(offset - 2)
+
+    if (prev >= 0xd800 && prev <= 0xdbff) {
+      return (prev - 0xd800) * 0x400 + code - 0xdc00 + 0x10000
+    }
+  }
+
+  return code
+}
+
+/**
+ * Get the length of a `code` point in a string.
+ *
+ * @param {Number} code
+ * @return {Number}
+ */
+
+function getCodePointLength(code) {
+  return code > 0xffff ? 2 : 1
+}
+
+/**
+ * Get the grapheme cluster break property of a `code` point.
+ *
+ * @param {Number} code
+ * @return {String}
+ */
+
+function getGraphemeProperty(code) {
+  if (code == 0x0d) return CR
+  if (code == 0x0a) return LF
+  if (code == 0x200d) return ZWJ
+  if (code >= 0x1f1e6 && code <= 0x1f1ff) return REGIONAL_INDICATOR
+
+  if (code >= 0xac00 && code <= 0xd7a3) {
+    return (code - 0xac00) % 28 == 0 ? LV : LVT
+  }
+
+  if (isInRanges(code, CONTROL_RANGES)) return CONTROL
+  if (isInRanges(code, EXTEND_RANGES)) return EXTEND
+  if (isInRanges(code, SPACING_MARK_RANGES)) return SPACING_MARK
+  if (isInRanges(code, PREPEND_RANGES)) return PREPEND
+  if (isInRanges(code, L_RANGES)) return L
+  if (isInRanges(code, V_RANGES)) return V
+  if (isInRanges(code, T_RANGES)) return T
+
+  if (isInRanges(code, EXTENDED_PICTOGRAPHIC_RANGES)) {
+    return EXTENDED_PICTOGRAPHIC
+  }
+
+  return OTHER
+}
+
+/**
+ * Check if there is a grapheme cluster boundary at `offset` in `text`,
+ * following the rules of UAX #29.
+ *
+ * @param {String} text
+ * @param {Number} offset
+ * @return {Boolean}
+ */
+
+function isGraphemeBoundary(text, offset) {
+  if (offset <= 0 || offset >= text.length) return true
+
+  // Never break inside of a surrogate pair.
+  const before = text.charCodeAt(offset - 1)
+  const after = text.charCodeAt(offset)
+  const isHigh = before >= 0xd800 && before <= 0xdbff
+  const isLow = after >= 0xdc00 && after <= 0xdfff
+  if (isHigh && isLow) return false
+
+  const prevCode = getCodePointBefore(text, offset)
+  const nextCode = getCodePointAt(text, offset)
+  const prev = getGraphemeProperty(prevCode)
+  const next = getGraphemeProperty(nextCode)
+
+  if (prev == CR && next == LF) return false
+  if (prev == CONTROL || prev == CR || prev == LF) return true
+  if (next == CONTROL || next == CR || next == LF) return true
+
+  // Hangul syllables.
+  if (prev == L && (next == L || next == V || next == LV || next == LVT)) {
+    return false
+  }
+
+  if ((prev == LV || prev == V) && (next == V || next == T)) return false
+  if ((prev == LVT || prev == T) && next == T) return false
+
+  if (next == EXTEND || next == ZWJ || next == SPACING_MARK) return false
+  if (prev == PREPEND) return false
+
+  // Emoji sequences joined with zero width joiners.
+  if (prev == ZWJ && next == EXTENDED_PICTOGRAPHIC) {
+    let i = offset - 1
+
+    while (i > 0) {
+      const code = getCodePointBefore(text, i)
+      const property = getGraphemeProperty(code)
+      if (property == EXTENDED_PICTOGRAPHIC) return false
+      if (property != EXTEND) break
+      i -= getCodePointLength(code)
+    }
+
+    return true
+  }
+
+  // Flags, made of pairs of regional indicators.
+  if (prev == REGIONAL_INDICATOR && next == REGIONAL_INDICATOR) {
+    let count = 0
+    let i = offset
+
+    while (i > 0) {
+      const code = getCodePointBefore(text, i)
+      if (getGraphemeProperty(code) != REGIONAL_INDICATOR) break
+      count++
+      i -= getCodePointLength(code)
+    }
+
+    return count % 2 == 0
+  }
+
+  return true
+}
+
+/**
+ * Get the offset of the end of the grapheme cluster that starts at `offset`
+ * in `text`.
+ *
+ * @param {String} text
+ * @param {Number} offset
+ * @return {Number}
+ */
+
+function getGraphemeEnd(text, offset) {
+  let i = offset
+
+  do {
+    i += getCodePointLength(getCodePointAt(text, i))
+  } while (i < text.length && !isGraphemeBoundary(text, i))
+
+  return i
+}
+
+/**
+ * Get the offset of the start of the grapheme cluster that ends at `offset`
+ * in `text`.
+ *
+ * @param {String} text
+ * @param {Number} offset
+ * @return {Number}
+ */
+
+function getGraphemeStart(text, offset) {
+  let i = offset
+
+  do {
+    i -= getCodePointLength(getCodePointBefore(text, i))
+  } while (i > 0 && !isGraphemeBoundary(text, i))
+
+  return i
+}
+
+/**
+ * Get the offset to the end of the character before an `offset` in `text`,
+ * where a character is a whole grapheme cluster. At the start of the text, a
+ * single character is still counted, to delete into the previous block.
  *
  * @param {String} text
  * @param {Number} offset
@@ -101,13 +418,14 @@ function getCharOffset(text) {
  */
 
 function getCharOffsetBackward(text, offset) {
-  text = text.slice(0, offset)
-  text = reverse(text)
-  return getCharOffset(text)
+  if (offset <= 0) return 1
+  return offset - getGraphemeStart(text, offset)
 }
 
 /**
- * Get the offset to the end of the character after an `offset` in `text`.
+ * Get the offset to the end of the character after an `offset` in `text`,
+ * where a character is a whole grapheme cluster. At the end of the text, a
+ * single character is still counted, to delete into the next block.
  *
  * @param {String} text
  * @param {Number} offset
@@ -115,41 +433,65 @@ function getCharOffsetBackward(text, offset) {
  */
 
 function getCharOffsetForward(text, offset) {
-  text = text.slice(offset)
-  return getCharOffset(text)
+  if (offset >= text.length) return 1
+  return getGraphemeEnd(text, offset) - offset
 }
 
 /**
- * Get the offset to the end of the first word in `text`.
+ * Get the kind of word that a grapheme cluster at `offset` in `text` belongs
+ * to, to break words where the script changes.
  *
  * @param {String} text
- * @return {Number}
+ * @param {Number} offset
+ * @return {String}
  */
 
-function getWordOffset(text) {
-  let length = 0
-  let i = 0
-  let started = false
-  let char
+function getWordKind(text, offset) {
+  const code = getCodePointAt(text, offset)
+  if (isInRanges(code, KATAKANA_RANGES)) return 'katakana'
+  if (isInRanges(code, DICTIONARY_RANGES)) return 'dictionary'
+  return 'letter'
+}
 
-  while ((char = text.charAt(i))) {
-    const l = getCharLength(char)
-    char = text.slice(i, i + l)
-    const rest = text.slice(i + l)
+/**
+ * Check if the grapheme cluster between `start` and `end` in `text` is a word
+ * character. A chameleon character is one if the character after it in the
+ * direction of `isBackward` is, or if there is none.
+ *
+ * @param {String} text
+ * @param {Number} start
+ * @param {Number} end
+ * @param {Boolean} isBackward
+ * @return {Boolean}
+ */
 
-    if (isWord(char, rest)) {
-      started = true
-      length += l
-    } else if (!started) {
-      length += l
-    } else {
-      break
-    }
+function isWordAt(text, start, end, isBackward) {
+  const char = text.slice(start, end)
+  if (!CHAMELEON.test(char)) return isWord(char)
 
-    i += l
+  if (isBackward) {
+    if (start == 0) return true
+    return isWordAt(text, getGraphemeStart(text, start), start, true)
   }
 
-  return length
+  if (end == text.length) return true
+  return isWordAt(text, end, getGraphemeEnd(text, end), false)
+}
+
+/**
+ * Get the lengths of the words in a run of `text` of the scripts written
+ * without spaces, with the segmenter if one is set.
+ *
+ * @param {String} text
+ * @return {Array<Number>|Null}
+ */
+
+function segmentWords(text) {
+  if (!segmenter) return null
+  const words = segmenter(text)
+  if (!words || !words.length) return null
+  const lengths = words.map(word => word.length).filter(length => length > 0)
+  return lengths.length ? lengths : null
 }
 
 /**
@@ -161,10 +503,39 @@ function getWordOffset(text) {
  */
 
 function getWordOffsetBackward(text, offset) {
-  text = text.slice(0, offset)
-  text = reverse(text)
-  const o = getWordOffset(text)
-  return o
+  let end = offset
+
+  // Skip the non-word characters before the word.
+  while (end > 0) {
+    const start = getGraphemeStart(text, end)
+    if (isWordAt(text, start, end, true)) break
+    end = start
+  }
+
+  if (end == 0) return offset
+  const kind = getWordKind(text, getGraphemeStart(text, end))
+  let start = end
+
+  while (start > 0) {
+    const prev = getGraphemeStart(text, start)
+    if (!isWordAt(text, prev, start, true)) break
+    if (kind == 'letter' && getWordKind(text, prev) != 'letter') break
+    if (kind != 'letter' && getWordKind(text, prev) == 'letter') break
+    if (kind == 'dictionary' && start < end && !segmenter) break
+
+    if (kind == 'katakana' && getWordKind(text, prev) != kind && !segmenter) {
+      break
+    }
+
+    start = prev
+  }
+
+  if (kind != 'letter') {
+    const lengths = segmentWords(text.slice(start, end))
+    if (lengths) start = end - lengths[lengths.length - 1]
+  }
+
+  return offset - start
 }
 
 /**
@@ -176,9 +547,52 @@ function getWordOffsetBackward(text, offset) {
  */
 
 function getWordOffsetForward(text, offset) {
-  text = text.slice(offset)
-  const o = getWordOffset(text)
-  return o
+  let start = offset
+
+  // Skip the non-word characters before the word.
+  while (start < text.length) {
+    const end = getGraphemeEnd(text, start)
+    if (isWordAt(text, start, end, false)) break
+    start = end
+  }
+
+  if (start == text.length) return start - offset
+  const kind = getWordKind(text, start)
+  let end = start
+
+  while (end < text.length) {
+    const next = getGraphemeEnd(text, end)
+    if (!isWordAt(text, end, next, false)) break
+    if (kind == 'letter' && getWordKind(text, end) != 'letter') break
+    if (kind != 'letter' && getWordKind(text, end) == 'letter') break
+    if (kind == 'dictionary' && end > start && !segmenter) break
+
+    if (kind == 'katakana' && getWordKind(text, end) != kind && !segmenter) {
+      break
+    }
+
+    end = next
+  }
+
+  if (kind != 'letter') {
+    const lengths = segmentWords(text.slice(start, end))
+    if (lengths) end = start + lengths[0]
+  }
+
+  return end - offset
+}
+
+/**
+ * Set the function that splits a run of text of the scripts written without
+ * spaces, like Thai or Japanese, into an array of its words, to move and
+ * delete by word in them. Without one, each of their characters is a word,
+ * except in Katakana.
+ *
+ * @param {Function|Null} func
+ */
+
+function setWordSegmenter(func) {
+  segmenter = func
 }
 
 /**
@@ -192,4 +606,7 @@ export default {
   getCharOffsetBackward,
   getWordOffsetBackward,
   getWordOffsetForward,
+  isWord,
 }
+
+export { setWordSegmenter }
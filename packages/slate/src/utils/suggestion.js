@@ -0,0 +1,175 @@
+import Mark from '../models/mark'
+import SUGGESTION_TYPES from '../constants/suggestion-types'
+
+/**
+ * Get the author and time of the suggestions made by a `change`, from its
+ * `suggest` flag, or null if it isn't in suggestion mode. The flag is either
+ * `true` or an object with the `author`, and optionally the `timestamp`.
+ *
+ * @param {Change} change
+ * @param {Object} options
+ * @return {Object|Null}
+ */
+
+function getSuggestion(change, options = {}) {
+  const suggest = change.getFlag('suggest', options)
+  if (!suggest) return null
+
+  const { author = null, timestamp = Date.now() } =
+    suggest === true ? {} : suggest
+
+  return { author, timestamp }
+}
+
+/**
+ * Create the mark of a suggestion of `type`.
+ *
+ * @param {String} type
+ * @param {Object} suggestion
+ * @return {Mark}
+ */
+
+function createSuggestionMark(type, suggestion) {
+  return Mark.create({ type, data: suggestion })
+}
+
+/**
+ * Check if a `mark` is the mark of a suggestion.
+ *
+ * @param {Mark} mark
+ * @return {Boolean}
+ */
+
+function isSuggestionMark(mark) {
+  return (
+    mark.type == SUGGESTION_TYPES.INSERTION ||
+    mark.type == SUGGESTION_TYPES.DELETION
+  )
+}
+
+/**
+ * Check if two suggestion marks, `mark` and `other`, belong to the same
+ * suggestion, which is when they have the same type and author, whenever
+ * they were made.
+ *
+ * @param {Mark} mark
+ * @param {Mark} other
+ * @return {Boolean}
+ */
+
+function isSameSuggestion(mark, other) {
+  return (
+    mark.type == other.type &&
+    mark.data.get('author') == other.data.get('author')
+  )
+}
+
+/**
+ * Get the suggestion mark of `type` in a set of `marks`, if any.
+ *
+ * @param {Set<Mark>} marks
+ * @param {String} type
+ * @return {Mark|Undefined}
+ */
+
+function findSuggestionMark(marks, type) {
+  return marks.find(mark => mark.type == type)
+}
+
+/**
+ * Get the suggestion of a `block`, which is in its `suggestion` data when it
+ * was split from the block before it, or suggested to be merged into it.
+ *
+ * @param {Block} block
+ * @return {Object|Null}
+ */
+
+function getBlockSuggestion(block) {
+  const suggestion = block.data.get('suggestion')
+  if (!suggestion) return null
+  return typeof suggestion.toJS == 'function' ? suggestion.toJS() : suggestion
+}
+
+/**
+ * Set the `suggestion` data of a `block`, or unset it if it's null.
+ *
+ * @param {Change} change
+ * @param {Block} block
+ * @param {Object|Null} suggestion
+ * @param {Object} options
+ */
+
+function setBlockSuggestion(change, block, suggestion, options) {
+  const data = suggestion
+    ? block.data.set('suggestion', suggestion)
+    : block.data.delete('suggestion')
+
+  change.setNodeByKey(block.key, { data }, options)
+}
+
+/**
+ * Get the spans of text in a `range` of a `document`, with the same marks,
+ * in document order. Each span has the `key` of its text node, an `offset`,
+ * a `length` and the `marks`.
+ *
+ * @param {Node} document
+ * @param {Range} range
+ * @return {Array}
+ */
+
+function getSpansAtRange(document, range) {
+  const { startKey, startOffset, endKey, endOffset } = range
+  const spans = []
+
+  document.getTextsAtRange(range).forEach(node => {
+    const { key } = node
+    const start = key == startKey ? startOffset : 0
+    const end = key == endKey ? endOffset : node.text.length
+    let offset = 0
+
+    node.getLeaves().forEach(leaf => {
+      const leafStart = offset
+      const leafEnd = offset + leaf.text.length
+      offset = leafEnd
+
+      const s = Math.max(start, leafStart)
+      const e = Math.min(end, leafEnd)
+      if (s >= e) return
+
+      spans.push({ key, offset: s, length: e - s, marks: leaf.marks })
+    })
+  })
+
+  return spans
+}
+
+/**
+ * Get the blocks in a `range` of a `document` that start inside of it, which
+ * are the block boundaries that the range goes across.
+ *
+ * @param {Node} document
+ * @param {Range} range
+ * @return {List<Block>}
+ */
+
+function getBoundariesAtRange(document, range) {
+  return document.getBlocksAtRange(range).rest()
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export {
+  createSuggestionMark,
+  findSuggestionMark,
+  getBlockSuggestion,
+  getBoundariesAtRange,
+  getSpansAtRange,
+  getSuggestion,
+  isSameSuggestion,
+  isSuggestionMark,
+  setBlockSuggestion,
+}
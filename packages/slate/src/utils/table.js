@@ -0,0 +1,248 @@
+import Block from '../models/block'
+import Text from '../models/text'
+import TABLE_TYPES from '../constants/table-types'
+
+/**
+ * Get the table block `types` of the table plugin in a `schema`, or null if
+ * the schema doesn't have one.
+ *
+ * @param {Schema} schema
+ * @return {Object|Null}
+ */
+
+function getTableTypes(schema) {
+  const [plugin] = schema.stack.getPluginsWith('tableTypes')
+  return plugin ? plugin.tableTypes : null
+}
+
+/**
+ * Get the closest table cell ancestor of the node with `key` in a `document`.
+ *
+ * @param {Node} document
+ * @param {String} key
+ * @param {Object} types
+ * @return {Block|Null}
+ */
+
+function getClosestCell(document, key, types = TABLE_TYPES) {
+  return document.getClosest(key, n => isBlockOfType(n, types.CELL))
+}
+
+/**
+ * Get the cell, row and table around the node with `key` in a `document`, and
+ * the grid of the table, or null if the node isn't in a table cell.
+ *
+ * @param {Node} document
+ * @param {String} key
+ * @param {Object} types
+ * @return {Object|Null}
+ */
+
+function getTableContext(document, key, types = TABLE_TYPES) {
+  const cell = getClosestCell(document, key, types)
+  if (!cell) return null
+
+  const row = document.getParent(cell.key)
+  if (!isBlockOfType(row, types.ROW)) return null
+
+  const table = document.getParent(row.key)
+  if (!isBlockOfType(table, types.TABLE)) return null
+
+  const grid = getGrid(table, types)
+  const { row: rowIndex, column: columnIndex } = findCell(grid, cell.key)
+  return { cell, row, table, grid, rowIndex, columnIndex }
+}
+
+/**
+ * Get the grid of a `table`, which is an array of rows, each of them an array
+ * of the entries that cover its columns. An entry has the `cell` and the `row`
+ * and `column` where the cell starts, so the cells that span several rows or
+ * columns have an entry for each of the positions they cover. The positions
+ * that no cell covers are left empty.
+ *
+ * The spans are read from the `colspan` and `rowspan` data of the cells, and
+ * the row spans are clamped to the end of the table.
+ *
+ * @param {Block} table
+ * @param {Object} types
+ * @return {Array}
+ */
+
+function getGrid(table, types = TABLE_TYPES) {
+  const rows = table.nodes.filter(n => isBlockOfType(n, types.ROW))
+  const grid = rows.map(() => []).toArray()
+
+  rows.forEach((row, r) => {
+    let c = 0
+
+    row.nodes.forEach(cell => {
+      if (!isBlockOfType(cell, types.CELL)) return
+      while (grid[r][c]) c++
+
+      const colspan = getSpan(cell, 'colspan')
+      const rowspan = Math.min(getSpan(cell, 'rowspan'), rows.size - r)
+      const entry = { cell, row: r, column: c }
+
+      for (let i = 0; i < rowspan; i++) {
+        for (let j = 0; j < colspan; j++) {
+          grid[r + i][c + j] = entry
+        }
+      }
+
+      c += colspan
+    })
+  })
+
+  return grid
+}
+
+/**
+ * Get the number of columns of a table `grid`.
+ *
+ * @param {Array} grid
+ * @return {Number}
+ */
+
+function getWidth(grid) {
+  return grid.reduce((width, row) => Math.max(width, row.length), 0)
+}
+
+/**
+ * Find the entry of the cell with `key` in a table `grid`.
+ *
+ * @param {Array} grid
+ * @param {String} key
+ * @return {Object|Undefined}
+ */
+
+function findCell(grid, key) {
+  for (const row of grid) {
+    const entry = row.find(e => e && e.cell.key == key)
+    if (entry) return entry
+  }
+}
+
+/**
+ * Get the index among the children of the row at `r` in a table `grid` that
+ * a new cell at `column` should be inserted at.
+ *
+ * @param {Array} grid
+ * @param {Number} r
+ * @param {Number} column
+ * @return {Number}
+ */
+
+function getInsertIndex(grid, r, column) {
+  const keys = []
+
+  grid[r].forEach(entry => {
+    if (!entry || entry.row != r || entry.column >= column) return
+    if (!keys.includes(entry.cell.key)) keys.push(entry.cell.key)
+  })
+
+  return keys.length
+}
+
+/**
+ * Get a span of a `cell`, either its `colspan` or `rowspan`.
+ *
+ * @param {Block} cell
+ * @param {String} name
+ * @return {Number}
+ */
+
+function getSpan(cell, name) {
+  const span = parseInt(cell.data.get(name), 10)
+  return span > 1 ? span : 1
+}
+
+/**
+ * Set a span of a `cell` to `value`, removing it from the data when it's one.
+ *
+ * @param {Change} change
+ * @param {Block} cell
+ * @param {String} name
+ * @param {Number} value
+ */
+
+function setSpan(change, cell, name, value) {
+  const current = change.value.document.getNode(cell.key)
+  const data =
+    value > 1 ? current.data.set(name, value) : current.data.delete(name)
+
+  change.setNodeByKey(cell.key, { data }, { normalize: false })
+}
+
+/**
+ * Create a new empty table cell of `types`.
+ *
+ * @param {Object} types
+ * @return {Block}
+ */
+
+function createCell(types = TABLE_TYPES) {
+  return Block.create({
+    type: types.CELL,
+    nodes: [Block.create({ type: types.CONTENT, nodes: [Text.create()] })],
+  })
+}
+
+/**
+ * Create a new table row of `types` with `columns` empty cells.
+ *
+ * @param {Number} columns
+ * @param {Object} types
+ * @return {Block}
+ */
+
+function createRow(columns, types = TABLE_TYPES) {
+  const cells = []
+  for (let i = 0; i < columns; i++) cells.push(createCell(types))
+  return Block.create({ type: types.ROW, nodes: cells })
+}
+
+/**
+ * Check if a table `cell` is empty, which is when it has no text and no void
+ * nodes.
+ *
+ * @param {Block} cell
+ * @return {Boolean}
+ */
+
+function isEmptyCell(cell) {
+  return cell.text == '' && !cell.findDescendant(n => n.isVoid)
+}
+
+/**
+ * Check if a `node` is a block of `type`.
+ *
+ * @param {Node} node
+ * @param {String} type
+ * @return {Boolean}
+ */
+
+function isBlockOfType(node, type) {
+  return !!node && node.object == 'block' && node.type == type
+}
+
+/**
+ * Export.
+ *
+ * @type {Object}
+ */
+
+export {
+  createCell,
+  createRow,
+  findCell,
+  getClosestCell,
+  getGrid,
+  getInsertIndex,
+  getSpan,
+  getTableContext,
+  getTableTypes,
+  getWidth,
+  isBlockOfType,
+  isEmptyCell,
+  setSpan,
+}
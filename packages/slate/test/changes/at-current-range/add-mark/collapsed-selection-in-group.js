@@ -0,0 +1,48 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change
+    .setValue({
+      schema: {
+        marks: {
+          subscript: { group: 'script' },
+          superscript: { group: 'script' },
+        },
+      },
+    })
+    .addMark('superscript')
+    .insertText('a')
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <b>
+          <sub>
+            word<cursor />
+          </sub>
+        </b>
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <b>
+          <sub>word</sub>
+        </b>
+        <sup>
+          <b>
+            a<cursor />
+          </b>
+        </sup>
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,33 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.addMark({ type: 'font-size', data: { size: 16 } })
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <anchor />
+        <fontSize size={12}>
+          wo<focus />rd
+        </fontSize>
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <anchor />
+        <fontSize size={16}>wo</fontSize>
+        <focus />
+        <fontSize size={12}>rd</fontSize>
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,29 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.deleteBackward()
+}
+
+export const input = (
+  <value>
+    <document>
+      <locked>one</locked>
+      <paragraph>
+        <cursor />two
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <locked>one</locked>
+      <paragraph>
+        <cursor />two
+      </paragraph>
+    </document>
+  </value>
+)
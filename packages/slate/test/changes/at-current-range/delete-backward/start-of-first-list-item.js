@@ -0,0 +1,43 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+import { ListPlugin } from '../../../..'
+
+export default function(change) {
+  change.setValue({ schema: { plugins: [ListPlugin()] } })
+  change.deleteBackward()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>zero</paragraph>
+      <ul>
+        <li>
+          <paragraph>
+            <cursor />one
+          </paragraph>
+        </li>
+        <li>
+          <paragraph>two</paragraph>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>zero</paragraph>
+      <paragraph>
+        <cursor />one
+      </paragraph>
+      <ul>
+        <li>
+          <paragraph>two</paragraph>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
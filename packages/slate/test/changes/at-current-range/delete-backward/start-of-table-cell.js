@@ -0,0 +1,47 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+import { TablePlugin } from '../../../..'
+
+export default function(change) {
+  change.setValue({ schema: { plugins: [TablePlugin()] } })
+  change.deleteBackward()
+}
+
+export const input = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>one</paragraph>
+          </td>
+          <td>
+            <paragraph>
+              <cursor />two
+            </paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>one</paragraph>
+          </td>
+          <td>
+            <paragraph>
+              <cursor />two
+            </paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
@@ -0,0 +1,28 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.deleteCharBackward()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        {'cafe\u0301'}
+        <cursor />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        caf<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,28 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.deleteCharBackward()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        {'one\ud83d\udc68\u200d\ud83d\udc69\u200d\ud83d\udc67'}
+        <cursor />two
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one<cursor />two
+      </paragraph>
+    </document>
+  </value>
+)
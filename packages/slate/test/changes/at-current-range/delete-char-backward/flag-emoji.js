@@ -0,0 +1,29 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.deleteCharBackward()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        {'\ud83c\uddeb\ud83c\uddf7\ud83c\udde9\ud83c\uddea'}
+        <cursor />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        {'\ud83c\uddeb\ud83c\uddf7'}
+        <cursor />
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,28 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.deleteCharForward()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />
+        {'\ud83d\udc4d\ud83c\udffd'} one
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor /> one
+      </paragraph>
+    </document>
+  </value>
+)
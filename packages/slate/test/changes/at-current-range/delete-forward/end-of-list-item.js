@@ -0,0 +1,50 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+import { ListPlugin } from '../../../..'
+
+export default function(change) {
+  change.setValue({ schema: { plugins: [ListPlugin()] } })
+  change.deleteForward()
+}
+
+export const input = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>
+            one<cursor />
+          </paragraph>
+        </li>
+        <li>
+          <paragraph>two</paragraph>
+          <ul>
+            <li>
+              <paragraph>three</paragraph>
+            </li>
+          </ul>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>
+            one<cursor />two
+          </paragraph>
+          <ul>
+            <li>
+              <paragraph>three</paragraph>
+            </li>
+          </ul>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
@@ -0,0 +1,50 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+import { ListPlugin } from '../../../..'
+
+export default function(change) {
+  change.setValue({ schema: { plugins: [ListPlugin()] } })
+  change.deleteForward()
+}
+
+export const input = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>one</paragraph>
+          <ul>
+            <li>
+              <paragraph>
+                two<cursor />
+              </paragraph>
+            </li>
+          </ul>
+        </li>
+        <li>
+          <paragraph>three</paragraph>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>one</paragraph>
+          <ul>
+            <li>
+              <paragraph>
+                two<cursor />three
+              </paragraph>
+            </li>
+          </ul>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
@@ -0,0 +1,43 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+import { ListPlugin } from '../../../..'
+
+export default function(change) {
+  change.setValue({ schema: { plugins: [ListPlugin()] } })
+  change.deleteForward()
+}
+
+export const input = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>one</paragraph>
+        </li>
+        <li>
+          <paragraph>
+            <cursor />two
+          </paragraph>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>one</paragraph>
+        </li>
+        <li>
+          <paragraph>
+            <cursor />wo
+          </paragraph>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
@@ -0,0 +1,29 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.deleteWordBackward()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        {'\u65e5\u672c\u306e\u30c6\u30b9\u30c8'}
+        <cursor />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        {'\u65e5\u672c\u306e'}
+        <cursor />
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,34 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+import { setWordSegmenter } from '../../../..'
+
+export default function(change) {
+  setWordSegmenter(text => text.match(/สวัสดี|ครับ|./g))
+
+  try {
+    change.deleteWordBackward()
+  } finally {
+    setWordSegmenter(null)
+  }
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one สวัสดีครับ<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one สวัสดี<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
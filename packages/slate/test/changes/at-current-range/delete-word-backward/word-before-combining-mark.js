@@ -0,0 +1,28 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.deleteWordBackward()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        {'one cafe\u0301'}
+        <cursor />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one <cursor />
+      </paragraph>
+    </document>
+  </value>
+)
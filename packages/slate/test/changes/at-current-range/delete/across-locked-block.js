@@ -0,0 +1,33 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.delete()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        on<anchor />e
+      </paragraph>
+      <locked>two</locked>
+      <paragraph>
+        th<focus />ree
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        on<cursor />
+      </paragraph>
+      <locked>two</locked>
+      <paragraph>ree</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,28 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.delete()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        o<anchor />ne<field>two</field>thr<focus />ee
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        o<cursor />
+        <field>two</field>ee
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,52 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+import { TablePlugin } from '../../../..'
+
+export default function(change) {
+  change.setValue({ schema: { plugins: [TablePlugin()] } })
+  change.delete()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        be<anchor />fore
+      </paragraph>
+      <table>
+        <tr>
+          <td>
+            <paragraph>one</paragraph>
+            <paragraph>two</paragraph>
+          </td>
+          <td>
+            <paragraph>
+              th<focus />ree
+            </paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        be<cursor />
+      </paragraph>
+      <table>
+        <tr>
+          <td>
+            <paragraph />
+          </td>
+          <td>
+            <paragraph>ree</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
@@ -0,0 +1,48 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.delete()
+}
+
+export const input = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>
+              o<anchor />ne
+            </paragraph>
+            <paragraph>
+              tw<focus />o
+            </paragraph>
+          </td>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>
+              o<cursor />o
+            </paragraph>
+          </td>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
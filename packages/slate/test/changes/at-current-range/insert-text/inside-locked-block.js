@@ -0,0 +1,27 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.insertText('a')
+}
+
+export const input = (
+  <value>
+    <document>
+      <locked>
+        wo<cursor />rd
+      </locked>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <locked>
+        wo<cursor />rd
+      </locked>
+    </document>
+  </value>
+)
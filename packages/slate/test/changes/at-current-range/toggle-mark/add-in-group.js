@@ -0,0 +1,39 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change
+    .setValue({
+      schema: {
+        marks: {
+          subscript: { group: 'script' },
+          superscript: { group: 'script' },
+        },
+      },
+    })
+    .toggleMark('superscript')
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <anchor />w<sub>or</sub>
+        <focus />d
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <anchor />
+        <sup>wor</sup>
+        <focus />d
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,25 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.removeNodeByKey('a')
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <locked key="a">two</locked>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <locked>two</locked>
+    </document>
+  </value>
+)
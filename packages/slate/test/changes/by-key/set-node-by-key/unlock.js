@@ -0,0 +1,25 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.setNodeByKey('a', { isLocked: false }).insertTextByKey('b', 4, '!')
+}
+
+export const input = (
+  <value>
+    <document>
+      <locked key="a">
+        <text key="b">word</text>
+      </locked>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>word!</paragraph>
+    </document>
+  </value>
+)
@@ -35,7 +35,11 @@ describe('changes', async () => {
             t(test, async () => {
               const change = input.change()
               fn(change)
-              const opts = { preserveSelection: true, preserveData: true }
+              const opts = {
+                preserveSelection: true,
+                preserveDecorations: true,
+                preserveData: true,
+              }
               const actual = change.value.toJSON(opts)
               const expected = output.toJSON(opts)
               assert.deepEqual(actual, expected)
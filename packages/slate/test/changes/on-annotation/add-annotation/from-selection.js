@@ -0,0 +1,40 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.addAnnotation({ id: 'a', type: 'comment' })
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        the <anchor />word<focus /> here
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value
+    annotations={[
+      {
+        id: 'a',
+        type: 'comment',
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 4,
+          focusPath: [0, 0],
+          focusOffset: 8,
+        },
+      },
+    ]}
+  >
+    <document>
+      <paragraph>
+        the <anchor />word<focus /> here
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,53 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  const text = change.value.document.getFirstText()
+
+  change.addAnnotation({
+    id: 'a',
+    type: 'comment',
+    range: {
+      anchorKey: text.key,
+      anchorOffset: 4,
+      focusKey: text.key,
+      focusOffset: 8,
+    },
+  })
+
+  change.insertText('very ')
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />the word here
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value
+    annotations={[
+      {
+        id: 'a',
+        type: 'comment',
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 9,
+          focusPath: [0, 0],
+          focusOffset: 13,
+        },
+      },
+    ]}
+  >
+    <document>
+      <paragraph>
+        very <cursor />the word here
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,76 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  const text = change.value.document.getFirstText()
+
+  change.addAnnotation({
+    id: 'b',
+    type: 'comment',
+    range: {
+      anchorKey: text.key,
+      anchorOffset: 2,
+      focusKey: text.key,
+      focusOffset: 6,
+    },
+  })
+
+  change.deleteBackward()
+}
+
+export const input = (
+  <value
+    annotations={[
+      {
+        id: 'a',
+        type: 'comment',
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 0,
+          focusPath: [0, 0],
+          focusOffset: 4,
+        },
+      },
+    ]}
+  >
+    <document>
+      <paragraph>
+        one two<cursor /> three
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value
+    annotations={[
+      {
+        id: 'a',
+        type: 'comment',
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 0,
+          focusPath: [0, 0],
+          focusOffset: 4,
+        },
+      },
+      {
+        id: 'b',
+        type: 'comment',
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 2,
+          focusPath: [0, 0],
+          focusOffset: 6,
+        },
+      },
+    ]}
+  >
+    <document>
+      <paragraph>
+        one tw<cursor /> three
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,64 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.removeNodeByKey('b')
+}
+
+export const input = (
+  <value
+    annotations={[
+      {
+        id: 'a',
+        type: 'comment',
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 0,
+          focusPath: [0, 0],
+          focusOffset: 3,
+        },
+      },
+      {
+        id: 'b',
+        type: 'comment',
+        range: {
+          anchorPath: [1, 0],
+          anchorOffset: 0,
+          focusPath: [1, 0],
+          focusOffset: 3,
+        },
+      },
+    ]}
+  >
+    <document>
+      <paragraph>
+        <cursor />one
+      </paragraph>
+      <paragraph key="b">two</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value
+    annotations={[
+      {
+        id: 'a',
+        type: 'comment',
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 0,
+          focusPath: [0, 0],
+          focusOffset: 3,
+        },
+      },
+    ]}
+  >
+    <document>
+      <paragraph>
+        <cursor />one
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,43 @@
+/** @jsx h */
+
+import assert from 'assert'
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.delete()
+  const ids = change.getDeletedAnnotations().map(a => a.id)
+  assert.deepEqual(ids.toArray(), ['a'])
+}
+
+export const input = (
+  <value
+    annotations={[
+      {
+        id: 'a',
+        type: 'comment',
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 4,
+          focusPath: [0, 2],
+          focusOffset: 4,
+        },
+      },
+    ]}
+  >
+    <document>
+      <paragraph>
+        one <anchor />two<link>three</link>four<focus /> five
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one <cursor /> five
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,40 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.removeAnnotation('a')
+}
+
+export const input = (
+  <value
+    annotations={[
+      {
+        id: 'a',
+        type: 'comment',
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 4,
+          focusPath: [0, 0],
+          focusOffset: 8,
+        },
+      },
+    ]}
+  >
+    <document>
+      <paragraph>
+        <cursor />the word here
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />the word here
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,54 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.setAnnotation('a', { data: { resolved: true } })
+}
+
+export const input = (
+  <value
+    annotations={[
+      {
+        id: 'a',
+        type: 'comment',
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 4,
+          focusPath: [0, 0],
+          focusOffset: 8,
+        },
+      },
+    ]}
+  >
+    <document>
+      <paragraph>
+        <cursor />the word here
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value
+    annotations={[
+      {
+        id: 'a',
+        type: 'comment',
+        data: { resolved: true },
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 4,
+          focusPath: [0, 0],
+          focusOffset: 8,
+        },
+      },
+    ]}
+  >
+    <document>
+      <paragraph>
+        <cursor />the word here
+      </paragraph>
+    </document>
+  </value>
+)
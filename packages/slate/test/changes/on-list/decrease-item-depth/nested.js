@@ -0,0 +1,65 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.decreaseItemDepth()
+}
+
+export const input = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>one</paragraph>
+          <ul>
+            <li>
+              <paragraph>two</paragraph>
+            </li>
+            <li>
+              <paragraph>
+                <cursor />three
+              </paragraph>
+            </li>
+            <li>
+              <paragraph>four</paragraph>
+            </li>
+          </ul>
+        </li>
+        <li>
+          <paragraph>five</paragraph>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>one</paragraph>
+          <ul>
+            <li>
+              <paragraph>two</paragraph>
+            </li>
+          </ul>
+        </li>
+        <li>
+          <paragraph>
+            <cursor />three
+          </paragraph>
+          <ul>
+            <li>
+              <paragraph>four</paragraph>
+            </li>
+          </ul>
+        </li>
+        <li>
+          <paragraph>five</paragraph>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
@@ -0,0 +1,47 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.decreaseItemDepth()
+}
+
+export const input = (
+  <value>
+    <document>
+      <ol>
+        <li>
+          <paragraph>one</paragraph>
+        </li>
+        <li>
+          <paragraph>
+            <cursor />two
+          </paragraph>
+        </li>
+        <li>
+          <paragraph>three</paragraph>
+        </li>
+      </ol>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <ol>
+        <li>
+          <paragraph>one</paragraph>
+        </li>
+      </ol>
+      <paragraph>
+        <cursor />two
+      </paragraph>
+      <ol>
+        <li>
+          <paragraph>three</paragraph>
+        </li>
+      </ol>
+    </document>
+  </value>
+)
@@ -0,0 +1,26 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.increaseItemDepth()
+}
+
+export const input = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>
+            <cursor />one
+          </paragraph>
+        </li>
+        <li>
+          <paragraph>two</paragraph>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
+
+export const output = input
@@ -0,0 +1,63 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.increaseItemDepth()
+}
+
+export const input = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>one</paragraph>
+        </li>
+        <li>
+          <paragraph>
+            <anchor />two
+          </paragraph>
+          <ul>
+            <li>
+              <paragraph>three</paragraph>
+            </li>
+          </ul>
+        </li>
+        <li>
+          <paragraph>
+            fo<focus />ur
+          </paragraph>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>one</paragraph>
+          <ul>
+            <li>
+              <paragraph>
+                <anchor />two
+              </paragraph>
+              <ul>
+                <li>
+                  <paragraph>three</paragraph>
+                </li>
+              </ul>
+            </li>
+            <li>
+              <paragraph>
+                fo<focus />ur
+              </paragraph>
+            </li>
+          </ul>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
@@ -0,0 +1,51 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.splitListItem()
+}
+
+export const input = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>one</paragraph>
+          <ul>
+            <li>
+              <paragraph>two</paragraph>
+            </li>
+            <li>
+              <paragraph>
+                <cursor />
+              </paragraph>
+            </li>
+          </ul>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>one</paragraph>
+          <ul>
+            <li>
+              <paragraph>two</paragraph>
+            </li>
+          </ul>
+        </li>
+        <li>
+          <paragraph>
+            <cursor />
+          </paragraph>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
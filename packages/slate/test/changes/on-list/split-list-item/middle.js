@@ -0,0 +1,44 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.splitListItem()
+}
+
+export const input = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>
+            on<cursor />e
+          </paragraph>
+        </li>
+        <li>
+          <paragraph>two</paragraph>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>on</paragraph>
+        </li>
+        <li>
+          <paragraph>
+            <cursor />e
+          </paragraph>
+        </li>
+        <li>
+          <paragraph>two</paragraph>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
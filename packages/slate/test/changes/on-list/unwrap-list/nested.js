@@ -0,0 +1,57 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.unwrapList()
+}
+
+export const input = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>one</paragraph>
+          <ul>
+            <li>
+              <paragraph>
+                <anchor />two
+              </paragraph>
+            </li>
+          </ul>
+        </li>
+        <li>
+          <paragraph>
+            thr<focus />ee
+          </paragraph>
+        </li>
+        <li>
+          <paragraph>four</paragraph>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>one</paragraph>
+        </li>
+      </ul>
+      <paragraph>
+        <anchor />two
+      </paragraph>
+      <paragraph>
+        thr<focus />ee
+      </paragraph>
+      <ul>
+        <li>
+          <paragraph>four</paragraph>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
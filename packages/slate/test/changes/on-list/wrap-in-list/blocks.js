@@ -0,0 +1,41 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.wrapInList('numbered-list')
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <anchor />one
+      </paragraph>
+      <paragraph>
+        tw<focus />o
+      </paragraph>
+      <paragraph>three</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <ol>
+        <li>
+          <paragraph>
+            <anchor />one
+          </paragraph>
+        </li>
+        <li>
+          <paragraph>
+            tw<focus />o
+          </paragraph>
+        </li>
+      </ol>
+      <paragraph>three</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,55 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.wrapInList('numbered-list')
+}
+
+export const input = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>
+            <anchor />one
+          </paragraph>
+          <ul>
+            <li>
+              <paragraph>two</paragraph>
+            </li>
+          </ul>
+        </li>
+      </ul>
+      <paragraph>
+        thr<focus />ee
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <ol>
+        <li>
+          <paragraph>
+            <anchor />one
+          </paragraph>
+          <ol>
+            <li>
+              <paragraph>two</paragraph>
+            </li>
+          </ol>
+        </li>
+      </ol>
+      <ol>
+        <li>
+          <paragraph>
+            thr<focus />ee
+          </paragraph>
+        </li>
+      </ol>
+    </document>
+  </value>
+)
@@ -0,0 +1,27 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.replaceAll('one two', 'three')
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one <link>two</link> four<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        three four<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,27 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.replaceAll('cat', 'dog')
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        the <b>cat</b> and the Cat
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        the <b>dog</b> and the dog
+      </paragraph>
+    </document>
+  </value>
+)
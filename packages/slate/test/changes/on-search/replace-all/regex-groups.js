@@ -0,0 +1,25 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.replaceAll('(\\w+)@(\\w+)', '$2 at $1', { regex: true })
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>mail one@two</paragraph>
+      <paragraph>and three@four</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>mail two at one</paragraph>
+      <paragraph>and four at three</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,26 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.replaceAll('word', text => text.toUpperCase(), {
+    caseSensitive: true,
+    wholeWord: true,
+  })
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>a word, words and Word</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>a WORD, words and Word</paragraph>
+    </document>
+  </value>
+)
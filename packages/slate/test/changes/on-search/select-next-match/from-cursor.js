@@ -0,0 +1,33 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.selectNextMatch('one')
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one two</paragraph>
+      <paragraph>
+        t<cursor />wo <b>o</b>ne
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>one two</paragraph>
+      <paragraph>
+        two{' '}
+        <b>
+          <anchor />o
+        </b>
+        ne<focus />
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,29 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.selectNextMatch('one')
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one two</paragraph>
+      <paragraph>
+        two <anchor />one<focus />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <anchor />one<focus /> two
+      </paragraph>
+      <paragraph>two one</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,29 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.selectPreviousMatch('one')
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one one</paragraph>
+      <paragraph>
+        <anchor />one<focus />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one <anchor />one<focus />
+      </paragraph>
+      <paragraph>one</paragraph>
+    </document>
+  </value>
+)
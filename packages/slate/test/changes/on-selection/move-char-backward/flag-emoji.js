@@ -0,0 +1,29 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.moveCharBackward()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        {'one\ud83c\uddeb\ud83c\uddf7'}
+        <cursor />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one<cursor />
+        {'\ud83c\uddeb\ud83c\uddf7'}
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,30 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.moveFocusCharForward()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />
+        {'\ud83d\udc68\u200d\ud83d\udc69'}two
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <anchor />
+        {'\ud83d\udc68\u200d\ud83d\udc69'}
+        <focus />two
+      </paragraph>
+    </document>
+  </value>
+)
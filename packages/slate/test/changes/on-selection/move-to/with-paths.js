@@ -0,0 +1,34 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.select({
+    anchorPath: [1, 0],
+    anchorOffset: 1,
+    focusPath: [1, 0],
+    focusOffset: 3,
+  })
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />one
+      </paragraph>
+      <paragraph>two</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph>
+        t<anchor />wo<focus />
+      </paragraph>
+    </document>
+  </value>
+)
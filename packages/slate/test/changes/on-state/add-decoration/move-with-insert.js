@@ -0,0 +1,37 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  const text = change.value.document.getFirstText()
+
+  change.addDecoration({
+    anchorKey: text.key,
+    anchorOffset: 4,
+    focusKey: text.key,
+    focusOffset: 7,
+    marks: [{ type: 'highlight' }],
+  })
+
+  change.insertText('very ')
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />the word here
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        very <cursor />the <highlight>wor</highlight>d here
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,28 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.insertText('a ')
+  change.removeDecoration(change.value.decorations.first())
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />one <highlight>two</highlight> <highlight>three</highlight>
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        a <cursor />one two <highlight>three</highlight>
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,41 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  const text = change.value.document.getFirstText()
+
+  change.setDecorations([
+    {
+      anchorKey: text.key,
+      anchorOffset: 0,
+      focusKey: text.key,
+      focusOffset: 3,
+      marks: [{ type: 'highlight' }],
+    },
+  ])
+
+  change.insertText('one ')
+  change.undo()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />two
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />
+        <highlight>two</highlight>
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,30 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+const suggestion = { author: 'ann', timestamp: 0 }
+
+export default function(change) {
+  change.acceptSuggestion()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one <cursor />
+        <del {...suggestion}>two </del>three
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one <cursor />three
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,32 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+const suggestion = { author: 'ann', timestamp: 0 }
+
+export default function(change) {
+  change.acceptSuggestion()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one{' '}
+        <ins {...suggestion}>
+          ne<cursor />w{' '}
+        </ins>two <ins {...suggestion}>three</ins>
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one ne<cursor />w two <ins {...suggestion}>three</ins>
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,38 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+const suggestion = { author: 'ann', timestamp: 0 }
+
+export default function(change) {
+  const { document } = change.value
+  const range = change.value.selection.moveToRangeOf(document)
+  change.acceptSuggestionsAtRange(range)
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />one <ins {...suggestion}>new </ins>two
+      </paragraph>
+      <paragraph suggestion={{ type: 'deletion', ...suggestion }}>
+        <del {...suggestion}>three </del>four
+      </paragraph>
+      <paragraph suggestion={{ type: 'insertion', ...suggestion }}>
+        five
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />one new twofour
+      </paragraph>
+      <paragraph>five</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,33 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+const suggestion = { author: 'ann', timestamp: 0 }
+
+export default function(change) {
+  change.setOperationFlag('suggest', suggestion).deleteBackward()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph>
+        <cursor />two
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one<cursor />
+      </paragraph>
+      <paragraph suggestion={{ type: 'deletion', ...suggestion }}>
+        two
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,31 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+const suggestion = { author: 'ann', timestamp: 0 }
+
+export default function(change) {
+  change.setOperationFlag('suggest', suggestion).deleteBackward()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one <ins {...suggestion}>new</ins>
+        <cursor /> two
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one <ins {...suggestion}>ne</ins>
+        <cursor /> two
+      </paragraph>
+    </document>
+  </value>
+)
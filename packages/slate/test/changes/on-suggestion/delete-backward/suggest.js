@@ -0,0 +1,30 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+const suggestion = { author: 'ann', timestamp: 0 }
+
+export default function(change) {
+  change.setOperationFlag('suggest', suggestion).deleteBackward()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one two<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one tw<cursor />
+        <del {...suggestion}>o</del>
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,30 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+const suggestion = { author: 'ann', timestamp: 0 }
+
+export default function(change) {
+  change.setOperationFlag('suggest', suggestion).delete()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one <anchor />two<focus /> three
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one <del {...suggestion}>two</del>
+        <cursor /> three
+      </paragraph>
+    </document>
+  </value>
+)
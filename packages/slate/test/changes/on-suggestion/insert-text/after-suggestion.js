@@ -0,0 +1,30 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+const suggestion = { author: 'ann', timestamp: 0 }
+
+export default function(change) {
+  change.insertText('s')
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one <ins {...suggestion}>two</ins>
+        <cursor />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one <ins {...suggestion}>two</ins>s<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,31 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+const suggestion = { author: 'ann', timestamp: 0 }
+
+export default function(change) {
+  change.setOperationFlag('suggest', suggestion).insertText('2')
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one <anchor />two<focus /> three
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one <del {...suggestion}>two</del>
+        <ins {...suggestion}>2</ins>
+        <cursor /> three
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,30 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+const suggestion = { author: 'ann', timestamp: 0 }
+
+export default function(change) {
+  change.setOperationFlag('suggest', suggestion).insertText('new ')
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one <cursor />two
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one <ins {...suggestion}>new </ins>
+        <cursor />two
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,33 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+const suggestion = { author: 'ann', timestamp: 0 }
+
+export default function(change) {
+  change.rejectSuggestion()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one{' '}
+        <del {...suggestion}>
+          t<cursor />wo
+        </del>{' '}
+        three
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one t<cursor />wo three
+      </paragraph>
+    </document>
+  </value>
+)
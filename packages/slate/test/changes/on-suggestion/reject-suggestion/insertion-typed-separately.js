@@ -0,0 +1,37 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+const first = { author: 'ann', timestamp: 0 }
+const second = { author: 'ann', timestamp: 1 }
+const other = { author: 'bob', timestamp: 2 }
+
+export default function(change) {
+  change.rejectSuggestion()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one{' '}
+        <ins {...first}>
+          t<cursor />w
+        </ins>
+        <ins {...second}>o</ins>
+        <ins {...other}>!</ins> three
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one <cursor />
+        <ins {...other}>!</ins> three
+      </paragraph>
+    </document>
+  </value>
+)
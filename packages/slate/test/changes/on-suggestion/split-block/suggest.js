@@ -0,0 +1,30 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+const suggestion = { author: 'ann', timestamp: 0 }
+
+export default function(change) {
+  change.setOperationFlag('suggest', suggestion).splitBlock()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one<cursor />two
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph suggestion={{ type: 'insertion', ...suggestion }}>
+        <cursor />two
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,67 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.insertColumnAfter()
+}
+
+export const input = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>
+              <cursor />one
+            </paragraph>
+          </td>
+          <td>
+            <paragraph>two</paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+          <td>
+            <paragraph>four</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>
+              <cursor />one
+            </paragraph>
+          </td>
+          <td>
+            <paragraph />
+          </td>
+          <td>
+            <paragraph>two</paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+          <td>
+            <paragraph />
+          </td>
+          <td>
+            <paragraph>four</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
@@ -0,0 +1,58 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.insertColumnBefore()
+}
+
+export const input = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td {...{ colspan: 2 }}>
+            <paragraph>one</paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>two</paragraph>
+          </td>
+          <td>
+            <paragraph>
+              <cursor />three
+            </paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td {...{ colspan: 3 }}>
+            <paragraph>one</paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>two</paragraph>
+          </td>
+          <td>
+            <paragraph />
+          </td>
+          <td>
+            <paragraph>
+              <cursor />three
+            </paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
@@ -0,0 +1,60 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.insertRowBefore()
+}
+
+export const input = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td {...{ rowspan: 2 }}>
+            <paragraph>one</paragraph>
+          </td>
+          <td>
+            <paragraph>two</paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>
+              <cursor />three
+            </paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td {...{ rowspan: 3 }}>
+            <paragraph>one</paragraph>
+          </td>
+          <td>
+            <paragraph>two</paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph />
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>
+              <cursor />three
+            </paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
@@ -0,0 +1,44 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+import { TablePlugin } from '../../../..'
+
+export default function(change) {
+  const plugin = TablePlugin({
+    table: 'grid',
+    row: 'grid-row',
+    cell: 'grid-cell',
+  })
+  change.setValue({ schema: { plugins: [plugin] } })
+  change.insertTable(1, 2)
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph />
+      <block type="grid">
+        <block type="grid-row">
+          <block type="grid-cell">
+            <paragraph>
+              <cursor />
+            </paragraph>
+          </block>
+          <block type="grid-cell">
+            <paragraph />
+          </block>
+        </block>
+      </block>
+    </document>
+  </value>
+)
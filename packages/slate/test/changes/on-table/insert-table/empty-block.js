@@ -0,0 +1,51 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.insertTable(2, 3)
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph />
+      <table>
+        <tr>
+          <td>
+            <paragraph>
+              <cursor />
+            </paragraph>
+          </td>
+          <td>
+            <paragraph />
+          </td>
+          <td>
+            <paragraph />
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph />
+          </td>
+          <td>
+            <paragraph />
+          </td>
+          <td>
+            <paragraph />
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
@@ -0,0 +1,68 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.mergeCells()
+}
+
+export const input = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>
+              <anchor />one
+            </paragraph>
+          </td>
+          <td>
+            <paragraph>two</paragraph>
+          </td>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph />
+          </td>
+          <td>
+            <paragraph>
+              fo<focus />ur
+            </paragraph>
+          </td>
+          <td>
+            <paragraph>five</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td {...{ colspan: 2, rowspan: 2 }}>
+            <paragraph>
+              <cursor />one
+            </paragraph>
+            <paragraph>two</paragraph>
+            <paragraph>four</paragraph>
+          </td>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>five</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
@@ -0,0 +1,67 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.mergeCells()
+}
+
+export const input = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>
+              <anchor />one
+            </paragraph>
+          </td>
+          <td {...{ colspan: 2 }}>
+            <paragraph>
+              tw<focus />o
+            </paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+          <td>
+            <paragraph>four</paragraph>
+          </td>
+          <td>
+            <paragraph>five</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td {...{ colspan: 3 }}>
+            <paragraph>
+              <cursor />one
+            </paragraph>
+            <paragraph>two</paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+          <td>
+            <paragraph>four</paragraph>
+          </td>
+          <td>
+            <paragraph>five</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
@@ -0,0 +1,61 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.moveToNextCell()
+}
+
+export const input = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>one</paragraph>
+          </td>
+          <td>
+            <paragraph>
+              t<cursor />wo
+            </paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+          <td>
+            <paragraph>four</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>one</paragraph>
+          </td>
+          <td>
+            <paragraph>two</paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>
+              <cursor />three
+            </paragraph>
+          </td>
+          <td>
+            <paragraph>four</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
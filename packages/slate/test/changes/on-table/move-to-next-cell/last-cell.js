@@ -0,0 +1,53 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.moveToNextCell()
+}
+
+export const input = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>one</paragraph>
+          </td>
+          <td>
+            <paragraph>
+              two<cursor />
+            </paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>one</paragraph>
+          </td>
+          <td>
+            <paragraph>two</paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>
+              <cursor />
+            </paragraph>
+          </td>
+          <td>
+            <paragraph />
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
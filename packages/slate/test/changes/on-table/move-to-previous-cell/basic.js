@@ -0,0 +1,61 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.moveToPreviousCell()
+}
+
+export const input = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>one</paragraph>
+          </td>
+          <td>
+            <paragraph>two</paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>
+              thr<cursor />ee
+            </paragraph>
+          </td>
+          <td>
+            <paragraph>four</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>one</paragraph>
+          </td>
+          <td>
+            <paragraph>
+              <cursor />two
+            </paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+          <td>
+            <paragraph>four</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
@@ -0,0 +1,64 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.removeColumn()
+}
+
+export const input = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td {...{ colspan: 2 }}>
+            <paragraph>one</paragraph>
+          </td>
+          <td>
+            <paragraph>two</paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+          <td>
+            <paragraph>
+              <cursor />four
+            </paragraph>
+          </td>
+          <td>
+            <paragraph>five</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>one</paragraph>
+          </td>
+          <td>
+            <paragraph>two</paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+          <td>
+            <paragraph>
+              <cursor />five
+            </paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
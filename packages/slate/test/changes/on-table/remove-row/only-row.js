@@ -0,0 +1,39 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.removeRow()
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>before</paragraph>
+      <table>
+        <tr>
+          <td>
+            <paragraph>
+              <cursor />one
+            </paragraph>
+          </td>
+          <td>
+            <paragraph>two</paragraph>
+          </td>
+        </tr>
+      </table>
+      <paragraph>after</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        before<cursor />
+      </paragraph>
+      <paragraph>after</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,66 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.removeRow()
+}
+
+export const input = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td {...{ rowspan: 2 }}>
+            <paragraph>one</paragraph>
+          </td>
+          <td>
+            <paragraph>
+              <cursor />two
+            </paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>four</paragraph>
+          </td>
+          <td>
+            <paragraph>five</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>one</paragraph>
+          </td>
+          <td>
+            <paragraph>
+              <cursor />three
+            </paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>four</paragraph>
+          </td>
+          <td>
+            <paragraph>five</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
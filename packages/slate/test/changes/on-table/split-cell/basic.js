@@ -0,0 +1,64 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default function(change) {
+  change.splitCell()
+}
+
+export const input = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>one</paragraph>
+          </td>
+          <td {...{ colspan: 2, rowspan: 2 }}>
+            <paragraph>
+              <cursor />two
+            </paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>one</paragraph>
+          </td>
+          <td>
+            <paragraph>
+              <cursor />two
+            </paragraph>
+          </td>
+          <td>
+            <paragraph />
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+          <td>
+            <paragraph />
+          </td>
+          <td>
+            <paragraph />
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
@@ -14,10 +14,20 @@ const h = createHyperscript({
     code: 'code',
     list: 'list',
     item: 'item',
+    ul: 'bulleted-list',
+    ol: 'numbered-list',
+    li: 'list-item',
+    table: 'table',
+    tr: 'table-row',
+    td: 'table-cell',
     image: {
       type: 'image',
       isVoid: true,
     },
+    locked: {
+      type: 'paragraph',
+      isLocked: true,
+    },
   },
   inlines: {
     link: 'link',
@@ -27,12 +37,20 @@ const h = createHyperscript({
       type: 'emoji',
       isVoid: true,
     },
+    field: {
+      type: 'field',
+      isLocked: true,
+    },
   },
   marks: {
     b: 'bold',
     i: 'italic',
     u: 'underline',
     fontSize: 'font-size',
+    sub: 'subscript',
+    sup: 'superscript',
+    ins: 'insertion',
+    del: 'deletion',
   },
   decorators: {
     highlight: 'highlight',
@@ -0,0 +1,29 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export default function(value) {
+  return value
+    .change()
+    .startHistoryGroup()
+    .insertText('t')
+    .value.change()
+    .move(-1)
+    .insertText('w')
+    .value.change()
+    .endHistoryGroup()
+    .value.change()
+    .undo().value
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = input
@@ -0,0 +1,42 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export default function(value) {
+  return value
+    .change()
+    .insertText('s')
+    .value.change()
+    .startHistoryGroup()
+    .move(-1)
+    .insertText('t')
+    .startHistoryGroup()
+    .insertText('w')
+    .endHistoryGroup()
+    .value.change()
+    .move(-1)
+    .insertText('o')
+    .endHistoryGroup()
+    .value.change()
+    .undo().value
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        ones<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
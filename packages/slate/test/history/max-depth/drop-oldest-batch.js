@@ -0,0 +1,36 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export default function(value) {
+  return value
+    .change()
+    .setHistoryOptions({ maxDepth: 1 })
+    .insertText('t')
+    .value.change()
+    .move(-1)
+    .insertText('w')
+    .value.change()
+    .undo()
+    .undo().value
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        onet<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
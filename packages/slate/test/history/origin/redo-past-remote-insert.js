@@ -0,0 +1,38 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export default function(value) {
+  return value
+    .change()
+    .insertText('new ')
+    .value.change()
+    .undo()
+    .value.change()
+    .applyOperation(
+      { type: 'insert_text', path: [0, 0], offset: 3, text: '!', marks: [] },
+      { origin: 'remote' }
+    )
+    .value.change()
+    .redo().value
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />one
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        new <cursor />one!
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,43 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export default function(value) {
+  return value
+    .change()
+    .setHistoryOptions({ origin: 'local' })
+    .setOperationFlag('origin', 'local')
+    .insertText('new ')
+    .value.change()
+    .applyOperation(
+      {
+        type: 'remove_node',
+        path: [0],
+        node: { object: 'block', type: 'paragraph', nodes: [] },
+      },
+      { origin: 'remote' }
+    )
+    .value.change()
+    .undo().value
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>zero</paragraph>
+      <paragraph>
+        <cursor />one
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />one
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,34 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export default function(value) {
+  return value
+    .change()
+    .applyOperation(
+      { type: 'insert_text', path: [0, 0], offset: 3, text: '!', marks: [] },
+      { origin: 'remote' }
+    )
+    .value.change()
+    .undo().value
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />one
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />one!
+      </paragraph>
+    </document>
+  </value>
+)
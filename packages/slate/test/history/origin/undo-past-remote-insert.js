@@ -0,0 +1,36 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export default function(value) {
+  return value
+    .change()
+    .insertText('new ')
+    .value.change()
+    .applyOperation(
+      { type: 'insert_text', path: [0, 0], offset: 0, text: 'a ', marks: [] },
+      { origin: 'remote' }
+    )
+    .value.change()
+    .undo().value
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />one
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        a <cursor />one
+      </paragraph>
+    </document>
+  </value>
+)
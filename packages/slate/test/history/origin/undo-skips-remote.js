@@ -0,0 +1,38 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export default function(value) {
+  return value
+    .change()
+    .insertText('new ')
+    .value.change()
+    .applyOperation(
+      { type: 'insert_text', path: [1, 0], offset: 3, text: '!', marks: [] },
+      { origin: 'remote' }
+    )
+    .value.change()
+    .undo().value
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />one
+      </paragraph>
+      <paragraph>two</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />one
+      </paragraph>
+      <paragraph>two!</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,47 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import { Value } from '../../..'
+
+export default function(value) {
+  value = value
+    .change()
+    .insertText('t')
+    .value.change()
+    .removeNodeByKey('b')
+    .value.change()
+    .undo()
+    .undo().value
+
+  const json = JSON.parse(
+    JSON.stringify(
+      value.toJSON({ preserveHistory: true, preserveSelection: true })
+    )
+  )
+
+  return Value.fromJSON(json)
+    .change()
+    .redo()
+    .redo().value
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph key="a">
+        one<cursor />
+      </paragraph>
+      <paragraph key="b">two</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph key="a">
+        onet<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
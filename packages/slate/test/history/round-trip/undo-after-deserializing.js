@@ -0,0 +1,51 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import { Value } from '../../..'
+
+export default function(value) {
+  value = value
+    .change()
+    .insertText('t')
+    .value.change()
+    .setNodeByKey('a', { data: { thing: 'value' } })
+    .value.change()
+    .removeNodeByKey('b')
+    .value.change()
+    .select({ anchorOffset: 1, focusOffset: 1 })
+    .splitBlock()
+    .value.change()
+    .addMark('bold')
+    .setValue({ data: { thing: 'value' } }).value
+
+  const json = JSON.parse(
+    JSON.stringify(
+      value.toJSON({
+        preserveData: true,
+        preserveHistory: true,
+        preserveSelection: true,
+      })
+    )
+  )
+
+  return Value.fromJSON(json)
+    .change()
+    .undo()
+    .undo()
+    .undo()
+    .undo()
+    .undo().value
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph key="a">
+        one<cursor />
+      </paragraph>
+      <paragraph key="b">two</paragraph>
+    </document>
+  </value>
+)
+
+export const output = input
@@ -0,0 +1,49 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import { Value } from '../../..'
+
+export default function(value) {
+  value = value.change().insertText('new ').value
+  const { id } = value.history.undos.peek()
+
+  // Load the batch as if it had been saved by a process whose counter had
+  // already moved past the local one.
+  const json = JSON.parse(
+    JSON.stringify(
+      value.toJSON({ preserveHistory: true, preserveSelection: true })
+    )
+  )
+
+  const loadedId = `batch_${parseInt(id.slice(6), 10) + 1}`
+  json.history.undos[0].id = loadedId
+
+  value = Value.fromJSON(json)
+
+  return value
+    .change()
+    .collapseToEndOf(value.document.getLastText())
+    .insertText(' two')
+    .value.change()
+    .undoBatch(loadedId).value
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />one
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one two<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
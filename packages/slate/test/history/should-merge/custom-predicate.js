@@ -0,0 +1,34 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export default function(value) {
+  return value
+    .change()
+    .setHistoryOptions({ shouldMerge: () => false })
+    .insertText('t')
+    .value.change()
+    .insertText('w')
+    .value.change()
+    .undo().value
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        onet<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
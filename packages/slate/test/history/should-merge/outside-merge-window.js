@@ -0,0 +1,40 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import { History } from '../../..'
+
+export default function(value) {
+  value = value.change().insertText('t').value
+
+  // Pretend that the first batch was saved long ago.
+  const json = value.history.toJSON()
+  json.undos[0].timestamp = 0
+  json.mergeWindow = 1000
+  value = value.set('history', History.fromJSON(json))
+
+  return value
+    .change()
+    .insertText('w')
+    .value.change()
+    .undo().value
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        onet<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
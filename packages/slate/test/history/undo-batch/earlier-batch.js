@@ -0,0 +1,35 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export default function(value) {
+  const change = value.change().insertText('new ')
+  const { id } = change.value.history.undos.peek()
+
+  return change.value
+    .change()
+    .collapseToEndOf(change.value.document.getLastText())
+    .insertText(' two')
+    .value.change()
+    .undoBatch(id).value
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />one
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one two<cursor />
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,36 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+import { Block } from '../../..'
+
+export default function(value) {
+  const one = Block.create('paragraph')
+  const change = value.change().insertText('new ')
+  const two = Block.create('paragraph')
+  const { id } = change.value.history.undos.peek()
+
+  // Saving a batch doesn't use up any of the keys of the document.
+  assert.equal(two.key, String(Number(one.key) + 1))
+  return change.undoBatch(id).value
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />one
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />one
+      </paragraph>
+    </document>
+  </value>
+)
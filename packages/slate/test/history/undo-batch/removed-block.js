@@ -0,0 +1,35 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export default function(value) {
+  const change = value.change().insertText('new ')
+  const { id } = change.value.history.undos.peek()
+
+  return change.value
+    .change()
+    .removeNodeByKey('a')
+    .value.change()
+    .undoBatch(id).value
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph key="a">one</paragraph>
+      <paragraph>
+        <cursor />two
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <cursor />two
+      </paragraph>
+    </document>
+  </value>
+)
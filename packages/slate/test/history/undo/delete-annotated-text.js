@@ -0,0 +1,36 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export default function(value) {
+  return value
+    .change()
+    .delete()
+    .value.change()
+    .undo().value
+}
+
+export const input = (
+  <value
+    annotations={[
+      {
+        id: 'a',
+        type: 'comment',
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 4,
+          focusPath: [0, 0],
+          focusOffset: 8,
+        },
+      },
+    ]}
+  >
+    <document>
+      <paragraph>
+        the <anchor />word<focus /> here
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = input
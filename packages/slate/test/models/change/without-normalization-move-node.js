@@ -0,0 +1,46 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export const flags = {}
+
+export const schema = {
+  blocks: {
+    paragraph: {},
+    quote: {
+      nodes: [{ types: ['paragraph'], min: 1 }],
+    },
+  },
+}
+
+export const customChange = change => {
+  // moving the only child of the first quote leaves it empty, and since its
+  // path is dirty after the move it gets removed by the schema
+  const [first, second] = change.value.document.nodes.toArray()
+  const child = first.nodes.first()
+  change.moveNodeByKey(child.key, second.key, 1)
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+      </quote>
+      <quote>
+        <paragraph>two</paragraph>
+      </quote>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>two</paragraph>
+        <paragraph>one</paragraph>
+      </quote>
+    </document>
+  </value>
+)
@@ -51,5 +51,65 @@ describe('models', () => {
     })
   })
 
+  describe('point', () => {
+    const testsDir = resolve(__dirname, 'point')
+    const tests = fs
+      .readdirSync(testsDir)
+      .filter(t => t[0] != '.')
+      .map(t => basename(t, extname(t)))
+
+    for (const test of tests) {
+      it(test, async () => {
+        const run = require(resolve(testsDir, test)).default
+        run()
+      })
+    }
+  })
+
+  describe('refs', () => {
+    const testsDir = resolve(__dirname, 'refs')
+    const tests = fs
+      .readdirSync(testsDir)
+      .filter(t => t[0] != '.')
+      .map(t => basename(t, extname(t)))
+
+    for (const test of tests) {
+      it(test, async () => {
+        const run = require(resolve(testsDir, test)).default
+        run()
+      })
+    }
+  })
+
+  describe('range', () => {
+    const testsDir = resolve(__dirname, 'range')
+    const tests = fs
+      .readdirSync(testsDir)
+      .filter(t => t[0] != '.')
+      .map(t => basename(t, extname(t)))
+
+    for (const test of tests) {
+      it(test, async () => {
+        const run = require(resolve(testsDir, test)).default
+        run()
+      })
+    }
+  })
+
+  describe('value', () => {
+    const testsDir = resolve(__dirname, 'value')
+    const tests = fs
+      .readdirSync(testsDir)
+      .filter(t => t[0] != '.')
+      .map(t => basename(t, extname(t)))
+
+    for (const test of tests) {
+      it(test, async () => {
+        const run = require(resolve(testsDir, test)).default
+        run()
+      })
+    }
+  })
+
   require('./text/')
 })
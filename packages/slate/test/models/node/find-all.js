@@ -0,0 +1,50 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+
+export default function() {
+  const { document } = (
+    <value>
+      <document>
+        <paragraph>
+          one <link>Two</link> one
+        </paragraph>
+        <paragraph>someone, two.</paragraph>
+      </document>
+    </value>
+  )
+
+  const [first, second] = document.nodes.toArray()
+  const [before, inline, after] = first.nodes.toArray()
+  const link = inline.getFirstText()
+  const text = second.getFirstText()
+  const toPoints = ranges =>
+    ranges
+      .map(r => [r.anchorKey, r.anchorOffset, r.focusKey, r.focusOffset])
+      .toArray()
+
+  assert.deepEqual(toPoints(document.findAll('one two')), [
+    [before.key, 0, link.key, 3],
+  ])
+
+  assert.deepEqual(toPoints(document.findAll('two', { caseSensitive: true })), [
+    [text.key, 9, text.key, 12],
+  ])
+
+  assert.deepEqual(toPoints(document.findAll('one', { wholeWord: true })), [
+    [before.key, 0, before.key, 3],
+    [after.key, 1, after.key, 4],
+  ])
+
+  assert.deepEqual(toPoints(second.findAll('o.e', { regex: true })), [
+    [text.key, 1, text.key, 4],
+    [text.key, 4, text.key, 7],
+  ])
+
+  assert.deepEqual(toPoints(document.findAll('two.')), [
+    [text.key, 9, text.key, 13],
+  ])
+
+  assert.throws(() => document.findAll(''))
+}
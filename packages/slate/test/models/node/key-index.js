@@ -0,0 +1,53 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+import { Block } from '../../..'
+
+function assertPaths(document, node = document, path = []) {
+  node.nodes.forEach((child, i) => {
+    const childPath = path.concat(i)
+    assert.deepEqual(document.getPath(child.key), childPath)
+    assert.equal(document.getParent(child.key), node)
+    assert.equal(document.getDescendant(child.key), child)
+    if (child.object != 'text') assertPaths(document, child, childPath)
+  })
+}
+
+export default function() {
+  const value = (
+    <value>
+      <document>
+        <quote key="a">
+          <paragraph key="b">one</paragraph>
+          <paragraph key="c">two</paragraph>
+        </quote>
+        <paragraph key="d">three</paragraph>
+      </document>
+    </value>
+  )
+
+  const change = value.change()
+  const { document } = change.value
+  assertPaths(document)
+
+  change.splitNodeByKey('a', 1)
+  assertPaths(change.value.document)
+
+  change.moveNodeByKey('d', 'a', 0)
+  assertPaths(change.value.document)
+
+  change.insertNodeByKey('a', 0, Block.create({ key: 'e', type: 'paragraph' }))
+  assertPaths(change.value.document)
+
+  const next = change.value.document.nodes.get(1)
+  change.mergeNodeByKey(next.key)
+  assertPaths(change.value.document)
+
+  change.removeNodeByKey('a')
+  assertPaths(change.value.document)
+  assert.equal(change.value.document.getDescendant('b'), null)
+  assert.equal(change.value.document.getDescendant('e'), null)
+  assert.equal(change.value.document.getParent('b'), null)
+  assert.equal(change.value.document.nodes.size, 0)
+}
@@ -0,0 +1,28 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+import { Point } from '../../..'
+
+export default function() {
+  const { document } = (
+    <value>
+      <document>
+        <paragraph>one</paragraph>
+        <paragraph>two</paragraph>
+      </document>
+    </value>
+  )
+
+  const last = document.getLastText()
+  const byPath = Point.create({ path: [1, 0], offset: 1 }).normalize(document)
+  const byKey = Point.create({ key: last.key, offset: 1 }).normalize(document)
+
+  assert.equal(byPath.key, last.key)
+  assert.deepEqual(byKey.path, [1, 0])
+  assert(byPath.equals(byKey))
+
+  const block = Point.create({ path: [1], offset: 2 }).normalize(document)
+  assert.equal(block.key, last.key)
+  assert.deepEqual(block.path, [1, 0])
+}
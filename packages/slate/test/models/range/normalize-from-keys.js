@@ -0,0 +1,39 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+import { Range } from '../../..'
+
+export default function() {
+  const { document } = (
+    <value>
+      <document>
+        <paragraph>one</paragraph>
+        <quote>
+          <paragraph>two</paragraph>
+        </quote>
+      </document>
+    </value>
+  )
+
+  const first = document.getFirstText()
+  const last = document.getLastText()
+
+  const range = Range.create({
+    anchorKey: first.key,
+    anchorOffset: 1,
+    focusKey: last.key,
+    focusOffset: 2,
+  }).normalize(document)
+
+  assert.deepEqual(range.anchorPath, [0, 0])
+  assert.deepEqual(range.focusPath, [1, 0, 0])
+  assert.deepEqual(range.startPoint.path, [0, 0])
+
+  assert.deepEqual(range.endPoint.toJSON(), {
+    object: 'point',
+    key: last.key,
+    offset: 2,
+    path: [1, 0, 0],
+  })
+}
@@ -0,0 +1,32 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+import { Range } from '../../..'
+
+export default function() {
+  const { document } = (
+    <value>
+      <document>
+        <paragraph>one</paragraph>
+        <paragraph>two</paragraph>
+      </document>
+    </value>
+  )
+
+  const range = Range.create({
+    anchorPath: [1, 0],
+    anchorOffset: 2,
+    focusPath: [0, 0],
+    focusOffset: 1,
+  }).normalize(document)
+
+  const first = document.getFirstText()
+  const last = document.getLastText()
+
+  assert.equal(range.anchorKey, last.key)
+  assert.equal(range.anchorOffset, 2)
+  assert.equal(range.focusKey, first.key)
+  assert.equal(range.focusOffset, 1)
+  assert.equal(range.isBackward, true)
+}
@@ -0,0 +1,27 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+import { Block } from '../../..'
+
+export default function() {
+  const value = (
+    <value>
+      <document>
+        <paragraph>one</paragraph>
+        <paragraph>two</paragraph>
+      </document>
+    </value>
+  )
+
+  const change = value
+    .change()
+    .select({ anchorPath: [1, 0], focusPath: [1, 0] })
+  const block = Block.create({ type: 'paragraph' })
+  change.insertNodeByKey(value.document.key, 0, block)
+
+  const { selection } = change.value
+  const object = selection.toJSON({ preserveKeys: false })
+  assert.deepEqual(object.anchorPath, [2, 0])
+  assert.deepEqual(object.focusPath, [2, 0])
+}
@@ -0,0 +1,42 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+import { Range } from '../../..'
+
+export default function() {
+  const { document } = (
+    <value>
+      <document>
+        <paragraph>one</paragraph>
+        <paragraph>two</paragraph>
+      </document>
+    </value>
+  )
+
+  const last = document.getLastText()
+  const range = Range.create({
+    anchorKey: last.key,
+    anchorOffset: 0,
+    focusKey: last.key,
+    focusOffset: 3,
+  }).normalize(document)
+
+  const object = range.toJSON({ preserveKeys: false })
+
+  assert.deepEqual(object, {
+    object: 'range',
+    anchorOffset: 0,
+    anchorPath: [1, 0],
+    focusOffset: 3,
+    focusPath: [1, 0],
+    isBackward: false,
+    isFocused: false,
+    marks: null,
+    isAtomic: false,
+  })
+
+  const restored = Range.create(object).normalize(document)
+  assert.equal(restored.anchorKey, last.key)
+  assert.equal(restored.focusKey, last.key)
+}
@@ -0,0 +1,35 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+import { Operations } from '../../..'
+
+export default function() {
+  const value = (
+    <value>
+      <document>
+        <paragraph>one two</paragraph>
+      </document>
+    </value>
+  )
+
+  const text = value.document.getFirstText()
+  const ref = value.createPointRef({ path: [0, 0], offset: 7 })
+
+  // Applying an operation outside of a change, like to preview it, doesn't
+  // take the refs away from the value.
+  const next = Operations.apply(value, {
+    type: 'remove_text',
+    path: [0, 0],
+    offset: 0,
+    text: 'one ',
+    marks: [],
+  })
+
+  assert.equal(ref.current.offset, 7)
+  assert.equal(value.refs.length, 1)
+  assert.equal(next.document.text, 'two')
+
+  value.change().insertTextByKey(text.key, 0, 'ab')
+  assert.equal(ref.current.offset, 9)
+}
@@ -0,0 +1,26 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+
+export default function() {
+  const value = (
+    <value>
+      <document>
+        <paragraph>one</paragraph>
+      </document>
+    </value>
+  )
+
+  const text = value.document.getFirstText()
+  const ref = value.createPointRef({ path: [0, 0], offset: 3 })
+  const change = value.change().insertTextByKey(text.key, 0, 'a')
+  value.change().insertTextByKey(text.key, 0, 'bc')
+
+  assert.equal(ref.current.offset, 4)
+  assert.equal(value.refs.length, 0)
+  assert.equal(change.value.refs.length, 1)
+
+  change.insertTextByKey(text.key, 0, 'd')
+  assert.equal(ref.current.offset, 5)
+}
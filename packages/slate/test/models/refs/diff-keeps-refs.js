@@ -0,0 +1,35 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+import { Value } from '../../..'
+
+export default function() {
+  const a = (
+    <value>
+      <document>
+        <paragraph>one two</paragraph>
+      </document>
+    </value>
+  )
+
+  const b = (
+    <value>
+      <document>
+        <paragraph>two</paragraph>
+        <paragraph>three</paragraph>
+      </document>
+    </value>
+  )
+
+  const text = a.document.getFirstText()
+  const ref = a.createPointRef({ path: [0, 0], offset: 7 })
+
+  // Diffing the values doesn't take the refs away from `a`, or move them.
+  Value.diff(a, b)
+  assert.equal(ref.current.offset, 7)
+  assert.equal(a.refs.length, 1)
+
+  a.change().insertTextByKey(text.key, 0, 'ab')
+  assert.equal(ref.current.offset, 9)
+}
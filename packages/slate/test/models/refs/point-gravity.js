@@ -0,0 +1,25 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+
+export default function() {
+  const value = (
+    <value>
+      <document>
+        <paragraph>one</paragraph>
+      </document>
+    </value>
+  )
+
+  const text = value.document.getFirstText()
+  const point = { key: text.key, offset: 1 }
+  const left = value.createPointRef(point, { gravity: 'left' })
+  const right = value.createPointRef(point, { gravity: 'right' })
+
+  value.change().insertTextByKey(text.key, 1, 'xx')
+
+  assert.equal(left.current.offset, 1)
+  assert.equal(right.current.offset, 3)
+  assert.deepEqual(right.current.path, [0, 0])
+}
@@ -0,0 +1,39 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+
+export default function() {
+  const value = (
+    <value>
+      <document>
+        <paragraph>one</paragraph>
+        <paragraph>two</paragraph>
+        <paragraph>three</paragraph>
+      </document>
+    </value>
+  )
+
+  const { document } = value
+  const [one, two, three] = document.nodes.toArray()
+  const text = two.getFirstText()
+  const ref = value.createRangeRef({
+    anchorKey: text.key,
+    anchorOffset: 0,
+    focusKey: text.key,
+    focusOffset: 3,
+  })
+
+  const change = value.change().moveNodeByKey(two.key, document.key, 0)
+  assert.deepEqual(ref.current.anchorPath, [0, 0])
+  assert.equal(ref.current.anchorKey, text.key)
+
+  change.removeNodeByKey(two.key)
+  const first = one.getFirstText()
+  assert.equal(ref.current.anchorKey, first.key)
+  assert.equal(ref.current.anchorOffset, 0)
+  assert.equal(ref.current.isCollapsed, true)
+
+  change.removeNodeByKey(one.key).removeNodeByKey(three.key)
+  assert.equal(ref.current, null)
+}
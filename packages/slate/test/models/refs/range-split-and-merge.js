@@ -0,0 +1,41 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+
+export default function() {
+  const value = (
+    <value>
+      <document>
+        <paragraph>one two</paragraph>
+      </document>
+    </value>
+  )
+
+  const text = value.document.getFirstText()
+  const ref = value.createRangeRef({
+    anchorKey: text.key,
+    anchorOffset: 4,
+    focusKey: text.key,
+    focusOffset: 7,
+  })
+
+  const change = value
+    .change()
+    .splitDescendantsByKey(value.document.nodes.first().key, text.key, 2)
+
+  let { document } = change.value
+  let last = document.getLastText()
+  assert.equal(ref.current.anchorKey, last.key)
+  assert.equal(ref.current.anchorOffset, 2)
+  assert.equal(ref.current.focusOffset, 5)
+  assert.deepEqual(ref.current.anchorPath, [1, 0])
+
+  change.mergeNodeByKey(document.nodes.last().key)
+  document = change.value.document
+  last = document.getLastText()
+  assert.equal(ref.current.anchorKey, last.key)
+  assert.equal(ref.current.anchorOffset, 4)
+  assert.equal(ref.current.focusOffset, 7)
+  assert.deepEqual(ref.current.focusPath, [0, 0])
+}
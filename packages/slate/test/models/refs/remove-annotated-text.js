@@ -0,0 +1,39 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+
+export default function() {
+  let value = (
+    <value
+      annotations={[
+        {
+          id: 'a',
+          type: 'comment',
+          range: {
+            anchorPath: [0, 0],
+            anchorOffset: 0,
+            focusPath: [0, 0],
+            focusOffset: 3,
+          },
+        },
+      ]}
+    >
+      <document>
+        <paragraph>one two three</paragraph>
+      </document>
+    </value>
+  )
+
+  const text = value.document.getFirstText()
+  const ref = value.createPointRef({ path: [0, 0], offset: 11 })
+
+  // Checking which annotations the removal empties doesn't take the refs
+  // away from the value, so they keep following the later operations.
+  value = value.change().removeTextByKey(text.key, 0, 4).value
+  assert.equal(ref.current.offset, 7)
+  assert.equal(value.annotations.size, 0)
+
+  value.change().insertTextByKey(text.key, 0, 'ab')
+  assert.equal(ref.current.offset, 9)
+}
@@ -0,0 +1,25 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+
+export default function() {
+  const value = (
+    <value>
+      <document>
+        <paragraph>one</paragraph>
+      </document>
+    </value>
+  )
+
+  const text = value.document.getFirstText()
+  const ref = value.createPointRef({ path: [0, 0], offset: 3 })
+  const change = value.change().insertTextByKey(text.key, 0, 'a')
+  const point = ref.unref()
+  change.insertTextByKey(text.key, 0, 'b')
+
+  assert.equal(point.key, text.key)
+  assert.equal(point.offset, 4)
+  assert.equal(ref.current, point)
+  assert.equal(value.refs.length, 0)
+}
@@ -0,0 +1,20 @@
+/** @jsx h */
+
+import { Set } from 'immutable'
+import h from '../../../../helpers/h'
+
+export const input = (
+  <text>
+    <b>one</b>
+    <b>
+      <i>two</i>
+    </b>
+    three
+  </text>
+)[0]
+
+export default function(t) {
+  return t.getActiveMarksBetweenOffsets(1, 10)
+}
+
+export const output = Set()
@@ -0,0 +1,22 @@
+/** @jsx h */
+
+import h from '../../../../helpers/h'
+
+export const input = (
+  <text>
+    {'a'.repeat(1500)}
+    <b>{'b'.repeat(1500)}</b>
+    {'c'.repeat(1500)}
+  </text>
+)[0]
+
+export default function(t) {
+  return t.removeText(1000, 3000)
+}
+
+export const output = (
+  <text>
+    {'a'.repeat(1000)}
+    {'c'.repeat(500)}
+  </text>
+)[0]
@@ -0,0 +1,21 @@
+/** @jsx h */
+
+import h from '../../../../helpers/h'
+import assert from 'assert'
+
+export const input = (
+  <text key="a">
+    {'a'.repeat(1500)}
+    <b>{'b'.repeat(1500)}</b>
+  </text>
+)[0]
+
+export default function(t) {
+  // Editing the text back stores the same leaves in a rope of another shape.
+  const other = t.insertText(1000, 'c'.repeat(2000)).removeText(1000, 2000)
+  assert(t.equals(other))
+  assert.equal(t.hashCode(), other.hashCode())
+  return other
+}
+
+export const output = input
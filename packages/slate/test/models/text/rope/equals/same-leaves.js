@@ -0,0 +1,27 @@
+/** @jsx h */
+
+import h from '../../../../helpers/h'
+import assert from 'assert'
+import { is } from 'immutable'
+import { Block, Text } from '../../../../..'
+
+export const input = (
+  <text key="a">
+    one<b>two</b>
+  </text>
+)[0]
+
+export default function(t) {
+  const other = Text.create({ key: 'a', leaves: t.leaves })
+  assert(t.equals(other))
+  assert.equal(t.hashCode(), other.hashCode())
+
+  const block = Block.create({ key: 'b', type: 'paragraph', nodes: [t] })
+  const otherBlock = block.set('nodes', block.nodes.set(0, other))
+  assert(is(block, otherBlock))
+
+  assert(!t.equals(other.insertText(0, 'x')))
+  return other
+}
+
+export const output = input
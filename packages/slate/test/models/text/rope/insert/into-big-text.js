@@ -0,0 +1,15 @@
+/** @jsx h */
+
+import h from '../../../../helpers/h'
+
+export const input = <text>{'a'.repeat(3000)}</text>[0]
+
+export default function(t) {
+  return t.insertText(1500, 'b')
+}
+
+export const output = (
+  <text>
+    {'a'.repeat(1500)}b{'a'.repeat(1500)}
+  </text>
+)[0]
@@ -0,0 +1,21 @@
+/** @jsx h */
+
+import { Set } from 'immutable'
+import h from '../../../../helpers/h'
+import { Mark } from '../../../../..'
+
+export const input = <text>{'a'.repeat(3000)}</text>[0]
+
+export default function(t) {
+  return t
+    .insertText(2000, 'bb', Set.of(Mark.create('bold')))
+    .insertText(2001, 'c', Set.of(Mark.create('bold')))
+}
+
+export const output = (
+  <text>
+    {'a'.repeat(2000)}
+    <b>bcb</b>
+    {'a'.repeat(1000)}
+  </text>
+)[0]
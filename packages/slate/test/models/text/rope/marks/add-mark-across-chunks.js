@@ -0,0 +1,22 @@
+/** @jsx h */
+
+import h from '../../../../helpers/h'
+import { Mark } from '../../../../..'
+
+export const input = <text>{'a'.repeat(3000)}</text>[0]
+
+export default function(t) {
+  return t
+    .addMark(1000, 1500, Mark.create('bold'))
+    .removeMark(2000, 100, Mark.create('bold'))
+}
+
+export const output = (
+  <text>
+    {'a'.repeat(1000)}
+    <b>{'a'.repeat(1000)}</b>
+    {'a'.repeat(100)}
+    <b>{'a'.repeat(400)}</b>
+    {'a'.repeat(500)}
+  </text>
+)[0]
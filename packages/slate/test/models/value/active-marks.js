@@ -0,0 +1,49 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+import { Schema } from '../../..'
+
+export default function() {
+  const schema = Schema.create({
+    marks: {
+      subscript: { group: 'script' },
+      superscript: { group: 'script' },
+    },
+  })
+
+  const value = (
+    <value>
+      <document>
+        <paragraph>
+          <anchor />
+          <b>
+            <fontSize size={12}>
+              <sub>one</sub>
+            </fontSize>
+          </b>
+          <b>
+            <fontSize size={16}>
+              <sub>two</sub>
+            </fontSize>
+          </b>
+          <focus />
+        </paragraph>
+      </document>
+    </value>
+  ).set('schema', schema)
+
+  const groups = value.activeMarks
+
+  assert.deepEqual(
+    groups
+      .keySeq()
+      .toArray()
+      .sort(),
+    ['bold', 'font-size', 'script']
+  )
+
+  assert.equal(groups.get('bold').type, 'bold')
+  assert.equal(groups.get('font-size'), 'mixed')
+  assert.equal(groups.get('script').type, 'subscript')
+}
@@ -0,0 +1,52 @@
+/** @jsx h */
+
+import { Value } from '../../..'
+import h from '../../helpers/h'
+import assert from 'assert'
+
+export default function() {
+  const value = (
+    <value
+      annotations={[
+        {
+          id: 'a',
+          type: 'comment',
+          data: { thread: 1 },
+          range: {
+            anchorPath: [1, 0],
+            anchorOffset: 1,
+            focusPath: [1, 0],
+            focusOffset: 3,
+          },
+        },
+      ]}
+    >
+      <document>
+        <paragraph>one</paragraph>
+        <paragraph>two</paragraph>
+      </document>
+    </value>
+  )
+
+  const json = value.toJSON()
+  const annotation = value.annotations.get('a')
+  const text = value.document.getTexts().last()
+
+  assert.deepEqual(json.annotations, [
+    {
+      object: 'annotation',
+      id: 'a',
+      type: 'comment',
+      data: { thread: 1 },
+      range: {
+        anchorPath: [1, 0],
+        anchorOffset: 1,
+        focusPath: [1, 0],
+        focusOffset: 3,
+      },
+    },
+  ])
+
+  assert.equal(annotation.range.anchorKey, text.key)
+  assert.deepEqual(Value.fromJSON(json).toJSON(), json)
+}
@@ -0,0 +1,51 @@
+/** @jsx h */
+
+import { Block, Value } from '../../..'
+import h from '../../helpers/h'
+import assert from 'assert'
+
+export default function() {
+  const json = (
+    <value>
+      <document>
+        <paragraph>one</paragraph>
+      </document>
+    </value>
+  ).toJSON()
+
+  // The rule replaces the node with a new one that is just as invalid, so it
+  // loops forever with a different key each time.
+  const schema = {
+    blocks: {
+      paragraph: {
+        data: {
+          thing: v => v == 'value',
+        },
+        normalize: (change, violation, { node }) => {
+          const { document } = change.value
+          const parent = document.getParent(node.key)
+          const index = parent.nodes.indexOf(node)
+          const block = Block.create({ type: 'paragraph', nodes: node.nodes })
+          change.removeNodeByKey(node.key)
+          change.insertNodeByKey(parent.key, index, block)
+        },
+      },
+    },
+  }
+
+  let error
+
+  try {
+    Value.create(json, { schema })
+  } catch (e) {
+    error = e
+  }
+
+  assert(error)
+
+  assert(
+    /the "node_data_invalid" rule for the "paragraph" block at path \[0\]/.test(
+      error.message
+    )
+  )
+}
@@ -0,0 +1,45 @@
+/** @jsx h */
+
+import { Value } from '../../..'
+import h from '../../helpers/h'
+import assert from 'assert'
+
+export default function() {
+  const json = (
+    <value>
+      <document>
+        <paragraph>one</paragraph>
+      </document>
+    </value>
+  ).toJSON()
+
+  // The rule never sets the data that it validates, so it loops forever.
+  const schema = {
+    blocks: {
+      paragraph: {
+        data: {
+          thing: v => v == 'value',
+        },
+        normalize: (change, violation, { node }) => {
+          change.setNodeByKey(node.key, { data: { thing: 'other' } })
+        },
+      },
+    },
+  }
+
+  let error
+
+  try {
+    Value.create(json, { schema })
+  } catch (e) {
+    error = e
+  }
+
+  assert(error)
+
+  assert(
+    /the "node_data_invalid" rule for the "paragraph" block at path \[0\]/.test(
+      error.message
+    )
+  )
+}
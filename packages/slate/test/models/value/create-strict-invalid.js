@@ -0,0 +1,49 @@
+/** @jsx h */
+
+import { CHILD_TYPE_INVALID, NODE_DATA_INVALID } from 'slate-schema-violations'
+import { Value } from '../../..'
+import h from '../../helpers/h'
+import assert from 'assert'
+
+export default function() {
+  const json = (
+    <value>
+      <document>
+        <quote>
+          <code>one</code>
+        </quote>
+        <paragraph thing="invalid">two</paragraph>
+      </document>
+    </value>
+  ).toJSON()
+
+  const schema = {
+    blocks: {
+      quote: {
+        nodes: [{ types: ['paragraph'] }],
+      },
+      paragraph: {
+        data: {
+          thing: v => v == null || v == 'value',
+        },
+      },
+    },
+  }
+
+  let error
+
+  try {
+    Value.create(json, { schema, strict: true })
+  } catch (e) {
+    error = e
+  }
+
+  assert(error)
+  assert.equal(error.violations.length, 2)
+  assert.equal(error.violations[0].code, CHILD_TYPE_INVALID)
+  assert.deepEqual(error.violations[0].path, [0])
+  assert.equal(error.violations[1].code, NODE_DATA_INVALID)
+  assert.deepEqual(error.violations[1].path, [1])
+  assert.equal(error.violations[1].context.key, 'thing')
+  assert(/child_type_invalid at \[0\], node_data_invalid at \[1\]/.test(error))
+}
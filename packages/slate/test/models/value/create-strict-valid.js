@@ -0,0 +1,29 @@
+/** @jsx h */
+
+import { Value } from '../../..'
+import h from '../../helpers/h'
+import assert from 'assert'
+
+export default function() {
+  const json = (
+    <value>
+      <document>
+        <quote>
+          <paragraph>one</paragraph>
+        </quote>
+      </document>
+    </value>
+  ).toJSON()
+
+  const schema = {
+    blocks: {
+      quote: {
+        nodes: [{ types: ['paragraph'] }],
+      },
+    },
+  }
+
+  const value = Value.create(json, { schema, strict: true })
+  assert.deepEqual(value.toJSON(), json)
+  assert(value.schema.blocks.quote)
+}
@@ -0,0 +1,36 @@
+import assert from 'assert'
+import { Set } from 'immutable'
+import { Value } from '../../..'
+
+export default function() {
+  const value = Value.fromJSON({
+    document: {
+      nodes: [
+        {
+          object: 'block',
+          key: 'a',
+          type: 'paragraph',
+          nodes: [{ object: 'text', key: 'b', leaves: [{ text: 'one' }] }],
+        },
+        {
+          object: 'block',
+          key: 'a',
+          type: 'paragraph',
+          nodes: [{ object: 'text', key: 'b', leaves: [{ text: 'two' }] }],
+        },
+      ],
+    },
+  })
+
+  const { document } = value
+  const keys = document.getKeysAsArray()
+  const first = document.nodes.first()
+  const last = document.nodes.last()
+
+  assert.equal(keys.length, 4)
+  assert.equal(Set(keys).size, 4)
+  assert.equal(first.key, 'a')
+  assert.equal(first.getFirstText().key, 'b')
+  assert.equal(document.getDescendant(last.key), last)
+  assert.equal(document.getDescendant(last.getFirstText().key).text, 'two')
+}
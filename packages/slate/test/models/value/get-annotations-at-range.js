@@ -0,0 +1,47 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import assert from 'assert'
+
+export default function() {
+  const value = (
+    <value
+      annotations={[
+        {
+          id: 'a',
+          type: 'comment',
+          range: {
+            anchorPath: [0, 0],
+            anchorOffset: 0,
+            focusPath: [0, 0],
+            focusOffset: 3,
+          },
+        },
+        {
+          id: 'b',
+          type: 'comment',
+          range: {
+            anchorPath: [0, 0],
+            anchorOffset: 2,
+            focusPath: [1, 0],
+            focusOffset: 1,
+          },
+        },
+      ]}
+    >
+      <document>
+        <paragraph>
+          one<cursor />
+        </paragraph>
+        <paragraph>two</paragraph>
+      </document>
+    </value>
+  )
+
+  const ids = value.getAnnotationsAtRange().map(a => a.id)
+  assert.deepEqual(ids.toArray(), ['a', 'b'])
+
+  const last = value.change().moveToEndOf(value.document.getTexts().last())
+  const others = last.value.getAnnotationsAtRange().map(a => a.id)
+  assert.deepEqual(others.toArray(), [])
+}
@@ -0,0 +1,42 @@
+import assert from 'assert'
+import { Set } from 'immutable'
+import { Value, createKeyGenerator } from '../../..'
+
+export default function() {
+  const keyGenerator = createKeyGenerator()
+  const value = Value.fromJSON(
+    {
+      document: {
+        key: '4',
+        nodes: [
+          {
+            object: 'block',
+            key: '2',
+            type: 'paragraph',
+            nodes: [{ object: 'text', key: '0', leaves: [{ text: 'one' }] }],
+          },
+          {
+            object: 'block',
+            key: '3',
+            type: 'paragraph',
+            nodes: [{ object: 'text', key: '1', leaves: [{ text: 'two' }] }],
+          },
+        ],
+      },
+      selection: {
+        anchorKey: '0',
+        anchorOffset: 3,
+        focusKey: '0',
+        focusOffset: 3,
+      },
+    },
+    { keyGenerator }
+  )
+
+  const { document } = value
+  const change = value.change().insertFragment(document)
+  const keys = change.value.document.getKeysAsArray()
+
+  assert.equal(keys.length, 6)
+  assert.equal(Set(keys).size, keys.length)
+}
@@ -0,0 +1,34 @@
+import assert from 'assert'
+import { Set } from 'immutable'
+import { Block, Value, resetKeyGenerator } from '../../..'
+
+export default function() {
+  resetKeyGenerator()
+
+  const value = Value.fromJSON({
+    document: {
+      nodes: [
+        {
+          object: 'block',
+          type: 'paragraph',
+          nodes: [{ object: 'text', leaves: [{ text: 'one' }] }],
+        },
+      ],
+    },
+  })
+
+  // A node that is created outside of the change gets the same key as the
+  // document, since the key generator was reset.
+  resetKeyGenerator()
+  const block = Block.create({ type: 'paragraph', nodes: [] })
+  assert.equal(block.key, value.document.key)
+
+  const change = value
+    .change()
+    .insertNodeByKey(value.document.key, 0, block)
+    .insertBlock('paragraph')
+
+  const { document } = change.value
+  const keys = document.getKeysAsArray().concat(document.key)
+  assert.equal(Set(keys).size, keys.length)
+}
@@ -0,0 +1,27 @@
+import assert from 'assert'
+import { Set } from 'immutable'
+import { Value, createKeyGenerator } from '../../..'
+
+export default function() {
+  const json = {
+    document: {
+      nodes: [
+        {
+          object: 'block',
+          type: 'paragraph',
+          nodes: [{ object: 'text', key: '2', leaves: [{ text: 'one' }] }],
+        },
+      ],
+    },
+  }
+
+  const one = Value.fromJSON(json, { keyGenerator: createKeyGenerator() })
+  const two = Value.fromJSON(json, { keyGenerator: createKeyGenerator() })
+  assert.deepEqual(one.document.getKeysAsArray(), ['v1', '2'])
+  assert.deepEqual(two.document.getKeysAsArray(), ['v1', '2'])
+
+  const change = one.change().insertBlock('paragraph')
+  const keys = change.value.document.getKeysAsArray()
+  assert.equal(keys.length, 4)
+  assert.equal(Set(keys).size, 4)
+}
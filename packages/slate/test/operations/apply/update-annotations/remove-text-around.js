@@ -0,0 +1,65 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default [
+  {
+    type: 'remove_text',
+    path: [0, 0],
+    offset: 3,
+    text: ' word',
+    marks: [],
+  },
+]
+
+export const input = (
+  <value
+    annotations={[
+      {
+        id: 'a',
+        type: 'comment',
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 4,
+          focusPath: [0, 0],
+          focusOffset: 8,
+        },
+      },
+      {
+        id: 'b',
+        type: 'comment',
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 0,
+          focusPath: [0, 0],
+          focusOffset: 5,
+        },
+      },
+    ]}
+  >
+    <document>
+      <paragraph>the word here</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value
+    annotations={[
+      {
+        id: 'b',
+        type: 'comment',
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 0,
+          focusPath: [0, 0],
+          focusOffset: 3,
+        },
+      },
+    ]}
+  >
+    <document>
+      <paragraph>the here</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,34 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default [
+  {
+    type: 'remove_text',
+    path: [0, 0],
+    offset: 2,
+    text: ' there you',
+    marks: [],
+  },
+]
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        Hi<cursor /> there <highlight>you</highlight>{' '}
+        <highlight>person</highlight>
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        Hi<cursor /> <highlight>person</highlight>
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,33 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export default [
+  {
+    type: 'remove_node',
+    path: [1],
+  },
+]
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        The <highlight>first</highlight> paragraph
+      </paragraph>
+      <paragraph>
+        The <highlight>soon deleted</highlight> paragraph
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        The <highlight>first</highlight> paragraph
+      </paragraph>
+    </document>
+  </value>
+)
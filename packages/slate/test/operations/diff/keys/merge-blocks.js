@@ -0,0 +1,17 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const types = ['remove_node', 'insert_text']
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph key="a">two</paragraph>
+      <paragraph>three</paragraph>
+    </document>
+  </value>
+)
+
+export const output = input.change().mergeNodeByKey('a').value
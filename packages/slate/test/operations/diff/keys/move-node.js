@@ -0,0 +1,18 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const types = ['move_node']
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph>two</paragraph>
+      <paragraph key="a">three</paragraph>
+    </document>
+  </value>
+)
+
+export const output = input.change().moveNodeByKey('a', input.document.key, 0)
+  .value
@@ -0,0 +1,18 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const types = ['remove_text']
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph>
+        <text key="a">two three</text>
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = input.change().removeTextByKey('a', 3, 6).value
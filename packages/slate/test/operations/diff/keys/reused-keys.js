@@ -0,0 +1,35 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const types = [
+  'insert_node',
+  'set_node',
+  'remove_node',
+  'remove_node',
+  'insert_node',
+]
+
+export const input = (
+  <value>
+    <document>
+      <paragraph key="a">one</paragraph>
+      <quote key="b">
+        <paragraph key="c">two</paragraph>
+        <paragraph key="d">three</paragraph>
+      </quote>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph key="a">one</paragraph>
+      <paragraph key="b">two</paragraph>
+      <quote key="e">
+        <paragraph key="d">three</paragraph>
+      </quote>
+    </document>
+  </value>
+)
@@ -0,0 +1,19 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const types = ['remove_node', 'insert_text']
+
+export const input = (
+  <value>
+    <document>
+      <paragraph key="a">one</paragraph>
+      <paragraph key="b">one</paragraph>
+    </document>
+  </value>
+)
+
+export const output = input
+  .change()
+  .removeNodeByKey('a')
+  .insertTextByKey(input.document.getLastText().key, 3, '!').value
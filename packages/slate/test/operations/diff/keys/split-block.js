@@ -0,0 +1,20 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const types = ['insert_node', 'remove_text']
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph key="a">
+          <text key="b">onetwo</text>
+        </paragraph>
+      </quote>
+      <paragraph>three</paragraph>
+    </document>
+  </value>
+)
+
+export const output = input.change().splitDescendantsByKey('a', 'b', 3).value
@@ -0,0 +1,26 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const types = ['insert_node', 'insert_text']
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+      </quote>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one!</paragraph>
+        <paragraph>two</paragraph>
+      </quote>
+    </document>
+  </value>
+)
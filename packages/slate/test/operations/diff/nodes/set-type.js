@@ -0,0 +1,23 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const types = ['set_node', 'insert_text']
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph>two</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <quote>two!</quote>
+    </document>
+  </value>
+)
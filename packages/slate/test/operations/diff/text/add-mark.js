@@ -0,0 +1,25 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const types = ['remove_mark', 'add_mark']
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <i>one</i> two three
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        one <b>two</b> three
+      </paragraph>
+    </document>
+  </value>
+)
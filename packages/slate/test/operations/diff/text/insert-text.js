@@ -0,0 +1,21 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const types = ['insert_text']
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one three</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>one two three</paragraph>
+    </document>
+  </value>
+)
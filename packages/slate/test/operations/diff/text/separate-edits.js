@@ -0,0 +1,21 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const types = ['remove_text', 'insert_text']
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>the cat sat on the mat</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>the cat sat on a big mat</paragraph>
+    </document>
+  </value>
+)
@@ -1,6 +1,7 @@
 import assert from 'assert'
 import fs from 'fs-promise' // eslint-disable-line import/no-extraneous-dependencies
 import toCamel from 'to-camel-case' // eslint-disable-line import/no-extraneous-dependencies
+import { Operations, Value } from '../..'
 import { basename, extname, resolve } from 'path'
 
 /**
@@ -30,14 +31,43 @@ describe('operations', async () => {
             it(test, async () => {
               const module = require(resolve(testDir, test))
               const { input, output } = module
-              const operations = module.default
-              const change = input.change()
-              change.applyOperations(operations)
               const opts = {
                 preserveSelection: true,
                 preserveDecorations: true,
                 preserveData: true,
               }
+
+              // Diff tests check that the operations between the input and the
+              // output turn the one into the other, and that they're minimal.
+              if (category == 'diff') {
+                const operations = Value.diff(input, output)
+                const change = input.change().applyOperations(operations)
+                const types = operations.map(o => o.type).toArray()
+                assert.deepEqual(change.value.toJSON(), output.toJSON())
+                assert.deepEqual(types, module.types)
+                return
+              }
+
+              // Transform tests apply two concurrent operations `a` and `b` in
+              // both orders, and check that they converge on the output.
+              if (category == 'transform') {
+                const { a, b } = module
+                const one = input.change().applyOperation(a)
+                one.applyOperations(Operations.transform(b, a, true))
+                const two = input.change().applyOperation(a)
+                two.rebase([b])
+                const three = input.change().applyOperation(b)
+                three.applyOperations(Operations.transform(a, b, false))
+                const expected = output.toJSON()
+                assert.deepEqual(one.value.toJSON(), expected)
+                assert.deepEqual(two.value.toJSON(), expected)
+                assert.deepEqual(three.value.toJSON(), expected)
+                return
+              }
+
+              const operations = module.default
+              const change = input.change()
+              change.applyOperations(operations)
               const actual = change.value.toJSON(opts)
               const expected = output.toJSON(opts)
 
@@ -0,0 +1,54 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'insert_text',
+  path: [0, 0],
+  offset: 0,
+  text: 'a ',
+  marks: [],
+}
+
+export const b = {
+  type: 'add_annotation',
+  annotation: {
+    id: 'a',
+    type: 'comment',
+    range: {
+      anchorPath: [0, 0],
+      anchorOffset: 0,
+      focusPath: [0, 0],
+      focusOffset: 4,
+    },
+  },
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>word</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value
+    annotations={[
+      {
+        id: 'a',
+        type: 'comment',
+        range: {
+          anchorPath: [0, 0],
+          anchorOffset: 2,
+          focusPath: [0, 0],
+          focusOffset: 6,
+        },
+      },
+    ]}
+  >
+    <document>
+      <paragraph>a word</paragraph>
+    </document>
+  </value>
+)
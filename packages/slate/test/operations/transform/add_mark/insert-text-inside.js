@@ -0,0 +1,37 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'add_mark',
+  path: [0, 0],
+  offset: 0,
+  length: 4,
+  mark: 'bold',
+}
+
+export const b = {
+  type: 'insert_text',
+  path: [0, 0],
+  offset: 2,
+  text: 'x',
+  marks: [],
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>word</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <b>wo</b>x<b>rd</b>
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,35 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'insert_node',
+  path: [1],
+  node: <paragraph>a</paragraph>,
+}
+
+export const b = {
+  type: 'insert_node',
+  path: [1],
+  node: <paragraph>b</paragraph>,
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph>two</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph>b</paragraph>
+      <paragraph>a</paragraph>
+      <paragraph>two</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,42 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'insert_node',
+  path: [1, 0],
+  node: <paragraph>new</paragraph>,
+}
+
+export const b = {
+  type: 'merge_node',
+  path: [1],
+  position: 1,
+  properties: { type: 'quote' },
+  target: null,
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+      </quote>
+      <quote>
+        <paragraph>two</paragraph>
+      </quote>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+        <paragraph>new</paragraph>
+        <paragraph>two</paragraph>
+      </quote>
+    </document>
+  </value>
+)
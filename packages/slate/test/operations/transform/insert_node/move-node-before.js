@@ -0,0 +1,32 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'insert_node',
+  path: [1],
+  node: <paragraph>new</paragraph>,
+}
+
+export const b = { type: 'move_node', path: [0], newPath: [2] }
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph>two</paragraph>
+      <paragraph>three</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>new</paragraph>
+      <paragraph>two</paragraph>
+      <paragraph>three</paragraph>
+      <paragraph>one</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,38 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'insert_node',
+  path: [0, 1],
+  node: <paragraph>new</paragraph>,
+}
+
+export const b = {
+  type: 'remove_node',
+  path: [0],
+  node: (
+    <quote>
+      <paragraph>one</paragraph>
+    </quote>
+  ),
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+      </quote>
+      <paragraph>two</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>two</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,42 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'insert_node',
+  path: [0, 2],
+  node: <paragraph>new</paragraph>,
+}
+
+export const b = {
+  type: 'split_node',
+  path: [0],
+  position: 1,
+  target: null,
+  properties: {},
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+        <paragraph>two</paragraph>
+      </quote>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+      </quote>
+      <quote>
+        <paragraph>two</paragraph>
+        <paragraph>new</paragraph>
+      </quote>
+    </document>
+  </value>
+)
@@ -0,0 +1,43 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'insert_text',
+  path: [0, 1, 0],
+  offset: 1,
+  text: 'x',
+  marks: [],
+}
+
+export const b = {
+  type: 'split_node',
+  path: [0],
+  position: 1,
+  target: null,
+  properties: {},
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+        <paragraph>two</paragraph>
+      </quote>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+      </quote>
+      <quote>
+        <paragraph>txwo</paragraph>
+      </quote>
+    </document>
+  </value>
+)
@@ -0,0 +1,42 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'merge_node',
+  path: [1],
+  position: 1,
+  properties: { type: 'quote' },
+  target: null,
+}
+
+export const b = {
+  type: 'insert_node',
+  path: [1],
+  node: <paragraph>new</paragraph>,
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+      </quote>
+      <quote>
+        <paragraph>two</paragraph>
+      </quote>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+        <paragraph>two</paragraph>
+      </quote>
+      <paragraph>new</paragraph>
+    </document>
+  </value>
+)
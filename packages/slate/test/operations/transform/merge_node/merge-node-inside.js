@@ -0,0 +1,55 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'merge_node',
+  path: [1],
+  position: 1,
+  properties: { type: 'quote' },
+  target: null,
+}
+
+export const b = {
+  type: 'merge_node',
+  path: [1, 1],
+  position: 1,
+  properties: { type: 'quote' },
+  target: null,
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <quote>
+          <paragraph>one</paragraph>
+        </quote>
+      </quote>
+      <quote>
+        <quote>
+          <paragraph>two</paragraph>
+        </quote>
+        <quote>
+          <paragraph>three</paragraph>
+        </quote>
+      </quote>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <quote>
+        <quote>
+          <paragraph>one</paragraph>
+        </quote>
+        <quote>
+          <paragraph>two</paragraph>
+          <paragraph>three</paragraph>
+        </quote>
+      </quote>
+    </document>
+  </value>
+)
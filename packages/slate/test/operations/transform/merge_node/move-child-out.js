@@ -0,0 +1,39 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'merge_node',
+  path: [1],
+  position: 1,
+  properties: { type: 'quote' },
+  target: null,
+}
+
+export const b = { type: 'move_node', path: [1, 0], newPath: [2] }
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+      </quote>
+      <quote>
+        <paragraph>two</paragraph>
+        <paragraph>three</paragraph>
+      </quote>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+        <paragraph>three</paragraph>
+      </quote>
+      <paragraph>two</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,43 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'merge_node',
+  path: [1],
+  position: 1,
+  properties: { type: 'quote' },
+  target: null,
+}
+
+export const b = {
+  type: 'move_node',
+  path: [1],
+  newPath: [2],
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+      </quote>
+      <quote>
+        <paragraph>two</paragraph>
+      </quote>
+      <paragraph>three</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>three</paragraph>
+      <quote>
+        <paragraph>one</paragraph>
+        <paragraph>two</paragraph>
+      </quote>
+    </document>
+  </value>
+)
@@ -0,0 +1,35 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = { type: 'move_node', path: [0], newPath: [1, 1] }
+
+export const b = { type: 'move_node', path: [1], newPath: [0, 1] }
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+      </quote>
+      <quote>
+        <paragraph>two</paragraph>
+      </quote>
+      <paragraph>three</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+        <quote>
+          <paragraph>two</paragraph>
+        </quote>
+      </quote>
+      <paragraph>three</paragraph>
+    </document>
+  </value>
+)
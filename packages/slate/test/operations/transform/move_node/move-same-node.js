@@ -0,0 +1,27 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = { type: 'move_node', path: [0], newPath: [2] }
+
+export const b = { type: 'move_node', path: [0], newPath: [1] }
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph>two</paragraph>
+      <paragraph>three</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>two</paragraph>
+      <paragraph>one</paragraph>
+      <paragraph>three</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,43 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'move_node',
+  path: [0, 0],
+  newPath: [1, 0],
+}
+
+export const b = {
+  type: 'remove_node',
+  path: [1],
+  node: (
+    <quote>
+      <paragraph>two</paragraph>
+    </quote>
+  ),
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+        <paragraph>three</paragraph>
+      </quote>
+      <quote>
+        <paragraph>two</paragraph>
+      </quote>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>three</paragraph>
+      </quote>
+    </document>
+  </value>
+)
@@ -0,0 +1,34 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'move_node',
+  path: [2],
+  newPath: [0],
+}
+
+export const b = {
+  type: 'remove_node',
+  path: [0],
+  node: <paragraph>one</paragraph>,
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph>two</paragraph>
+      <paragraph>three</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>three</paragraph>
+      <paragraph>two</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,39 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = { type: 'move_node', path: [0, 1], newPath: [1] }
+
+export const b = {
+  type: 'split_node',
+  path: [0],
+  position: 1,
+  target: null,
+  properties: {},
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+        <paragraph>two</paragraph>
+        <paragraph>three</paragraph>
+      </quote>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+      </quote>
+      <quote>
+        <paragraph>three</paragraph>
+      </quote>
+      <paragraph>two</paragraph>
+    </document>
+  </value>
+)
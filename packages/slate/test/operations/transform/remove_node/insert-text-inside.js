@@ -0,0 +1,34 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'remove_node',
+  path: [0],
+  node: <paragraph>one</paragraph>,
+}
+
+export const b = {
+  type: 'insert_text',
+  path: [0, 0],
+  offset: 3,
+  text: 's',
+  marks: [],
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph>two</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>two</paragraph>
+    </document>
+  </value>
+)
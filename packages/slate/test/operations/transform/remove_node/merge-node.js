@@ -0,0 +1,34 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'remove_node',
+  path: [1],
+  node: <paragraph>two</paragraph>,
+}
+
+export const b = {
+  type: 'merge_node',
+  path: [1],
+  position: 1,
+  properties: { type: 'paragraph' },
+  target: null,
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph>two</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,35 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'remove_node',
+  path: [0],
+  node: (
+    <quote>
+      <paragraph>one</paragraph>
+    </quote>
+  ),
+}
+
+export const b = { type: 'move_node', path: [1], newPath: [0, 1] }
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+      </quote>
+      <paragraph>two</paragraph>
+      <paragraph>three</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>three</paragraph>
+    </document>
+  </value>
+)
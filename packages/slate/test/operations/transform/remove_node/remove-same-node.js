@@ -0,0 +1,32 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'remove_node',
+  path: [0],
+  node: <paragraph>one</paragraph>,
+}
+
+export const b = {
+  type: 'remove_node',
+  path: [0],
+  node: <paragraph>one</paragraph>,
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <paragraph>two</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>two</paragraph>
+    </document>
+  </value>
+)
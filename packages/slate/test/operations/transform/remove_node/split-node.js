@@ -0,0 +1,42 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'remove_node',
+  path: [0],
+  node: (
+    <quote>
+      <paragraph>one</paragraph>
+      <paragraph>two</paragraph>
+    </quote>
+  ),
+}
+
+export const b = {
+  type: 'split_node',
+  path: [0],
+  position: 1,
+  target: null,
+  properties: {},
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+        <paragraph>two</paragraph>
+      </quote>
+      <paragraph>end</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>end</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,35 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'remove_text',
+  path: [0, 0],
+  offset: 1,
+  text: 'or',
+  marks: [],
+}
+
+export const b = {
+  type: 'insert_text',
+  path: [0, 0],
+  offset: 2,
+  text: 'x',
+  marks: [],
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>word</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>wxd</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,35 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'remove_text',
+  path: [0, 0],
+  offset: 1,
+  text: 'b',
+  marks: [],
+}
+
+export const b = {
+  type: 'remove_text',
+  path: [0, 0],
+  offset: 0,
+  text: 'abc',
+  marks: [],
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>abcde</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>de</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,35 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'remove_text',
+  path: [0, 0],
+  offset: 1,
+  text: 'or',
+  marks: [],
+}
+
+export const b = {
+  type: 'remove_text',
+  path: [0, 0],
+  offset: 2,
+  text: 'rd',
+  marks: [],
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>words</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>ws</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,47 @@
+/** @jsx h */
+
+import h from '../../../helpers/h'
+
+export const a = {
+  type: 'set_node',
+  path: [0],
+  node: (
+    <quote>
+      <paragraph>one</paragraph>
+      <paragraph>two</paragraph>
+    </quote>
+  ),
+  properties: { type: 'list' },
+}
+
+export const b = {
+  type: 'split_node',
+  path: [0],
+  position: 1,
+  target: null,
+  properties: {},
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+        <paragraph>two</paragraph>
+      </quote>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <list>
+        <paragraph>one</paragraph>
+      </list>
+      <list>
+        <paragraph>two</paragraph>
+      </list>
+    </document>
+  </value>
+)
@@ -0,0 +1,27 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export const schema = {}
+
+export const input = (
+  <value>
+    <document>
+      <li>one</li>
+      <ul>
+        <paragraph>two</paragraph>
+      </ul>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <li>one</li>
+      <ul>
+        <paragraph>two</paragraph>
+      </ul>
+    </document>
+  </value>
+).toJSON()
@@ -0,0 +1,31 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export const schema = {}
+
+export const input = (
+  <value>
+    <document>
+      <table>
+        <paragraph>one</paragraph>
+        <tr>
+          <td>two</td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <table>
+        <paragraph>one</paragraph>
+        <tr>
+          <td>two</td>
+        </tr>
+      </table>
+    </document>
+  </value>
+).toJSON()
@@ -0,0 +1,41 @@
+/** @jsx h */
+
+import { CHILD_SEQUENCE_INVALID } from 'slate-schema-violations'
+import h from '../../helpers/h'
+
+export const schema = {
+  blocks: {
+    quote: {
+      sequence: 'image paragraph',
+      normalize: (change, reason, { node, child, index }) => {
+        if (reason == CHILD_SEQUENCE_INVALID && !child) {
+          change.insertNodeByKey(node.key, index, {
+            object: 'block',
+            type: 'paragraph',
+          })
+        }
+      },
+    },
+  },
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <image />
+      </quote>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <quote>
+        <image />
+        <paragraph />
+      </quote>
+    </document>
+  </value>
+)
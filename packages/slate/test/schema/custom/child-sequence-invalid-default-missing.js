@@ -0,0 +1,30 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export const schema = {
+  blocks: {
+    quote: {
+      sequence: 'image paragraph',
+    },
+  },
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <image />
+      </quote>
+      <paragraph>one</paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,34 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export const schema = {
+  blocks: {
+    quote: {
+      sequence: 'image paragraph',
+    },
+  },
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <image />
+        <paragraph>one</paragraph>
+        <paragraph>two</paragraph>
+      </quote>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <quote>
+        <image />
+        <paragraph>one</paragraph>
+      </quote>
+    </document>
+  </value>
+)
@@ -0,0 +1,27 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export const schema = {
+  blocks: {
+    quote: {
+      sequence: '(paragraph | code)+ image? #block{0,1}',
+    },
+  },
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+        <code>two</code>
+        <paragraph>three</paragraph>
+        <image />
+        <line>four</line>
+      </quote>
+    </document>
+  </value>
+)
+
+export const output = input
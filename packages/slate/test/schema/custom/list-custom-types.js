@@ -0,0 +1,42 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import { ListPlugin } from '../../..'
+
+export const schema = {
+  plugins: [ListPlugin({ bulleted: 'list', item: 'item', content: 'line' })],
+}
+
+export const input = (
+  <value>
+    <document>
+      <item>one</item>
+      <list>
+        <paragraph>two</paragraph>
+      </list>
+      <ul>
+        <li>three</li>
+      </ul>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <list>
+        <item>
+          <line>one</line>
+        </item>
+      </list>
+      <list>
+        <item>
+          <paragraph>two</paragraph>
+        </item>
+      </list>
+      <ul>
+        <li>three</li>
+      </ul>
+    </document>
+  </value>
+)
@@ -0,0 +1,49 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import { ListPlugin } from '../../..'
+
+export const schema = {
+  plugins: [ListPlugin()],
+}
+
+export const input = (
+  <value>
+    <document>
+      <li>zero</li>
+      <ul>
+        <li>one</li>
+        <ol>
+          <li>two</li>
+        </ol>
+        <paragraph>three</paragraph>
+      </ul>
+      <ol />
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <ul>
+        <li>
+          <paragraph>zero</paragraph>
+        </li>
+      </ul>
+      <ul>
+        <li>
+          <paragraph>one</paragraph>
+          <ol>
+            <li>
+              <paragraph>two</paragraph>
+            </li>
+          </ol>
+        </li>
+        <li>
+          <paragraph>three</paragraph>
+        </li>
+      </ul>
+    </document>
+  </value>
+)
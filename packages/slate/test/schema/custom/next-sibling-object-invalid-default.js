@@ -0,0 +1,29 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export const schema = {
+  inlines: {
+    emoji: {
+      next: { objects: ['inline'] },
+    },
+  },
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        one<emoji />two
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>onetwo</paragraph>
+    </document>
+  </value>
+)
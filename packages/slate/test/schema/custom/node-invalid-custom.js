@@ -0,0 +1,39 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export const schema = {
+  inlines: {
+    link: {
+      validate: node => {
+        const href = node.data.get('href')
+        if (href != null && !/^https?:\/\//.test(href)) return 'href_invalid'
+      },
+      normalize: (change, reason, { node }) => {
+        if (reason == 'href_invalid') {
+          change.setNodeByKey(node.key, { data: node.data.delete('href') })
+        }
+      },
+    },
+  },
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <link href="javascript:void(0)">one</link>
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <link>one</link>
+      </paragraph>
+    </document>
+  </value>
+)
@@ -0,0 +1,32 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export const schema = {
+  inlines: {
+    link: {
+      validate: node => /^https?:\/\//.test(node.data.get('href')),
+    },
+  },
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <link href="https://example.com">one</link>
+        <link href="javascript:void(0)">two</link>
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>
+        <link href="https://example.com">one</link>
+      </paragraph>
+    </document>
+  </value>
+)
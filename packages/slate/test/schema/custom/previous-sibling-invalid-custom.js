@@ -0,0 +1,55 @@
+/** @jsx h */
+
+import { PREVIOUS_SIBLING_INVALID } from 'slate-schema-violations'
+import h from '../../helpers/h'
+
+export const schema = {
+  blocks: {
+    item: {
+      previous: {
+        validate: (previous, node) => previous.nodes.size == node.nodes.size,
+      },
+      normalize: (change, reason, { node, sibling }) => {
+        if (reason == PREVIOUS_SIBLING_INVALID) {
+          change.insertNodeByKey(node.key, node.nodes.size, {
+            object: 'block',
+            type: 'paragraph',
+          })
+        }
+      },
+    },
+  },
+}
+
+export const input = (
+  <value>
+    <document>
+      <list>
+        <item>
+          <paragraph>one</paragraph>
+          <paragraph>two</paragraph>
+        </item>
+        <item>
+          <paragraph>three</paragraph>
+        </item>
+      </list>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <list>
+        <item>
+          <paragraph>one</paragraph>
+          <paragraph>two</paragraph>
+        </item>
+        <item>
+          <paragraph>three</paragraph>
+          <paragraph />
+        </item>
+      </list>
+    </document>
+  </value>
+)
@@ -0,0 +1,34 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export const schema = {
+  blocks: {
+    image: {
+      previous: { types: ['paragraph'] },
+    },
+  },
+}
+
+export const input = (
+  <value>
+    <document>
+      <image />
+      <paragraph>one</paragraph>
+      <image />
+      <quote>two</quote>
+      <image />
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <image />
+      <paragraph>one</paragraph>
+      <image />
+      <quote>two</quote>
+    </document>
+  </value>
+)
@@ -0,0 +1,55 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import { TablePlugin } from '../../..'
+
+export const schema = {
+  plugins: [TablePlugin({ table: 'grid', row: 'grid-row', cell: 'grid-cell' })],
+}
+
+export const input = (
+  <value>
+    <document>
+      <block type="grid">
+        <block type="grid-row">
+          <block type="grid-cell">one</block>
+          <block type="grid-cell">two</block>
+        </block>
+        <table>
+          <tr>
+            <td>three</td>
+          </tr>
+        </table>
+      </block>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <block type="grid">
+        <block type="grid-row">
+          <block type="grid-cell">
+            <paragraph>one</paragraph>
+          </block>
+          <block type="grid-cell">
+            <paragraph>two</paragraph>
+          </block>
+        </block>
+        <block type="grid-row">
+          <block type="grid-cell">
+            <table>
+              <tr>
+                <td>three</td>
+              </tr>
+            </table>
+          </block>
+          <block type="grid-cell">
+            <paragraph />
+          </block>
+        </block>
+      </block>
+    </document>
+  </value>
+)
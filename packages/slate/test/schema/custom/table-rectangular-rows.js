@@ -0,0 +1,61 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import { TablePlugin } from '../../..'
+
+export const schema = {
+  plugins: [TablePlugin()],
+}
+
+export const input = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>one</paragraph>
+          </td>
+          <td {...{ rowspan: 3 }}>
+            <paragraph>two</paragraph>
+          </td>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>four</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>one</paragraph>
+          </td>
+          <td {...{ rowspan: 2 }}>
+            <paragraph>two</paragraph>
+          </td>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>four</paragraph>
+          </td>
+          <td>
+            <paragraph />
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
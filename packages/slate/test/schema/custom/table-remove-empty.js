@@ -0,0 +1,38 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import { TablePlugin } from '../../..'
+
+export const schema = {
+  plugins: [TablePlugin()],
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <table />
+      <table>
+        <tr />
+        <tr>
+          <td />
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <paragraph>one</paragraph>
+      <table>
+        <tr>
+          <td>
+            <paragraph />
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
@@ -0,0 +1,47 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+import { TablePlugin } from '../../..'
+
+export const schema = {
+  plugins: [TablePlugin()],
+}
+
+export const input = (
+  <value>
+    <document>
+      <table>
+        <paragraph>one</paragraph>
+        <tr>
+          <td>two</td>
+          <paragraph>three</paragraph>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
+
+export const output = (
+  <value>
+    <document>
+      <table>
+        <tr>
+          <td>
+            <paragraph>one</paragraph>
+          </td>
+          <td>
+            <paragraph />
+          </td>
+        </tr>
+        <tr>
+          <td>
+            <paragraph>two</paragraph>
+          </td>
+          <td>
+            <paragraph>three</paragraph>
+          </td>
+        </tr>
+      </table>
+    </document>
+  </value>
+)
@@ -55,4 +55,29 @@ describe('schema', () => {
       })
     }
   })
+
+  describe('validate', () => {
+    const testsDir = resolve(__dirname, 'validate')
+    const tests = fs
+      .readdirSync(testsDir)
+      .filter(t => t[0] != '.')
+      .map(t => basename(t, extname(t)))
+
+    for (const test of tests) {
+      it(test, async () => {
+        const module = require(resolve(testsDir, test))
+        const { input, output, schema } = module
+        const s = Schema.create(schema)
+        const violations = s.validate(input)
+        const expected = output
+        const actual = violations.map(({ code, path, key, node }) => {
+          assert.equal(key, node.key)
+          return { code, path }
+        })
+
+        assert.deepEqual(actual, expected)
+        assert.deepEqual(input.toJSON(), input.change().value.toJSON())
+      })
+    }
+  })
 })
@@ -0,0 +1,26 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export const schema = {
+  inlines: {
+    link: {
+      validate: node => (node.data.get('href') ? null : 'href_required'),
+    },
+  },
+}
+
+export const input = (
+  <value>
+    <document>
+      <paragraph>
+        <link href="https://example.com">one</link>
+      </paragraph>
+      <paragraph>
+        <link>two</link>
+      </paragraph>
+    </document>
+  </value>
+)
+
+export const output = [{ code: 'href_required', path: [1, 1] }]
@@ -0,0 +1,47 @@
+/** @jsx h */
+
+import {
+  CHILD_TYPE_INVALID,
+  NODE_DATA_INVALID,
+  PARENT_TYPE_INVALID,
+} from 'slate-schema-violations'
+import h from '../../helpers/h'
+
+export const schema = {
+  blocks: {
+    quote: {
+      nodes: [{ types: ['paragraph'] }],
+    },
+    paragraph: {
+      data: {
+        thing: v => v == null || v == 'value',
+      },
+    },
+    item: {
+      parent: { types: ['list'] },
+    },
+  },
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+        <code>two</code>
+      </quote>
+      <paragraph thing="invalid">three</paragraph>
+      <quote>
+        <paragraph>
+          <item>four</item>
+        </paragraph>
+      </quote>
+    </document>
+  </value>
+)
+
+export const output = [
+  { code: CHILD_TYPE_INVALID, path: [0] },
+  { code: NODE_DATA_INVALID, path: [1] },
+  { code: PARENT_TYPE_INVALID, path: [2, 0, 0] },
+]
@@ -0,0 +1,23 @@
+/** @jsx h */
+
+import h from '../../helpers/h'
+
+export const schema = {
+  blocks: {
+    quote: {
+      nodes: [{ types: ['paragraph'] }],
+    },
+  },
+}
+
+export const input = (
+  <value>
+    <document>
+      <quote>
+        <paragraph>one</paragraph>
+      </quote>
+    </document>
+  </value>
+)
+
+export const output = []
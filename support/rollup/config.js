@@ -6,6 +6,7 @@ import slateDevLogger from '../../packages/slate-dev-logger/package.json'
 import slateHotkeys from '../../packages/slate-hotkeys/package.json'
 import slateHtmlSerializer from '../../packages/slate-html-serializer/package.json'
 import slateHyperscript from '../../packages/slate-hyperscript/package.json'
+import slateMarkdownSerializer from '../../packages/slate-markdown-serializer/package.json'
 import slatePlainSerializer from '../../packages/slate-plain-serializer/package.json'
 import slatePropTypes from '../../packages/slate-prop-types/package.json'
 import slateReact from '../../packages/slate-react/package.json'
@@ -20,6 +21,7 @@ const configurations = [
   ...factory(slateHotkeys),
   ...factory(slateHtmlSerializer),
   ...factory(slateHyperscript),
+  ...factory(slateMarkdownSerializer),
   ...factory(slatePlainSerializer),
   ...factory(slatePropTypes),
   ...factory(slateReact),